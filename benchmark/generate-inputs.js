@@ -0,0 +1,64 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Generates a JSON array of numbers, one in four of which is in
+ * exponential notation.
+ *
+ * @param {number} size Number of elements in the array.
+ * @returns {string} JSON text.
+ */
+exports.numbers = function numbers(size) {
+  const values = [];
+  for (let i = 0; i < size; i += 1) {
+    values.push(i % 4 === 0 ? `${i}e-${i % 300}` : `${i}.${i % 10}`);
+  }
+  return `[${values.join(',')}]`;
+};
+
+/** Generates a JSON array of numbers, none of which is in exponential
+ * notation, in objects with keys which contain <code>e</code>.
+ *
+ * @param {number} size Number of objects in the array.
+ * @returns {string} JSON text.
+ */
+exports.noExponentials = function noExponentials(size) {
+  const values = [];
+  for (let i = 0; i < size; i += 1) {
+    values.push(`{"id":${i},"name":"item ${i}e5","price":${i}.99}`);
+  }
+  return `[${values.join(',')}]`;
+};
+
+/** Generates a JSON string of a given length which consists of escape
+ * sequences and text which resembles numbers in exponential notation.
+ *
+ * @param {number} size Number of escape sequences in the string.
+ * @returns {string} JSON text.
+ */
+exports.escapedString = function escapedString(size) {
+  return `"${'\\"1e5\\\\\\u0041'.repeat(size)}"`;
+};
+
+/** Generates JSON arrays nested to a given depth, each of which contains a
+ * number in exponential notation.
+ *
+ * @param {number} size Depth of nesting.
+ * @returns {string} JSON text.
+ */
+exports.nestedArrays = function nestedArrays(size) {
+  return `${'[1e5,'.repeat(size)}1e5${']'.repeat(size)}`;
+};
+
+/** Generates JSON objects nested to a given depth, each of which contains a
+ * number in exponential notation.
+ *
+ * @param {number} size Depth of nesting.
+ * @returns {string} JSON text.
+ */
+exports.nestedObjects = function nestedObjects(size) {
+  return `${'{"a":1e5,"b":'.repeat(size)}1e5${'}'.repeat(size)}`;
+};
@@ -18,6 +18,14 @@ const readFileP = promisify(readFile);
 globalThis.jsonReplaceExponentials = require('..');
 globalThis.toJsonNoExponential = require('./to-json-no-exponential.js');
 
+const generateInputs = require('./generate-inputs.js');
+
+/** Sizes of generated inputs, to show how run time scales with size.
+ *
+ * @private
+ */
+const generatedSizes = [1e3, 1e4, 1e5];
+
 exports.createBenchmarkSuite =
 function createBenchmarkSuite() {
   const suite = new Benchmark.Suite();
@@ -37,6 +45,31 @@ function createBenchmarkSuite() {
     fn: 'jsonReplaceExponentials(jsonStr);',
   });
 
+  suite.add({
+    name: 'stringify',
+    fn: 'jsonReplaceExponentials.stringify(jsonValue);',
+  });
+
+  return suite;
+};
+
+exports.createScalingSuite =
+function createScalingSuite() {
+  const suite = new Benchmark.Suite();
+
+  globalThis.generatedInputs = Object.create(null);
+  for (const [inputName, generateInput] of Object.entries(generateInputs)) {
+    for (const size of generatedSizes) {
+      const name = `${inputName}-${size}`;
+      globalThis.generatedInputs[name] = generateInput(size);
+      const input = `generatedInputs[${JSON.stringify(name)}]`;
+      suite.add({
+        name: `jsonReplaceExponentials ${name}`,
+        fn: `jsonReplaceExponentials(${input});`,
+      });
+    }
+  }
+
   return suite;
 };
 
@@ -70,25 +103,30 @@ function main(args, options, exit) {
     throw new TypeError('exit must be a function');
   }
 
-  const usage = `Usage: ${args[1]} <JSON file>\n`;
-  if (args.length !== 3) {
-    options.stderr.write(`Error: Expected exactly 1 argument.\n${usage}`);
+  const usage = `Usage: ${args[1]} [JSON file]\n`;
+  if (args.length > 3) {
+    options.stderr.write(`Error: Expected at most 1 argument.\n${usage}`);
     queueMicrotask(() => exit(1));
     return;
   }
 
   const filename = args[2];
+  const suitePromise = filename === undefined
+    // No file.  Benchmark generated inputs of increasing size.
+    ? Promise.resolve(this.createScalingSuite())
+    : readFileP(
+      filename === '-' ? 0 : filename,
+      { encoding: 'utf8' },
+    )
+      .then((jsonStr) => {
+        globalThis.jsonStr = jsonStr;
+        globalThis.jsonValue = JSON.parse(jsonStr);
+        return this.createBenchmarkSuite();
+      });
 
   // eslint-disable-next-line promise/catch-or-return
-  readFileP(
-    filename === '-' ? 0 : filename,
-    { encoding: 'utf8' },
-  )
-    .then((jsonStr) => {
-      globalThis.jsonStr = jsonStr;
-      globalThis.jsonValue = JSON.parse(jsonStr);
-      return this.runSuite(this.createBenchmarkSuite(), options);
-    })
+  suitePromise
+    .then((suite) => this.runSuite(suite, options))
     .then(
       () => exit(0),
       (err) => {
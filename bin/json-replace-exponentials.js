@@ -1,8 +1,8 @@
 #!/usr/bin/env node
 /**
- * Executable script which reads JSON from stdin, then writes JSON to stdout
- * with numbers in exponential notation replaced by numbers in fixed-point
- * notation.
+ * Executable script which reads JSON from files or stdin, then writes JSON
+ * to stdout or files with numbers in exponential notation replaced by
+ * numbers in fixed-point notation.
  *
  * @private
  * @copyright Copyright 2017-2021 Kevin Locke <kevin@kevinlocke.name>
@@ -12,11 +12,772 @@
 
 'use strict';
 
+const { randomUUID } = require('node:crypto');
+const {
+  createReadStream,
+  createWriteStream,
+  readFileSync,
+} = require('node:fs');
+const {
+  mkdir,
+  readFile,
+  rename,
+  stat,
+  unlink,
+  writeFile,
+} = require('node:fs/promises');
+const path = require('node:path');
+const { Readable, Writable } = require('node:stream');
+const { buffer, text } = require('node:stream/consumers');
+const { pipeline } = require('node:stream/promises');
+const { parseArgs } = require('node:util');
+
 // https://github.com/import-js/eslint-plugin-import/issues/2844
 // eslint-disable-next-line import/extensions
-const jsonReplaceExponentials = require('..');
+const {
+  JsonLinesParallelTransform,
+  JsonReplaceExponentialsTransform,
+  JsonSyntaxError,
+} = require('..');
+const createCanonicalReplacer = require('../lib/canonical-replacer.js');
+const formatDiff = require('../lib/diff.js');
+const createFixedReplacer = require('../lib/fixed-replacer.js');
+const { expandGlob, hasMagic } = require('../lib/glob.js');
+const {
+  createLossyQuoter,
+  getLossyKind,
+  lossyKinds,
+} = require('../lib/lossy.js');
+const JsonNumberTransform = require('../lib/number-transform.js');
+const { createPathFilter } = require('../lib/pointer-pattern.js');
+const { createNumberQuoter, createStringUnquoter } = require('../lib/quote.js');
+const createSchemaReplacer = require('../lib/schema-replacer.js');
+const createSourceMap = require('../lib/source-map.js');
 const packageJson = require('../package.json');
 
+/** Usage message for this command.
+ *
+ * @private
+ */
+const usage =
+  'Usage: json-replace-exponentials [options] [file...]\n'
+  + `
+Reads JSON from each file, or stdin if no files are given or file is -.
+Files may be glob patterns (e.g. 'specs/**/*.json').
+
+Options:
+  -i, --in-place       Replace numbers in each file (atomically)
+  -o, --output <file>  Write output to file instead of stdout
+  --output-dir <dir>   Write output for each file to the same relative path
+                       in dir
+  --source-map         Write a source map (revision 3) from each output file
+                       to its input file to the output path with .map added
+  --check              Report numbers which would be replaced, without
+                       replacing them, and exit 1 if there are any
+  --lint               Report numbers which JSON.parse can not represent
+                       exactly, and exit 1 if there are any
+  --report-format <format>
+                       Format of --check or --lint report: text or json
+                       (default: text)
+  --diff               Print the changes as a diff instead of the output
+  --diff-format <format>
+                       Format of --diff: unified or json-patch (RFC 6902)
+                       (default: unified)
+  --max-exponent <n>   Maximum absolute exponent to replace (default: 1000)
+  --max-length <n>     Maximum length of a replacement number
+  --overflow <policy>  Policy for numbers exceeding the maximums: throw,
+                       preserve, clamp (--max-exponent only), or substitute
+                       (default: throw)
+  --substitute <text>  Replacement for numbers exceeding the maximums with
+                       --overflow=substitute
+  --significant-digits <n>
+                       Round replacement numbers to at most n significant
+                       digits
+  --fraction-digits <n>
+                       Round replacement numbers to at most n digits after
+                       the decimal point
+  --rounding-mode <mode>
+                       Rounding mode: half-up, half-down, half-even, up,
+                       down, ceiling, or floor (default: half-up)
+  --trim-zeros         Remove trailing zeros after the decimal point
+  --to-exponential     Replace fixed-point numbers with more than
+                       --max-digits digits (default: unlimited) or an
+                       exponent above --max-exponent (default: 20) or below
+                       --min-exponent (default: -6) by exponential notation
+  --quote              Replace numbers with more than --max-digits
+                       significant digits (default: unlimited), an exponent
+                       above --max-exponent (default: 20) or below
+                       --min-exponent (default: -6), or at --quote-path by
+                       strings
+  --quote-notation <notation>
+                       Notation of numbers in --quote strings: fixed or
+                       original (default: fixed)
+  --quote-path <pattern>
+                       Replace numbers at JSON Pointers matching pattern
+                       (e.g. /**/id) by strings (may be repeated)
+  --unquote <pattern>  Replace strings containing a number at JSON Pointers
+                       matching pattern by the number (may be repeated)
+  --canonicalize <form>
+                       Replace every number by its normal form: exact,
+                       fixed, exponential, or jcs (RFC 8785)
+  --schema <file>      Replace numbers as described by the JSON Schema in
+                       file: integers in fixed-point, strings unchanged
+  --schema-pointer <pointer>
+                       JSON Pointer to the schema in --schema file (e.g.
+                       /components/schemas/Pet in an OpenAPI document)
+  --precision <format>=<digits>
+                       Round numbers with format in the schema to digits
+                       significant digits (may be repeated)
+  --non-integer <policy>
+                       Policy for non-integers where the schema has type
+                       integer: throw, preserve, or round (default: throw)
+  --quote-lossy        Replace numbers which JSON.parse can not represent
+                       exactly by strings
+  --lossy-kinds <kinds>
+                       Comma-separated kinds of numbers for --lint and
+                       --quote-lossy: overflow, underflow, unsafe-integer,
+                       precision (default: all)
+  --format <format>    Input format: json, jsonc, json5, jsonl, yaml, or
+                       markdown (code blocks in json, jsonc, json5, or
+                       jsonl) (default: json)
+  --jobs <n>           Replace numbers in --format=jsonl input using n worker
+                       threads
+  --embedded           Also replace numbers in string values which contain
+                       a JSON object or array (e.g. "{\\"x\\":1e-9}")
+  --only <pattern>     Only replace numbers in values at JSON Pointers
+                       matching pattern (e.g. /paths/**) or selected by a
+                       JSONPath (e.g. $..example) (may be repeated)
+  --skip <pattern>     Do not replace numbers in values at JSON Pointers
+                       matching pattern or selected by a JSONPath (may be
+                       repeated)
+  --encoding <enc>     Input encoding: auto, utf-8, utf-16le, utf-16be,
+                       utf-32le, or utf-32be (default: auto, which detects
+                       the encoding from the BOM or null bytes)
+  --preserve-encoding  Write output in the input encoding, with a BOM if the
+                       input had one (default: UTF-8 without BOM)
+  --strict             Validate that input is JSON (RFC 8259).  Output is
+                       streamed, so output before an error is still written
+                       (except with --in-place)
+  --keep-going         Leave numbers which can not be replaced unchanged,
+                       report each of them, and exit 2 if there are any
+  -h, -?, --help       Print this help message and exit
+  -V, --version        Print the version and exit
+`;
+
+/** Exit code if all input was processed, but --keep-going left numbers
+ * unchanged because they could not be replaced.
+ *
+ * @private
+ */
+const keepGoingExitCode = 2;
+
+/** Options for {@link module:util.parseArgs}.
+ *
+ * @private
+ */
+const parseArgsOptions = {
+  canonicalize: { type: 'string' },
+  check: { type: 'boolean' },
+  diff: { type: 'boolean' },
+  'diff-format': { type: 'string' },
+  embedded: { type: 'boolean' },
+  encoding: { type: 'string' },
+  format: { type: 'string' },
+  'fraction-digits': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  'in-place': { type: 'boolean', short: 'i' },
+  jobs: { type: 'string' },
+  'keep-going': { type: 'boolean' },
+  lint: { type: 'boolean' },
+  'lossy-kinds': { type: 'string' },
+  'max-digits': { type: 'string' },
+  'max-exponent': { type: 'string' },
+  'max-length': { type: 'string' },
+  'min-exponent': { type: 'string' },
+  'non-integer': { type: 'string' },
+  only: { type: 'string', multiple: true },
+  output: { type: 'string', short: 'o' },
+  'output-dir': { type: 'string' },
+  overflow: { type: 'string' },
+  precision: { type: 'string', multiple: true },
+  'preserve-encoding': { type: 'boolean' },
+  quote: { type: 'boolean' },
+  'quote-lossy': { type: 'boolean' },
+  'quote-notation': { type: 'string' },
+  'quote-path': { type: 'string', multiple: true },
+  'report-format': { type: 'string' },
+  'rounding-mode': { type: 'string' },
+  schema: { type: 'string' },
+  'source-map': { type: 'boolean' },
+  'schema-pointer': { type: 'string' },
+  'significant-digits': { type: 'string' },
+  skip: { type: 'string', multiple: true },
+  strict: { type: 'boolean' },
+  substitute: { type: 'string' },
+  'to-exponential': { type: 'boolean' },
+  'trim-zeros': { type: 'boolean' },
+  unquote: { type: 'string', multiple: true },
+  version: { type: 'boolean', short: 'V' },
+};
+
+/** Parses the value of a numeric command-line option.
+ *
+ * @private
+ * @param {string|undefined} value Value of the option, if any.
+ * @param {string} name Name of the option.
+ * @returns {number|undefined} Number represented by value, if any.
+ * @throws {RangeError} If value does not represent a number.
+ */
+function parseNumberOption(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (value.trim() === '' || Number.isNaN(number)) {
+    throw new RangeError(`Invalid number for --${name}: '${value}'`);
+  }
+
+  return number;
+}
+
+/** Parses the values of the --precision command-line option.
+ *
+ * @private
+ * @param {!Array<string>|undefined} values Values of the option, if any.
+ * @returns {!Object<string,number>} Number of significant digits by format.
+ * @throws {RangeError} If a value is not of the form format=digits.
+ */
+function parsePrecisionOption(values = []) {
+  const precision = {};
+  for (const value of values) {
+    const match = /^([^=]+)=([1-9][0-9]*)$/.exec(value);
+    if (!match) {
+      throw new RangeError(
+        `Invalid value for --precision: '${value}' (expected format=digits)`,
+      );
+    }
+
+    precision[match[1]] = Number(match[2]);
+  }
+
+  return precision;
+}
+
+/** Parses the value of the --lossy-kinds command-line option.
+ *
+ * @private
+ * @param {string|undefined} value Value of the option, if any.
+ * @returns {!Array<string>|undefined} Kinds of lossy numbers, if any.
+ * @throws {RangeError} If value contains an unrecognized kind.
+ */
+function parseLossyKindsOption(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const kinds = value.split(',').map((kind) => kind.trim());
+  for (const kind of kinds) {
+    if (!lossyKinds.has(kind)) {
+      throw new RangeError(`Invalid kind for --lossy-kinds: '${kind}'`);
+    }
+  }
+
+  return kinds;
+}
+
+/** Wraps a function which replaces text at a location so that text at
+ * locations which are not selected by --only and --skip is returned
+ * unchanged.
+ *
+ * @private
+ * @param {function(string, !object): string} replace Function called with
+ * the text of a value and its
+ * {@link module:json-replace-exponentials/lib/scanner.JsonNumberLocation}.
+ * @param {(function(string): boolean)=} isSelected Function which returns
+ * true if text at a JSON Pointer is selected, if any.
+ * @returns {function(string, !object): string} replace, if isSelected is
+ * undefined, otherwise a function which calls replace for selected text.
+ */
+function filterReplace(replace, isSelected) {
+  if (isSelected === undefined) {
+    return replace;
+  }
+
+  return function replaceSelected(value, location) {
+    return isSelected(location.path) ? replace(value, location) : value;
+  };
+}
+
+/** Reads a JSON Schema from a file.
+ *
+ * @private
+ * @param {string} file Path of the file containing the schema.
+ * @returns {*} Schema parsed from file.
+ * @throws {Error} If file can not be read or does not contain JSON.
+ */
+function readSchema(file) {
+  try {
+    // Read synchronously so that options are checked before reading input
+    // eslint-disable-next-line n/no-sync
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(
+      `Unable to read --schema ${file}: ${err.message}`,
+      { cause: err },
+    );
+  }
+}
+
+/** Formats an error from replacing numbers for display.
+ *
+ * @private
+ * @param {!Error} err Error.
+ * @param {string=} file Path of the file being processed, if any.
+ * @returns {string} Error message, including the snippet of a
+ * JsonSyntaxError, ending with a newline.
+ */
+function formatError(err, file) {
+  const prefix = file === undefined ? 'Error: ' : `Error: ${file}: `;
+  return err instanceof JsonSyntaxError
+    ? `${prefix}${err.message}\n${err.snippet}\n`
+    : `${prefix}${err.message}\n`;
+}
+
+/** Formats an error for a number which --keep-going left unchanged for
+ * display.
+ *
+ * @private
+ * @param {!module:json-replace-exponentials/lib/replace-error.ReplaceError
+ * } error Error for the number.
+ * @param {string} name Name of the input which contains the number.
+ * @returns {string} Error message, with the location of the number, ending
+ * with a newline.
+ */
+function formatReplaceError(error, name) {
+  return `Error: ${name}:${error.line}:${error.column}: ${error.reason}\n`;
+}
+
+/** Gets the path to which output for an input file is written in an output
+ * directory.
+ *
+ * @private
+ * @param {string} file Path of input file.
+ * @param {string} outputDir Path of output directory.
+ * @returns {string} Path of output file.  The path of file relative to the
+ * current directory, if file is in the current directory, otherwise its
+ * name, in outputDir.
+ */
+function getOutputDirPath(file, outputDir) {
+  const relative = path.relative('.', file);
+  const isOutside = relative === '..'
+    || relative.startsWith(`..${path.sep}`)
+    || path.isAbsolute(relative);
+  return path.join(outputDir, isOutside ? path.basename(file) : relative);
+}
+
+/** Decodes JSON input as {@link JsonNumberTransform} does, without replacing
+ * any numbers.
+ *
+ * @private
+ * @param {!Buffer} input JSON input.
+ * @param {string} inputEncoding Encoding of input.
+ * @returns {!Promise<string>} Promise for the decoded input.
+ */
+function decodeInput(input, inputEncoding) {
+  const decoder =
+    new JsonNumberTransform((number) => number, { inputEncoding });
+  decoder.end(input);
+  return text(decoder);
+}
+
+/** Writes a source map from an output file to its input file.
+ *
+ * @private
+ * @param {string} file Path of input file, or <code>'-'</code> for stdin.
+ * @param {string} output Path of output file.
+ * @param {!Promise<string>} original Promise for the decoded input.
+ * @param {!Array<!module:json-replace-exponentials/lib/scanner
+ * .JsonNumberReplacement>} replacements Replacements in the input.
+ * @returns {!Promise} Promise which is resolved once the source map is
+ * written to output with <code>.map</code> appended.
+ */
+async function writeSourceMap(file, output, original, replacements) {
+  const relative = path.relative(path.dirname(output), file);
+  const source = file === '-' ? 'stdin' : relative.split(path.sep).join('/');
+  const sourceMap = createSourceMap(await original, replacements, {
+    file: path.basename(output),
+    source,
+  });
+  await writeFile(`${output}.map`, JSON.stringify(sourceMap));
+}
+
+/** Options for writing the output of {@link replaceFile}.
+ *
+ * @private
+ * @typedef {{
+ *   inPlace: boolean,
+ *   inputEncoding: string,
+ *   output: (string|undefined),
+ *   outputDir: (string|undefined),
+ *   sourceMap: boolean,
+ *   stdin: !module:stream.Readable,
+ *   stdout: !module:stream.Writable
+ * }} ReplaceFileOptions
+ * @property {boolean} inPlace Replace the input file with the output.
+ * @property {string} inputEncoding Encoding of the input, for decoding it
+ * to create a source map.
+ * @property {string=} output Path of file to which output is written.
+ * @property {string=} outputDir Path of directory to which output is
+ * written.
+ * @property {boolean} sourceMap Write a source map for each output file.
+ * @property {!module:stream.Readable} stdin Stream from which input is read
+ * if file is <code>'-'</code>.
+ * @property {!module:stream.Writable} stdout Stream to which output is
+ * written if none of inPlace, output, and outputDir are given.
+ */
+// const ReplaceFileOptions;
+
+/** Replaces numbers in a file, writing the result as specified by options.
+ *
+ * @private
+ * @param {string} file Path of input file, or <code>'-'</code> for stdin.
+ * @param {!module:stream.Transform} transform Transform which replaces
+ * numbers.
+ * @param {!ReplaceFileOptions} options Options.
+ * @returns {!Promise} Promise which is resolved once the output is written.
+ */
+async function replaceFile(file, transform, options) {
+  let input = file === '-' ? options.stdin : createReadStream(file);
+
+  // Decode the whole input to map positions in it, as diffFiles does
+  let original;
+  const replacements = [];
+  if (options.sourceMap) {
+    const inputBuffer = await buffer(input);
+    input = Readable.from([inputBuffer]);
+    original = decodeInput(inputBuffer, options.inputEncoding);
+    transform.on('replace', (replacement) => {
+      replacements.push(replacement);
+    });
+  }
+
+  if (options.inPlace) {
+    const { mode } = await stat(file);
+    const tempFile = path.join(
+      path.dirname(file),
+      `.${path.basename(file)}.${randomUUID()}.tmp`,
+    );
+    try {
+      await pipeline(input, transform, createWriteStream(tempFile, { mode }));
+      await rename(tempFile, file);
+    } catch (err) {
+      try {
+        await unlink(tempFile);
+      } catch {
+        // Ignore errors.  tempFile may not have been created.
+      }
+      throw err;
+    }
+    if (original !== undefined) {
+      await writeSourceMap(file, file, original, replacements);
+    }
+    return;
+  }
+
+  const output = options.outputDir === undefined ? options.output
+    : getOutputDirPath(file, options.outputDir);
+  if (output === undefined) {
+    await pipeline(input, transform, options.stdout, { end: false });
+    return;
+  }
+
+  if (file !== '-' && path.resolve(output) === path.resolve(file)) {
+    throw new Error('Output would overwrite input.  Use --in-place.');
+  }
+
+  await mkdir(path.dirname(output), { recursive: true });
+  await pipeline(input, transform, createWriteStream(output));
+  if (original !== undefined) {
+    await writeSourceMap(file, output, original, replacements);
+  }
+}
+
+/** Expands glob patterns in command-line file arguments, writing an error
+ * to stderr for each pattern which does not match any files.
+ *
+ * @private
+ * @param {!Array<string>} patterns Paths or glob patterns of input files, or
+ * <code>'-'</code> for stdin.
+ * @param {!module:stream.Writable} stderr Stream to which errors are
+ * written.
+ * @returns {!Promise<{files: !Array<string>, exitCode: number}>} Promise for
+ * the matching files and the exit code, which is 1 if any pattern did not
+ * match, 0 otherwise.
+ */
+async function expandPatterns(patterns, stderr) {
+  let exitCode = 0;
+  const files = [];
+  for (const pattern of patterns) {
+    if (pattern === '-' || !hasMagic(pattern)) {
+      files.push(pattern);
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      const matches = await expandGlob(pattern);
+      if (matches.length === 0) {
+        stderr.write(`Error: No files match '${pattern}'\n`);
+        exitCode = 1;
+      }
+      files.push(...matches);
+    }
+  }
+
+  return { files, exitCode };
+}
+
+/** Replaces numbers in files matching given patterns, writing a summary of
+ * each file to stderr.
+ *
+ * @private
+ * @param {!Array<string>} patterns Paths or glob patterns of input files, or
+ * <code>'-'</code> for stdin.
+ * @param {function(string): !module:stream.Transform} createTransform
+ * Function which creates a Transform to replace numbers in a file with a
+ * given name.
+ * @param {!ReplaceFileOptions} options Options.
+ * @param {!module:stream.Writable} stderr Stream to which errors and the
+ * summary are written.
+ * @returns {!Promise<number>} Promise for the exit code.
+ */
+async function replaceFiles(patterns, createTransform, options, stderr) {
+  const expanded = await expandPatterns(patterns, stderr);
+  const { files } = expanded;
+  let { exitCode } = expanded;
+
+  if (options.output !== undefined && files.length > 1) {
+    stderr.write('Error: --output can not be used with multiple files.\n');
+    return 1;
+  }
+  if ((options.inPlace || options.outputDir !== undefined)
+    && files.includes('-')) {
+    stderr.write(
+      'Error: --in-place and --output-dir can not be used with stdin.\n',
+    );
+    return 1;
+  }
+
+  let totalReplaced = 0;
+  for (const file of files) {
+    const transform = createTransform(file === '-' ? 'stdin' : file);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await replaceFile(file, transform, options);
+    } catch (err) {
+      stderr.write(formatError(err, file === '-' ? 'stdin' : file));
+      exitCode = 1;
+      continue;
+    }
+
+    const { replacedCount } = transform;
+    totalReplaced += replacedCount;
+    if (file !== '-') {
+      stderr.write(`${file}: replaced ${replacedCount} `
+        + `${replacedCount === 1 ? 'number' : 'numbers'}\n`);
+    }
+  }
+
+  if (files.length > 1) {
+    stderr.write(`Replaced ${totalReplaced} `
+      + `${totalReplaced === 1 ? 'number' : 'numbers'} in ${files.length} `
+      + 'files\n');
+  }
+
+  return exitCode;
+}
+
+/** Options for the report written by {@link checkFiles}.
+ *
+ * @private
+ * @typedef {{
+ *   format: string,
+ *   getEntry: function(!object): !object,
+ *   formatEntry: function(!object): string
+ * }} ReportOptions
+ * @property {string} format Format of the report: <code>'text'</code> or
+ * <code>'json'</code>.
+ * @property {function(!object): !object} getEntry Function which returns
+ * the report entry for a
+ * {@link module:json-replace-exponentials/lib/scanner.JsonNumberReplacement}.
+ * @property {function(!object): string} formatEntry Function which formats
+ * a report entry, with the <code>file</code> in which it was found, as a
+ * line of text.
+ */
+// const ReportOptions;
+
+/** Report options for --check.
+ *
+ * @private
+ * @type {!ReportOptions}
+ */
+const checkReportOptions = {
+  format: 'text',
+  getEntry: (replacement) => replacement,
+  formatEntry: (entry) => `${entry.file}:${entry.line}:${entry.column}: `
+    + `${entry.number} -> ${entry.replacement}`,
+};
+
+/** Report options for --lint.
+ *
+ * @private
+ * @type {!ReportOptions}
+ */
+const lintReportOptions = {
+  format: 'text',
+  getEntry: ({
+    number,
+    offset,
+    line,
+    column,
+    path: pointer,
+  }) => ({
+    number,
+    kind: getLossyKind(number),
+    offset,
+    line,
+    column,
+    path: pointer,
+  }),
+  formatEntry: (entry) => `${entry.file}:${entry.line}:${entry.column}: `
+    + `${entry.number} at '${entry.path}' is lossy (${entry.kind})`,
+};
+
+/** Formats the numbers found by {@link checkFiles} for display.
+ *
+ * @private
+ * @param {!Array<!object>} found Report entries for the numbers found, each
+ * with the <code>file</code> in which it was found.
+ * @param {!ReportOptions} report Report options.
+ * @returns {string} Report of found numbers.
+ */
+function formatReport(found, report) {
+  if (report.format === 'json') {
+    return `${JSON.stringify(found, undefined, 2)}\n`;
+  }
+
+  return found.map((entry) => `${report.formatEntry(entry)}\n`).join('');
+}
+
+/** Finds numbers which would be replaced in files matching given patterns,
+ * without replacing them, and writes a report to stdout.
+ *
+ * @private
+ * @param {!Array<string>} patterns Paths or glob patterns of input files, or
+ * <code>'-'</code> for stdin.
+ * @param {function(string): !module:stream.Transform} createTransform
+ * Function which creates a Transform to replace numbers in a file with a
+ * given name.
+ * @param {!ReportOptions} report Report options.
+ * @param {!CommandOptions} options Streams for input, report, and errors.
+ * @returns {!Promise<number>} Promise for the exit code, which is 1 if any
+ * numbers would be replaced or an error occurred, 0 otherwise.
+ */
+async function checkFiles(patterns, createTransform, report, options) {
+  const { stdin, stdout, stderr } = options;
+  const { files, exitCode } = await expandPatterns(patterns, stderr);
+  const found = [];
+  let hasError = exitCode !== 0;
+  for (const file of files) {
+    const name = file === '-' ? 'stdin' : file;
+    const transform = createTransform(name);
+    transform.on('replace', (replacement) => {
+      found.push({ file: name, ...report.getEntry(replacement) });
+    });
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await pipeline(
+        file === '-' ? stdin : createReadStream(file),
+        transform,
+        // Discard output
+        new Writable({ write: (chunk, encoding, cb) => cb() }),
+      );
+    } catch (err) {
+      stderr.write(formatError(err, name));
+      hasError = true;
+    }
+  }
+
+  stdout.write(formatReport(found, report));
+  return hasError || found.length > 0 ? 1 : 0;
+}
+
+/** Formats the changes to files matching given patterns as diffs, without
+ * replacing them, and writes the diffs to stdout.
+ *
+ * @private
+ * @param {!Array<string>} patterns Paths or glob patterns of input files, or
+ * <code>'-'</code> for stdin.
+ * @param {function(string): !module:stream.Transform} createTransform
+ * Function which creates a Transform to replace numbers in a file with a
+ * given name.
+ * @param {string} diffFormat Format of the diffs.
+ * @param {string} inputEncoding Encoding of the input files.
+ * @param {!CommandOptions} options Streams for input, diffs, and errors.
+ * @returns {!Promise<number>} Promise for the exit code, which is 1 if an
+ * error occurred, 0 otherwise.
+ */
+async function diffFiles(
+  patterns,
+  createTransform,
+  diffFormat,
+  inputEncoding,
+  options,
+) {
+  const { stdin, stdout, stderr } = options;
+  const { files, exitCode } = await expandPatterns(patterns, stderr);
+  if (diffFormat === 'json-patch' && files.length > 1) {
+    stderr.write(
+      'Error: --diff-format=json-patch can not be used with multiple files.\n',
+    );
+    return 1;
+  }
+
+  let hasError = exitCode !== 0;
+  for (const file of files) {
+    const name = file === '-' ? 'stdin' : file;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const input = await (file === '-' ? buffer(stdin) : readFile(file));
+
+      const replacements = [];
+      const transform = createTransform(name);
+      transform.on('replace', (replacement) => {
+        replacements.push(replacement);
+      });
+      transform.end(input);
+
+      // eslint-disable-next-line no-await-in-loop
+      const [original] = await Promise.all([
+        decodeInput(input, inputEncoding),
+        buffer(transform),
+      ]);
+      let diff = formatDiff(original, replacements, {
+        diffFormat,
+        fromLabel: `a/${name}`,
+        toLabel: `b/${name}`,
+      });
+      if (diffFormat === 'json-patch') {
+        diff += '\n';
+      }
+      stdout.write(diff);
+    } catch (err) {
+      stderr.write(formatError(err, name));
+      hasError = true;
+    }
+  }
+
+  return hasError ? 1 : 0;
+}
+
 /** Options for command entry points.
  *
  * @typedef {{
@@ -61,59 +822,443 @@ function jsonReplaceExponentialsCmd(args, { stdin, stdout, stderr }, callback) {
     throw new TypeError('options.stderr must be a stream.Writable');
   }
 
-  const usage = 'Usage: json-replace-exponentials <input.json >output.json\n';
-  switch (args[2]) {
-    case '-h':
-    case '-?':
-    case '--help':
+  // Number of numbers which --keep-going left unchanged
+  let replaceErrorCount = 0;
+  function exit(exitCode) {
+    callback(exitCode === 0 && replaceErrorCount > 0 ? keepGoingExitCode
+      : exitCode);
+  }
+
+  let createTransform;
+  let positionals;
+  let transform;
+  let values;
+  try {
+    ({ positionals, values } = parseArgs({
+      args: Array.prototype.map.call(
+        Array.prototype.slice.call(args, 2),
+        // parseArgs only supports one short name per option
+        (arg) => (arg === '-?' ? '-h' : arg),
+      ),
+      allowPositionals: true,
+      options: parseArgsOptions,
+    }));
+
+    if (values.help) {
       stdout.write(usage);
       queueMicrotask(() => callback(0));
       return;
+    }
 
-    case '-V':
-    case '--version':
+    if (values.version) {
       stdout.write(`${packageJson.name} ${packageJson.version}\n`);
       queueMicrotask(() => callback(0));
       return;
+    }
 
-    default:
-      break;
-  }
+    if (values['in-place']
+      && (values.output !== undefined || values['output-dir'] !== undefined)) {
+      throw new Error(
+        '--in-place can not be combined with --output or --output-dir',
+      );
+    }
+    if (values.check
+      && (values['in-place']
+        || values.output !== undefined
+        || values['output-dir'] !== undefined)) {
+      throw new Error(
+        '--check can not be combined with --in-place, --output, or '
+        + '--output-dir',
+      );
+    }
+    if (values.diff
+      && (values.check
+        || values['in-place']
+        || values.output !== undefined
+        || values['output-dir'] !== undefined)) {
+      throw new Error(
+        '--diff can not be combined with --check, --in-place, --output, or '
+        + '--output-dir',
+      );
+    }
+    if (values.lint
+      && (values.check
+        || values.diff
+        || values['in-place']
+        || values.output !== undefined
+        || values['output-dir'] !== undefined)) {
+      throw new Error(
+        '--lint can not be combined with --check, --diff, --in-place, '
+        + '--output, or --output-dir',
+      );
+    }
+    if (values['diff-format'] !== undefined) {
+      if (!values.diff) {
+        throw new Error('--diff-format requires --diff');
+      }
+      if (values['diff-format'] !== 'unified'
+        && values['diff-format'] !== 'json-patch') {
+        throw new RangeError('--diff-format must be unified or json-patch');
+      }
+      if (values['diff-format'] === 'json-patch'
+        && (values.format === 'jsonl' || values.format === 'markdown')) {
+        throw new Error(
+          '--diff-format=json-patch can not be used with --format=jsonl or '
+          + '--format=markdown',
+        );
+      }
+    }
+    if (values['report-format'] !== undefined) {
+      if (!values.check && !values.lint) {
+        throw new Error('--report-format requires --check or --lint');
+      }
+      if (values['report-format'] !== 'text'
+        && values['report-format'] !== 'json') {
+        throw new RangeError('--report-format must be text or json');
+      }
+    }
+    if (values.output !== undefined && values['output-dir'] !== undefined) {
+      throw new Error('--output and --output-dir can not be combined');
+    }
+    if (values['source-map']
+      && !values['in-place']
+      && values.output === undefined
+      && values['output-dir'] === undefined) {
+      throw new Error(
+        '--source-map requires --in-place, --output, or --output-dir',
+      );
+    }
+    if ((values['in-place'] || values['output-dir'] !== undefined)
+      && positionals.length === 0) {
+      throw new Error('--in-place and --output-dir require file arguments');
+    }
+
+    if (values.canonicalize !== undefined && values['to-exponential']) {
+      throw new Error(
+        '--canonicalize and --to-exponential can not be combined',
+      );
+    }
+    if (values.schema !== undefined
+      && (values.canonicalize !== undefined || values['to-exponential'])) {
+      throw new Error(
+        '--schema can not be combined with --canonicalize or --to-exponential',
+      );
+    }
+    if ((values.lint || values['quote-lossy'])
+      && (values.canonicalize !== undefined
+        || values.schema !== undefined
+        || values['to-exponential'])) {
+      throw new Error(
+        '--lint and --quote-lossy can not be combined with --canonicalize, '
+        + '--schema, or --to-exponential',
+      );
+    }
+    if ((values.quote || values.unquote !== undefined)
+      && (values.canonicalize !== undefined
+        || values.lint
+        || values['quote-lossy']
+        || values.schema !== undefined
+        || values['to-exponential'])) {
+      throw new Error(
+        '--quote and --unquote can not be combined with --canonicalize, '
+        + '--lint, --quote-lossy, --schema, or --to-exponential',
+      );
+    }
+    if (values.quote && values.unquote !== undefined) {
+      throw new Error('--quote and --unquote can not be combined');
+    }
+    if (!values.quote
+      && (values['quote-notation'] !== undefined
+        || values['quote-path'] !== undefined)) {
+      throw new Error('--quote-notation and --quote-path require --quote');
+    }
+    if (values.embedded && (values.lint || values.unquote !== undefined)) {
+      throw new Error(
+        '--embedded can not be combined with --lint or --unquote',
+      );
+    }
+    if (values.format === 'yaml'
+      && (values.embedded || values.unquote !== undefined)) {
+      throw new Error(
+        '--format=yaml can not be combined with --embedded or --unquote',
+      );
+    }
+    if (values.lint && values['quote-lossy']) {
+      throw new Error('--lint and --quote-lossy can not be combined');
+    }
+    if (values['lossy-kinds'] !== undefined
+      && !values.lint
+      && !values['quote-lossy']) {
+      throw new Error('--lossy-kinds requires --lint or --quote-lossy');
+    }
+    if (values.jobs !== undefined) {
+      if (values.format !== 'jsonl') {
+        throw new Error('--jobs requires --format=jsonl');
+      }
+      if (values.canonicalize !== undefined
+        || values.lint
+        || values.quote
+        || values['quote-lossy']
+        || values.schema !== undefined
+        || values['to-exponential']
+        || values.unquote !== undefined) {
+        throw new Error(
+          '--jobs can not be combined with --canonicalize, --lint, --quote, '
+          + '--quote-lossy, --schema, --to-exponential, or --unquote',
+        );
+      }
+    }
+    if (values.schema === undefined
+      && (values['non-integer'] !== undefined
+        || values.precision !== undefined
+        || values['schema-pointer'] !== undefined)) {
+      throw new Error(
+        '--non-integer, --precision, and --schema-pointer require --schema',
+      );
+    }
+
+    const maxExponent =
+      parseNumberOption(values['max-exponent'], 'max-exponent');
+    const roundOptions = {
+      fractionDigits:
+        parseNumberOption(values['fraction-digits'], 'fraction-digits'),
+      roundingMode: values['rounding-mode'],
+      significantDigits:
+        parseNumberOption(values['significant-digits'], 'significant-digits'),
+      trimZeros: values['trim-zeros'],
+    };
+    const transformOptions = {
+      embedded: values.embedded,
+      format: values.format,
+      collectErrors: values['keep-going'],
+      inputEncoding: values.encoding || 'auto',
+      preserveEncoding: values['preserve-encoding'],
+      strict: values.strict,
+    };
+    const pathFilterOptions = { only: values.only, skip: values.skip };
+    const isSelected = values.only === undefined && values.skip === undefined
+      ? undefined
+      : createPathFilter(pathFilterOptions);
+    if (values.quote) {
+      const quoteOptions = {
+        maxDigits: parseNumberOption(values['max-digits'], 'max-digits'),
+        maxExponent,
+        minExponent:
+          parseNumberOption(values['min-exponent'], 'min-exponent'),
+        notation: values['quote-notation'],
+        paths: values['quote-path'],
+      };
+      createTransform = () => new JsonNumberTransform(
+        filterReplace(createNumberQuoter(quoteOptions), isSelected),
+        transformOptions,
+      );
+    } else if (values.unquote !== undefined) {
+      const unquoteOptions = { paths: values.unquote };
+      createTransform = () => new JsonNumberTransform(
+        (number) => number,
+        {
+          ...transformOptions,
+          replaceString: filterReplace(
+            createStringUnquoter(unquoteOptions),
+            isSelected,
+          ),
+        },
+      );
+    } else if (values.lint || values['quote-lossy']) {
+      const lossyOptions = {
+        kinds: parseLossyKindsOption(values['lossy-kinds']),
+      };
+      createTransform = () => new JsonNumberTransform(
+        filterReplace(createLossyQuoter(lossyOptions), isSelected),
+        transformOptions,
+      );
+    } else if (values.canonicalize !== undefined) {
+      const canonicalizeOptions = {
+        form: values.canonicalize,
+        maxExponent,
+      };
+      createTransform = () => new JsonNumberTransform(
+        filterReplace(createCanonicalReplacer(canonicalizeOptions), isSelected),
+        transformOptions,
+      );
+    } else if (values.schema !== undefined) {
+      const schemaOptions = {
+        ...roundOptions,
+        maxExponent,
+        maxLength: parseNumberOption(values['max-length'], 'max-length'),
+        nonInteger: values['non-integer'],
+        overflow: values.overflow,
+        precision: parsePrecisionOption(values.precision),
+        schemaPointer: values['schema-pointer'],
+        substitute: values.substitute,
+      };
+      const schema = readSchema(values.schema);
+      createTransform = () => new JsonNumberTransform(
+        filterReplace(
+          createSchemaReplacer(schema, schemaOptions),
+          isSelected,
+        ),
+        transformOptions,
+      );
+    } else if (values['to-exponential']) {
+      const fixedOptions = {
+        maxDigits: parseNumberOption(values['max-digits'], 'max-digits'),
+        maxExponent,
+        minExponent:
+          parseNumberOption(values['min-exponent'], 'min-exponent'),
+      };
+      createTransform = () => new JsonNumberTransform(
+        filterReplace(createFixedReplacer(fixedOptions), isSelected),
+        transformOptions,
+      );
+    } else {
+      const replaceOptions = {
+        ...transformOptions,
+        ...roundOptions,
+        ...pathFilterOptions,
+        maxExponent,
+        maxLength: parseNumberOption(values['max-length'], 'max-length'),
+        overflow: values.overflow,
+        substitute: values.substitute,
+      };
+      const jobs = parseNumberOption(values.jobs, 'jobs');
+      createTransform = jobs === undefined
+        ? () => new JsonReplaceExponentialsTransform(replaceOptions)
+        : () => new JsonLinesParallelTransform({ ...replaceOptions, jobs });
+    }
+
+    if (values['keep-going']) {
+      const createTransformOnly = createTransform;
+      createTransform = (name) => {
+        const keepGoingTransform = createTransformOnly();
+        keepGoingTransform.on('replaceError', (error) => {
+          replaceErrorCount += 1;
+          stderr.write(formatReplaceError(error, name));
+        });
+        return keepGoingTransform;
+      };
+    }
 
-  if (args.length > 2) {
-    stderr.write(`Error: Unexpected arguments.\n${usage}`);
+    // Create a transform to check the options before reading any input
+    transform = createTransform('stdin');
+  } catch (err) {
+    stderr.write(`Error: ${err.message}\n${usage}`);
     queueMicrotask(() => callback(1));
     return;
   }
 
+  if (values.diff) {
+    (async () => {
+      let exitCode;
+      try {
+        exitCode = await diffFiles(
+          positionals.length > 0 ? positionals : ['-'],
+          createTransform,
+          values['diff-format'] || 'unified',
+          values.encoding || 'auto',
+          { stdin, stdout, stderr },
+        );
+      } catch (err) {
+        stderr.write(formatError(err));
+        exitCode = 1;
+      }
+      exit(exitCode);
+    })();
+    return;
+  }
+
+  if (values.check || values.lint) {
+    (async () => {
+      let exitCode;
+      try {
+        exitCode = await checkFiles(
+          positionals.length > 0 ? positionals : ['-'],
+          createTransform,
+          {
+            ...values.lint ? lintReportOptions : checkReportOptions,
+            format: values['report-format'] || 'text',
+          },
+          { stdin, stdout, stderr },
+        );
+      } catch (err) {
+        stderr.write(formatError(err));
+        exitCode = 1;
+      }
+      exit(exitCode);
+    })();
+    return;
+  }
+
+  if (positionals.length > 0 || values.output !== undefined) {
+    (async () => {
+      let exitCode;
+      try {
+        exitCode = await replaceFiles(
+          positionals.length > 0 ? positionals : ['-'],
+          createTransform,
+          {
+            inPlace: Boolean(values['in-place']),
+            inputEncoding: values.encoding || 'auto',
+            output: values.output,
+            outputDir: values['output-dir'],
+            sourceMap: Boolean(values['source-map']),
+            stdin,
+            stdout,
+          },
+          stderr,
+        );
+      } catch (err) {
+        stderr.write(formatError(err));
+        exitCode = 1;
+      }
+      exit(exitCode);
+    })();
+    return;
+  }
+
   function onWriteError(err) {
+    stdin.unpipe(transform);
+    transform.destroy();
     stderr.write(`Error writing to stdout: ${err}\n`);
     callback(1);
   }
 
+  function write(data, cb) {
+    try {
+      return stdout.write(data, cb);
+    } catch (errWrite) {
+      onWriteError(errWrite);
+      return true;
+    }
+  }
+
   stdout.once('error', onWriteError);
 
-  const jsonData = [];
   stdin
     .once('error', (err) => {
+      stdin.unpipe(transform);
+      transform.destroy();
       stderr.write(`Error reading from stdin: ${err}\n`);
       callback(1);
     })
-    .on('data', (data) => jsonData.push(data))
-    .once('end', () => {
-      // TODO: Detect UTF-16/32 using algorithm from RFC 4627:
-      // https://tools.ietf.org/html/rfc4627#section-3
-      const oldJson = Buffer.concat(jsonData).toString('utf8');
-      const newJson = jsonReplaceExponentials(oldJson);
-      try {
-        stdout.write(newJson, (err) => {
-          if (!err) {
-            callback(0);
-          }
-        });
-      } catch (errWrite) {
-        onWriteError(errWrite);
+    .pipe(transform)
+    .once('error', (err) => {
+      stdin.unpipe(transform);
+      stderr.write(formatError(err));
+      callback(1);
+    })
+    .on('data', (data) => {
+      if (!write(data)) {
+        transform.pause();
+        stdout.once('drain', () => transform.resume());
       }
+    })
+    .once('end', () => {
+      write('', (err) => {
+        if (!err) {
+          exit(0);
+        }
+      });
     });
 }
 
@@ -6,151 +6,665 @@
 
 'use strict';
 
-/** Pattern for a JSON number in exponential notation (i.e. with mandatory
- * exp production from https://tools.ietf.org/html/rfc7158#section-6 ).
+const {
+  replaceBuffer,
+  replaceChunks,
+  replaceFile,
+} = require('./lib/async.js');
+const createCanonicalReplacer = require('./lib/canonical-replacer.js');
+const createScanner = require('./lib/create-scanner.js');
+const formatDiff = require('./lib/diff.js');
+const mayContainExponential = require('./lib/exponential-check.js');
+const createFixedReplacer = require('./lib/fixed-replacer.js');
+const JsonSyntaxError = require('./lib/json-syntax-error.js');
+const { parse, stringify } = require('./lib/json.js');
+const {
+  createLossyKindGetter,
+  createLossyQuoter,
+} = require('./lib/lossy.js');
+const createNumberReplacer = require('./lib/number-replacer.js');
+const JsonLinesParallelTransform = require('./lib/parallel-transform.js');
+const { createNumberQuoter, createStringUnquoter } = require('./lib/quote.js');
+const createErrorCollector = require('./lib/replace-error.js');
+const createSchemaReplacer = require('./lib/schema-replacer.js');
+const createSourceMap = require('./lib/source-map.js');
+const JsonReplaceExponentialsTransformStream =
+  require('./lib/transform-stream.js');
+const JsonReplaceExponentialsTransform = require('./lib/transform.js');
+
+const { createAsyncNumberReplacer } = createNumberReplacer;
+
+/** Replaces numbers in a given JSON string and finds the numbers which were
+ * replaced by a different value.
  *
  * @private
+ * @param {string} json JSON in which to find numbers.
+ * @param {(function(string,!object):string)=} replacer Optional replacer
+ * function.
+ * @param {object=} options Options.
+ * @returns {{output: string, replacements: !Array<!object>}} JSON with
+ * numbers replaced, and the
+ * {@link module:json-replace-exponentials/lib/scanner.JsonNumberReplacement}
+ * for each number (or string containing embedded JSON) which was replaced.
+ * @throws {TypeError} If json is not a string.
  */
-const numberExpPattern = '(-?)([0-9]+)(?:\\.([0-9]+))?[eE]([+-]?[0-9]+)';
+function findReplacements(json, replacer, options) {
+  if (typeof json !== 'string') {
+    throw new TypeError('json must be a string');
+  }
+
+  const replaceNumber = createNumberReplacer(replacer, options);
+  const replacements = [];
+  const recordReplace = (replace) => (number, location) => {
+    const replacement = replace(number, location);
+    if (replacement !== number) {
+      replacements.push({
+        number,
+        replacement,
+        offset: location.offset,
+        line: location.line,
+        column: location.column,
+        path: location.path,
+      });
+    }
+    return replacement;
+  };
+  const scanner = createScanner(replaceNumber, options, recordReplace);
+  if (!mayContainExponential(json, options)) {
+    return { output: json, replacements };
+  }
 
-/** Pattern for a JSON string
- * https://tools.ietf.org/html/rfc7158#section-7
+  const output = scanner.write(json) + scanner.end();
+  return { output, replacements };
+}
+
+/** Replaces numbers in text using a given function, collecting errors if
+ * options.collectErrors is true.
  *
  * @private
+ * @param {string} text Text in which to replace numbers.
+ * @param {function(string, !object): string} replaceNumber Function which
+ * replaces numbers.
+ * @param {object=} options Options for
+ * {@link module:json-replace-exponentials/lib/create-scanner} and
+ * {@link module:json-replace-exponentials/lib/replace-error
+ * .CollectErrorsOptions}.
+ * @returns {string|
+ * !module:json-replace-exponentials/lib/replace-error.ReplaceResult}
+ * text with numbers replaced, and the errors for numbers which were not
+ * replaced, if options.collectErrors is true.
  */
-const stringPattern =
-  '"(?:[^\\x00-\\x1F\\\\"]|\\\\(?:["\\\\/bfnrt]|u[0-9a-fA-F]{4}))*"';
+function replaceNumbers(text, replaceNumber, options) {
+  const isCollecting = Boolean(options && options.collectErrors);
+  const errors = [];
+  const scanner = createScanner(
+    replaceNumber,
+    options,
+    isCollecting
+      ? createErrorCollector((error) => {
+        errors.push(error);
+      })
+      : undefined,
+  );
+  // Only exponentials are replaced.  Skip scanning if there are none.
+  const output = mayContainExponential(text, options)
+    ? scanner.write(text) + scanner.end()
+    : text;
+  return isCollecting ? { output, errors } : output;
+}
 
-/** RegExp for JSON number in exponential notation occurring after after any
- * number of quoted strings and non-quote characters (i.e. a JSON number in
- * exponential notation occurring outside of a string).
+/** Replaces numbers in exponential notation in a given JSON string.
  *
- * @private
+ * @param {string} json JSON in which to replace numbers.
+ * @param {(function(string,!object):string)=} replacer Optional replacer
+ * function called with a number in exponential format and a
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplacerContext}
+ * with its parts and location returning a string which will replace the
+ * number in the return value.
+ * @param {module:json-replace-exponentials/lib/number-replacer.ReplaceOptions=
+ * } options Options for replacing numbers when replacer is undefined, and
+ * only and skip, which always apply.  Also
+ * accepts {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions} and
+ * {@link module:json-replace-exponentials/lib/replace-error
+ * .CollectErrorsOptions}.
+ * @returns {string|
+ * !module:json-replace-exponentials/lib/replace-error.ReplaceResult}
+ * Input JSON with numbers in exponential format replaced by fixed-point
+ * format, or by replacer, if provided.  If options.collectErrors is true,
+ * an object with the output and the errors for numbers which were left
+ * unchanged because replacing them threw an error.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If replacer is not a function.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {RangeError} If replacer is undefined and a number in exponential
+ * format has an exponent which is larger than options.maxExponent (1,000 by
+ * default) or smaller than -options.maxExponent, or would be longer than
+ * options.maxLength in fixed-point format, and options.overflow is
+ * <code>'throw'</code> (the default).  (To mitigate risks from unexpected
+ * large size increase in output.)  Not thrown if options.collectErrors is
+ * true.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports =
+function jsonReplaceExponentials(json, replacer, options) {
+  if (typeof json !== 'string') {
+    throw new TypeError('json must be a string');
+  }
+
+  return replaceNumbers(
+    json,
+    createNumberReplacer(replacer, options),
+    options,
+  );
+};
+
+/** Replaces numbers in exponential notation in a given YAML string.
+ *
+ * Same as {@link jsonReplaceExponentials} with options.format
+ * <code>'yaml'</code>: numbers are plain scalars which are JSON numbers and
+ * are not mapping keys or tagged, as described for
+ * {@link module:json-replace-exponentials/lib/yaml-scanner}, and all other
+ * text is preserved.
+ *
+ * @param {string} yaml YAML in which to replace numbers.
+ * @param {(function(string,!object):string)=} replacer Optional replacer
+ * function, as for {@link jsonReplaceExponentials}.
+ * @param {module:json-replace-exponentials/lib/number-replacer.ReplaceOptions=
+ * } options Options for replacing numbers when replacer is undefined, and
+ * only and skip, which always apply.  Also accepts startLine and startOffset
+ * from {@link module:json-replace-exponentials/lib/scanner.ScanOptions} and
+ * {@link module:json-replace-exponentials/lib/replace-error
+ * .CollectErrorsOptions}.
+ * @returns {string|
+ * !module:json-replace-exponentials/lib/replace-error.ReplaceResult}
+ * Input YAML with numbers in exponential format replaced by fixed-point
+ * format, or by replacer, if provided, and the errors, as for
+ * {@link jsonReplaceExponentials}.
+ * @throws {TypeError} If yaml is not a string.
+ * @throws {TypeError} If replacer is not a function.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {RangeError} Under the same conditions as
+ * {@link jsonReplaceExponentials}.
  */
-const jsonWithNumberExpRE =
-  // eslint-disable-next-line regexp/no-control-character
-  new RegExp(`((?:${stringPattern}|[^"0-9])*?)(${numberExpPattern})`, 'gy');
+module.exports.yamlReplaceExponentials =
+function yamlReplaceExponentials(yaml, replacer, options) {
+  if (typeof yaml !== 'string') {
+    throw new TypeError('yaml must be a string');
+  }
+
+  return replaceNumbers(
+    yaml,
+    createNumberReplacer(replacer, options),
+    { ...options, format: 'yaml' },
+  );
+};
 
-/** Converts the parts of a number in exponential notation to fixed-point
- * notation.
+/** Adds the location of the number being replaced to an error, if it does
+ * not already have a location.
  *
  * @private
- * @param {string} signPart Sign part of number. (i.e. '-' or '')
- * @param {string} intPart Integer part of number. (i.e. part before decimal)
- * @param {string} fracPart Fractional part of number, if any. (i.e. part
- * after decimal).
- * @param {number} exponent Exponential of number. (i.e. part after "e")
- * @returns {string} Number in fixed-point notation.
- */
-function exponentialPartsToFixed(signPart, intPart, fracPart, exponent) {
-  // These are easier to express without templates
-  /* eslint-disable prefer-template */
-
-  if (exponent >= 0) {
-    // Move decimal exponent digits to the right, adding 0s as necessary
-
-    let unsigned;
-    if (fracPart.length <= exponent) {
-      unsigned = intPart
-        + fracPart
-        + '0'.repeat(exponent - fracPart.length);
-    } else {
-      unsigned = intPart
-        + fracPart.slice(0, exponent)
-        + '.'
-        + fracPart.slice(exponent);
+ * @param {*} err Error thrown or rejection reason from replacing a number.
+ * @param {!module:json-replace-exponentials/lib/scanner.JsonNumberLocation
+ * } location Location of the number.
+ * @returns {*} err.
+ */
+function addLocation(err, location) {
+  if (err instanceof Error && err.offset === undefined) {
+    err.offset = location.offset;
+    err.line = location.line;
+    err.column = location.column;
+    err.path = location.path;
+  }
+
+  return err;
+}
+
+/** Replaces numbers in exponential notation in a given JSON string using a
+ * replacer which may return a Promise.
+ *
+ * The replacer is called for numbers in the order they occur in json, with
+ * at most options.concurrency calls pending at once.  Each replacement is
+ * placed at the location of the number it replaces, regardless of the order
+ * in which the Promises are resolved.
+ *
+ * @param {string} json JSON in which to replace numbers.
+ * @param {(function(string,!object):(string|!Promise<string>))=} replacer
+ * Optional replacer function called with a number in exponential format and
+ * a
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplacerContext}
+ * with its parts and location returning a string, or a Promise for a
+ * string, which will replace the number in the return value.
+ * @param {module:json-replace-exponentials/lib/number-replacer.ReplaceOptions=
+ * } options Options for replacing numbers when replacer is undefined, and
+ * only and skip, which always apply.  Also
+ * accepts {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}, other than <code>embedded</code>, and
+ * <code>concurrency</code>, the maximum number of calls to replacer which
+ * may be pending at once.  (default: Infinity)
+ * @returns {!Promise<string>} Promise for the input JSON with numbers in
+ * exponential format replaced by fixed-point format, or by replacer, if
+ * provided.  If replacer throws or returns a rejected Promise, the Promise
+ * is rejected with the same reason, with the <code>offset</code>,
+ * <code>line</code>, <code>column</code>, and <code>path</code> of the
+ * number added if the reason is an Error without an offset.  No further
+ * calls to replacer are made once a call has failed.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If replacer is not a function.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {RangeError} Under the same conditions as
+ * {@link jsonReplaceExponentials}, with the location of the number.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports.jsonReplaceExponentialsAsync =
+async function jsonReplaceExponentialsAsync(json, replacer, options) {
+  if (typeof json !== 'string') {
+    throw new TypeError('json must be a string');
+  }
+
+  const replaceNumber = createAsyncNumberReplacer(replacer, options);
+  const concurrency = options && options.concurrency !== undefined
+    ? options.concurrency
+    : Infinity;
+  if (concurrency !== Infinity
+    && (!Number.isSafeInteger(concurrency) || concurrency < 1)) {
+    throw new TypeError('concurrency must be a positive integer or Infinity');
+  }
+  if (options && options.embedded) {
+    throw new TypeError('embedded is not supported for async replacement');
+  }
+
+  const numbers = [];
+  const scanner = createScanner(
+    (number, location) => {
+      numbers.push({ number, location });
+      return number;
+    },
+    options,
+  );
+  scanner.write(json);
+  scanner.end();
+
+  const replacements = [];
+  let nextIndex = 0;
+  let hasFailed = false;
+  async function replaceNext() {
+    while (nextIndex < numbers.length && !hasFailed) {
+      const index = nextIndex;
+      nextIndex += 1;
+      const { number, location } = numbers[index];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        replacements[index] = await replaceNumber(number, location);
+      } catch (err) {
+        hasFailed = true;
+        throw addLocation(err, location);
+      }
     }
+  }
 
-    // Remove unnecessary leading zeros
-    return signPart + unsigned.replace(/^0+(?=[0-9])/, '');
+  const workerCount = Math.min(concurrency, numbers.length);
+  await Promise.all(Array.from({ length: workerCount }, replaceNext));
+
+  let output = '';
+  let end = 0;
+  for (const [index, { number, location }] of numbers.entries()) {
+    output += json.slice(end, location.offset) + replacements[index];
+    end = location.offset + number.length;
   }
 
-  // Move decimal -exponent digits to the left, adding 0s as necessary
-  exponent = -exponent;
+  return output + json.slice(end);
+};
 
-  if (intPart.length > exponent) {
-    return signPart
-      + intPart.slice(0, exponent)
-      + '.'
-      + intPart.slice(exponent)
-      + fracPart;
+/** Replaces numbers in fixed-point notation with more digits or a larger or
+ * smaller magnitude than given thresholds by numbers in normalized
+ * exponential notation in a given JSON string.
+ *
+ * This is the inverse of {@link jsonReplaceExponentials}.  It preserves the
+ * full precision of numbers and any trailing zeros in the fractional part.
+ *
+ * @param {string} json JSON in which to replace numbers.
+ * @param {module:json-replace-exponentials/lib/fixed-replacer
+ * .ReplaceFixedOptions=} options Thresholds for replacing numbers.  Also
+ * accepts {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.
+ * @returns {string} Input JSON with numbers in fixed-point format outside of
+ * the thresholds replaced by exponential format.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports.jsonReplaceFixed =
+function jsonReplaceFixed(json, options) {
+  if (typeof json !== 'string') {
+    throw new TypeError('json must be a string');
   }
 
-  return signPart
-    + '0.'
-    + '0'.repeat(exponent - intPart.length)
-    + intPart
-    + fracPart;
+  const scanner = createScanner(
+    createFixedReplacer(options),
+    options,
+  );
+  return scanner.write(json) + scanner.end();
+};
 
-  /* eslint-enable prefer-template */
-}
+/** Replaces every number in a given JSON string with its canonical form.
+ *
+ * @param {string} json JSON in which to replace numbers.
+ * @param {module:json-replace-exponentials/lib/canonical-replacer
+ * .CanonicalizeOptions=} options Options, including the normal form.  Also
+ * accepts {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.
+ * @returns {string} Input JSON with each number replaced by its canonical
+ * form.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {RangeError} If options.form is <code>'jcs'</code> and a number is
+ * too large to represent as an IEEE 754 double, or options.form is
+ * <code>'fixed'</code> and a number has an exponent which is larger than
+ * options.maxExponent (1,000 by default) or smaller than
+ * -options.maxExponent.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports.jsonCanonicalizeNumbers =
+function jsonCanonicalizeNumbers(json, options) {
+  if (typeof json !== 'string') {
+    throw new TypeError('json must be a string');
+  }
 
-/** Replacer function for jsonWithNumberExpRE which replaces the number in
- * exponential notation with one in fixed-point notation if the exponent
- * does not exceed +/-1000.
+  const scanner = createScanner(
+    createCanonicalReplacer(options),
+    options,
+  );
+  return scanner.write(json) + scanner.end();
+};
+
+/** Replaces numbers in a given JSON string as described by a JSON Schema
+ * for the JSON.
  *
- * @private
- * @param {string} match Substring which matched jsonWithNumberExpRE.
- * @param {string} prefix Substring before the number.
- * @param {string} numExp Number in exponential notation.
- * @param {string} signPart Sign part of number. (i.e. '-' or '')
- * @param {string} intPart Integer part of number. (i.e. part before decimal)
- * @param {string|undefined} fracPart Fractional part of number, if any.
- * (i.e. part after decimal).
- * @param {string} expPart Exponential part of number. (i.e. part after "e")
- * @returns {string} Prefix followed by numExp in fixed-point notation.
- * @throws {RangeError} If expPart is larger than 1,000 or smaller than
- * -1,000.
- */
-function exponentialToFixedReplacer(
-  match,
-  prefix,
-  numExp,
-  signPart,
-  intPart,
-  fracPart,
-  expPart,
-) {
-  // Limit exponent to mitigate issues due to large fixed-point representations
-  // (e.g.  eating all memory for 1e99999999999)
-  const exp = Number(expPart);
-  if (exp > 1000 || exp < -1000) {
-    throw new RangeError(`${numExp} exponent exceeds maximum`);
-  }
-
-  return prefix
-    + exponentialPartsToFixed(signPart, intPart, fracPart || '', exp);
-}
+ * Numbers where the schema has type <code>string</code> are not changed.
+ * Numbers where the schema has type <code>integer</code> are replaced by
+ * integers in fixed-point notation.  Numbers with a <code>format</code> in
+ * options.precision are rounded to that number of significant digits.  Other
+ * numbers in exponential notation are replaced as by
+ * {@link jsonReplaceExponentials}.
+ *
+ * @param {string} json JSON in which to replace numbers.
+ * @param {*} schema JSON Schema for json, or a document containing it (e.g.
+ * an OpenAPI document) at options.schemaPointer.  Only local
+ * <code>$ref</code>s are resolved.
+ * @param {module:json-replace-exponentials/lib/schema-replacer
+ * .SchemaReplaceOptions=} options Options.  Also accepts
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplaceOptions}
+ * and {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.
+ * @returns {string} Input JSON with numbers replaced as described by schema.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {RangeError} If options.nonInteger is <code>'throw'</code> (the
+ * default) and a number with a fractional part has type
+ * <code>integer</code>, or under the same conditions as
+ * {@link jsonReplaceExponentials}.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports.jsonReplaceWithSchema =
+function jsonReplaceWithSchema(json, schema, options) {
+  if (typeof json !== 'string') {
+    throw new TypeError('json must be a string');
+  }
 
-/** Replaces numbers in exponential notation in a given JSON string.
+  const scanner = createScanner(
+    createSchemaReplacer(schema, options),
+    options,
+  );
+  return scanner.write(json) + scanner.end();
+};
+
+/** Finds numbers in a given JSON string which {@link jsonReplaceExponentials}
+ * would replace, without replacing them.
+ *
+ * @param {string} json JSON in which to find numbers.
+ * @param {(function(string,!object):string)=} replacer Optional replacer
+ * function, as for {@link jsonReplaceExponentials}.
+ * @param {module:json-replace-exponentials/lib/number-replacer.ReplaceOptions=
+ * } options Options for replacing numbers when replacer is undefined, and
+ * only and skip, which always apply.  Also
+ * accepts {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.
+ * @returns {!Array<!module:json-replace-exponentials/lib/scanner
+ * .JsonNumberReplacement>} Each number which would be replaced by a
+ * different value, with its replacement and location, in the order they
+ * occur in json.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If replacer is not a function.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {RangeError} Under the same conditions as
+ * {@link jsonReplaceExponentials}.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports.jsonFindExponentials =
+function jsonFindExponentials(json, replacer, options) {
+  return findReplacements(json, replacer, options).replacements;
+};
+
+/** Formats the changes which {@link jsonReplaceExponentials} would make to a
+ * given JSON string as a unified diff or JSON Patch (RFC 6902).
  *
  * @param {string} json JSON in which to replace numbers.
- * @param {(function(string):string)=} replacer Optional replacer function
- * called with a number in exponential format returning a string which will
- * replace the number in the return value.
- * @returns {string} Input JSON with numbers in exponential format replaced
- * by fixed-point format, or by replacer, if provided.
+ * @param {(function(string,!object):string)=} replacer Optional replacer
+ * function, as for {@link jsonReplaceExponentials}.
+ * @param {module:json-replace-exponentials/lib/diff.DiffOptions=} options
+ * Options for the diff.  Also accepts
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplaceOptions}
+ * and {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.
+ * @returns {string} Unified diff of json, which is empty if no numbers would
+ * be replaced, or JSON Patch document, as specified by options.diffFormat.
  * @throws {TypeError} If json is not a string.
  * @throws {TypeError} If replacer is not a function.
- * @throws {RangeError} If replacer is undefined and a number in exponential
- * format has an exponent which is larger than 1,000 or smaller than -1,000.
- * (To mitigate risks from unexpected large size increase in output.)
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {RangeError} Under the same conditions as
+ * {@link jsonReplaceExponentials}.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
  */
-module.exports =
-function jsonReplaceExponentials(json, replacer) {
+module.exports.jsonDiffExponentials =
+function jsonDiffExponentials(json, replacer, options) {
+  return formatDiff(
+    json,
+    findReplacements(json, replacer, options).replacements,
+    options,
+  );
+};
+
+/** Replaces numbers in exponential notation in a given JSON string, as
+ * {@link jsonReplaceExponentials} does, and creates a Source Map (revision
+ * 3) from positions in the output to positions in json.
+ *
+ * @param {string} json JSON in which to replace numbers.
+ * @param {(function(string,!object):string)=} replacer Optional replacer
+ * function, as for {@link jsonReplaceExponentials}.
+ * @param {module:json-replace-exponentials/lib/source-map.SourceMapOptions=
+ * } options Options for the source map.  Also accepts
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplaceOptions}
+ * and {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.
+ * @returns {{
+ *   json: string,
+ *   sourceMap: !module:json-replace-exponentials/lib/source-map.SourceMap
+ * }} Input JSON with numbers replaced, and the source map from it to json.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If replacer is not a function.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {RangeError} Under the same conditions as
+ * {@link jsonReplaceExponentials}.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports.jsonReplaceExponentialsWithSourceMap =
+function jsonReplaceExponentialsWithSourceMap(json, replacer, options) {
+  const { output, replacements } = findReplacements(json, replacer, options);
+  return {
+    json: output,
+    sourceMap: createSourceMap(json, replacements, options),
+  };
+};
+
+/** Finds numbers in a given JSON string which can not be represented exactly
+ * by the JavaScript <code>number</code> type, and would overflow, underflow,
+ * exceed <code>Number.MAX_SAFE_INTEGER</code>, or lose precision when parsed
+ * by {@link JSON.parse}.
+ *
+ * @param {string} json JSON in which to find numbers.
+ * @param {module:json-replace-exponentials/lib/lossy.LossyOptions=} options
+ * Options.  Also accepts
+ * {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.
+ * @returns {!Array<!module:json-replace-exponentials/lib/lossy.LossyNumber>}
+ * Each lossy number, with its kind and location, in the order they occur in
+ * json.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports.jsonFindLossyNumbers =
+function jsonFindLossyNumbers(json, options) {
   if (typeof json !== 'string') {
     throw new TypeError('json must be a string');
   }
 
-  let wrapReplacer;
-  if (replacer === undefined) {
-    wrapReplacer = exponentialToFixedReplacer;
-  } else if (typeof replacer === 'function') {
-    wrapReplacer = (match, prefix, numExp) => prefix + replacer(numExp);
-  } else {
-    throw new TypeError('replacer must be a function');
+  const getKind = createLossyKindGetter(options);
+  const lossyNumbers = [];
+  const scanner = createScanner(
+    (number, location) => {
+      const kind = getKind(number);
+      if (kind !== undefined) {
+        lossyNumbers.push({
+          number,
+          kind,
+          offset: location.offset,
+          line: location.line,
+          column: location.column,
+          path: location.path,
+        });
+      }
+      return number;
+    },
+    options,
+  );
+  scanner.write(json);
+  scanner.end();
+  return lossyNumbers;
+};
+
+/** Replaces numbers in a given JSON string which can not be represented
+ * exactly by the JavaScript <code>number</code> type, as found by
+ * {@link jsonFindLossyNumbers}, with strings containing the number.
+ *
+ * @param {string} json JSON in which to replace numbers.
+ * @param {module:json-replace-exponentials/lib/lossy.LossyOptions=} options
+ * Options.  Also accepts
+ * {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.
+ * @returns {string} Input JSON with lossy numbers replaced by strings.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports.jsonQuoteLossyNumbers =
+function jsonQuoteLossyNumbers(json, options) {
+  if (typeof json !== 'string') {
+    throw new TypeError('json must be a string');
   }
 
-  jsonWithNumberExpRE.lastIndex = 0;
-  return json.replaceAll(jsonWithNumberExpRE, wrapReplacer);
+  const scanner = createScanner(createLossyQuoter(options), options);
+  return scanner.write(json) + scanner.end();
 };
+
+/** Replaces numbers in a given JSON string which have more significant
+ * digits or a larger or smaller exponent than given thresholds, or are at
+ * given paths, with strings containing the number.
+ *
+ * @param {string} json JSON in which to replace numbers.
+ * @param {module:json-replace-exponentials/lib/quote.QuoteOptions=} options
+ * Options.  Also accepts
+ * {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.
+ * @returns {string} Input JSON with matching numbers replaced by strings.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {RangeError} If options.notation is <code>'fixed'</code> (the
+ * default) and a number to be replaced has an exponent larger than 1000 or
+ * smaller than -1000.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports.jsonQuoteNumbers =
+function jsonQuoteNumbers(json, options) {
+  if (typeof json !== 'string') {
+    throw new TypeError('json must be a string');
+  }
+
+  const scanner = createScanner(createNumberQuoter(options), options);
+  return scanner.write(json) + scanner.end();
+};
+
+/** Replaces strings in a given JSON string which contain a JSON number, at
+ * given paths, with the number.  This is the inverse of
+ * {@link jsonQuoteNumbers} with options.notation <code>'original'</code>.
+ *
+ * @param {string} json JSON in which to replace strings.
+ * @param {!module:json-replace-exponentials/lib/quote.UnquoteOptions}
+ * options Options.  Also accepts
+ * {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.
+ * @returns {string} Input JSON with matching strings replaced by numbers.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {JsonSyntaxError} If options.strict is true and json is not valid
+ * JSON.
+ */
+module.exports.jsonUnquoteNumbers =
+function jsonUnquoteNumbers(json, options) {
+  if (typeof json !== 'string') {
+    throw new TypeError('json must be a string');
+  }
+
+  const scanner = createScanner((number) => number, {
+    ...options,
+    replaceString: createStringUnquoter(options),
+  });
+  return scanner.write(json) + scanner.end();
+};
+
+module.exports.JsonSyntaxError = JsonSyntaxError;
+module.exports.parse = parse;
+module.exports.replaceBuffer = replaceBuffer;
+module.exports.replaceChunks = replaceChunks;
+module.exports.replaceFile = replaceFile;
+module.exports.stringify = stringify;
+module.exports.JsonReplaceExponentialsTransform =
+  JsonReplaceExponentialsTransform;
+module.exports.JsonReplaceExponentialsTransformStream =
+  JsonReplaceExponentialsTransformStream;
+module.exports.JsonLinesParallelTransform = JsonLinesParallelTransform;
@@ -0,0 +1,124 @@
+/**
+ * Promise and async iterable functions for replacing numbers in exponential
+ * notation in files, Buffers, and sequences of chunks.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/async
+ */
+
+'use strict';
+
+const { createReadStream } = require('node:fs');
+const { Readable, pipeline } = require('node:stream');
+const { buffer, text } = require('node:stream/consumers');
+
+const JsonLinesParallelTransform = require('./parallel-transform.js');
+const JsonReplaceExponentialsTransform = require('./transform.js');
+
+/** Options for {@link replaceChunks}, {@link replaceBuffer}, and
+ * {@link replaceFile}.
+ *
+ * Accepts the same options as
+ * {@link module:json-replace-exponentials/lib/transform
+ * .JsonReplaceExponentialsTransformOptions}, except that
+ * <code>inputEncoding</code> defaults to <code>'auto'</code>, as for the
+ * CLI, so that the encoding is detected and any Byte Order Mark is removed.
+ *
+ * If <code>jobs</code> is given, JSON Lines are replaced using worker
+ * threads by {@link module:json-replace-exponentials/lib/parallel-transform}
+ * and options are
+ * {@link module:json-replace-exponentials/lib/parallel-transform
+ * .ParallelTransformOptions} (which do not include a replacer).
+ *
+ * @typedef {!object} ReplaceChunksOptions
+ */
+// const ReplaceChunksOptions;
+
+/** Replaces numbers in exponential notation in JSON text from an iterable
+ * or async iterable of chunks.
+ *
+ * Only numbers which span chunk boundaries are retained between chunks, so
+ * memory use does not depend on the size of the JSON document.
+ *
+ * @param {!Iterable<string|!Uint8Array>|!object} source Iterable or async
+ * iterable of chunks of JSON text, as strings or Uint8Arrays (e.g. a
+ * {@link module:stream.Readable}).
+ * @param {ReplaceChunksOptions=} options Options.
+ * @yields {string|!Buffer} Chunks of JSON text with numbers in exponential
+ * notation replaced.  Chunks are strings, unless options.preserveEncoding is
+ * true, in which case they are Buffers in the input encoding.
+ * @throws {TypeError} If options contains an invalid value.
+ */
+async function* replaceChunks(source, options) {
+  if (options !== undefined
+    && (options === null || typeof options !== 'object')) {
+    throw new TypeError('options must be an object');
+  }
+
+  const transformOptions = { inputEncoding: 'auto', ...options };
+  if (!transformOptions.preserveEncoding) {
+    // Read strings from the transform
+    transformOptions.encoding = 'utf8';
+  }
+
+  const transform = transformOptions.jobs === undefined
+    ? new JsonReplaceExponentialsTransform(transformOptions)
+    : new JsonLinesParallelTransform(transformOptions);
+  // Errors are reported by iterating over the returned stream, which is
+  // destroyed if any stream in the pipeline fails.
+  yield* pipeline(Readable.from(source), transform, () => {});
+}
+
+/** Collects the chunks produced by {@link replaceChunks}.
+ *
+ * @private
+ * @param {!object} chunks Async iterable of chunks to collect.
+ * @param {ReplaceChunksOptions=} options Options passed to replaceChunks.
+ * @returns {!Promise<string|!Buffer>} Promise for the concatenated chunks.
+ */
+function collectChunks(chunks, options) {
+  return options && options.preserveEncoding ? buffer(chunks)
+    : text(chunks);
+}
+
+/** Replaces numbers in exponential notation in JSON text in a Buffer.
+ *
+ * @param {!Uint8Array} buf JSON text, in an encoding detected as for the CLI
+ * unless given by options.inputEncoding.
+ * @param {ReplaceChunksOptions=} options Options.
+ * @returns {!Promise<string|!Buffer>} Promise for the JSON text with numbers
+ * in exponential notation replaced.  The text is a string, unless
+ * options.preserveEncoding is true, in which case it is a Buffer in the
+ * input encoding.
+ * @throws {TypeError} If buf is not a Uint8Array.
+ */
+async function replaceBuffer(buf, options) {
+  if (!(buf instanceof Uint8Array)) {
+    throw new TypeError('buf must be a Buffer or Uint8Array');
+  }
+
+  return collectChunks(replaceChunks([buf], options), options);
+}
+
+/** Replaces numbers in exponential notation in JSON text in a file.
+ *
+ * The file is read as a stream, so only the result is held in memory.
+ *
+ * @param {string|!URL|!Buffer} path Path of the file to read.
+ * @param {ReplaceChunksOptions=} options Options.
+ * @returns {!Promise<string|!Buffer>} Promise for the JSON text in the file
+ * with numbers in exponential notation replaced.  The text is a string,
+ * unless options.preserveEncoding is true, in which case it is a Buffer in
+ * the input encoding.
+ */
+async function replaceFile(path, options) {
+  return collectChunks(
+    replaceChunks(createReadStream(path), options),
+    options,
+  );
+}
+
+module.exports.replaceBuffer = replaceBuffer;
+module.exports.replaceChunks = replaceChunks;
+module.exports.replaceFile = replaceFile;
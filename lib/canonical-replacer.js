@@ -0,0 +1,122 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/canonical-replacer
+ */
+
+'use strict';
+
+const {
+  formatFixed,
+  getDecimalExponent,
+  parseDecimal,
+} = require('./decimal.js');
+
+/** Normal forms which may be given as options.form.
+ *
+ * @private
+ */
+const forms = new Set(['exact', 'exponential', 'fixed', 'jcs']);
+
+/** Options for canonicalizing numbers.
+ *
+ * @typedef {{
+ *   form: (string|undefined),
+ *   maxExponent: (number|undefined)
+ * }} CanonicalizeOptions
+ * @property {string=} form Normal form for numbers:
+ * <code>'exact'</code> (default) to remove trailing zeros from the fractional
+ * part, the fractional part if it is empty, the sign of zero, and the
+ * <code>+</code>, leading zeros, and zero value of the exponent, and convert
+ * <code>E</code> to <code>e</code>, <code>'fixed'</code> to additionally
+ * convert numbers to fixed-point notation, <code>'exponential'</code> to
+ * additionally convert numbers to normalized exponential notation, or
+ * <code>'jcs'</code> to convert numbers to the nearest IEEE 754 double
+ * serialized as by ECMAScript Number::toString, as required by the JSON
+ * Canonicalization Scheme (RFC 8785).  All forms except
+ * <code>'jcs'</code> preserve the exact value of the number.
+ * @property {number=} maxExponent Maximum absolute value of the exponent of a
+ * number which is converted to fixed-point notation by form
+ * <code>'fixed'</code>.  (default: 1000)
+ */
+// const CanonicalizeOptions;
+
+/** Creates a function which replaces a JSON number with its canonical form.
+ *
+ * @private
+ * @param {CanonicalizeOptions=} options Options.
+ * @returns {function(string): string} Function which returns the
+ * replacement for a JSON number.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ */
+module.exports =
+function createCanonicalReplacer(options) {
+  if (options === undefined) {
+    options = {};
+  } else if (options === null || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  const {
+    form = 'exact',
+    maxExponent = 1000,
+  } = options;
+  if (!forms.has(form)) {
+    throw new TypeError(`form must be one of ${[...forms].join(', ')}`);
+  }
+  if (typeof maxExponent !== 'number'
+    || Number.isNaN(maxExponent)
+    || maxExponent < 0) {
+    throw new TypeError('maxExponent must be a non-negative number');
+  }
+
+  return function replaceNumber(number) {
+    const decimal = parseDecimal(number);
+    if (decimal === undefined) {
+      return number;
+    }
+
+    if (form === 'jcs') {
+      const value = Number(number);
+      if (!Number.isFinite(value)) {
+        throw new RangeError(`${number} is too large for an IEEE 754 double`);
+      }
+
+      // Note: Converts -0 to '0', as required by RFC 8785.
+      return String(value);
+    }
+
+    const { signPart, digits } = decimal;
+    if (digits === '') {
+      return '0';
+    }
+
+    if (form === 'exact') {
+      // Keep the exponent of number, without +, leading zeros, or zero value
+      const expIndex = number.search(/[eE]/);
+      const exp = expIndex < 0 ? 0 : Number(number.slice(expIndex + 1));
+      const significand = formatFixed({
+        signPart,
+        digits,
+        exponent: decimal.exponent - exp,
+      });
+      return exp === 0 ? significand : `${significand}e${exp}`;
+    }
+
+    const exponent = getDecimalExponent(decimal);
+    if (form === 'exponential') {
+      const fracDigits = digits.slice(1);
+      return `${signPart}${digits[0]}`
+        + `${fracDigits ? `.${fracDigits}` : ''}e${exponent}`;
+    }
+
+    // Limit exponent to mitigate issues due to large fixed-point
+    // representations, as for jsonReplaceExponentials.
+    if (exponent > maxExponent || exponent < -maxExponent) {
+      throw new RangeError(`${number} exponent exceeds maximum`);
+    }
+
+    return formatFixed(decimal);
+  };
+};
@@ -0,0 +1,74 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/create-scanner
+ */
+
+'use strict';
+
+const { getEmbeddedScanOptions } = require('./embedded.js');
+const MarkdownJsonScanner = require('./markdown-scanner.js');
+const JsonNumberScanner = require('./scanner.js');
+const YamlNumberScanner = require('./yaml-scanner.js');
+
+/** Options for {@link module:json-replace-exponentials/lib/create-scanner},
+ * in addition to
+ * {@link module:json-replace-exponentials/lib/scanner.ScanOptions}.
+ *
+ * @typedef {{
+ *   embedded: (boolean|undefined),
+ *   format: (string|undefined)
+ * }} CreateScannerOptions
+ * @property {boolean=} embedded Replace numbers in JSON strings which
+ * contain a JSON object or array, as described for
+ * {@link module:json-replace-exponentials/lib/embedded
+ * .createEmbeddedJsonReplacer}.  Can not be combined with replaceString.
+ * @property {string=} format Format of the input text: any format supported
+ * by {@link module:json-replace-exponentials/lib/scanner},
+ * <code>'markdown'</code> for fenced code blocks in Markdown, as described
+ * for {@link module:json-replace-exponentials/lib/markdown-scanner}, or
+ * <code>'yaml'</code> for YAML, as described for
+ * {@link module:json-replace-exponentials/lib/yaml-scanner}.
+ */
+// const CreateScannerOptions;
+
+/** Creates a scanner for the format given by options.
+ *
+ * @param {function(string, !object): string} replaceNumber Function called
+ * with the text and
+ * {@link module:json-replace-exponentials/lib/scanner.JsonNumberLocation}
+ * of each number, which returns the text to replace it in the output.
+ * @param {CreateScannerOptions=} options Options.
+ * @param {function(function(string, !object): string):
+ * function(string, !object): string=} wrapReplace Function which wraps
+ * replaceNumber and options.replaceString (e.g. to record replacements).
+ * Numbers in embedded JSON are passed to replaceNumber without it, since
+ * the string which contains them is replaced.
+ * @returns {!{write: function(string): string, end: function(): string}}
+ * Scanner which replaces numbers in text written to it.
+ * @throws {TypeError} If replaceNumber is not a function.
+ * @throws {TypeError} If options contains an invalid value.
+ */
+module.exports =
+function createScanner(replaceNumber, options, wrapReplace) {
+  let scanOptions = getEmbeddedScanOptions(replaceNumber, options);
+  if (wrapReplace !== undefined) {
+    replaceNumber = wrapReplace(replaceNumber);
+    if (scanOptions && typeof scanOptions.replaceString === 'function') {
+      scanOptions = {
+        ...scanOptions,
+        replaceString: wrapReplace(scanOptions.replaceString),
+      };
+    }
+  }
+
+  const format = scanOptions && scanOptions.format;
+  if (format === 'markdown') {
+    return new MarkdownJsonScanner(replaceNumber, scanOptions);
+  }
+  if (format === 'yaml') {
+    return new YamlNumberScanner(replaceNumber, scanOptions);
+  }
+
+  return new JsonNumberScanner(replaceNumber, scanOptions);
+};
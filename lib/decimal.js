@@ -0,0 +1,292 @@
+/**
+ * Functions for exact decimal arithmetic on the text of JSON numbers.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/decimal
+ */
+
+'use strict';
+
+/** RegExp which matches a JSON number, with capture groups for its parts.
+ *
+ * @private
+ */
+const numberRE = /^(-?)([0-9]+)(?:\.([0-9]+))?(?:[eE]([+-]?[0-9]+))?$/;
+
+/** RegExp which matches a JSON5 decimal number (i.e. a JSON number which may
+ * have a leading <code>+</code> and a leading or trailing decimal point),
+ * with capture groups for its parts.
+ *
+ * @private
+ */
+const json5NumberRE =
+  /^([+-]?)(?=\.?[0-9])([0-9]*)(?:\.([0-9]*))?(?:[eE]([+-]?[0-9]+))?$/;
+
+/** A decimal number, with value <code>signPart + digits * 10^exponent</code>.
+ *
+ * @typedef {{
+ *   signPart: string,
+ *   digits: string,
+ *   exponent: number
+ * }} Decimal
+ * @property {string} signPart Sign of the number. (i.e. '-' or '')
+ * @property {string} digits Significant digits of the number, without
+ * leading or trailing zeros, or <code>''</code> if the number is zero.
+ * @property {number} exponent Power of 10 by which digits is multiplied.
+ */
+// const Decimal;
+
+/** Creates a decimal from the parts of a number.
+ *
+ * @private
+ * @param {string} signPart Sign of the number. (i.e. '-' or '')
+ * @param {string} intPart Digits before the decimal point.
+ * @param {string} fracPart Digits after the decimal point.
+ * @param {string} expPart Exponent of the number.
+ * @returns {!Decimal} Decimal with the exact value of the number.
+ */
+function partsToDecimal(signPart, intPart, fracPart, expPart) {
+  const allDigits = intPart + fracPart;
+  const start = allDigits.search(/[1-9]/);
+  if (start === -1) {
+    return { signPart, digits: '', exponent: 0 };
+  }
+
+  let end = allDigits.length;
+  while (allDigits[end - 1] === '0') {
+    end -= 1;
+  }
+  const digits = allDigits.slice(start, end);
+
+  return {
+    signPart,
+    digits,
+    exponent: Number(expPart) - fracPart.length + allDigits.length - end,
+  };
+}
+
+/** Parses the text of a JSON number as a decimal.
+ *
+ * @param {string} number Text of a JSON number.
+ * @returns {Decimal|undefined} Decimal with the exact value of number, or
+ * undefined if number is not a JSON number.
+ */
+function parseDecimal(number) {
+  const match = numberRE.exec(number);
+  if (!match) {
+    return undefined;
+  }
+
+  const [, signPart, intPart, fracPart = '', expPart = '0'] = match;
+  return partsToDecimal(signPart, intPart, fracPart, expPart);
+}
+
+/** Parses the text of a JSON5 decimal number as a decimal.
+ *
+ * JSON5 hexadecimal numbers, <code>Infinity</code>, and <code>NaN</code> are
+ * not decimal numbers.
+ *
+ * @param {string} number Text of a JSON or JSON5 decimal number.
+ * @returns {Decimal|undefined} Decimal with the exact value of number, or
+ * undefined if number is not a JSON5 decimal number.
+ */
+function parseJson5Decimal(number) {
+  const match = json5NumberRE.exec(number);
+  if (!match) {
+    return undefined;
+  }
+
+  const [, signPart, intPart, fracPart = '', expPart = '0'] = match;
+  return partsToDecimal(
+    signPart === '-' ? '-' : '',
+    intPart,
+    fracPart,
+    expPart,
+  );
+}
+
+/** Gets the exponent of a decimal in normalized exponential notation (i.e.
+ * the power of 10 of its most significant digit).
+ *
+ * @param {!Decimal} decimal Decimal number.
+ * @returns {number} Exponent of the most significant digit of decimal, or 0
+ * if decimal is zero.
+ */
+function getDecimalExponent({ digits, exponent }) {
+  return digits === '' ? 0 : exponent + digits.length - 1;
+}
+
+/** Modes for rounding decimals.
+ *
+ * <dl>
+ * <dt><code>'up'</code></dt><dd>away from zero</dd>
+ * <dt><code>'down'</code></dt><dd>toward zero</dd>
+ * <dt><code>'ceiling'</code></dt><dd>toward positive infinity</dd>
+ * <dt><code>'floor'</code></dt><dd>toward negative infinity</dd>
+ * <dt><code>'half-up'</code></dt><dd>to nearest, ties away from zero</dd>
+ * <dt><code>'half-down'</code></dt><dd>to nearest, ties toward zero</dd>
+ * <dt><code>'half-even'</code></dt><dd>to nearest, ties to even</dd>
+ * </dl>
+ */
+const roundingModes = new Set([
+  'ceiling',
+  'down',
+  'floor',
+  'half-down',
+  'half-even',
+  'half-up',
+  'up',
+]);
+
+/** Determines whether a number is rounded away from zero when its digits
+ * after a given index are removed.
+ *
+ * @private
+ * @param {string} signPart Sign of the number. (i.e. '-' or '')
+ * @param {string} digits Digits of the number.
+ * @param {number} keepLength Number of digits to keep.  May be negative if
+ * the number is smaller than the unit to which it is rounded.
+ * @param {string} roundingMode Rounding mode.
+ * @returns {boolean} True if the kept digits are incremented.
+ */
+function isRoundedAway(signPart, digits, keepLength, roundingMode) {
+  // Digit after the last kept digit, and the digits after it
+  const firstDropped = keepLength < 0 ? '0' : digits[keepLength] || '0';
+  const restDropped = keepLength < 0 ? digits : digits.slice(keepLength + 1);
+  const isRestZero = !/[1-9]/.test(restDropped);
+  if (firstDropped === '0' && isRestZero) {
+    // Exact
+    return false;
+  }
+
+  switch (roundingMode) {
+    case 'ceiling':
+      return signPart !== '-';
+    case 'down':
+      return false;
+    case 'floor':
+      return signPart === '-';
+    case 'up':
+      return true;
+    default:
+      break;
+  }
+
+  if (firstDropped !== '5' || !isRestZero) {
+    return firstDropped >= '5';
+  }
+
+  switch (roundingMode) {
+    case 'half-down':
+      return false;
+    case 'half-even':
+      return keepLength > 0 && Number(digits[keepLength - 1]) % 2 === 1;
+    default:
+      return true;
+  }
+}
+
+/** Rounds the coefficient of a number to a multiple of a given power of 10.
+ *
+ * Unlike {@link roundDecimal}, leading and trailing zeros of the
+ * coefficient are retained, so that its precision is preserved.
+ *
+ * @param {string} signPart Sign of the number. (i.e. '-' or '')
+ * @param {string} digits Digits of the coefficient of the number.
+ * @param {number} exponent Power of 10 by which digits is multiplied.
+ * @param {number} minExponent Power of 10 of the least significant digit to
+ * keep (e.g. 0 to round to an integer, -2 to round to hundredths).
+ * @param {string=} roundingMode Rounding mode.  (default:
+ * <code>'half-up'</code>)
+ * @returns {{digits: string, exponent: number}} Digits and exponent of the
+ * rounded coefficient.  exponent is the larger of exponent and minExponent.
+ */
+function roundCoefficient(
+  signPart,
+  digits,
+  exponent,
+  minExponent,
+  roundingMode = 'half-up',
+) {
+  if (exponent >= minExponent) {
+    return { digits, exponent };
+  }
+
+  const keepLength = digits.length - (minExponent - exponent);
+  const kept = keepLength > 0 ? digits.slice(0, keepLength) : '0';
+  return {
+    digits: isRoundedAway(signPart, digits, keepLength, roundingMode)
+      ? String(BigInt(kept) + 1n).padStart(kept.length, '0')
+      : kept,
+    exponent: minExponent,
+  };
+}
+
+/** Rounds a decimal to a multiple of a given power of 10.
+ *
+ * @param {!Decimal} decimal Decimal number to round.
+ * @param {number} minExponent Power of 10 of the least significant digit to
+ * keep (e.g. 0 to round to an integer, -2 to round to hundredths).
+ * @param {string=} roundingMode Rounding mode.  (default:
+ * <code>'half-up'</code>)
+ * @returns {!Decimal} Rounded decimal.
+ */
+function roundDecimal(decimal, minExponent, roundingMode) {
+  const { signPart } = decimal;
+  const { digits, exponent } = roundCoefficient(
+    signPart,
+    decimal.digits,
+    decimal.exponent,
+    minExponent,
+    roundingMode,
+  );
+  return parseDecimal(`${signPart}${digits || '0'}e${exponent}`);
+}
+
+/** Rounds a decimal to a given number of significant digits.
+ *
+ * @param {!Decimal} decimal Decimal number to round.
+ * @param {number} precision Number of significant digits to keep.
+ * @param {string=} roundingMode Rounding mode.  (default:
+ * <code>'half-up'</code>)
+ * @returns {!Decimal} Rounded decimal.
+ */
+function roundSignificant(decimal, precision, roundingMode) {
+  return roundDecimal(
+    decimal,
+    decimal.exponent + decimal.digits.length - precision,
+    roundingMode,
+  );
+}
+
+/** Formats a decimal in fixed-point notation.
+ *
+ * @param {!Decimal} decimal Decimal number to format.
+ * @returns {string} decimal in fixed-point notation, without trailing zeros
+ * in the fractional part.  Zero is formatted as <code>'0'</code>, without
+ * sign.
+ */
+function formatFixed({ signPart, digits, exponent }) {
+  if (digits === '') {
+    return '0';
+  }
+
+  if (exponent >= 0) {
+    return signPart + digits + '0'.repeat(exponent);
+  }
+
+  const intLength = digits.length + exponent;
+  return intLength > 0
+    ? `${signPart}${digits.slice(0, intLength)}.${digits.slice(intLength)}`
+    : `${signPart}0.${'0'.repeat(-intLength)}${digits}`;
+}
+
+module.exports.formatFixed = formatFixed;
+module.exports.getDecimalExponent = getDecimalExponent;
+module.exports.parseDecimal = parseDecimal;
+module.exports.parseJson5Decimal = parseJson5Decimal;
+module.exports.roundCoefficient = roundCoefficient;
+module.exports.roundDecimal = roundDecimal;
+module.exports.roundSignificant = roundSignificant;
+module.exports.roundingModes = roundingModes;
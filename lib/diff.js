@@ -0,0 +1,242 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/diff
+ */
+
+'use strict';
+
+/** Formats which may be given as options.diffFormat.
+ *
+ * @private
+ */
+const diffFormats = new Set(['json-patch', 'unified']);
+
+/** Formats of input text which may contain more than one JSON document, for
+ * which the JSON Pointers of numbers are relative to each document and can
+ * not be used in a JSON Patch.
+ *
+ * @private
+ */
+const multiDocumentFormats = new Set(['jsonl', 'markdown']);
+
+/** Options for formatting a diff.
+ *
+ * @typedef {{
+ *   diffFormat: (string|undefined),
+ *   format: (string|undefined),
+ *   context: (number|undefined),
+ *   fromLabel: (string|undefined),
+ *   toLabel: (string|undefined)
+ * }} DiffOptions
+ * @property {string=} diffFormat Format of the diff: <code>'unified'</code>
+ * (the default) for a unified diff of lines, or <code>'json-patch'</code>
+ * for a JSON Patch (RFC 6902) with a <code>replace</code> operation for each
+ * number.  Not supported for multi-document formats.
+ * @property {string=} format Format of the text, as for
+ * {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.  JSON Patch is not supported for
+ * <code>'jsonl'</code> or <code>'markdown'</code>, where the JSON Pointers
+ * of numbers are relative to each document.
+ * @property {number=} context Number of unchanged lines to include around
+ * changed lines in a unified diff.  (default: 3)
+ * @property {string=} fromLabel Label of the input in the unified diff
+ * header.  (default: <code>'original'</code>)
+ * @property {string=} toLabel Label of the output in the unified diff
+ * header.  (default: <code>'replaced'</code>)
+ */
+// const DiffOptions;
+
+/** Formats a range of lines for a unified diff hunk header.
+ *
+ * @private
+ * @param {number} start Index of the first line in the range (starting from
+ * 0).
+ * @param {number} count Number of lines in the range.
+ * @returns {string} Range, omitting the count if it is 1, as GNU diff does.
+ */
+function formatRange(start, count) {
+  return count === 1 ? String(start + 1) : `${start + 1},${count}`;
+}
+
+/** Applies replacements to the lines of text which contain them.
+ *
+ * @private
+ * @param {!Array<string>} lines Lines of text, without newlines.
+ * @param {!Array<!module:json-replace-exponentials/lib/scanner
+ * .JsonNumberReplacement>} replacements Replacements in text, in order.
+ * @returns {!Map<number, string>} Text of each changed line, by line index,
+ * in order.
+ */
+function replaceLines(lines, replacements) {
+  const changedLines = new Map();
+  let lineIndex = -1;
+  let changedLine = '';
+  // Index in the current line after the last replaced number
+  let lineEnd = 0;
+  function endLine() {
+    if (lineIndex >= 0) {
+      const rest = lines[lineIndex].slice(lineEnd);
+      changedLines.set(lineIndex, changedLine + rest);
+    }
+  }
+
+  for (const {
+    number,
+    replacement,
+    line,
+    column,
+  } of replacements) {
+    if (line - 1 !== lineIndex) {
+      endLine();
+      lineIndex = line - 1;
+      changedLine = '';
+      lineEnd = 0;
+    }
+
+    const start = column - 1;
+    changedLine += lines[lineIndex].slice(lineEnd, start) + replacement;
+    lineEnd = start + number.length;
+  }
+
+  endLine();
+  return changedLines;
+}
+
+/** Formats replacements in text as a unified diff.
+ *
+ * @private
+ * @param {string} text Text in which numbers are replaced.
+ * @param {!Array<!module:json-replace-exponentials/lib/scanner
+ * .JsonNumberReplacement>} replacements Replacements in text, in order.
+ * @param {number} context Number of unchanged lines around changed lines.
+ * @param {string} fromLabel Label of text in the header.
+ * @param {string} toLabel Label of the replaced text in the header.
+ * @returns {string} Unified diff, or an empty string if there are no
+ * replacements.
+ */
+function formatUnifiedDiff(text, replacements, context, fromLabel, toLabel) {
+  if (replacements.length === 0) {
+    return '';
+  }
+
+  const lines = text.split('\n');
+  const hasFinalNewline = lines.at(-1) === '';
+  if (hasFinalNewline) {
+    lines.pop();
+  }
+
+  const changedLines = replaceLines(lines, replacements);
+
+  // Group changed lines into hunks with overlapping or adjacent context
+  const hunks = [];
+  for (const lineIndex of changedLines.keys()) {
+    const start = Math.max(0, lineIndex - context);
+    const end = Math.min(lines.length, lineIndex + context + 1);
+    const lastHunk = hunks.at(-1);
+    if (lastHunk && start <= lastHunk.end) {
+      lastHunk.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  const noNewline = '\\ No newline at end of file\n';
+  let diff = `--- ${fromLabel}\n+++ ${toLabel}\n`;
+  // Difference in line numbers between text and the replaced text, which
+  // occurs if a replacement contains newlines
+  let lineDelta = 0;
+  for (const { start, end } of hunks) {
+    let body = '';
+    let newCount = 0;
+    let i = start;
+    while (i < end) {
+      const isLast = i === lines.length - 1 && !hasFinalNewline;
+      if (!changedLines.has(i)) {
+        body += ` ${lines[i]}\n${isLast ? noNewline : ''}`;
+        newCount += 1;
+        i += 1;
+      } else {
+        // Write a run of changed lines as removals followed by additions
+        let runEnd = i;
+        while (runEnd < end && changedLines.has(runEnd)) {
+          runEnd += 1;
+        }
+
+        const isRunLast = runEnd === lines.length && !hasFinalNewline;
+        const removed = lines.slice(i, runEnd);
+        const added = removed.map((line, j) => changedLines.get(i + j))
+          .join('\n')
+          .split('\n');
+        body += removed.map((line) => `-${line}\n`).join('')
+          + (isRunLast ? noNewline : '')
+          + added.map((line) => `+${line}\n`).join('')
+          + (isRunLast ? noNewline : '');
+        newCount += added.length;
+        i = runEnd;
+      }
+    }
+
+    const oldCount = end - start;
+    diff += `@@ -${formatRange(start, oldCount)} `
+      + `+${formatRange(start + lineDelta, newCount)} @@\n${body}`;
+    lineDelta += newCount - oldCount;
+  }
+
+  return diff;
+}
+
+/** Formats replacements as a JSON Patch (RFC 6902).
+ *
+ * The replacement text is used as the value of each operation, so that the
+ * precision of numbers is preserved.
+ *
+ * @private
+ * @param {!Array<!module:json-replace-exponentials/lib/scanner
+ * .JsonNumberReplacement>} replacements Replacements, in order.
+ * @returns {string} JSON Patch document with a <code>replace</code>
+ * operation for each replacement.
+ */
+function formatJsonPatch(replacements) {
+  if (replacements.length === 0) {
+    return '[]';
+  }
+
+  const operations = replacements.map(({ path, replacement }) => '  {"op": '
+    + `"replace", "path": ${JSON.stringify(path)}, "value": ${replacement}}`);
+  return `[\n${operations.join(',\n')}\n]`;
+}
+
+/** Formats the replacements of numbers in JSON text as a diff.
+ *
+ * @param {string} text JSON text in which numbers are replaced.
+ * @param {!Array<!module:json-replace-exponentials/lib/scanner
+ * .JsonNumberReplacement>} replacements Replacements in text, in the order
+ * they occur.
+ * @param {DiffOptions=} options Options.
+ * @returns {string} Unified diff of text, which is empty if there are no
+ * replacements, or JSON Patch document, as specified by options.diffFormat.
+ * @throws {TypeError} If options contains an invalid value.
+ */
+module.exports =
+function formatDiff(text, replacements, {
+  diffFormat = 'unified',
+  format,
+  context = 3,
+  fromLabel = 'original',
+  toLabel = 'replaced',
+} = {}) {
+  if (!diffFormats.has(diffFormat)) {
+    const formatNames = [...diffFormats].join(', ');
+    throw new TypeError(`diffFormat must be one of ${formatNames}`);
+  }
+  if (diffFormat === 'json-patch' && multiDocumentFormats.has(format)) {
+    throw new TypeError(`diffFormat json-patch is not supported for ${format}`);
+  }
+  if (!Number.isSafeInteger(context) || context < 0) {
+    throw new TypeError('context must be a non-negative integer');
+  }
+
+  return diffFormat === 'json-patch' ? formatJsonPatch(replacements)
+    : formatUnifiedDiff(text, replacements, context, fromLabel, toLabel);
+};
@@ -0,0 +1,115 @@
+/**
+ * Functions for replacing numbers in JSON which is embedded in JSON string
+ * values (e.g. <code>{"payload": "{\"x\":1e-9}"}</code>).
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/embedded
+ */
+
+'use strict';
+
+const JsonNumberScanner = require('./scanner.js');
+
+/** RegExp which matches the start of a JSON object or array, after any
+ * white space.
+ *
+ * @private
+ */
+const containerStartRE = /^[\t\n\r ]*[[{]/;
+
+/** Creates a function which replaces numbers in JSON strings which contain
+ * a JSON object or array, using a given function.
+ *
+ * Strings which do not contain a valid JSON object or array, and single-quoted
+ * (JSON5) strings, are returned unchanged.  Strings in the embedded JSON are
+ * processed likewise, to any depth.  A string in which a number is replaced
+ * is re-encoded by {@link JSON.stringify}, which may change its escape
+ * sequences (e.g. <code>\u00e9</code> to <code>é</code>).  Strings in which
+ * no number is replaced are returned unchanged.
+ *
+ * Numbers in embedded JSON are passed to replaceNumber with the location of
+ * the string which contains them, with the path to the number in the
+ * embedded JSON appended to the path of the string (e.g.
+ * <code>/payload/x</code>).
+ *
+ * @param {function(string, !module:json-replace-exponentials/lib/scanner
+ * .JsonNumberLocation): string} replaceNumber Function called with the text
+ * and location of each number in embedded JSON, which returns the text to
+ * replace it.
+ * @returns {function(string, !module:json-replace-exponentials/lib/scanner
+ * .JsonNumberLocation): string} Function which returns the replacement for a
+ * JSON string (including quotes) at a given location.
+ * @throws {TypeError} If replaceNumber is not a function.
+ */
+function createEmbeddedJsonReplacer(replaceNumber) {
+  if (typeof replaceNumber !== 'function') {
+    throw new TypeError('replaceNumber must be a function');
+  }
+
+  return function replaceEmbeddedJson(string, location) {
+    if (string[0] !== '"') {
+      return string;
+    }
+
+    let content;
+    try {
+      content = JSON.parse(string);
+      if (!containerStartRE.test(content)) {
+        return string;
+      }
+
+      JSON.parse(content);
+    } catch {
+      return string;
+    }
+
+    const getLocation = (innerLocation) => ({
+      ...location,
+      path: location.path + innerLocation.path,
+    });
+    function replaceInnerNumber(number, innerLocation) {
+      return replaceNumber(number, getLocation(innerLocation));
+    }
+    function replaceInnerString(innerString, innerLocation) {
+      return replaceEmbeddedJson(innerString, getLocation(innerLocation));
+    }
+    const scanner = new JsonNumberScanner(replaceInnerNumber, {
+      replaceString: replaceInnerString,
+    });
+    const replaced = scanner.write(content) + scanner.end();
+    return replaced === content ? string : JSON.stringify(replaced);
+  };
+}
+
+/** Gets options for {@link module:json-replace-exponentials/lib/scanner}
+ * which replace numbers in embedded JSON if options.embedded is true.
+ *
+ * @param {function(string, !module:json-replace-exponentials/lib/scanner
+ * .JsonNumberLocation): string} replaceNumber Function called with the text
+ * and location of each number, which returns the text to replace it.
+ * @param {{embedded: (boolean|undefined)}=} options Scan options, with
+ * <code>embedded</code> to replace numbers in strings which contain JSON.
+ * @returns {{embedded: (boolean|undefined)}|undefined} options, with
+ * replaceString from {@link createEmbeddedJsonReplacer} if options.embedded
+ * is true.
+ * @throws {TypeError} If options.embedded is true and options.replaceString
+ * is given.
+ */
+function getEmbeddedScanOptions(replaceNumber, options) {
+  if (!options || !options.embedded) {
+    return options;
+  }
+
+  if (options.replaceString !== undefined) {
+    throw new TypeError('embedded can not be combined with replaceString');
+  }
+
+  return {
+    ...options,
+    replaceString: createEmbeddedJsonReplacer(replaceNumber),
+  };
+}
+
+module.exports.createEmbeddedJsonReplacer = createEmbeddedJsonReplacer;
+module.exports.getEmbeddedScanOptions = getEmbeddedScanOptions;
@@ -0,0 +1,238 @@
+/**
+ * Functions for detecting, decoding, and encoding the Unicode encodings
+ * which may be used for JSON text, as described in
+ * https://tools.ietf.org/html/rfc4627#section-3
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/encoding
+ */
+
+'use strict';
+
+/** Supported encodings, in canonical form.
+ *
+ * @private
+ */
+const encodings = new Set([
+  'utf8',
+  'utf16le',
+  'utf16be',
+  'utf32le',
+  'utf32be',
+]);
+
+/** Byte Order Mark for each supported encoding, ordered such that a BOM which
+ * is a prefix of another BOM (i.e. UTF-16LE of UTF-32LE) comes after it.
+ *
+ * @private
+ */
+const boms = new Map([
+  ['utf32be', Buffer.from([0x00, 0x00, 0xFE, 0xFF])],
+  ['utf32le', Buffer.from([0xFF, 0xFE, 0x00, 0x00])],
+  ['utf8', Buffer.from([0xEF, 0xBB, 0xBF])],
+  ['utf16be', Buffer.from([0xFE, 0xFF])],
+  ['utf16le', Buffer.from([0xFF, 0xFE])],
+]);
+
+/** Information about the encoding of JSON text.
+ *
+ * @typedef {{
+ *   encoding: string,
+ *   bomLength: number
+ * }} EncodingInfo
+ * @property {string} encoding Canonical name of the encoding.
+ * @property {number} bomLength Length of the Byte Order Mark at the start of
+ * the text, in bytes, or 0 if there is none.
+ */
+// const EncodingInfo;
+
+/** Gets the canonical name of a supported encoding.
+ *
+ * @param {string} encoding Name of an encoding, case-insensitive, with or
+ * without a hyphen after "utf" (e.g. <code>'UTF-16LE'</code>).
+ * @returns {string|undefined} Canonical name of encoding, as used by
+ * {@link Buffer} (e.g. <code>'utf16le'</code>), or undefined if it is not
+ * supported.
+ */
+function normalizeEncoding(encoding) {
+  const normalized = String(encoding).toLowerCase().replace(/^utf-/, 'utf');
+  return encodings.has(normalized) ? normalized : undefined;
+}
+
+/** Gets the Byte Order Mark for a supported encoding.
+ *
+ * @param {string} encoding Canonical name of a supported encoding.
+ * @returns {!Buffer} Byte Order Mark for encoding.
+ */
+function getBom(encoding) {
+  return boms.get(encoding);
+}
+
+/** Detects the encoding of the start of JSON text using the Byte Order Mark,
+ * if present, or the pattern of null bytes described in
+ * https://tools.ietf.org/html/rfc4627#section-3 otherwise.
+ *
+ * @param {!Uint8Array} bytes Start of JSON text.  At least 4 bytes are
+ * required to distinguish all encodings, unless the text is shorter.
+ * @returns {!EncodingInfo} Detected encoding.
+ */
+function detectEncoding(bytes) {
+  for (const [bomEncoding, bom] of boms) {
+    if (bytes.length >= bom.length
+      && bom.every((byte, i) => bytes[i] === byte)) {
+      return { encoding: bomEncoding, bomLength: bom.length };
+    }
+  }
+
+  // JSON text starts with two ASCII characters, so null bytes indicate the
+  // width and byte order of code units.
+  let encoding = 'utf8';
+  if (bytes.length >= 4 && bytes[1] === 0 && bytes[2] === 0) {
+    if (bytes[0] === 0) {
+      encoding = 'utf32be';
+    } else if (bytes[3] === 0) {
+      encoding = 'utf32le';
+    }
+  }
+
+  if (encoding === 'utf8' && bytes.length >= 2) {
+    if (bytes[0] === 0 && bytes[1] !== 0) {
+      encoding = 'utf16be';
+    } else if (bytes[0] !== 0 && bytes[1] === 0) {
+      encoding = 'utf16le';
+    }
+  }
+
+  return { encoding, bomLength: 0 };
+}
+
+/** Decoder for UTF-32.
+ *
+ * @private
+ */
+class Utf32Decoder {
+  /** Whether the input is big-endian.
+   *
+   * @type {boolean}
+   */
+  #isBigEndian;
+
+  /** Bytes from the end of the previous Buffer which are not a complete
+   * character.
+   *
+   * @type {!Buffer}
+   */
+  #partial = Buffer.alloc(0);
+
+  /** Constructs a UTF-32 decoder with a given byte order.
+   *
+   * @param {boolean} isBigEndian Whether the input is big-endian.
+   */
+  constructor(isBigEndian) {
+    this.#isBigEndian = isBigEndian;
+  }
+
+  /** Decodes bytes, retaining any incomplete character.
+   *
+   * @param {!Buffer} bytes UTF-32 bytes.
+   * @returns {string} Decoded characters.
+   */
+  write(bytes) {
+    const data = Buffer.concat([this.#partial, bytes]);
+    const end = data.length - (data.length % 4);
+    this.#partial = data.subarray(end);
+
+    let output = '';
+    for (let i = 0; i < end; i += 4) {
+      const codePoint = this.#isBigEndian ? data.readUInt32BE(i)
+        : data.readUInt32LE(i);
+      output += codePoint > 0x10FFFF ? '\u{FFFD}'
+        : String.fromCodePoint(codePoint);
+    }
+
+    return output;
+  }
+
+  /** Decodes any retained bytes.
+   *
+   * @returns {string} U+FFFD if there is an incomplete character, otherwise
+   * empty.
+   */
+  end() {
+    const partial = this.#partial;
+    this.#partial = Buffer.alloc(0);
+    return partial.length > 0 ? '\u{FFFD}' : '';
+  }
+}
+
+/** Creates a decoder for a supported encoding.
+ *
+ * The decoder does not remove a Byte Order Mark.
+ *
+ * @param {string} encoding Canonical name of a supported encoding.
+ * @returns {{write: function(!Buffer): string, end: function(): string}}
+ * Decoder with the same interface as
+ * {@link module:string_decoder.StringDecoder}.
+ */
+function createDecoder(encoding) {
+  switch (encoding) {
+    case 'utf8':
+    case 'utf16le':
+    case 'utf16be': {
+      const decoder = new TextDecoder(
+        // WHATWG Encoding labels are hyphenated (e.g. utf-16be)
+        encoding.replace(/^utf/, 'utf-'),
+        { ignoreBOM: true },
+      );
+      return {
+        write: (bytes) => decoder.decode(bytes, { stream: true }),
+        end: () => decoder.decode(),
+      };
+    }
+    case 'utf32le':
+      return new Utf32Decoder(false);
+    case 'utf32be':
+      return new Utf32Decoder(true);
+    default:
+      throw new RangeError(`Unsupported encoding: ${encoding}`);
+  }
+}
+
+/** Encodes text using a supported encoding.
+ *
+ * @param {string} text Text to encode.
+ * @param {string} encoding Canonical name of a supported encoding.
+ * @returns {!Buffer} Encoded text.
+ */
+function encode(text, encoding) {
+  switch (encoding) {
+    case 'utf8':
+      return Buffer.from(text, 'utf8');
+    case 'utf16le':
+      return Buffer.from(text, 'utf16le');
+    case 'utf16be':
+      return Buffer.from(text, 'utf16le').swap16();
+    case 'utf32le':
+    case 'utf32be': {
+      const codePoints = Array.from(text, (char) => char.codePointAt(0));
+      const bytes = Buffer.alloc(codePoints.length * 4);
+      for (const [i, codePoint] of codePoints.entries()) {
+        if (encoding === 'utf32be') {
+          bytes.writeUInt32BE(codePoint, i * 4);
+        } else {
+          bytes.writeUInt32LE(codePoint, i * 4);
+        }
+      }
+      return bytes;
+    }
+    default:
+      throw new RangeError(`Unsupported encoding: ${encoding}`);
+  }
+}
+
+module.exports.createDecoder = createDecoder;
+module.exports.detectEncoding = detectEncoding;
+module.exports.encode = encode;
+module.exports.getBom = getBom;
+module.exports.normalizeEncoding = normalizeEncoding;
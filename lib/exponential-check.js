@@ -0,0 +1,106 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/exponential-check
+ */
+
+'use strict';
+
+/** Formats in which every string is double-quoted and other text can not
+ * contain a double quote, so that strings can be skipped without scanning.
+ * (Strings in JSON Lines also end at a line feed.)
+ *
+ * @private
+ */
+const checkedFormats = new Set(['json', 'jsonl']);
+
+/** Determines if a string ending at a given double quote is closed by it
+ * (i.e. the quote is preceded by an even number of backslashes).
+ *
+ * @private
+ * @param {string} json JSON text.
+ * @param {number} quote Index of a double quote in a string in json.
+ * @returns {boolean} true if the quote closes the string, false if it is
+ * escaped.
+ */
+function isClosingQuote(json, quote) {
+  let i = quote - 1;
+  while (json.codePointAt(i) === 0x5C) { // \
+    i -= 1;
+  }
+  return (quote - i) % 2 === 1;
+}
+
+/** Determines if JSON text may contain a number in exponential notation,
+ * without scanning it, where possible.
+ *
+ * For JSON and JSON Lines without options which change strings or validate
+ * the text, strings are skipped using {@link String#indexOf} and the text
+ * between strings is checked for an <code>e</code> or <code>E</code> which
+ * follows a digit.  This is much faster than scanning text which contains no
+ * exponentials, since numbers which are not exponentials are never replaced.
+ * For other formats and options, it is assumed that json may contain an
+ * exponential.
+ *
+ * @param {string} json Text in which to check for exponentials.
+ * @param {module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions=} options Options with which json would be scanned.
+ * @returns {boolean} false if json does not contain a number in exponential
+ * notation outside of strings, true if it may.
+ */
+module.exports =
+function mayContainExponential(json, options) {
+  const {
+    embedded,
+    format = 'json',
+    replaceString,
+    strict,
+  } = options || {};
+  if (!checkedFormats.has(format)
+    || embedded
+    || replaceString !== undefined
+    || strict) {
+    return true;
+  }
+
+  const isJsonl = format === 'jsonl';
+  let newline = isJsonl ? json.indexOf('\n') : -1;
+  let start = 0;
+  for (;;) {
+    const quote = json.indexOf('"', start);
+    const end = quote === -1 ? json.length : quote;
+    for (let i = start; i < end; i += 1) {
+      // eslint-disable-next-line no-bitwise
+      if ((json.codePointAt(i) | 0x20) === 0x65) { // e or E
+        const prev = json.codePointAt(i - 1);
+        if (prev >= 0x30 && prev <= 0x39) { // 0-9
+          return true;
+        }
+      }
+    }
+
+    if (quote === -1) {
+      return false;
+    }
+
+    let close = json.indexOf('"', quote + 1);
+    while (close !== -1 && !isClosingQuote(json, close)) {
+      close = json.indexOf('"', close + 1);
+    }
+    if (isJsonl) {
+      while (newline !== -1 && newline < quote) {
+        newline = json.indexOf('\n', newline + 1);
+      }
+      if (newline !== -1 && (close === -1 || newline < close)) {
+        close = newline;
+      }
+    }
+
+    if (close === -1) {
+      // Unterminated string continues to the end of json
+      return false;
+    }
+
+    start = close + 1;
+  }
+};
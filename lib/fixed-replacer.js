@@ -0,0 +1,131 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/fixed-replacer
+ */
+
+'use strict';
+
+/** RegExp which matches a complete JSON number in fixed-point notation (i.e.
+ * without the exp production from
+ * https://tools.ietf.org/html/rfc7158#section-6 ).
+ *
+ * @private
+ */
+const numberFixedRE = /^(-?)([0-9]+)(?:\.([0-9]+))?$/;
+
+/** Options for replacing numbers in fixed-point notation.
+ *
+ * @typedef {{
+ *   maxDigits: (number|undefined),
+ *   maxExponent: (number|undefined),
+ *   minExponent: (number|undefined)
+ * }} ReplaceFixedOptions
+ * @property {number=} maxDigits Maximum number of digits in a number which
+ * is not replaced by exponential notation.  (default: Infinity)
+ * @property {number=} maxExponent Maximum exponent, in normalized exponential
+ * notation, of a number which is not replaced by exponential notation.
+ * (default: 20, as for Number.prototype.toString)
+ * @property {number=} minExponent Minimum exponent, in normalized exponential
+ * notation, of a number which is not replaced by exponential notation.
+ * (default: -6, as for Number.prototype.toString)
+ */
+// const ReplaceFixedOptions;
+
+/** Converts the parts of a non-zero number in fixed-point notation to
+ * normalized exponential notation.
+ *
+ * This is the inverse of exponentialPartsToFixed: Trailing zeros in the
+ * fractional part are preserved.  Trailing zeros in the integer part are not.
+ *
+ * @private
+ * @param {string} signPart Sign part of number. (i.e. '-' or '')
+ * @param {string} intPart Integer part of number. (i.e. part before decimal)
+ * @param {string} fracPart Fractional part of number, if any. (i.e. part
+ * after decimal).
+ * @returns {string} Number in exponential notation with one non-zero digit
+ * before the decimal.
+ */
+function fixedPartsToExponential(signPart, intPart, fracPart) {
+  const digits = intPart + fracPart;
+  const first = digits.search(/[1-9]/);
+  const exponent = intPart.length - 1 - first;
+
+  let end = digits.length;
+  if (fracPart.length === 0) {
+    while (digits[end - 1] === '0') {
+      end -= 1;
+    }
+  }
+
+  const significand = digits.slice(first, end);
+  const fracSignificand = significand.slice(1);
+  return `${signPart}${significand[0]}`
+    + `${fracSignificand ? `.${fracSignificand}` : ''}e${exponent}`;
+}
+
+/** Checks that an option value is a number and not NaN.
+ *
+ * @private
+ * @param {*} value Option value.
+ * @param {string} name Option name.
+ * @throws {TypeError} If value is not a number or is NaN.
+ */
+function checkNumberOption(value, name) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new TypeError(`${name} must be a number`);
+  }
+}
+
+/** Creates a function which replaces a JSON number in fixed-point notation
+ * outside of given thresholds with one in exponential notation and returns
+ * any other number unchanged.
+ *
+ * Zero is never replaced.
+ *
+ * @private
+ * @param {ReplaceFixedOptions=} options Options.
+ * @returns {function(string): string} Function which returns the
+ * replacement for a JSON number.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ */
+module.exports =
+function createFixedReplacer(options) {
+  if (options === undefined) {
+    options = {};
+  } else if (options === null || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  const {
+    maxDigits = Infinity,
+    maxExponent = 20,
+    minExponent = -6,
+  } = options;
+  checkNumberOption(maxDigits, 'maxDigits');
+  checkNumberOption(maxExponent, 'maxExponent');
+  checkNumberOption(minExponent, 'minExponent');
+
+  return function replaceNumber(number) {
+    const match = numberFixedRE.exec(number);
+    if (!match) {
+      return number;
+    }
+
+    const [, signPart, intPart, fracPart = ''] = match;
+    const first = (intPart + fracPart).search(/[1-9]/);
+    if (first < 0) {
+      return number;
+    }
+
+    const exponent = intPart.length - 1 - first;
+    if (intPart.length + fracPart.length <= maxDigits
+      && exponent <= maxExponent
+      && exponent >= minExponent) {
+      return number;
+    }
+
+    return fixedPartsToExponential(signPart, intPart, fracPart);
+  };
+};
@@ -0,0 +1,197 @@
+/**
+ * Minimal glob pattern expansion, for shells (e.g. cmd.exe) and npm scripts
+ * which do not expand patterns in command-line arguments.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/glob
+ */
+
+'use strict';
+
+const { readdir, realpath, stat } = require('node:fs/promises');
+const path = require('node:path');
+
+/** RegExp which matches a path separator in a pattern.
+ *
+ * @private
+ */
+const separatorRE = process.platform === 'win32' ? /[/\\]/ : /\//;
+
+/** Determines if a pattern contains glob syntax.
+ *
+ * @param {string} pattern Pattern which may contain glob syntax.
+ * @returns {boolean} true if pattern contains <code>*</code>,
+ * <code>?</code>, or <code>[</code>, false otherwise.
+ */
+function hasMagic(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+/** Converts a glob pattern for a single path segment to a RegExp.
+ *
+ * <code>*</code> matches any characters, <code>?</code> matches any single
+ * character, and <code>[...]</code> matches any character in a set, which
+ * may contain ranges and be negated by a leading <code>!</code> or
+ * <code>^</code>.  As in POSIX shells, a leading <code>.</code> must be
+ * matched explicitly.
+ *
+ * @private
+ * @param {string} segment Glob pattern for a path segment.
+ * @returns {!RegExp} RegExp which matches names matched by segment.
+ */
+function segmentToRegExp(segment) {
+  let source = segment.startsWith('.') ? '' : '(?!\\.)';
+  for (let i = 0; i < segment.length; i += 1) {
+    const char = segment[i];
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[' && segment.includes(']', i + 2)) {
+      const end = segment.indexOf(']', i + 2);
+      let set = segment.slice(i + 1, end);
+      let negate = '';
+      if (set[0] === '!' || set[0] === '^') {
+        negate = '^';
+        set = set.slice(1);
+      }
+      source += `[${negate}${set.replaceAll(/[\\\]^]/g, '\\$&')}]`;
+      i = end;
+    } else {
+      source += char.replace(/[$()*+.?[\\\]^{|}]/, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 's');
+}
+
+/** Gets the entries of a directory, or an empty Array if it can not be read.
+ *
+ * @private
+ * @param {string} dir Path of directory.
+ * @returns {!Promise<!Array<!module:fs.Dirent>>} Promise for the entries of
+ * dir, sorted by name.
+ */
+async function readdirOrEmpty(dir) {
+  try {
+    const entries = await readdir(dir, { withFileTypes: true });
+    return entries.toSorted((a, b) => a.name.localeCompare(b.name));
+  } catch {
+    return [];
+  }
+}
+
+/** Determines if a path exists and is not a directory, following symbolic
+ * links.
+ *
+ * @private
+ * @param {string} file Path to check.
+ * @returns {!Promise<boolean>} Promise for true if file exists and is not a
+ * directory.
+ */
+async function isNonDirectory(file) {
+  let stats;
+  try {
+    stats = await stat(file);
+  } catch {
+    return false;
+  }
+
+  return !stats.isDirectory();
+}
+
+/** Gets the paths of files which match the remaining segments of a pattern
+ * in a given directory.
+ *
+ * @private
+ * @param {string} dir Directory in which to match segments.
+ * @param {!Array<string>} segments Remaining pattern segments.
+ * @returns {!Promise<!Array<string>>} Promise for paths of matching files.
+ */
+async function findMatches(dir, segments) {
+  // Join segments without glob syntax to dir
+  let i = 0;
+  while (i < segments.length && !hasMagic(segments[i])) {
+    dir = path.join(dir, segments[i]);
+    i += 1;
+  }
+
+  if (i === segments.length) {
+    return await isNonDirectory(dir) ? [dir] : [];
+  }
+
+  const globSegments = segments.slice(i);
+  const [segment, ...rest] = globSegments;
+
+  const entries = await readdirOrEmpty(dir);
+  let matches;
+  if (segment === '**') {
+    // Match zero path segments, then one or more.
+    // Symbolic links are matched as files, but not descended into, since
+    // they may form cycles.
+    matches = await Promise.all([
+      findMatches(dir, rest),
+      ...entries
+        .filter((entry) => !entry.name.startsWith('.'))
+        .map((entry) => {
+          const entryPath = path.join(dir, entry.name);
+          if (!entry.isSymbolicLink()) {
+            return findMatches(entryPath, globSegments);
+          }
+
+          return rest.length === 0 ? findMatches(entryPath, rest) : [];
+        }),
+    ]);
+  } else {
+    const segmentRE = segmentToRegExp(segment);
+    matches = await Promise.all(
+      entries
+        .filter((entry) => segmentRE.test(entry.name))
+        .map((entry) => findMatches(path.join(dir, entry.name), rest)),
+    );
+  }
+
+  return matches.flat();
+}
+
+/** Gets the paths of files which match a glob pattern.
+ *
+ * Patterns may contain <code>*</code>, <code>?</code>, and
+ * <code>[...]</code> in any path segment, and <code>**</code> as a path
+ * segment to match any number of directories.  Directories are not matched.
+ * Symbolic links to directories are not followed by <code>**</code>.
+ *
+ * @param {string} pattern Glob pattern, relative to the current directory or
+ * absolute.
+ * @returns {!Promise<!Array<string>>} Promise for the paths of files which
+ * match pattern, in sorted order without duplicates (including paths to the
+ * same file through symbolic links).
+ */
+async function expandGlob(pattern) {
+  const { root } = path.parse(pattern);
+  const segments = pattern.slice(root.length)
+    .split(separatorRE)
+    .filter((segment) => segment !== '');
+  const matches = await findMatches(root || '.', segments);
+  const realMatches = await Promise.all(matches.map(async (match) => {
+    try {
+      return await realpath(match);
+    } catch {
+      return match;
+    }
+  }));
+  const seen = new Set();
+  return matches.filter((match, index) => {
+    const realMatch = realMatches[index];
+    if (seen.has(realMatch)) {
+      return false;
+    }
+
+    seen.add(realMatch);
+    return true;
+  });
+}
+
+module.exports.expandGlob = expandGlob;
+module.exports.hasMagic = hasMagic;
@@ -0,0 +1,131 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/input-decoder
+ */
+
+'use strict';
+
+const {
+  createDecoder,
+  detectEncoding,
+  getBom,
+  normalizeEncoding,
+} = require('./encoding.js');
+
+/** Minimum number of bytes required to detect the encoding of JSON text.
+ *
+ * @private
+ */
+const detectLength = 4;
+
+/** Decoder for JSON text in a given encoding, or an encoding detected from
+ * the start of the text, which removes any Byte Order Mark.
+ */
+class InputDecoder {
+  /** Decoder for the input, once the encoding is known.
+   *
+   * @type {{write: function(!Buffer): string, end: function(): string}|
+   * undefined}
+   */
+  #decoder;
+
+  /** Encoding of the input, or 'auto' to detect.
+   *
+   * @type {string}
+   */
+  #inputEncoding;
+
+  /** Length of the Byte Order Mark at the start of the input, once the
+   * encoding is known.
+   *
+   * @type {number|undefined}
+   */
+  #bomLength;
+
+  /** Start of the input, retained until its encoding is known.
+   *
+   * @type {!Buffer}
+   */
+  #start = Buffer.alloc(0);
+
+  /** Constructs a decoder for a given encoding.
+   *
+   * @param {string} inputEncoding Encoding of the input:
+   * <code>'auto'</code> to detect the encoding from the Byte Order Mark or
+   * the pattern of null bytes described in RFC 4627, or one of
+   * <code>'utf-8'</code>, <code>'utf-16le'</code>, <code>'utf-16be'</code>,
+   * <code>'utf-32le'</code>, or <code>'utf-32be'</code>.
+   * @throws {TypeError} If inputEncoding is not supported.
+   */
+  constructor(inputEncoding) {
+    if (inputEncoding === 'auto') {
+      this.#inputEncoding = inputEncoding;
+    } else {
+      this.#inputEncoding = normalizeEncoding(inputEncoding);
+      if (this.#inputEncoding === undefined) {
+        throw new TypeError(
+          'inputEncoding must be auto, utf-8, utf-16le, utf-16be, utf-32le, '
+          + 'or utf-32be',
+        );
+      }
+    }
+  }
+
+  /** Decodes bytes, detecting the encoding and removing any Byte Order Mark
+   * from the start of the input.
+   *
+   * @param {!Buffer} bytes Bytes following any previously decoded bytes.
+   * @param {boolean} isEnd Whether bytes are the last bytes of the input.
+   * @returns {string} Decoded text.
+   */
+  decode(bytes, isEnd) {
+    if (this.#decoder === undefined) {
+      const start = Buffer.concat([this.#start, bytes]);
+      if (start.length < detectLength && !isEnd) {
+        this.#start = start;
+        return '';
+      }
+
+      this.#start = Buffer.alloc(0);
+      let encoding = this.#inputEncoding;
+      let bomLength;
+      if (encoding === 'auto') {
+        ({ encoding, bomLength } = detectEncoding(start));
+      } else {
+        const bom = getBom(encoding);
+        bomLength = start.subarray(0, bom.length).equals(bom) ? bom.length
+          : 0;
+      }
+
+      this.#inputEncoding = encoding;
+      this.#bomLength = bomLength;
+      this.#decoder = createDecoder(encoding);
+      bytes = start.subarray(bomLength);
+    }
+
+    return isEnd ? this.#decoder.write(bytes) + this.#decoder.end()
+      : this.#decoder.write(bytes);
+  }
+
+  /** Gets the encoding of the input, once it is known.
+   *
+   * @returns {string|undefined} Canonical name of the encoding of the input,
+   * if bytes have been decoded, otherwise undefined.
+   */
+  get encoding() {
+    return this.#decoder === undefined ? undefined : this.#inputEncoding;
+  }
+
+  /** Gets the length of the Byte Order Mark at the start of the input, once
+   * the encoding is known.
+   *
+   * @returns {number|undefined} Length of the Byte Order Mark removed from
+   * the input, in bytes, if bytes have been decoded, otherwise undefined.
+   */
+  get bomLength() {
+    return this.#bomLength;
+  }
+}
+
+module.exports = InputDecoder;
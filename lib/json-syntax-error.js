@@ -0,0 +1,73 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/json-syntax-error
+ */
+
+'use strict';
+
+/** Location of a syntax error in JSON text.
+ *
+ * @typedef {{
+ *   offset: number,
+ *   line: number,
+ *   column: number,
+ *   snippet: string
+ * }} JsonSyntaxErrorLocation
+ * @property {number} offset Index of the character where the error was
+ * detected (in UTF-16 code units, starting from 0).
+ * @property {number} line Line number where the error was detected
+ * (starting from 1).
+ * @property {number} column Column number where the error was detected (in
+ * UTF-16 code units, starting from 1).
+ * @property {string} snippet Excerpt of the line where the error was
+ * detected, followed by a line with <code>^</code> under the error.
+ */
+// const JsonSyntaxErrorLocation;
+
+/** Error thrown for invalid JSON. */
+class JsonSyntaxError extends SyntaxError {
+  /** Constructs a JsonSyntaxError.
+   *
+   * @param {string} message Description of the error, to which the line and
+   * column will be appended.
+   * @param {!JsonSyntaxErrorLocation} location Location of the error.
+   */
+  constructor(message, {
+    offset,
+    line,
+    column,
+    snippet,
+  }) {
+    super(`${message} at line ${line} column ${column}`);
+
+    /** Index of the character where the error was detected.
+     *
+     * @type {number}
+     */
+    this.offset = offset;
+
+    /** Line number where the error was detected (starting from 1).
+     *
+     * @type {number}
+     */
+    this.line = line;
+
+    /** Column number where the error was detected (starting from 1).
+     *
+     * @type {number}
+     */
+    this.column = column;
+
+    /** Excerpt of the line where the error was detected, followed by a line
+     * with <code>^</code> under the error.
+     *
+     * @type {string}
+     */
+    this.snippet = snippet;
+  }
+}
+
+JsonSyntaxError.prototype.name = 'JsonSyntaxError';
+
+module.exports = JsonSyntaxError;
@@ -0,0 +1,346 @@
+/**
+ * Replacements for JSON.parse() and JSON.stringify() which preserve the
+ * exact value of numbers.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/json
+ */
+
+'use strict';
+
+const { types: { isBigIntObject, isNumberObject, isStringObject } } =
+  require('node:util');
+
+const {
+  formatFixed,
+  getDecimalExponent,
+  parseDecimal,
+} = require('./decimal.js');
+const createNumberReplacer = require('./number-replacer.js');
+const JsonNumberScanner = require('./scanner.js');
+
+/** Modes which may be given as options.numbers.
+ *
+ * @private
+ */
+const numberModes = new Set(['bigint', 'decimal', 'number', 'string']);
+
+/** RegExp which matches a JSON number in fixed-point notation.
+ *
+ * @private
+ */
+const fixedRE = /^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?$/;
+
+/** RegExp which matches a JSON string.
+ *
+ * @private
+ */
+const stringRE = /"(?:[^"\\]|\\.)*"/g;
+
+/** Options for {@link parse}.
+ *
+ * @typedef {{
+ *   numbers: (string|function(string):*|undefined),
+ *   Decimal: (function(new:*, string)|undefined),
+ *   maxExponent: (number|undefined),
+ *   reviver: (function(string,*):*|undefined)
+ * }} ParseOptions
+ * @property {(string|function(string):*)=} numbers Type of parsed numbers:
+ * <code>'number'</code> (the default) for <code>number</code>, as
+ * {@link JSON.parse} does, <code>'string'</code> for the text of the number,
+ * <code>'bigint'</code> for <code>bigint</code> if the number is an integer
+ * which is not a safe integer (otherwise <code>number</code>),
+ * <code>'decimal'</code> for an instance of options.Decimal constructed
+ * from the text of the number, or a function called with the text of the
+ * number which returns its value.
+ * @property {function(new:*, string)=} Decimal Decimal type constructor,
+ * called with the text of each number when options.numbers is
+ * <code>'decimal'</code> (e.g. <code>Decimal</code> from decimal.js,
+ * <code>Big</code> from big.js, or <code>BigNumber</code> from
+ * bignumber.js).
+ * @property {number=} maxExponent Maximum exponent of numbers converted to
+ * <code>bigint</code>, to avoid unbounded memory use.  (default: 1000)
+ * @property {function(string,*):*=} reviver Function which transforms the
+ * parsed values, as for {@link JSON.parse}.  It is called with the values
+ * of numbers after conversion.
+ */
+// const ParseOptions;
+
+/** Gets a character which does not occur in the strings of a given JSON
+ * text, so that strings starting with it can be used to mark numbers.
+ *
+ * @private
+ * @param {string} json JSON text.
+ * @returns {string} Character which does not occur in json, either directly
+ * or as an escape sequence.
+ * @throws {RangeError} If every UTF-16 code unit occurs in json.
+ */
+function getUnusedChar(json) {
+  // JSON escapes may use upper or lower case hex digits
+  const lowerJson = json.toLowerCase();
+  for (let codeUnit = 0; codeUnit <= 0xFFFF; codeUnit += 1) {
+    const char = String.fromCodePoint(codeUnit);
+    const escapeSeq = `\\u${codeUnit.toString(16).padStart(4, '0')}`;
+    if (!json.includes(char) && !lowerJson.includes(escapeSeq)) {
+      return char;
+    }
+  }
+
+  throw new RangeError('json contains every UTF-16 code unit');
+}
+
+/** Creates a function which converts the text of a JSON number to a value.
+ *
+ * @private
+ * @param {!ParseOptions} options Options.
+ * @returns {function(string):*|undefined} Function which returns the value
+ * of a JSON number, or undefined if numbers are parsed as
+ * <code>number</code>.
+ * @throws {TypeError} If options contains an invalid value.
+ */
+function createNumberConverter({
+  numbers = 'number',
+  Decimal,
+  maxExponent = 1000,
+}) {
+  if (typeof numbers === 'function') {
+    return numbers;
+  }
+
+  if (!numberModes.has(numbers)) {
+    const modes = [...numberModes].join(', ');
+    throw new TypeError(`numbers must be a function or one of ${modes}`);
+  }
+
+  switch (numbers) {
+    case 'bigint':
+      if (typeof maxExponent !== 'number' || !(maxExponent >= 0)) {
+        throw new TypeError('maxExponent must be a non-negative number');
+      }
+
+      return function numberToBigInt(text) {
+        const value = Number(text);
+        if (Number.isSafeInteger(value)) {
+          return value;
+        }
+
+        const decimal = parseDecimal(text);
+        if (decimal.exponent < 0) {
+          return value;
+        }
+
+        if (getDecimalExponent(decimal) > maxExponent) {
+          throw new RangeError(`${text} exponent exceeds maximum`);
+        }
+
+        return BigInt(formatFixed(decimal));
+      };
+    case 'decimal':
+      if (typeof Decimal !== 'function') {
+        throw new TypeError(
+          'Decimal must be a constructor for numbers decimal',
+        );
+      }
+
+      return (text) => new Decimal(text);
+    case 'string':
+      return (text) => text;
+    default:
+      return undefined;
+  }
+}
+
+/** Parses JSON text, preserving the exact value of numbers as strings,
+ * BigInts, or a decimal type, if requested.
+ *
+ * @param {string} json JSON text to parse.
+ * @param {ParseOptions=} options Options.
+ * @returns {*} Value represented by json.
+ * @throws {TypeError} If json is not a string.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ * @throws {RangeError} If options.numbers is <code>'bigint'</code> and an
+ * integer has an exponent larger than options.maxExponent.
+ * @throws {SyntaxError} If json is not valid JSON.  For numbers other than
+ * <code>'number'</code>, this is a
+ * {@link module:json-replace-exponentials/lib/json-syntax-error} with the
+ * location of the error.
+ */
+function parse(json, options) {
+  if (typeof json !== 'string') {
+    throw new TypeError('json must be a string');
+  }
+  if (options !== undefined
+    && (options === null || typeof options !== 'object')) {
+    throw new TypeError('options must be an object');
+  }
+
+  const { reviver } = options || {};
+  if (reviver !== undefined && typeof reviver !== 'function') {
+    throw new TypeError('reviver must be a function');
+  }
+
+  const convertNumber = createNumberConverter(options || {});
+  if (!convertNumber) {
+    return JSON.parse(json, reviver);
+  }
+
+  // Replace each number with a string starting with a character which does
+  // not occur in any other string, then convert those strings while parsing.
+  const marker = getUnusedChar(json);
+  const numberTexts = [];
+  const scanner = new JsonNumberScanner((number) => {
+    numberTexts.push(number);
+    return JSON.stringify(marker + (numberTexts.length - 1));
+  }, { strict: true });
+  const markedJson = scanner.write(json) + scanner.end();
+  return JSON.parse(markedJson, function convertNumbers(key, value) {
+    if (typeof value === 'string' && value[0] === marker) {
+      value = convertNumber(numberTexts[Number(value.slice(1))]);
+    }
+
+    return reviver ? reviver.call(this, key, value) : value;
+  });
+}
+
+/** Gets the fixed-point notation of an instance of a decimal type (e.g. from
+ * big.js, bignumber.js, or decimal.js) using its <code>toFixed</code>
+ * method.
+ *
+ * @private
+ * @param {*} value Value to convert.
+ * @returns {string|undefined} Fixed-point notation of value, or undefined if
+ * value is not an object with a <code>toFixed</code> method which returns a
+ * JSON number, or is a <code>Number</code>.
+ */
+function getDecimalFixed(value) {
+  if (value === null
+    || typeof value !== 'object'
+    || typeof value.toFixed !== 'function'
+    || isNumberObject(value)) {
+    return undefined;
+  }
+
+  // Decimal types return all digits when digits argument is omitted
+  // eslint-disable-next-line unicorn/require-number-to-fixed-digits-argument
+  const fixed = String(value.toFixed());
+  return fixedRE.test(fixed) ? fixed : undefined;
+}
+
+/** Gets the property list for an Array replacer, as for
+ * {@link JSON.stringify}.
+ *
+ * @private
+ * @param {!Array} replacer Array of property names.
+ * @returns {!Array<string>} Property names to serialize, in order.
+ */
+function getPropertyList(replacer) {
+  const propertyList = new Set();
+  for (const item of replacer) {
+    if (typeof item === 'string' || typeof item === 'number'
+      || isStringObject(item) || isNumberObject(item)) {
+      propertyList.add(String(item));
+    }
+  }
+
+  return [...propertyList];
+}
+
+/** Converts a JavaScript value to JSON text, as {@link JSON.stringify}
+ * does, without numbers in exponential notation.
+ *
+ * Unlike {@link JSON.stringify}, <code>bigint</code> values are serialized
+ * as JSON numbers, as are instances of decimal types (e.g. from big.js,
+ * bignumber.js, or decimal.js), using the value returned by their
+ * <code>toFixed</code> method.  If replacer is an Array, properties with
+ * integer names are serialized before other properties, rather than in the
+ * order of replacer.
+ *
+ * @param {*} value Value to convert.
+ * @param {(function(string,*):*|!Array<string|number>)=} replacer Function
+ * which transforms values, or Array of property names to include, as for
+ * {@link JSON.stringify}.
+ * @param {(string|number)=} space Indentation, as for
+ * {@link JSON.stringify}.
+ * @returns {string|undefined} JSON text representing value, or undefined if
+ * value is not representable in JSON (e.g. undefined or a function).
+ * @throws {TypeError} If value contains a circular reference.
+ */
+function stringify(value, replacer, space) {
+  const replacerFunction = typeof replacer === 'function' ? replacer
+    : undefined;
+  const propertyList = Array.isArray(replacer) ? getPropertyList(replacer)
+    : undefined;
+
+  // Strings which start with marker are replaced.  Other strings which start
+  // with it are prefixed with it, so that they can be distinguished.
+  const marker = '\0';
+  const rawMarker = `${marker}n`;
+  const escapeMarker = `${marker}s`;
+  const markerJson = JSON.stringify(marker).slice(1, -1);
+  const filteredObjects = new WeakMap();
+  function replaceValue(key, val) {
+    const replaced = replacerFunction ? replacerFunction.call(this, key, val)
+      : val;
+    // If unchanged by replacer, toJSON was called on the value, if defined.
+    // Check if the value before toJSON is a decimal.
+    const fixed = getDecimalFixed(replaced === val ? this[key] : replaced);
+    if (fixed !== undefined) {
+      return rawMarker + fixed;
+    }
+
+    val = isBigIntObject(replaced) ? replaced.valueOf() : replaced;
+    if (typeof val === 'bigint') {
+      return rawMarker + val;
+    }
+
+    if (typeof val === 'string' && val.startsWith(marker)) {
+      return escapeMarker + val;
+    }
+
+    if (propertyList
+      && val !== null
+      && typeof val === 'object'
+      && !Array.isArray(val)) {
+      // Reuse filtered objects so JSON.stringify can detect cycles
+      let filtered = filteredObjects.get(val);
+      if (!filtered) {
+        filtered = {};
+        for (const property of propertyList) {
+          filtered[property] = val[property];
+        }
+
+        filteredObjects.set(val, filtered);
+      }
+
+      return filtered;
+    }
+
+    return val;
+  }
+
+  const json = JSON.stringify(value, replaceValue, space);
+  if (json === undefined) {
+    return json;
+  }
+
+  const unmarkedJson = json.replaceAll(stringRE, (str, offset) => {
+    // Property names are not replaced, only values
+    if (!str.startsWith(markerJson, 1)
+      || json[offset + str.length] === ':') {
+      return str;
+    }
+
+    const rest = str.slice(markerJson.length + 2, -1);
+    return str[markerJson.length + 1] === 'n' ? rest : `"${rest}"`;
+  });
+
+  // JSON.stringify() uses exponential notation for numbers with magnitude
+  // >= 1e21 or < 1e-6, which is replaced with fixed-point notation.
+  const scanner = new JsonNumberScanner(createNumberReplacer());
+  return scanner.write(unmarkedJson) + scanner.end();
+}
+
+module.exports.parse = parse;
+module.exports.stringify = stringify;
@@ -0,0 +1,197 @@
+/**
+ * Functions for finding JSON numbers which can not be represented exactly
+ * by the JavaScript <code>number</code> type.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/lossy
+ */
+
+'use strict';
+
+const { parseDecimal, parseJson5Decimal } = require('./decimal.js');
+
+/** RegExp which matches a JSON5 hexadecimal number, with a capture group for
+ * its digits.
+ *
+ * @private
+ */
+const hexNumberRE = /^[+-]?0[xX]([0-9a-fA-F]+)$/;
+
+/** Kinds of lossy numbers, in the order in which they are checked.
+ *
+ * <dl>
+ * <dt><code>'overflow'</code></dt>
+ * <dd>Number is parsed as <code>Infinity</code> or
+ * <code>-Infinity</code>.</dd>
+ * <dt><code>'underflow'</code></dt>
+ * <dd>Non-zero number is parsed as <code>0</code> or <code>-0</code>.</dd>
+ * <dt><code>'unsafe-integer'</code></dt>
+ * <dd>Integer is larger than <code>Number.MAX_SAFE_INTEGER</code> or smaller
+ * than <code>Number.MIN_SAFE_INTEGER</code>.</dd>
+ * <dt><code>'precision'</code></dt>
+ * <dd>Number is parsed as a different value.</dd>
+ * </dl>
+ */
+const lossyKinds = new Set([
+  'overflow',
+  'underflow',
+  'unsafe-integer',
+  'precision',
+]);
+
+/** Options for finding lossy numbers.
+ *
+ * @typedef {{
+ *   kinds: (!Array<string>|undefined)
+ * }} LossyOptions
+ * @property {!Array<string>=} kinds Kinds of lossy numbers to find, from
+ * {@link lossyKinds}.  (default: all)
+ */
+// const LossyOptions;
+
+/** A lossy number found in JSON text.
+ *
+ * @typedef {{
+ *   number: string,
+ *   kind: string,
+ *   offset: number,
+ *   line: number,
+ *   column: number,
+ *   path: string
+ * }} LossyNumber
+ * @property {string} number Text of the number.
+ * @property {string} kind Kind of value loss, from {@link lossyKinds}.
+ * @property {number} offset Index of the first character of the number in
+ * the JSON text (in UTF-16 code units, starting from 0).
+ * @property {number} line Line number of the first character of the number
+ * (starting from 1).
+ * @property {number} column Column number of the first character of the
+ * number (in UTF-16 code units, starting from 1).
+ * @property {string} path JSON Pointer (RFC 6901) to the number in the JSON
+ * document.
+ */
+// const LossyNumber;
+
+/** Gets the kind of value loss which occurs when a JSON5 hexadecimal
+ * number is parsed as a JavaScript <code>number</code>.
+ *
+ * @private
+ * @param {string} hexDigits Hexadecimal digits of the number.
+ * @returns {string|undefined} Kind of value loss, from {@link lossyKinds},
+ * or undefined if the number is parsed exactly.
+ */
+function getHexLossyKind(hexDigits) {
+  const magnitude = BigInt(`0x${hexDigits}`);
+  if (!Number.isFinite(Number(magnitude))) {
+    return 'overflow';
+  }
+
+  if (magnitude > BigInt(Number.MAX_SAFE_INTEGER)) {
+    return 'unsafe-integer';
+  }
+
+  return undefined;
+}
+
+/** Gets the kind of value loss which occurs when a JSON number is parsed as
+ * a JavaScript <code>number</code> (e.g. by {@link JSON.parse}).
+ *
+ * JSON5 numbers (e.g. hexadecimal, or with a leading <code>+</code> or a
+ * leading or trailing decimal point) are checked as they are parsed by
+ * JSON5.  Text which is not a number (e.g. from invalid JSON when
+ * options.strict is not true) is not lossy.
+ *
+ * @param {string} number Text of a JSON or JSON5 number.
+ * @returns {string|undefined} Kind of value loss, from {@link lossyKinds},
+ * or undefined if number is parsed exactly or is not a number.
+ */
+function getLossyKind(number) {
+  const hexMatch = hexNumberRE.exec(number);
+  if (hexMatch) {
+    return getHexLossyKind(hexMatch[1]);
+  }
+
+  const decimal = parseJson5Decimal(number);
+  if (decimal === undefined) {
+    return undefined;
+  }
+
+  const value = Number(number);
+  if (!Number.isFinite(value)) {
+    return 'overflow';
+  }
+
+  if (value === 0) {
+    return decimal.digits === '' ? undefined : 'underflow';
+  }
+
+  if (decimal.exponent >= 0 && Math.abs(value) > Number.MAX_SAFE_INTEGER) {
+    return 'unsafe-integer';
+  }
+
+  // String(value) is the shortest decimal which is parsed as value, so
+  // number is parsed exactly if they are equal.
+  const parsed = parseDecimal(String(value));
+  if (parsed.digits !== decimal.digits
+    || parsed.exponent !== decimal.exponent) {
+    return 'precision';
+  }
+
+  return undefined;
+}
+
+/** Creates a function which gets the kind of value loss for a JSON number,
+ * if it is one of the given kinds.
+ *
+ * @param {LossyOptions=} options Options.
+ * @returns {function(string): (string|undefined)} Function which returns
+ * the kind of value loss for a JSON number, if it is one of options.kinds,
+ * or undefined otherwise.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ */
+function createLossyKindGetter(options) {
+  if (options !== undefined
+    && (options === null || typeof options !== 'object')) {
+    throw new TypeError('options must be an object');
+  }
+
+  const { kinds } = options || {};
+  if (kinds === undefined) {
+    return getLossyKind;
+  }
+
+  if (!Array.isArray(kinds)
+    || kinds.some((kind) => !lossyKinds.has(kind))) {
+    const kindNames = [...lossyKinds].join(', ');
+    throw new TypeError(`kinds must be an Array of ${kindNames}`);
+  }
+
+  const kindSet = new Set(kinds);
+  return function getSelectedLossyKind(number) {
+    const kind = getLossyKind(number);
+    return kindSet.has(kind) ? kind : undefined;
+  };
+}
+
+/** Creates a function which replaces lossy JSON numbers with JSON strings
+ * containing the number, so that their value is preserved when parsed.
+ *
+ * @param {LossyOptions=} options Options.
+ * @returns {function(string): string} Function which returns the
+ * replacement for a JSON number.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ */
+function createLossyQuoter(options) {
+  const getKind = createLossyKindGetter(options);
+  return function quoteLossyNumber(number) {
+    return getKind(number) === undefined ? number : JSON.stringify(number);
+  };
+}
+
+module.exports.createLossyKindGetter = createLossyKindGetter;
+module.exports.createLossyQuoter = createLossyQuoter;
+module.exports.getLossyKind = getLossyKind;
+module.exports.lossyKinds = lossyKinds;
@@ -0,0 +1,289 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/markdown-scanner
+ */
+
+'use strict';
+
+const JsonNumberScanner = require('./scanner.js');
+
+/** Languages of fenced code blocks which are scanned, each of which is also
+ * the format of the block.
+ *
+ * @private
+ */
+const blockFormats = new Set(['json', 'json5', 'jsonc', 'jsonl']);
+
+/** RegExp which matches the start of a line which may be a code fence
+ * (CommonMark 4.5), once more characters are known.
+ *
+ * @private
+ */
+const fenceStartRE = /^ {0,3}(?:`{0,2}|~{0,2})$|^ {0,3}(?:```|~~~)/;
+
+/** RegExp which matches a line (without line ending) which opens a fenced
+ * code block, with the fence and info string as capture groups.
+ *
+ * @private
+ */
+const openingFenceRE = /^ {0,3}(`{3,}(?!`)|~{3,}(?!~))([^\n\r]*)$/;
+
+/** RegExp which matches a line (without line ending) which may close a
+ * fenced code block, with the fence as a capture group.
+ *
+ * @private
+ */
+const closingFenceRE = /^ {0,3}(`{3,}|~{3,})[\t ]*$/;
+
+/** Removes the line ending from a line of text.
+ *
+ * @private
+ * @param {string} line Line of text, which may end with a line feed.
+ * @returns {string} line without a trailing line feed or carriage return.
+ */
+function trimLineEnding(line) {
+  let end = line.length;
+  if (line[end - 1] === '\n') {
+    end -= 1;
+  }
+  if (line[end - 1] === '\r') {
+    end -= 1;
+  }
+  return line.slice(0, end);
+}
+
+/** Incremental scanner which finds numbers in fenced code blocks with
+ * language <code>json</code>, <code>jsonc</code>, <code>json5</code>, or
+ * <code>jsonl</code> in Markdown text which is provided in arbitrarily split
+ * chunks, and replaces each number with the result of calling a given
+ * function, as {@link module:json-replace-exponentials/lib/scanner} does.
+ *
+ * Each code block is scanned in the format named by its language, with
+ * locations relative to the start of the Markdown text.  Text outside of
+ * these code blocks is passed through unchanged.  Lines which may be a code
+ * fence are retained until they are complete.  Code blocks in block quotes
+ * and list items are not recognized.
+ */
+class MarkdownJsonScanner {
+  /** Function called with each number, which returns its replacement.
+   *
+   * @type {function(string, !object): string}
+   */
+  #replaceNumber;
+
+  /** Options for scanning code blocks.
+   *
+   * @type {!module:json-replace-exponentials/lib/scanner.ScanOptions}
+   */
+  #options;
+
+  /** Fence which opened the current code block, if any.
+   *
+   * @type {string|undefined}
+   */
+  #fence;
+
+  /** Scanner for the current code block, if it is scanned.
+   *
+   * @type {!module:json-replace-exponentials/lib/scanner|undefined}
+   */
+  #scanner;
+
+  /** Start of the current line, retained while it may be a code fence.
+   *
+   * @type {string}
+   */
+  #lineStart = '';
+
+  /** Whether the current line is known not to be a code fence.
+   *
+   * @type {boolean}
+   */
+  #isLineDecided = false;
+
+  /** Offset of the first character which has not been scanned.
+   *
+   * @type {number}
+   */
+  #offset = 0;
+
+  /** Line number of the first character which has not been scanned.
+   *
+   * @type {number}
+   */
+  #line = 1;
+
+  /** Constructs a scanner which replaces numbers using a given function.
+   *
+   * @param {function(string, !object): string} replaceNumber Function called
+   * with the text and
+   * {@link module:json-replace-exponentials/lib/scanner.JsonNumberLocation}
+   * of each number in a code block, which returns the text to replace it in
+   * the output.
+   * @param {module:json-replace-exponentials/lib/scanner.ScanOptions=}
+   * options Options for scanning code blocks, other than format.
+   * options.strict does not apply to <code>json5</code> code blocks.
+   * @throws {TypeError} If replaceNumber is not a function.
+   * @throws {TypeError} If options contains an invalid value.
+   */
+  constructor(replaceNumber, options) {
+    // Check arguments before any code block is scanned
+    // eslint-disable-next-line no-new
+    new JsonNumberScanner(replaceNumber, { ...options, format: 'json' });
+
+    this.#replaceNumber = replaceNumber;
+    this.#options = { ...options };
+  }
+
+  /** Passes text which is not a code fence to the current code block, if
+   * it is scanned, or through unchanged.
+   *
+   * @private
+   * @param {string} text Text, which does not contain a line feed before
+   * its last character.
+   * @returns {string} Text with numbers replaced.
+   */
+  #writeText(text) {
+    this.#offset += text.length;
+    if (text.endsWith('\n')) {
+      this.#line += 1;
+    }
+
+    return this.#scanner === undefined ? text : this.#scanner.write(text);
+  }
+
+  /** Scans a complete line which may be a code fence.
+   *
+   * @private
+   * @param {string} line Line of text, including any line ending.
+   * @returns {string} Text with numbers replaced.
+   */
+  #writeLine(line) {
+    const content = trimLineEnding(line);
+    const fence = this.#fence;
+    if (fence !== undefined) {
+      const closing = closingFenceRE.exec(content);
+      if (!closing
+        || closing[1][0] !== fence[0]
+        || closing[1].length < fence.length) {
+        return this.#writeText(line);
+      }
+
+      const scanner = this.#scanner;
+      this.#fence = undefined;
+      this.#scanner = undefined;
+      return (scanner === undefined ? '' : scanner.end())
+        + this.#writeText(line);
+    }
+
+    const output = this.#writeText(line);
+    const match = openingFenceRE.exec(content);
+    // Info string of backtick fence can not contain backticks
+    if (match && !(match[1][0] === '`' && match[2].includes('`'))) {
+      this.#fence = match[1];
+      const language = match[2].trim().split(/\s/, 1)[0].toLowerCase();
+      if (blockFormats.has(language)) {
+        const options = this.#options;
+        this.#scanner = new JsonNumberScanner(this.#replaceNumber, {
+          ...options,
+          format: language,
+          startLine: this.#line,
+          startOffset: this.#offset,
+          strict: Boolean(options.strict) && language !== 'json5',
+        });
+      }
+    }
+
+    return output;
+  }
+
+  /** Scans part of a line.
+   *
+   * @private
+   * @param {string} part Part of a line.
+   * @param {boolean} isLineEnd Whether part ends with a line feed.
+   * @returns {string} Text with numbers replaced.
+   */
+  #writeLinePart(part, isLineEnd) {
+    let output = '';
+    if (this.#isLineDecided) {
+      output = this.#writeText(part);
+    } else {
+      const lineStart = this.#lineStart + part;
+      if (isLineEnd) {
+        this.#lineStart = '';
+        output = this.#writeLine(lineStart);
+      } else if (fenceStartRE.test(lineStart)) {
+        this.#lineStart = lineStart;
+      } else {
+        this.#lineStart = '';
+        this.#isLineDecided = true;
+        output = this.#writeText(lineStart);
+      }
+    }
+
+    if (isLineEnd) {
+      this.#isLineDecided = false;
+    }
+
+    return output;
+  }
+
+  /** Scans a chunk of Markdown text.
+   *
+   * @param {string} chunk Markdown text following any previously written
+   * chunks.
+   * @returns {string} Text with numbers in code blocks replaced, up to the
+   * last character of chunk which is not retained.
+   * @throws {TypeError} If chunk is not a string.
+   * @throws {module:json-replace-exponentials/lib/json-syntax-error} If the
+   * strict option was given and a code block is not valid.
+   */
+  write(chunk) {
+    if (typeof chunk !== 'string') {
+      throw new TypeError('chunk must be a string');
+    }
+
+    let output = '';
+    let start = 0;
+    while (start < chunk.length) {
+      const newline = chunk.indexOf('\n', start);
+      const end = newline === -1 ? chunk.length : newline + 1;
+      output += this.#writeLinePart(chunk.slice(start, end), newline !== -1);
+      start = end;
+    }
+
+    return output;
+  }
+
+  /** Scans any text retained from previous chunks and resets the scanner
+   * to scan a new document.
+   *
+   * A code block which is not closed ends at the end of the document.
+   *
+   * @returns {string} Text with numbers replaced which was retained from
+   * previous chunks.
+   * @throws {module:json-replace-exponentials/lib/json-syntax-error} If the
+   * strict option was given and a code block is not valid.
+   */
+  end() {
+    try {
+      let output = this.#lineStart ? this.#writeLine(this.#lineStart) : '';
+      if (this.#scanner !== undefined) {
+        output += this.#scanner.end();
+      }
+
+      return output;
+    } finally {
+      this.#fence = undefined;
+      this.#scanner = undefined;
+      this.#lineStart = '';
+      this.#isLineDecided = false;
+      this.#offset = 0;
+      this.#line = 1;
+    }
+  }
+}
+
+module.exports = MarkdownJsonScanner;
@@ -0,0 +1,520 @@
+/**
+ * @copyright Copyright 2016-2020 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/number-replacer
+ */
+
+'use strict';
+
+const { roundCoefficient, roundingModes } = require('./decimal.js');
+const { createPathFilter } = require('./pointer-pattern.js');
+
+/** Pattern for a JSON number in exponential notation (i.e. with mandatory
+ * exp production from https://tools.ietf.org/html/rfc7158#section-6 ).
+ *
+ * @private
+ */
+const numberExpPattern = '(-?)([0-9]+)(?:\\.([0-9]+))?[eE]([+-]?[0-9]+)';
+
+/** RegExp which matches a complete JSON number in exponential notation.
+ *
+ * @private
+ */
+const numberExpRE = new RegExp(`^${numberExpPattern}$`);
+
+/** RegExp which matches a complete JSON5 number in exponential notation
+ * (i.e. which may also have a leading <code>+</code> and a leading or
+ * trailing decimal point).
+ *
+ * @private
+ */
+const json5NumberExpRE =
+  /^([+-]?)(?=\.?[0-9])([0-9]*)(?:\.([0-9]*))?[eE]([+-]?[0-9]+)$/;
+
+/** Converts the parts of a number in exponential notation to fixed-point
+ * notation.
+ *
+ * @private
+ * @param {string} signPart Sign part of number. (i.e. '-' or '')
+ * @param {string} intPart Integer part of number. (i.e. part before decimal)
+ * @param {string} fracPart Fractional part of number, if any. (i.e. part
+ * after decimal).
+ * @param {number} exponent Exponential of number. (i.e. part after "e")
+ * @returns {string} Number in fixed-point notation.
+ */
+function exponentialPartsToFixed(signPart, intPart, fracPart, exponent) {
+  // These are easier to express without templates
+  /* eslint-disable prefer-template */
+
+  if (exponent >= 0) {
+    // Move decimal exponent digits to the right, adding 0s as necessary
+
+    let unsigned;
+    if (fracPart.length <= exponent) {
+      unsigned = intPart
+        + fracPart
+        + '0'.repeat(exponent - fracPart.length);
+    } else {
+      unsigned = intPart
+        + fracPart.slice(0, exponent)
+        + '.'
+        + fracPart.slice(exponent);
+    }
+
+    // Remove unnecessary leading zeros
+    return signPart + unsigned.replace(/^0+(?=[0-9])/, '');
+  }
+
+  // Move decimal -exponent digits to the left, adding 0s as necessary
+  exponent = -exponent;
+
+  if (intPart.length > exponent) {
+    const pointIndex = intPart.length - exponent;
+    return signPart
+      + intPart.slice(0, pointIndex)
+      + '.'
+      + intPart.slice(pointIndex)
+      + fracPart;
+  }
+
+  return signPart
+    + '0.'
+    + '0'.repeat(exponent - intPart.length)
+    + intPart
+    + fracPart;
+
+  /* eslint-enable prefer-template */
+}
+
+/** Overflow policies which may be given as options.overflow.
+ *
+ * @private
+ */
+const overflowPolicies = new Set(['clamp', 'preserve', 'substitute', 'throw']);
+
+/** Options for replacing numbers in exponential notation.
+ *
+ * @typedef {{
+ *   maxExponent: (number|undefined),
+ *   maxLength: (number|undefined),
+ *   overflow: (string|function(string,!ReplacerContext):string|undefined),
+ *   substitute: (string|undefined),
+ *   significantDigits: (number|undefined),
+ *   fractionDigits: (number|undefined),
+ *   roundingMode: (string|undefined),
+ *   trimZeros: (boolean|undefined),
+ *   only: (!Array<string>|undefined),
+ *   skip: (!Array<string>|undefined)
+ * }} ReplaceOptions
+ * @property {number=} maxExponent Maximum absolute value of the exponent of a
+ * number which is replaced by fixed-point notation.  (default: 1000)
+ * @property {number=} maxLength Maximum length of a number in fixed-point
+ * notation which replaces a number in exponential notation.
+ * (default: Infinity)
+ * @property {(string|function(string,!ReplacerContext):string)=} overflow
+ * Policy for numbers which exceed maxExponent or maxLength:
+ * <code>'throw'</code> to throw {@link RangeError} (default),
+ * <code>'preserve'</code> to leave the number unchanged, <code>'clamp'</code>
+ * to limit the exponent to +/-<code>maxExponent</code> (numbers which exceed
+ * maxLength, with or without a limited exponent, throw {@link RangeError}),
+ * <code>'substitute'</code> to replace the number with
+ * <code>substitute</code>, or a function called with the number and a
+ * {@link ReplacerContext} which returns its replacement.
+ * @property {string=} substitute Replacement for numbers which exceed
+ * maxExponent or maxLength when overflow is <code>'substitute'</code>.
+ * @property {number=} significantDigits Maximum number of significant digits
+ * in a replacement number.  Numbers with more digits are rounded.
+ * (default: Infinity)
+ * @property {number=} fractionDigits Maximum number of digits after the
+ * decimal point in a replacement number.  Numbers with more digits are
+ * rounded.  (default: Infinity)
+ * @property {string=} roundingMode Mode for rounding to significantDigits or
+ * fractionDigits: <code>'half-up'</code> (default), <code>'half-down'</code>,
+ * <code>'half-even'</code>, <code>'up'</code> (away from zero),
+ * <code>'down'</code> (toward zero), <code>'ceiling'</code>, or
+ * <code>'floor'</code>.
+ * @property {boolean=} trimZeros Remove trailing zeros after the decimal
+ * point (and the decimal point, if no digits remain) from replacement
+ * numbers.  (default: false)
+ * @property {!Array<string>=} only JSON Pointer glob patterns or JSONPath
+ * expressions for the values in which numbers are replaced, as described
+ * for {@link module:json-replace-exponentials/lib/pointer-pattern
+ * .createPathFilter}.  Other numbers are not passed to the replacer.  Applies
+ * with or without a replacer.  (default: all values)
+ * @property {!Array<string>=} skip Patterns for the values in which numbers
+ * are not replaced, even if they match only.  Applies with or without a
+ * replacer.  (default: none)
+ */
+// const ReplaceOptions;
+
+/** Information about a number in exponential notation passed to replacer
+ * functions.
+ *
+ * @typedef {{
+ *   signPart: string,
+ *   intPart: string,
+ *   fracPart: string,
+ *   expPart: string,
+ *   offset: number,
+ *   line: number,
+ *   column: number,
+ *   path: string
+ * }} ReplacerContext
+ * @property {string} signPart Sign part of number. (i.e. '-' or '', which
+ * is also used for the <code>+</code> of a JSON5 number)
+ * @property {string} intPart Integer part of number. (i.e. part before
+ * decimal, or '0' if none in a JSON5 number)
+ * @property {string} fracPart Fractional part of number. (i.e. part after
+ * decimal, or '' if none)
+ * @property {string} expPart Exponential part of number. (i.e. part after
+ * "e", including any sign)
+ * @property {number} offset Index of the first character of the number in
+ * the JSON text (in UTF-16 code units, starting from 0).
+ * @property {number} line Line number of the first character of the number
+ * (starting from 1).
+ * @property {number} column Column number of the first character of the
+ * number (in UTF-16 code units, starting from 1).
+ * @property {string} path JSON Pointer (RFC 6901) to the number in the JSON
+ * document.  (e.g. <code>'/paths/~1pets/get/parameters/0/maximum'</code>)
+ */
+// const ReplacerContext;
+
+/** Gets the length of a number in fixed-point notation converted from the
+ * parts of a number in exponential notation, without converting it.
+ *
+ * @private
+ * @param {string} signPart Sign part of number. (i.e. '-' or '')
+ * @param {string} intPart Integer part of number. (i.e. part before decimal)
+ * @param {string} fracPart Fractional part of number, if any. (i.e. part
+ * after decimal).
+ * @param {number} exponent Exponential of number. (i.e. part after "e")
+ * @returns {number} Length of the result of calling
+ * exponentialPartsToFixed with the same arguments.
+ */
+function getFixedLength(signPart, intPart, fracPart, exponent) {
+  if (exponent >= 0) {
+    const intLength = intPart.length + exponent;
+    const digits = intPart + fracPart;
+    const zeros = /^0*/.exec(digits)[0].length;
+    // Leading zeros are removed up to the last integer digit.
+    // If all digits are 0, zeros added to the right are also removed.
+    const leadingZeros = zeros === digits.length ? intLength - 1
+      : Math.min(zeros, intLength - 1);
+    const fracLength = Math.max(fracPart.length - exponent, 0);
+    return signPart.length
+      + intLength
+      - leadingZeros
+      + (fracLength > 0 ? fracLength + 1 : 0);
+  }
+
+  return signPart.length
+    + Math.max(intPart.length, 1 - exponent)
+    + 1
+    + fracPart.length;
+}
+
+/** Rounds the parts of a number in exponential notation to a maximum number
+ * of significant digits and fractional digits, and removes trailing zeros
+ * after the decimal point, if requested.
+ *
+ * @private
+ * @param {string} signPart Sign part of number. (i.e. '-' or '')
+ * @param {string} intPart Integer part of number. (i.e. part before decimal)
+ * @param {string} fracPart Fractional part of number, if any. (i.e. part
+ * after decimal).
+ * @param {number} exponent Exponential of number. (i.e. part after "e")
+ * @param {!ReplaceOptions} options Rounding options.
+ * @returns {!Array<string|number>} signPart, intPart, fracPart, and exponent
+ * of the rounded number, for exponentialPartsToFixed.
+ */
+function roundExponentialParts(signPart, intPart, fracPart, exponent, {
+  significantDigits,
+  fractionDigits,
+  roundingMode,
+  trimZeros,
+}) {
+  let digits = intPart + fracPart;
+  exponent -= fracPart.length;
+
+  // Exponent of the least significant digit to keep
+  let minExponent = fractionDigits === Infinity ? -Infinity : -fractionDigits;
+  const firstNonZero = digits.search(/[1-9]/);
+  if (significantDigits !== Infinity && firstNonZero >= 0) {
+    const msdExponent = exponent + digits.length - 1 - firstNonZero;
+    minExponent =
+      Math.max(minExponent, msdExponent - significantDigits + 1);
+  }
+
+  if (exponent < minExponent) {
+    ({ digits, exponent } =
+      roundCoefficient(signPart, digits, exponent, minExponent, roundingMode));
+
+    const roundedNonZero = digits.search(/[1-9]/);
+    if (roundedNonZero < 0) {
+      // Don't produce negative zero from a non-zero number
+      signPart = firstNonZero >= 0 ? '' : signPart;
+    } else if (digits.length - roundedNonZero > significantDigits) {
+      // Rounding carried into a new digit (e.g. 9.99 to 10.0), which is 0
+      digits = digits.slice(0, -1);
+      exponent += 1;
+    }
+  }
+
+  if (trimZeros) {
+    let end = digits.length;
+    while (exponent < 0 && end > 1 && digits[end - 1] === '0') {
+      end -= 1;
+      exponent += 1;
+    }
+    digits = digits.slice(0, end);
+  }
+
+  return [signPart, digits, '', exponent];
+}
+
+/** Creates a replacer function which replaces a number in exponential
+ * notation with one in fixed-point notation, applying the limits and
+ * overflow policy from given options.
+ *
+ * @private
+ * @param {!ReplaceOptions} options Options.
+ * @returns {function(string, !ReplacerContext): string} Function which is
+ * called with a number in exponential notation and its context and returns
+ * the number in fixed-point notation.
+ * @throws {TypeError} If options contains an invalid value.
+ */
+function createExponentialToFixedReplacer({
+  maxExponent = 1000,
+  maxLength = Infinity,
+  overflow = 'throw',
+  substitute,
+  significantDigits = Infinity,
+  fractionDigits = Infinity,
+  roundingMode = 'half-up',
+  trimZeros = false,
+}) {
+  if (typeof maxExponent !== 'number'
+    || Number.isNaN(maxExponent)
+    || maxExponent < 0) {
+    throw new TypeError('maxExponent must be a non-negative number');
+  }
+  if (typeof maxLength !== 'number'
+    || Number.isNaN(maxLength)
+    || maxLength < 1) {
+    throw new TypeError('maxLength must be a positive number');
+  }
+  if (typeof overflow !== 'function' && !overflowPolicies.has(overflow)) {
+    const policies = [...overflowPolicies].join(', ');
+    throw new TypeError(`overflow must be a function or one of ${policies}`);
+  }
+  if (overflow === 'substitute' && typeof substitute !== 'string') {
+    throw new TypeError(
+      'substitute must be a string when overflow is \'substitute\'',
+    );
+  }
+  if (significantDigits !== Infinity
+    && (!Number.isSafeInteger(significantDigits) || significantDigits < 1)) {
+    throw new TypeError('significantDigits must be a positive integer');
+  }
+  if (fractionDigits !== Infinity
+    && (!Number.isSafeInteger(fractionDigits) || fractionDigits < 0)) {
+    throw new TypeError('fractionDigits must be a non-negative integer');
+  }
+  if (!roundingModes.has(roundingMode)) {
+    const modes = [...roundingModes].join(', ');
+    throw new TypeError(`roundingMode must be one of ${modes}`);
+  }
+
+  const roundOptions = {
+    significantDigits,
+    fractionDigits,
+    roundingMode,
+    trimZeros,
+  };
+  const isRounded = significantDigits !== Infinity
+    || fractionDigits !== Infinity
+    || trimZeros;
+
+  return function exponentialToFixedReplacer(numExp, context) {
+    let {
+      signPart,
+      intPart,
+      fracPart,
+    } = context;
+
+    // Limit exponent to mitigate issues due to large fixed-point
+    // representations (e.g.  eating all memory for 1e99999999999)
+    let exp = Number(context.expPart);
+    let overflowMessage;
+    if (exp > maxExponent || exp < -maxExponent) {
+      if (overflow === 'clamp') {
+        exp = exp > 0 ? maxExponent : -maxExponent;
+      } else {
+        overflowMessage = `${numExp} exponent exceeds maximum`;
+      }
+    }
+
+    if (overflowMessage === undefined && isRounded) {
+      [signPart, intPart, fracPart, exp] =
+        roundExponentialParts(signPart, intPart, fracPart, exp, roundOptions);
+    }
+
+    if (overflowMessage === undefined
+      && getFixedLength(signPart, intPart, fracPart, exp) > maxLength) {
+      overflowMessage = `${numExp} fixed-point length exceeds maximum`;
+    }
+
+    if (overflowMessage === undefined) {
+      return exponentialPartsToFixed(signPart, intPart, fracPart, exp);
+    }
+
+    switch (overflow) {
+      case 'preserve':
+        return numExp;
+      case 'substitute':
+        return substitute;
+      case 'clamp':
+      case 'throw':
+        throw new RangeError(overflowMessage);
+      default:
+        return String(overflow(numExp, context));
+    }
+  };
+}
+
+/** Creates a function which calls a given function with the parts and
+ * location of a JSON number in exponential notation at a location selected
+ * by options.only and options.skip, and returns any other number unchanged.
+ *
+ * If options.format is <code>'json5'</code>, numbers in JSON5 syntax (e.g.
+ * <code>+1e5</code>, <code>.5e1</code>, or <code>5.e1</code>) are also
+ * replaced.
+ *
+ * @private
+ * @param {function(string, !ReplacerContext): (string|!Promise<string>)
+ * } replaceExponential Function which replaces a number in exponential
+ * notation.
+ * @param {!ReplaceOptions} options Options for replacing numbers.
+ * @returns {function(string, !module:json-replace-exponentials/lib/scanner
+ * .JsonNumberLocation): (string|!Promise<string>)} Function which returns
+ * the replacement for a JSON number at a given location.
+ * @throws {TypeError} If options.only or options.skip is not an Array of
+ * patterns.
+ */
+function createContextReplacer(replaceExponential, options) {
+  const isSelected = options.only === undefined && options.skip === undefined
+    ? undefined
+    : createPathFilter(options);
+  const exponentialRE =
+    options.format === 'json5' ? json5NumberExpRE : numberExpRE;
+  return function replaceNumber(number, location) {
+    const match = exponentialRE.exec(number);
+    if (!match || (isSelected !== undefined && !isSelected(location.path))) {
+      return number;
+    }
+
+    const [numExp, signPart, intPart, fracPart = '', expPart] = match;
+    return replaceExponential(numExp, {
+      signPart: signPart === '+' ? '' : signPart,
+      intPart: intPart || '0',
+      fracPart,
+      expPart,
+      offset: location.offset,
+      line: location.line,
+      column: location.column,
+      path: location.path,
+    });
+  };
+}
+
+/** Checks that options for replacing numbers is an object, if defined.
+ *
+ * @private
+ * @param {ReplaceOptions=} options Options for replacing numbers.
+ * @returns {!ReplaceOptions} options, or an empty object if undefined.
+ * @throws {TypeError} If options is not an object.
+ */
+function checkOptions(options) {
+  if (options === undefined) {
+    return {};
+  }
+
+  if (options === null || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  return options;
+}
+
+/** Creates a function which replaces a JSON number in exponential notation
+ * using a given replacer and returns any other number unchanged.
+ *
+ * @private
+ * @param {(function(string,!ReplacerContext):string)=} replacer Optional
+ * replacer function called with a number in exponential format and a
+ * {@link ReplacerContext} returning a string which will replace the number.
+ * If undefined, numbers are replaced by fixed-point format.
+ * @param {ReplaceOptions=} options Options for replacing numbers when
+ * replacer is undefined, and only and skip, which always apply.
+ * @returns {function(string, !module:json-replace-exponentials/lib/scanner
+ * .JsonNumberLocation): string} Function which returns the replacement for a
+ * JSON number at a given location.
+ * @throws {TypeError} If replacer is not a function.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ */
+function createNumberReplacer(replacer, options) {
+  options = checkOptions(options);
+
+  let replaceExponential;
+  if (replacer === undefined) {
+    replaceExponential = createExponentialToFixedReplacer(options);
+  } else if (typeof replacer === 'function') {
+    replaceExponential =
+      (numExp, context) => String(replacer(numExp, context));
+  } else {
+    throw new TypeError('replacer must be a function');
+  }
+
+  return createContextReplacer(replaceExponential, options);
+}
+
+/** Creates a function which replaces a JSON number in exponential notation
+ * using a given replacer which may return a Promise, and returns any other
+ * number unchanged.
+ *
+ * @private
+ * @param {(function(string,!ReplacerContext):(string|!Promise<string>))=
+ * } replacer Optional replacer function called with a number in exponential
+ * format and a {@link ReplacerContext} returning a string, or a Promise for
+ * a string, which will replace the number.  If undefined, numbers are
+ * replaced by fixed-point format.
+ * @param {ReplaceOptions=} options Options for replacing numbers when
+ * replacer is undefined, and only and skip, which always apply.
+ * @returns {function(string, !module:json-replace-exponentials/lib/scanner
+ * .JsonNumberLocation): (string|!Promise<string>)} Function which returns
+ * the replacement for a JSON number at a given location, or a Promise for
+ * it if the number is replaced by replacer.  The Promise is rejected if
+ * replacer throws or returns a rejected Promise.
+ * @throws {TypeError} If replacer is not a function.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ */
+function createAsyncNumberReplacer(replacer, options) {
+  if (replacer === undefined) {
+    return createNumberReplacer(replacer, options);
+  }
+
+  options = checkOptions(options);
+  if (typeof replacer !== 'function') {
+    throw new TypeError('replacer must be a function');
+  }
+
+  return createContextReplacer(
+    async (numExp, context) => String(await replacer(numExp, context)),
+    options,
+  );
+}
+
+module.exports = createNumberReplacer;
+module.exports.createAsyncNumberReplacer = createAsyncNumberReplacer;
@@ -0,0 +1,240 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/number-transform
+ */
+
+'use strict';
+
+const { Transform } = require('node:stream');
+const { StringDecoder } = require('node:string_decoder');
+
+const createScanner = require('./create-scanner.js');
+const { encode, getBom } = require('./encoding.js');
+const InputDecoder = require('./input-decoder.js');
+const createErrorCollector = require('./replace-error.js');
+
+/** Options for {@link JsonNumberTransform}, in addition to
+ * {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions},
+ * {@link module:json-replace-exponentials/lib/replace-error
+ * .CollectErrorsOptions}, and {@link module:stream.TransformOptions}.
+ *
+ * @typedef {{
+ *   inputEncoding: (string|undefined),
+ *   preserveEncoding: (boolean|undefined)
+ * }} NumberTransformOptions
+ * @property {string=} inputEncoding Encoding of Buffers written to the
+ * stream: <code>'auto'</code> to detect the encoding from the Byte Order
+ * Mark or the pattern of null bytes described in RFC 4627, or one of
+ * <code>'utf-8'</code>, <code>'utf-16le'</code>, <code>'utf-16be'</code>,
+ * <code>'utf-32le'</code>, or <code>'utf-32be'</code>.  A Byte Order Mark is
+ * removed from the input, unless inputEncoding is undefined (the default),
+ * in which case input is decoded as UTF-8 and any Byte Order Mark is
+ * treated as part of the text.
+ * @property {boolean=} preserveEncoding Write output as Buffers in the
+ * input encoding, with a Byte Order Mark if the input had one, instead of
+ * as UTF-8.  Requires inputEncoding.
+ */
+// const NumberTransformOptions;
+
+/** Transform stream which replaces numbers in JSON text written to it using a
+ * given function.
+ *
+ * Buffers are decoded as UTF-8.  Only numbers which span chunk boundaries
+ * are retained between chunks, so memory use does not depend on the size of
+ * the JSON document.
+ *
+ * Emits a <code>'replace'</code> event with a
+ * {@link module:json-replace-exponentials/lib/scanner.JsonNumberReplacement}
+ * for each number which is replaced by a different value, and for each
+ * string replaced by a different value by options.replaceString or
+ * options.embedded (with the text of the string as <code>number</code>).
+ * If options.collectErrors is true, emits a <code>'replaceError'</code>
+ * event with a
+ * {@link module:json-replace-exponentials/lib/replace-error.ReplaceError}
+ * for each number which is left unchanged because replacing it threw.
+ *
+ * @private
+ */
+class JsonNumberTransform extends Transform {
+  /** Decoder for Buffers written to this stream.
+   *
+   * @type {!InputDecoder|!module:string_decoder.StringDecoder}
+   */
+  #decoder;
+
+  /** Whether to write output in the input encoding.
+   *
+   * @type {boolean}
+   */
+  #preserveEncoding;
+
+  /** Encoding of output, if it is written as Buffers.
+   *
+   * @type {string|undefined}
+   */
+  #outputEncoding;
+
+  /** Number of numbers which were replaced by a different value.
+   *
+   * @type {number}
+   */
+  #replacedCount = 0;
+
+  /** Scanner which replaces numbers in the decoded text.
+   *
+   * @type {!{write: function(string): string, end: function(): string}}
+   */
+  #scanner;
+
+  /** Constructs a transform which replaces numbers using a given function.
+   *
+   * @param {function(string, !object): string} replaceNumber Function called
+   * with the text and
+   * {@link module:json-replace-exponentials/lib/scanner.JsonNumberLocation}
+   * of each number, which returns the text to replace it in the output.
+   * @param {NumberTransformOptions=} options Options, which are also passed
+   * to the {@link module:stream.Transform} constructor and
+   * {@link module:json-replace-exponentials/lib/create-scanner} (e.g.
+   * strict).
+   * @throws {TypeError} If replaceNumber is not a function.
+   * @throws {TypeError} If options.inputEncoding is not supported, or
+   * options.preserveEncoding is true without options.inputEncoding.
+   */
+  constructor(replaceNumber, options) {
+    super(options);
+
+    if (typeof replaceNumber !== 'function') {
+      throw new TypeError('replaceNumber must be a function');
+    }
+
+    const { collectErrors, inputEncoding, preserveEncoding } = options || {};
+    const emitError = collectErrors
+      ? createErrorCollector((error) => this.emit('replaceError', error))
+      : (replace) => replace;
+    const emitReplace = (replaceOrThrow) => {
+      const replace = emitError(replaceOrThrow);
+      return (number, location) => {
+        const replacement = replace(number, location);
+        if (replacement !== number) {
+          this.#replacedCount += 1;
+          this.emit('replace', {
+            number,
+            replacement,
+            offset: location.offset,
+            line: location.line,
+            column: location.column,
+            path: location.path,
+          });
+        }
+        return replacement;
+      };
+    };
+    this.#scanner = createScanner(replaceNumber, options, emitReplace);
+
+    if (inputEncoding === undefined) {
+      if (preserveEncoding) {
+        throw new TypeError('preserveEncoding requires inputEncoding');
+      }
+
+      this.#decoder = new StringDecoder('utf8');
+    } else {
+      this.#decoder = new InputDecoder(inputEncoding);
+    }
+
+    this.#preserveEncoding = Boolean(preserveEncoding);
+  }
+
+  /** Decodes Buffers written to this stream, detecting the encoding and
+   * removing any Byte Order Mark from the start of the input.
+   *
+   * @private
+   * @param {!Buffer} bytes Bytes written to this stream.
+   * @param {boolean} isEnd Whether bytes are the last bytes of the input.
+   * @returns {string} Decoded text.
+   */
+  #decode(bytes, isEnd) {
+    const decoder = this.#decoder;
+    if (decoder instanceof StringDecoder) {
+      return isEnd ? decoder.write(bytes) + decoder.end()
+        : decoder.write(bytes);
+    }
+
+    const text = decoder.decode(bytes, isEnd);
+    if (this.#preserveEncoding
+      && this.#outputEncoding === undefined
+      && decoder.encoding !== undefined) {
+      this.#outputEncoding = decoder.encoding;
+      if (decoder.bomLength > 0) {
+        this.push(getBom(decoder.encoding));
+      }
+    }
+
+    return text;
+  }
+
+  /** Pushes replaced text in the output encoding.
+   *
+   * @private
+   * @param {string} output Replaced text.
+   */
+  #pushOutput(output) {
+    if (output) {
+      const outputEncoding = this.#outputEncoding;
+      this.push(outputEncoding ? encode(output, outputEncoding) : output);
+    }
+  }
+
+  /** Replaces numbers in a chunk of JSON.
+   *
+   * @param {!Buffer|string} chunk Chunk of JSON.
+   * @param {string} encoding Encoding of chunk, if it is a string.
+   * @param {function(Error=)} callback Callback.
+   */
+  // eslint-disable-next-line no-underscore-dangle
+  _transform(chunk, encoding, callback) {
+    let output;
+    try {
+      output = this.#scanner.write(
+        typeof chunk === 'string' ? chunk : this.#decode(chunk, false),
+      );
+    } catch (err) {
+      callback(err);
+      return;
+    }
+
+    this.#pushOutput(output);
+    callback();
+  }
+
+  /** Replaces any number at the end of the JSON.
+   *
+   * @param {function(Error=)} callback Callback.
+   */
+  // eslint-disable-next-line no-underscore-dangle
+  _flush(callback) {
+    let output;
+    try {
+      output = this.#scanner.write(this.#decode(Buffer.alloc(0), true))
+        + this.#scanner.end();
+    } catch (err) {
+      callback(err);
+      return;
+    }
+
+    this.#pushOutput(output);
+    callback();
+  }
+
+  /** Gets the number of numbers (and strings replaced by
+   * options.replaceString) which have been replaced by a different value.
+   *
+   * @returns {number} Number of numbers replaced.
+   */
+  get replacedCount() {
+    return this.#replacedCount;
+  }
+}
+
+module.exports = JsonNumberTransform;
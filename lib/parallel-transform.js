@@ -0,0 +1,582 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/parallel-transform
+ */
+
+'use strict';
+
+const { availableParallelism } = require('node:os');
+const path = require('node:path');
+const { Transform } = require('node:stream');
+const { StringDecoder } = require('node:string_decoder');
+const { Worker } = require('node:worker_threads');
+
+const createScanner = require('./create-scanner.js');
+const { encode, getBom } = require('./encoding.js');
+const InputDecoder = require('./input-decoder.js');
+const JsonSyntaxError = require('./json-syntax-error.js');
+const createNumberReplacer = require('./number-replacer.js');
+
+/** Default minimum length of a batch of lines, in UTF-16 code units.
+ *
+ * @private
+ */
+const defaultBatchSize = 1024 * 1024;
+
+/** Path of the script run by worker threads.
+ *
+ * @private
+ */
+const workerPath = path.join(__dirname, 'parallel-worker.js');
+
+/** Options for {@link JsonLinesParallelTransform}.
+ *
+ * Also accepts
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplaceOptions}
+ * and {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}, which are copied to each worker thread and must not
+ * contain functions or objects other than Arrays, and
+ * {@link module:json-replace-exponentials/lib/number-transform
+ * .NumberTransformOptions}.  Any other options are passed to the
+ * {@link module:stream.Transform} constructor.
+ *
+ * @typedef {{
+ *   batchSize: (number|undefined),
+ *   jobs: (number|undefined)
+ * }} ParallelTransformOptions
+ * @property {number=} batchSize Minimum length of each batch of lines sent
+ * to a worker thread, in UTF-16 code units.  Lines are not split, so a batch
+ * may be longer.  (default: 1048576)
+ * @property {number=} jobs Number of worker threads.  (default:
+ * {@link module:os.availableParallelism})
+ */
+// const ParallelTransformOptions;
+
+/** Names of {@link module:stream.Transform} options which can not be copied
+ * to worker threads, and are not needed by them.
+ *
+ * @private
+ */
+const streamOptionNames = new Set([
+  'construct',
+  'destroy',
+  'final',
+  'flush',
+  'read',
+  'signal',
+  'transform',
+  'write',
+  'writev',
+]);
+
+/** Gets the options for replacing numbers, which are copied to worker
+ * threads.
+ *
+ * @private
+ * @param {!object} options Options for {@link JsonLinesParallelTransform}.
+ * @returns {!object} Options in options for replacing numbers.
+ * @throws {TypeError} If options contains a function (e.g. replacer,
+ * replaceString, or overflow) or an object other than an Array, which can
+ * not be copied to worker threads, other than stream options.
+ * @throws {TypeError} If options contains a format other than
+ * <code>'jsonl'</code>.
+ */
+function getWorkerOptions(options) {
+  const {
+    batchSize,
+    inputEncoding,
+    jobs,
+    preserveEncoding,
+    ...replaceOptions
+  } = options;
+  for (const [name, value] of Object.entries(replaceOptions)) {
+    if (!streamOptionNames.has(name)
+      && (typeof value === 'function'
+        || (typeof value === 'object'
+          && value !== null
+          && !Array.isArray(value)))) {
+      throw new TypeError(`${name} is not supported with jobs`);
+    }
+  }
+  if (replaceOptions.format !== undefined
+    && replaceOptions.format !== 'jsonl') {
+    throw new TypeError('format must be jsonl');
+  }
+
+  return Object.fromEntries(
+    Object.entries({ ...replaceOptions, format: 'jsonl' })
+      .filter(([name]) => !streamOptionNames.has(name)),
+  );
+}
+
+/** Converts an error received from a worker thread to the error which was
+ * thrown in the worker.
+ *
+ * @private
+ * @param {!Error} error Error received from a worker thread.
+ * @param {!object} properties Properties of the error thrown in the worker,
+ * including its name.
+ * @returns {!Error} error, with properties.
+ */
+function reviveError(error, { name, ...properties }) {
+  if (name === 'JsonSyntaxError') {
+    Object.setPrototypeOf(error, JsonSyntaxError.prototype);
+  }
+
+  return Object.assign(error, properties);
+}
+
+/** Checks that an option is a positive integer, if defined.
+ *
+ * @private
+ * @param {number|undefined} value Value of the option.
+ * @param {string} name Name of the option.
+ * @throws {TypeError} If value is not undefined or a positive integer.
+ */
+function checkPositiveInteger(value, name) {
+  if (value !== undefined && (!Number.isSafeInteger(value) || value < 1)) {
+    throw new TypeError(`${name} must be a positive integer`);
+  }
+}
+
+/** Transform stream which replaces numbers in exponential notation in JSON
+ * Lines text written to it using worker threads.
+ *
+ * The text is split into batches of complete lines, each of which is
+ * replaced in a worker thread as {@link module:json-replace-exponentials}
+ * would replace it, with the same locations and errors as for the whole
+ * text.  Output is read in the same order as the input.  At most two batches
+ * per worker are held at once, so memory use does not depend on the size of
+ * the input.
+ *
+ * Emits a <code>'replace'</code> event with a
+ * {@link module:json-replace-exponentials/lib/scanner.JsonNumberReplacement}
+ * for each number which is replaced by a different value, in the order they
+ * occur in the input.  Replacements are only sent from worker threads if
+ * there are listeners for the event, which must be added before the input
+ * is written.  If options.collectErrors is true, emits a
+ * <code>'replaceError'</code> event with a
+ * {@link module:json-replace-exponentials/lib/replace-error.ReplaceError}
+ * for each number which is left unchanged because replacing it threw.
+ */
+class JsonLinesParallelTransform extends Transform {
+  /** Minimum length of each batch of lines.
+   *
+   * @type {number}
+   */
+  #batchSize;
+
+  /** Maximum number of worker threads.
+   *
+   * @type {number}
+   */
+  #jobs;
+
+  /** Options for replacing numbers in worker threads.
+   *
+   * @type {!object}
+   */
+  #workerOptions;
+
+  /** Decoder for Buffers written to this stream.
+   *
+   * @type {!InputDecoder|!module:string_decoder.StringDecoder}
+   */
+  #decoder;
+
+  /** Whether to write output in the input encoding.
+   *
+   * @type {boolean}
+   */
+  #preserveEncoding;
+
+  /** Encoding of output, if it is written as Buffers.
+   *
+   * @type {string|undefined}
+   */
+  #outputEncoding;
+
+  /** Number of numbers which were replaced by a different value.
+   *
+   * @type {number}
+   */
+  #replacedCount = 0;
+
+  /** Text after the last complete batch.
+   *
+   * @type {string}
+   */
+  #text = '';
+
+  /** Line number of the first line of the next batch.
+   *
+   * @type {number}
+   */
+  #line;
+
+  /** Offset of the first character of the next batch.
+   *
+   * @type {number}
+   */
+  #offset;
+
+  /** Batches which have not been pushed, in input order.
+   *
+   * @type {!Array<!object>}
+   */
+  #batches = [];
+
+  /** Batches which have not been sent to a worker, in input order.
+   *
+   * @type {!Array<!object>}
+   */
+  #unsent = [];
+
+  /** Worker threads which have been started.
+   *
+   * @type {!Array<!module:worker_threads.Worker>}
+   */
+  #workers = [];
+
+  /** Worker threads which are not replacing a batch.
+   *
+   * @type {!Array<!module:worker_threads.Worker>}
+   */
+  #idleWorkers = [];
+
+  /** Batch being replaced by each worker thread which is not idle.
+   *
+   * @type {!Map<!module:worker_threads.Worker, !object>}
+   */
+  #workerBatches = new Map();
+
+  /** Callback for the last chunk, while there are too many batches.
+   *
+   * @type {(function(Error=)|undefined)}
+   */
+  #transformCallback;
+
+  /** Callback for the end of input, while there are batches.
+   *
+   * @type {(function(Error=)|undefined)}
+   */
+  #flushCallback;
+
+  /** Constructs a transform which replaces numbers in exponential notation
+   * using worker threads.
+   *
+   * @param {ParallelTransformOptions=} options Options.
+   * @throws {TypeError} If options contains a function or an object other
+   * than an Array which is not a stream option (e.g. replacer,
+   * replaceString, or an overflow function), since it can not be copied to
+   * worker threads, or a format other than <code>'jsonl'</code>.
+   * @throws {TypeError} If options contains an invalid value.
+   */
+  constructor(options) {
+    super(options);
+
+    const {
+      batchSize = defaultBatchSize,
+      inputEncoding,
+      jobs = availableParallelism(),
+      preserveEncoding,
+    } = options || {};
+    checkPositiveInteger(batchSize, 'batchSize');
+    checkPositiveInteger(jobs, 'jobs');
+
+    const workerOptions = getWorkerOptions(options || {});
+    // Check options before any worker thread is started
+    createScanner(
+      createNumberReplacer(undefined, workerOptions),
+      workerOptions,
+    );
+
+    if (inputEncoding === undefined) {
+      if (preserveEncoding) {
+        throw new TypeError('preserveEncoding requires inputEncoding');
+      }
+
+      this.#decoder = new StringDecoder('utf8');
+    } else {
+      this.#decoder = new InputDecoder(inputEncoding);
+    }
+
+    this.#batchSize = batchSize;
+    this.#jobs = jobs;
+    this.#preserveEncoding = Boolean(preserveEncoding);
+    this.#workerOptions = workerOptions;
+    this.#line = workerOptions.startLine || 1;
+    this.#offset = workerOptions.startOffset || 0;
+  }
+
+  /** Decodes Buffers written to this stream, as
+   * {@link module:json-replace-exponentials/lib/number-transform} does.
+   *
+   * @private
+   * @param {!Buffer} bytes Bytes written to this stream.
+   * @param {boolean} isEnd Whether bytes are the last bytes of the input.
+   * @returns {string} Decoded text.
+   */
+  #decode(bytes, isEnd) {
+    const decoder = this.#decoder;
+    if (decoder instanceof StringDecoder) {
+      return isEnd ? decoder.write(bytes) + decoder.end()
+        : decoder.write(bytes);
+    }
+
+    const text = decoder.decode(bytes, isEnd);
+    if (this.#preserveEncoding
+      && this.#outputEncoding === undefined
+      && decoder.encoding !== undefined) {
+      this.#outputEncoding = decoder.encoding;
+      if (decoder.bomLength > 0) {
+        this.push(getBom(decoder.encoding));
+      }
+    }
+
+    return text;
+  }
+
+  /** Adds a batch of lines to be replaced by a worker thread.
+   *
+   * @private
+   * @param {string} text Complete lines of text, except at the end of the
+   * input.
+   */
+  #addBatch(text) {
+    const batch = {
+      text,
+      startLine: this.#line,
+      startOffset: this.#offset,
+      result: undefined,
+    };
+    this.#batches.push(batch);
+    this.#unsent.push(batch);
+
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+      this.#line += 1;
+    }
+    this.#offset += text.length;
+
+    this.#sendBatches();
+  }
+
+  /** Sends batches to worker threads which are not replacing a batch,
+   * starting worker threads as needed.
+   *
+   * @private
+   */
+  #sendBatches() {
+    const unsent = this.#unsent;
+    while (unsent.length > 0) {
+      let worker = this.#idleWorkers.pop();
+      if (worker === undefined) {
+        if (this.#workers.length >= this.#jobs) {
+          return;
+        }
+
+        worker = this.#startWorker();
+      }
+
+      const batch = unsent.shift();
+      this.#workerBatches.set(worker, batch);
+      worker.postMessage({
+        text: batch.text,
+        startLine: batch.startLine,
+        startOffset: batch.startOffset,
+        // Only count replacements if they are not needed for events
+        isRecording: this.listenerCount('replace') > 0,
+      });
+      // Text is not needed once it has been copied to the worker
+      batch.text = undefined;
+    }
+  }
+
+  /** Starts a worker thread.
+   *
+   * @private
+   * @returns {!module:worker_threads.Worker} Worker thread.
+   */
+  #startWorker() {
+    const worker = new Worker(workerPath, {
+      workerData: { options: this.#workerOptions },
+    });
+    worker.on('message', (result) => {
+      const batch = this.#workerBatches.get(worker);
+      if (batch === undefined) {
+        // Worker was stopped
+        return;
+      }
+
+      batch.result = result;
+      this.#workerBatches.delete(worker);
+      this.#idleWorkers.push(worker);
+      this.#sendBatches();
+      this.#pushResults();
+    });
+    worker.once('error', (err) => this.#fail(err));
+    this.#workers.push(worker);
+    return worker;
+  }
+
+  /** Pushes the output of replaced batches which follow all batches which
+   * have been pushed, then calls any callback which was waiting for them.
+   *
+   * @private
+   */
+  #pushResults() {
+    const batches = this.#batches;
+    while (batches.length > 0 && batches[0].result !== undefined) {
+      const { result } = batches.shift();
+      if (result.error !== undefined) {
+        this.#fail(reviveError(result.error, result.errorProperties));
+        return;
+      }
+
+      this.#replacedCount += result.replacedCount;
+      if (result.replacements !== undefined) {
+        for (const replacement of result.replacements) {
+          this.emit('replace', replacement);
+        }
+      }
+      if (result.errors !== undefined) {
+        for (const error of result.errors) {
+          this.emit('replaceError', error);
+        }
+      }
+
+      const { output } = result;
+      if (output) {
+        const outputEncoding = this.#outputEncoding;
+        this.push(outputEncoding ? encode(output, outputEncoding) : output);
+      }
+    }
+
+    const transformCallback = this.#transformCallback;
+    if (transformCallback !== undefined
+      && batches.length < this.#jobs * 2) {
+      this.#transformCallback = undefined;
+      transformCallback();
+    }
+
+    const flushCallback = this.#flushCallback;
+    if (flushCallback !== undefined && batches.length === 0) {
+      this.#flushCallback = undefined;
+      this.#stopWorkers();
+      flushCallback();
+    }
+  }
+
+  /** Stops all worker threads.
+   *
+   * @private
+   */
+  #stopWorkers() {
+    for (const worker of this.#workers) {
+      worker.terminate();
+    }
+    this.#workers = [];
+    this.#idleWorkers = [];
+    this.#workerBatches.clear();
+  }
+
+  /** Stops replacing numbers due to an error.
+   *
+   * @private
+   * @param {!Error} err Error.
+   */
+  #fail(err) {
+    this.#stopWorkers();
+    this.#batches = [];
+    this.#unsent = [];
+
+    const callback = this.#transformCallback || this.#flushCallback;
+    this.#transformCallback = undefined;
+    this.#flushCallback = undefined;
+    if (callback === undefined) {
+      this.destroy(err);
+    } else {
+      callback(err);
+    }
+  }
+
+  /** Adds complete lines from a chunk of JSON Lines text to batches.
+   *
+   * @param {!Buffer|string} chunk Chunk of JSON Lines text.
+   * @param {string} encoding Encoding of chunk, if it is a string.
+   * @param {function(Error=)} callback Callback.
+   */
+  // eslint-disable-next-line no-underscore-dangle
+  _transform(chunk, encoding, callback) {
+    const text = this.#text
+      + (typeof chunk === 'string' ? chunk : this.#decode(chunk, false));
+    if (text.length < this.#batchSize) {
+      this.#text = text;
+      callback();
+      return;
+    }
+
+    const end = text.lastIndexOf('\n') + 1;
+    this.#text = text.slice(end);
+    if (end > 0) {
+      try {
+        this.#addBatch(text.slice(0, end));
+      } catch (err) {
+        callback(err);
+        return;
+      }
+    }
+
+    if (this.#batches.length < this.#jobs * 2) {
+      callback();
+    } else {
+      this.#transformCallback = callback;
+    }
+  }
+
+  /** Adds any remaining text to a batch and waits for all batches to be
+   * pushed.
+   *
+   * @param {function(Error=)} callback Callback.
+   */
+  // eslint-disable-next-line no-underscore-dangle
+  _flush(callback) {
+    const text = this.#text + this.#decode(Buffer.alloc(0), true);
+    this.#text = '';
+    try {
+      if (text) {
+        this.#addBatch(text);
+      }
+    } catch (err) {
+      callback(err);
+      return;
+    }
+
+    this.#flushCallback = callback;
+    this.#pushResults();
+  }
+
+  /** Stops all worker threads.
+   *
+   * @param {Error} err Error which caused the stream to be destroyed, if
+   * any.
+   * @param {function(Error=)} callback Callback.
+   */
+  // eslint-disable-next-line no-underscore-dangle
+  _destroy(err, callback) {
+    this.#stopWorkers();
+    callback(err);
+  }
+
+  /** Gets the number of numbers which have been replaced by a different
+   * value.
+   *
+   * @returns {number} Number of numbers replaced.
+   */
+  get replacedCount() {
+    return this.#replacedCount;
+  }
+}
+
+module.exports = JsonLinesParallelTransform;
@@ -0,0 +1,110 @@
+/**
+ * Worker thread script which replaces numbers in batches of JSON Lines for
+ * {@link module:json-replace-exponentials/lib/parallel-transform}.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/parallel-worker
+ */
+
+'use strict';
+
+const { parentPort, workerData } = require('node:worker_threads');
+
+const createScanner = require('./create-scanner.js');
+const mayContainExponential = require('./exponential-check.js');
+const createNumberReplacer = require('./number-replacer.js');
+const createErrorCollector = require('./replace-error.js');
+
+const { options } = workerData;
+const replaceNumber = createNumberReplacer(undefined, options);
+
+/** Replaces numbers in a batch of JSON Lines, as
+ * {@link module:json-replace-exponentials.jsonFindExponentials} does.
+ *
+ * @private
+ * @param {string} text Complete lines of JSON Lines text.
+ * @param {number} startLine Line number of the first line of text.
+ * @param {number} startOffset Offset of the first character of text.
+ * @param {boolean} isRecording Whether to record each replacement, rather
+ * than only count them.
+ * @returns {{
+ *   output: string,
+ *   replacedCount: number,
+ *   replacements: (!Array<!object>|undefined),
+ *   errors: (!Array<!object>|undefined)
+ * }} text with numbers replaced, the number of numbers which were replaced,
+ * the
+ * {@link module:json-replace-exponentials/lib/scanner.JsonNumberReplacement}
+ * for each of them, if isRecording, and the
+ * {@link module:json-replace-exponentials/lib/replace-error.ReplaceError} for
+ * each number which was not replaced, if options.collectErrors is true.
+ */
+function replaceBatch(text, startLine, startOffset, isRecording) {
+  const batchOptions = { ...options, startLine, startOffset };
+  const replacements = isRecording ? [] : undefined;
+  const errors = options.collectErrors ? [] : undefined;
+  const collectError = errors === undefined ? (replace) => replace
+    : createErrorCollector((error) => {
+      errors.push(error);
+    });
+  let replacedCount = 0;
+  const recordReplace = (replaceOrThrow) => {
+    const replace = collectError(replaceOrThrow);
+    return (number, location) => {
+      const replacement = replace(number, location);
+      if (replacement !== number) {
+        replacedCount += 1;
+        if (replacements !== undefined) {
+          replacements.push({
+            number,
+            replacement,
+            offset: location.offset,
+            line: location.line,
+            column: location.column,
+            path: location.path,
+          });
+        }
+      }
+      return replacement;
+    };
+  };
+  const scanner = createScanner(replaceNumber, batchOptions, recordReplace);
+  if (!mayContainExponential(text, batchOptions)) {
+    return {
+      output: text,
+      replacedCount,
+      replacements,
+      errors,
+    };
+  }
+
+  const output = scanner.write(text) + scanner.end();
+  return {
+    output,
+    replacedCount,
+    replacements,
+    errors,
+  };
+}
+
+parentPort.on('message', ({
+  text,
+  startLine,
+  startOffset,
+  isRecording,
+}) => {
+  let result;
+  try {
+    result = replaceBatch(text, startLine, startOffset, isRecording);
+  } catch (err) {
+    // Properties of errors (e.g. JsonSyntaxError location) are not cloned
+    parentPort.postMessage({
+      error: err,
+      errorProperties: { ...err, name: err.name },
+    });
+    return;
+  }
+
+  parentPort.postMessage(result);
+});
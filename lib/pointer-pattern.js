@@ -0,0 +1,265 @@
+/**
+ * Glob patterns for JSON Pointers and JSONPath expressions, for selecting
+ * values by location.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/pointer-pattern
+ */
+
+'use strict';
+
+/** RegExp source which matches any number of JSON Pointer reference tokens.
+ *
+ * @private
+ */
+const anyTokensSource = '(?:/[^/]*)*';
+
+/** RegExp which matches a selector in a JSONPath bracket expression, and the
+ * following comma or closing bracket, with the wildcard, index,
+ * single-quoted name, double-quoted name, and delimiter as capture groups.
+ *
+ * @private
+ */
+const bracketSelectorRE =
+  /\s*(?:(\*)|(\d+)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")\s*([,\]])/y;
+
+/** RegExp which matches a JSONPath member name in dot notation.
+ *
+ * @private
+ */
+const dotNameRE = /[^.[]+/y;
+
+/** Escapes characters with special meaning in a RegExp.
+ *
+ * @private
+ * @param {string} text Text to escape.
+ * @returns {string} RegExp source which matches text.
+ */
+function escapeRegExp(text) {
+  return text.replaceAll(/[$()*+.?[\\\]^{|}]/g, '\\$&');
+}
+
+/** Gets a RegExp source which matches a JSON Pointer reference token for a
+ * JSONPath member name or array index.
+ *
+ * @private
+ * @param {string} name Member name or array index.
+ * @returns {string} RegExp source which matches the escaped reference token.
+ */
+function nameToSource(name) {
+  return escapeRegExp(name.replaceAll('~', '~0').replaceAll('/', '~1'));
+}
+
+/** Converts a JSONPath expression (RFC 9535) to a RegExp source which
+ * matches JSON Pointers to the nodes it selects.
+ *
+ * Supports the root identifier, member names in dot and bracket notation,
+ * array indexes, wildcards, unions of these, and descendant segments.
+ *
+ * @private
+ * @param {string} path JSONPath expression, starting with <code>$</code>.
+ * @param {string} name Name of the option with path, for error messages.
+ * @returns {string} RegExp source which matches JSON Pointers selected by
+ * path.
+ * @throws {TypeError} If path is not a supported JSONPath expression.
+ */
+function jsonPathToSource(path, name) {
+  const invalid = () => new TypeError(
+    `${name} contains invalid or unsupported JSONPath '${path}'`,
+  );
+
+  let source = '';
+  let i = 1;
+  while (i < path.length) {
+    let prefix = '/';
+    if (path.startsWith('..', i)) {
+      prefix = `${anyTokensSource}/`;
+      i += 2;
+    } else if (path[i] === '.') {
+      i += 1;
+    } else if (path[i] !== '[') {
+      throw invalid();
+    }
+
+    const alternatives = [];
+    if (path[i] === '[') {
+      i += 1;
+      let delimiter;
+      do {
+        bracketSelectorRE.lastIndex = i;
+        const match = bracketSelectorRE.exec(path);
+        if (!match) {
+          throw invalid();
+        }
+
+        const [
+          selector,
+          wildcard,
+          index,
+          singleQuoted,
+          doubleQuoted,
+        ] = match;
+        if (wildcard) {
+          alternatives.push('[^/]*');
+        } else if (index !== undefined) {
+          alternatives.push(nameToSource(index));
+        } else {
+          // Only escaped quotes and backslashes are supported
+          const quoted = singleQuoted === undefined ? doubleQuoted
+            : singleQuoted;
+          alternatives.push(nameToSource(quoted.replaceAll(/\\(.)/gs, '$1')));
+        }
+        delimiter = match[5];
+        i += selector.length;
+      } while (delimiter === ',');
+    } else {
+      dotNameRE.lastIndex = i;
+      const match = dotNameRE.exec(path);
+      if (!match) {
+        throw invalid();
+      }
+
+      alternatives.push(match[0] === '*' ? '[^/]*' : nameToSource(match[0]));
+      i += match[0].length;
+    }
+
+    source += prefix + (alternatives.length === 1 ? alternatives[0]
+      : `(?:${alternatives.join('|')})`);
+  }
+
+  return source;
+}
+
+/** Converts a glob pattern for a single JSON Pointer reference token to a
+ * RegExp source.
+ *
+ * @private
+ * @param {string} segment Glob pattern for a reference token.
+ * @returns {string} RegExp source which matches (escaped) reference tokens
+ * matched by segment.
+ */
+function segmentToSource(segment) {
+  const alternatives = segment.split('|').map((alternative) => {
+    let source = '';
+    for (const char of alternative) {
+      if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[$()*+.?[\\\]^{|}]/, '\\$&');
+      }
+    }
+    return source;
+  });
+
+  return alternatives.length === 1 ? alternatives[0]
+    : `(?:${alternatives.join('|')})`;
+}
+
+/** Converts a JSON Pointer glob pattern to a RegExp source.
+ *
+ * @private
+ * @param {string} pattern JSON Pointer glob pattern.
+ * @returns {string} RegExp source which matches JSON Pointers matched by
+ * pattern.
+ */
+function pointerPatternToSource(pattern) {
+  let source = '';
+  for (const segment of pattern.split('/').slice(1)) {
+    source += segment === '**' ? anyTokensSource
+      : `/${segmentToSource(segment)}`;
+  }
+
+  return source;
+}
+
+/** Creates a function which determines if a JSON Pointer matches any of
+ * given glob patterns.
+ *
+ * Patterns are JSON Pointers (RFC 6901), with reference tokens escaped
+ * (i.e. <code>~0</code> for <code>~</code> and <code>~1</code> for
+ * <code>/</code>), in which <code>*</code> matches any characters in a
+ * reference token, <code>?</code> matches any single character,
+ * <code>|</code> separates alternative patterns for a reference token, and
+ * <code>**</code> as a reference token matches any number of reference
+ * tokens.  For example, <code>/paths/**&#x2F;example|default</code> matches
+ * <code>/paths/~1pets/get/example</code>.
+ *
+ * Patterns which start with <code>$</code> are JSONPath expressions
+ * (RFC 9535) with member names, array indexes, wildcards, unions, and
+ * descendant segments (e.g. <code>$.paths..['example','default']</code>).
+ * Filter expressions, slices, and negative indexes are not supported.
+ *
+ * @param {!Array<string>} patterns JSON Pointer glob patterns or JSONPath
+ * expressions.
+ * @param {string} name Name of the option with patterns, for error messages.
+ * @param {boolean=} matchDescendants Whether patterns also match JSON
+ * Pointers to descendants of the values they match.  (default: false)
+ * @returns {function(string): boolean} Function which returns true if a
+ * JSON Pointer matches any of patterns, false otherwise.
+ * @throws {TypeError} If patterns is not an Array of JSON Pointer glob
+ * patterns or JSONPath expressions.
+ */
+function createPointerMatcher(patterns, name, matchDescendants) {
+  if (!Array.isArray(patterns)
+    || patterns.some((pattern) => typeof pattern !== 'string'
+      || (pattern !== ''
+        && !pattern.startsWith('/')
+        && !pattern.startsWith('$')))) {
+    throw new TypeError(`${name} must be an Array of JSON Pointer patterns`);
+  }
+
+  const suffix = matchDescendants ? '(?:/.*)?$' : '$';
+  const patternREs = patterns.map((pattern) => new RegExp(
+    `^${pattern.startsWith('$') ? jsonPathToSource(pattern, name)
+      : pointerPatternToSource(pattern)}${suffix}`,
+    's',
+  ));
+  return function matchesPointer(pointer) {
+    return patternREs.some((patternRE) => patternRE.test(pointer));
+  };
+}
+
+/** Options for selecting numbers by location.
+ *
+ * @typedef {{
+ *   only: (!Array<string>|undefined),
+ *   skip: (!Array<string>|undefined)
+ * }} PathFilterOptions
+ * @property {!Array<string>=} only Patterns, as for
+ * {@link createPointerMatcher}, for the values in which numbers are selected.
+ * (default: all values)
+ * @property {!Array<string>=} skip Patterns, as for
+ * {@link createPointerMatcher}, for the values in which numbers are not
+ * selected, even if they match only.  (default: none)
+ */
+// const PathFilterOptions;
+
+/** Creates a function which determines if a number at a given JSON Pointer
+ * is selected by options.only and options.skip.
+ *
+ * A pattern matches a number if it matches the JSON Pointer to the number or
+ * to any value which contains it.
+ *
+ * @param {PathFilterOptions=} options Options.
+ * @returns {function(string): boolean} Function which returns true if a
+ * number at a JSON Pointer is selected, false otherwise.
+ * @throws {TypeError} If options.only or options.skip is not an Array of
+ * patterns.
+ */
+function createPathFilter(options) {
+  const { only, skip } = options || {};
+  const matchesOnly = only === undefined ? undefined
+    : createPointerMatcher(only, 'only', true);
+  const matchesSkip = skip === undefined ? undefined
+    : createPointerMatcher(skip, 'skip', true);
+  return function isSelected(pointer) {
+    return (matchesOnly === undefined || matchesOnly(pointer))
+      && (matchesSkip === undefined || !matchesSkip(pointer));
+  };
+}
+
+module.exports.createPathFilter = createPathFilter;
+module.exports.createPointerMatcher = createPointerMatcher;
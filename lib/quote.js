@@ -0,0 +1,176 @@
+/**
+ * Functions for replacing JSON numbers with strings, and the inverse.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/quote
+ */
+
+'use strict';
+
+const {
+  formatFixed,
+  getDecimalExponent,
+  parseDecimal,
+} = require('./decimal.js');
+const { createPointerMatcher } = require('./pointer-pattern.js');
+
+/** Notations which may be given as options.notation.
+ *
+ * @private
+ */
+const notations = new Set(['fixed', 'original']);
+
+/** RegExp which matches a JSON (or JSON5) string containing only a valid JSON
+ * number, with the number as the second capture group.
+ *
+ * @private
+ */
+const numericStringRE =
+  /^(["'])(-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?)\1$/;
+
+/** Options for replacing numbers with strings.
+ *
+ * @typedef {{
+ *   maxDigits: (number|undefined),
+ *   maxExponent: (number|undefined),
+ *   minExponent: (number|undefined),
+ *   notation: (string|undefined),
+ *   paths: (!Array<string>|undefined)
+ * }} QuoteOptions
+ * @property {number=} maxDigits Maximum number of significant digits in a
+ * number which is not replaced by a string.  (default: Infinity)
+ * @property {number=} maxExponent Maximum exponent, in normalized exponential
+ * notation, of a number which is not replaced by a string.  (default: 20, as
+ * for Number.prototype.toString)
+ * @property {number=} minExponent Minimum exponent, in normalized exponential
+ * notation, of a number which is not replaced by a string.  (default: -6, as
+ * for Number.prototype.toString)
+ * @property {string=} notation Notation of the number in the string:
+ * <code>'fixed'</code> for fixed-point notation without trailing zeros
+ * (default) or <code>'original'</code> for the text of the number.
+ * @property {!Array<string>=} paths Glob patterns for JSON Pointers at
+ * which numbers are always replaced by strings, as for
+ * {@link module:json-replace-exponentials/lib/pointer-pattern}.
+ */
+// const QuoteOptions;
+
+/** Options for replacing numeric strings with numbers.
+ *
+ * @typedef {{
+ *   paths: !Array<string>
+ * }} UnquoteOptions
+ * @property {!Array<string>} paths Glob patterns for JSON Pointers at which
+ * strings containing a JSON number are replaced by the number, as for
+ * {@link module:json-replace-exponentials/lib/pointer-pattern}.
+ */
+// const UnquoteOptions;
+
+/** Checks that an option value is a number and not NaN.
+ *
+ * @private
+ * @param {*} value Option value.
+ * @param {string} name Option name.
+ * @throws {TypeError} If value is not a number or is NaN.
+ */
+function checkNumberOption(value, name) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new TypeError(`${name} must be a number`);
+  }
+}
+
+/** Creates a function which replaces JSON numbers outside of given
+ * thresholds, or at given paths, with JSON strings containing the number,
+ * and returns any other number unchanged.
+ *
+ * Zero is only replaced at options.paths.
+ *
+ * @param {QuoteOptions=} options Options.
+ * @returns {function(string, !module:json-replace-exponentials/lib/scanner
+ * .JsonNumberLocation): string} Function which returns the replacement for a
+ * JSON number at a given location.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ */
+function createNumberQuoter(options) {
+  if (options === undefined) {
+    options = {};
+  } else if (options === null || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  const {
+    maxDigits = Infinity,
+    maxExponent = 20,
+    minExponent = -6,
+    notation = 'fixed',
+    paths = [],
+  } = options;
+  checkNumberOption(maxDigits, 'maxDigits');
+  checkNumberOption(maxExponent, 'maxExponent');
+  checkNumberOption(minExponent, 'minExponent');
+  if (!notations.has(notation)) {
+    throw new TypeError(
+      `notation must be one of ${[...notations].join(', ')}`,
+    );
+  }
+  const matchesPath = createPointerMatcher(paths, 'paths');
+
+  return function quoteNumber(number, location) {
+    const decimal = parseDecimal(number);
+    if (decimal === undefined) {
+      return number;
+    }
+
+    const exponent = getDecimalExponent(decimal);
+    const isOutside = decimal.digits !== ''
+      && (decimal.digits.length > maxDigits
+        || exponent > maxExponent
+        || exponent < minExponent);
+    if (!isOutside && !(location && matchesPath(location.path))) {
+      return number;
+    }
+
+    if (notation === 'original') {
+      return JSON.stringify(number);
+    }
+
+    // Limit memory use of fixed-point notation, as for number-replacer
+    if (exponent > 1000 || exponent < -1000) {
+      throw new RangeError(`${number} exponent exceeds maximum`);
+    }
+
+    return JSON.stringify(formatFixed(decimal));
+  };
+}
+
+/** Creates a function which replaces JSON strings containing a JSON number
+ * at given paths with the number, and returns any other string unchanged.
+ *
+ * Strings which contain escape sequences or white space are not replaced.
+ *
+ * @param {!UnquoteOptions} options Options.
+ * @returns {function(string, !module:json-replace-exponentials/lib/scanner
+ * .JsonNumberLocation): string} Function which returns the replacement for a
+ * JSON string (including quotes) at a given location.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ */
+function createStringUnquoter(options) {
+  if (options === null || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  const matchesPath = createPointerMatcher(options.paths, 'paths');
+  return function unquoteString(string, location) {
+    if (!matchesPath(location.path)) {
+      return string;
+    }
+
+    const match = numericStringRE.exec(string);
+    return match ? match[2] : string;
+  };
+}
+
+module.exports.createNumberQuoter = createNumberQuoter;
+module.exports.createStringUnquoter = createStringUnquoter;
@@ -0,0 +1,88 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/replace-error
+ */
+
+'use strict';
+
+/** Options for collecting errors from replacing numbers.
+ *
+ * @typedef {{
+ *   collectErrors: (boolean|undefined)
+ * }} CollectErrorsOptions
+ * @property {boolean=} collectErrors Leave each number (or string replaced
+ * by replaceString or embedded) unchanged if replacing it throws, and report
+ * a {@link ReplaceError} for it instead of throwing.  Syntax errors for
+ * strict are still thrown.  (default: false)
+ */
+// const CollectErrorsOptions;
+
+/** Error from replacing a number which was left unchanged because the
+ * collectErrors option was given.
+ *
+ * @typedef {{
+ *   number: string,
+ *   reason: string,
+ *   offset: number,
+ *   line: number,
+ *   column: number,
+ *   path: string
+ * }} ReplaceError
+ * @property {string} number Text of the number (or string) which was not
+ * replaced.
+ * @property {string} reason Message of the error thrown when replacing it
+ * (e.g. <code>'1e2000 exponent exceeds maximum'</code>).
+ * @property {number} offset Index of the first character of the number.
+ * @property {number} line Line number of the first character of the number
+ * (starting from 1).
+ * @property {number} column Column number of the first character of the
+ * number (starting from 1).
+ * @property {string} path JSON Pointer (RFC 6901) to the number.
+ */
+// const ReplaceError;
+
+/** Result of replacing numbers with the collectErrors option.
+ *
+ * @typedef {{
+ *   output: string,
+ *   errors: !Array<!ReplaceError>
+ * }} ReplaceResult
+ * @property {string} output Text with numbers replaced.
+ * @property {!Array<!ReplaceError>} errors Error for each number which was
+ * left unchanged, in the order they occur in the text.
+ */
+// const ReplaceResult;
+
+/** Creates a function which wraps a function which replaces numbers so that
+ * numbers which can not be replaced are left unchanged and reported.
+ *
+ * Suitable as the wrapReplace argument of
+ * {@link module:json-replace-exponentials/lib/create-scanner}.
+ *
+ * @param {function(!ReplaceError)} onError Function called with each
+ * number which was left unchanged.
+ * @returns {function(function(string, !object): string):
+ * function(string, !object): string} Function which wraps a function called
+ * with the text and
+ * {@link module:json-replace-exponentials/lib/scanner.JsonNumberLocation} of
+ * a number.
+ */
+module.exports =
+function createErrorCollector(onError) {
+  return (replace) => function replaceOrCollect(number, location) {
+    try {
+      return replace(number, location);
+    } catch (err) {
+      onError({
+        number,
+        reason: err instanceof Error ? err.message : String(err),
+        offset: location.offset,
+        line: location.line,
+        column: location.column,
+        path: location.path,
+      });
+      return number;
+    }
+  };
+};
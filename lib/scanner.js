@@ -0,0 +1,1238 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/scanner
+ */
+
+'use strict';
+
+const JsonSyntaxError = require('./json-syntax-error.js');
+
+/** Scanner state outside of any string or number.
+ *
+ * @private
+ */
+const VALUE = 0;
+
+/** Scanner state inside a string.
+ *
+ * @private
+ */
+const STRING = 1;
+
+/** Scanner state inside a string, immediately after a backslash.
+ *
+ * @private
+ */
+const STRING_ESCAPE = 2;
+
+/** Scanner state inside a number.
+ *
+ * @private
+ */
+const NUMBER = 3;
+
+/** Scanner state inside a Unicode escape sequence in a string (strict only).
+ *
+ * @private
+ */
+const STRING_UNICODE = 4;
+
+/** Scanner state inside true, false, or null (strict only).
+ *
+ * @private
+ */
+const LITERAL = 5;
+
+/** Scanner state after a slash which may start a comment.
+ *
+ * @private
+ */
+const SLASH = 6;
+
+/** Scanner state inside a line comment.
+ *
+ * @private
+ */
+const LINE_COMMENT = 7;
+
+/** Scanner state inside a block comment.
+ *
+ * @private
+ */
+const BLOCK_COMMENT = 8;
+
+/** Scanner state inside a block comment, immediately after an asterisk.
+ *
+ * @private
+ */
+const BLOCK_COMMENT_STAR = 9;
+
+/** Scanner state inside an unquoted identifier (JSON5 only).
+ *
+ * @private
+ */
+const IDENTIFIER = 10;
+
+/** Input formats which may be given as options.format.
+ *
+ * @private
+ */
+const formats = new Set(['json', 'json5', 'jsonc', 'jsonl']);
+
+/** Expecting a value (strict only).
+ *
+ * @private
+ */
+const EXPECT_VALUE = 0;
+
+/** Expecting a value or the end of an array (strict only).
+ *
+ * @private
+ */
+const EXPECT_VALUE_OR_END = 1;
+
+/** Expecting an object key (strict only).
+ *
+ * @private
+ */
+const EXPECT_KEY = 2;
+
+/** Expecting an object key or the end of an object (strict only).
+ *
+ * @private
+ */
+const EXPECT_KEY_OR_END = 3;
+
+/** Expecting a colon after an object key (strict only).
+ *
+ * @private
+ */
+const EXPECT_COLON = 4;
+
+/** Expecting a comma or the end of the current array or object (strict
+ * only).
+ *
+ * @private
+ */
+const EXPECT_COMMA_OR_END = 5;
+
+/** Expecting only white space after the top-level value (strict only).
+ *
+ * @private
+ */
+const EXPECT_NOTHING = 6;
+
+/** RegExp which matches a complete, valid JSON number.
+ * https://tools.ietf.org/html/rfc8259#section-6
+ *
+ * @private
+ */
+const validNumberRE = /^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?$/;
+
+/** Maximum number of characters before or after an error in a snippet.
+ *
+ * @private
+ */
+const snippetContext = 30;
+
+/** Determines if a UTF-16 code unit is a decimal digit.
+ *
+ * @private
+ * @param {number} code UTF-16 code unit.
+ * @returns {boolean} true if code is a decimal digit, false otherwise.
+ */
+function isDigit(code) {
+  return code >= 0x30 && code <= 0x39;
+}
+
+/** Determines if a UTF-16 code unit is a hexadecimal digit.
+ *
+ * @private
+ * @param {number} code UTF-16 code unit.
+ * @returns {boolean} true if code is a hexadecimal digit, false otherwise.
+ */
+function isHexDigit(code) {
+  return isDigit(code)
+    || (code >= 0x41 && code <= 0x46) // A-F
+    || (code >= 0x61 && code <= 0x66); // a-f
+}
+
+/** Determines if a UTF-16 code unit may occur in a JSON5 number.
+ *
+ * @private
+ * @param {number} code UTF-16 code unit.
+ * @returns {boolean} true if code may occur in a JSON number or a
+ * hexadecimal literal, false otherwise.
+ */
+function isJson5NumberChar(code) {
+  return isHexDigit(code)
+    || code === 0x2B // +
+    || code === 0x2D // -
+    || code === 0x2E // .
+    || code === 0x58 // X
+    || code === 0x78; // x
+}
+
+/** Determines if a UTF-16 code unit may occur in a JSON5 identifier.
+ *
+ * Non-ASCII characters are assumed to be identifier characters, other than
+ * JSON5 white space.
+ *
+ * @private
+ * @param {number} code UTF-16 code unit.
+ * @returns {boolean} true if code may occur in an identifier, false
+ * otherwise.
+ */
+function isIdentifierChar(code) {
+  return isDigit(code)
+    || (code >= 0x41 && code <= 0x5A) // A-Z
+    || (code >= 0x61 && code <= 0x7A) // a-z
+    || code === 0x24 // $
+    || code === 0x5C // \
+    || code === 0x5F // _
+    || (code >= 0x80
+      && code !== 0xA0
+      && code !== 0x2028
+      && code !== 0x2029
+      && code !== 0xFEFF);
+}
+
+/** Determines if a UTF-16 code unit is JSON white space.
+ * https://tools.ietf.org/html/rfc8259#section-2
+ *
+ * @private
+ * @param {number} code UTF-16 code unit.
+ * @returns {boolean} true if code is space, tab, line feed, or carriage
+ * return, false otherwise.
+ */
+function isWhitespace(code) {
+  return code === 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+}
+
+/** Determines if a UTF-16 code unit may occur in a JSON number.
+ *
+ * @private
+ * @param {number} code UTF-16 code unit.
+ * @returns {boolean} true if code is a digit, '+', '-', '.', 'e', or 'E',
+ * false otherwise.
+ */
+function isNumberChar(code) {
+  return isDigit(code)
+    || code === 0x2B // +
+    || code === 0x2D // -
+    || code === 0x2E // .
+    || code === 0x45 // E
+    || code === 0x65; // e
+}
+
+/** Escapes a reference token for use in a JSON Pointer.
+ *
+ * @private
+ * @param {string} token Object key or array index.
+ * @returns {string} token with '~' and '/' escaped as in
+ * https://tools.ietf.org/html/rfc6901#section-3
+ */
+function escapePointerToken(token) {
+  return token.replaceAll('~', '~0').replaceAll('/', '~1');
+}
+
+/** Decodes the content of a JSON string (without quotes).
+ *
+ * @private
+ * @param {string} content Characters between the quotes of a JSON string.
+ * @param {number} quote UTF-16 code unit of the quote character (i.e. '"',
+ * or "'" for JSON5).
+ * @returns {string} Decoded string, or content if it is not valid.
+ */
+function decodeStringContent(content, quote) {
+  if (quote === 0x27) { // '
+    // Convert to double-quoted string content for JSON.parse
+    content = content.replaceAll(
+      /\\[\s\S]|"/g,
+      (match) => (match === '"' ? '\\"' : match === "\\'" ? "'" : match),
+    );
+  }
+
+  try {
+    return JSON.parse(`"${content}"`);
+  } catch {
+    return content;
+  }
+}
+
+/** Decodes a JSON5 identifier.
+ *
+ * @private
+ * @param {string} identifier Identifier, which may contain Unicode escape
+ * sequences.
+ * @returns {string} Decoded identifier.
+ */
+function decodeIdentifier(identifier) {
+  return identifier.replaceAll(
+    /\\u([0-9a-fA-F]{4})/g,
+    (match, hex) => String.fromCodePoint(Number.parseInt(hex, 16)),
+  );
+}
+
+/** Gets an excerpt of the line containing a given index in text, followed by
+ * a line with '^' under the character at the index.
+ *
+ * @private
+ * @param {string} text Text containing the index.
+ * @param {number} index Index of the character to mark.  May be text.length
+ * to mark the end of text.
+ * @returns {string} Excerpt and marker line.
+ */
+function getSnippet(text, index) {
+  const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+  let lineEnd = text.indexOf('\n', index);
+  if (lineEnd < 0) {
+    lineEnd = text.length;
+  }
+  if (lineEnd > lineStart && text[lineEnd - 1] === '\r') {
+    lineEnd -= 1;
+  }
+
+  const start = Math.max(lineStart, index - snippetContext);
+  const end = Math.min(lineEnd, index + snippetContext + 1);
+  return `${text.slice(start, end)}\n${' '.repeat(index - start)}^`;
+}
+
+/** Creates a JsonSyntaxError for a character in some text.
+ *
+ * @private
+ * @param {string} message Description of the error.
+ * @param {number} offset Offset of the character in the JSON text.
+ * @param {number} line Line number of the character.
+ * @param {number} lineOffset Offset of the first character of the line.
+ * @param {string} text Text containing the character.
+ * @param {number} textOffset Offset of the first character of text in the
+ * JSON text.
+ * @returns {!JsonSyntaxError} Error for the character.
+ */
+function createSyntaxError(
+  message,
+  offset,
+  line,
+  lineOffset,
+  text,
+  textOffset,
+) {
+  return new JsonSyntaxError(message, {
+    offset,
+    line,
+    column: offset - lineOffset + 1,
+    snippet: getSnippet(text, offset - textOffset),
+  });
+}
+
+/** Options for {@link JsonNumberScanner}.
+ *
+ * @typedef {{
+ *   format: (string|undefined),
+ *   replaceString: (function(string, !JsonNumberLocation): string|undefined),
+ *   startLine: (number|undefined),
+ *   startOffset: (number|undefined),
+ *   strict: (boolean|undefined)
+ * }} ScanOptions
+ * @property {string=} format Format of the input text:
+ * <code>'json'</code> (RFC 8259, default), <code>'jsonc'</code> (JSON with
+ * comments and trailing commas), <code>'json5'</code>
+ * (https://spec.json5.org/), or <code>'jsonl'</code> (JSON Lines, one JSON
+ * value per line).
+ * @property {function(string, !JsonNumberLocation): string=} replaceString
+ * Function called with the text (including quotes) and location of each
+ * string which is not an object key, which returns the text to replace it in
+ * the output.  (default: strings are not replaced)
+ * @property {number=} startLine Line number of the first character of the
+ * text, for the locations of numbers and errors when the text is part of a
+ * larger document (e.g. a code block in Markdown).  The first character must
+ * be at the start of the line.  (default: 1)
+ * @property {number=} startOffset Offset of the first character of the text
+ * in a larger document, as for startLine.  (default: 0)
+ * @property {boolean=} strict Validate that the text is in the given format
+ * and throw {@link JsonSyntaxError} if it is not.  Not supported for
+ * <code>'json5'</code>.
+ */
+// const ScanOptions;
+
+/** Location of a number in JSON text.
+ *
+ * @typedef {{
+ *   offset: number,
+ *   line: number,
+ *   column: number,
+ *   path: string
+ * }} JsonNumberLocation
+ * @property {number} offset Index of the first character of the number in
+ * the JSON text (in UTF-16 code units, starting from 0).
+ * @property {number} line Line number of the first character of the number
+ * (starting from 1).
+ * @property {number} column Column number of the first character of the
+ * number (in UTF-16 code units, starting from 1).
+ * @property {string} path JSON Pointer (RFC 6901) to the number in the JSON
+ * document.
+ */
+// const JsonNumberLocation;
+
+/** A number in JSON text and the text which replaces it.
+ *
+ * @typedef {{
+ *   number: string,
+ *   replacement: string,
+ *   offset: number,
+ *   line: number,
+ *   column: number,
+ *   path: string
+ * }} JsonNumberReplacement
+ * @property {string} number Text of the number in the JSON text.
+ * @property {string} replacement Text which replaces the number.
+ * @property {number} offset Index of the first character of the number in
+ * the JSON text (in UTF-16 code units, starting from 0).
+ * @property {number} line Line number of the first character of the number
+ * (starting from 1).
+ * @property {number} column Column number of the first character of the
+ * number (in UTF-16 code units, starting from 1).
+ * @property {string} path JSON Pointer (RFC 6901) to the number in the JSON
+ * document.
+ */
+// const JsonNumberReplacement;
+
+/** Information about an object or array which contains the current value.
+ *
+ * @private
+ * @typedef {{
+ *   isArray: boolean,
+ *   pointer: string,
+ *   index: number,
+ *   key: string,
+ *   expectKey: boolean
+ * }} ContainerFrame
+ * @property {boolean} isArray true if the container is an array, false if it
+ * is an object.
+ * @property {string} pointer JSON Pointer to the container.
+ * @property {number} index Index of the current element, if isArray.
+ * @property {string} key Key of the current property, if not isArray.
+ * @property {boolean} expectKey true if the next string in the object is a
+ * property key.
+ */
+// const ContainerFrame;
+
+/** Incremental scanner which finds numbers outside of strings in JSON text
+ * which is provided in arbitrarily split chunks and replaces each number with
+ * the result of calling a given function.
+ *
+ * Text which is not part of a number is passed through unchanged.  Numbers
+ * which may continue in the next chunk are retained until the next call to
+ * {@link JsonNumberScanner#write} or {@link JsonNumberScanner#end}.  If the
+ * replaceString option is given, string values are replaced and retained
+ * likewise.
+ *
+ * The scanner tracks object keys and array indexes in order to provide the
+ * location of each number.  It does not validate the JSON unless the strict
+ * option is given.
+ */
+class JsonNumberScanner {
+  /** Function called with each number, which returns its replacement.
+   *
+   * @type {function(string, !JsonNumberLocation): string}
+   */
+  #replaceNumber;
+
+  /** Function called with each string value, which returns its replacement,
+   * if any.
+   *
+   * @type {function(string, !JsonNumberLocation): string|undefined}
+   */
+  #replaceString;
+
+  /** Whether to validate the JSON.
+   *
+   * @type {boolean}
+   */
+  #strict;
+
+  /** Format of the input text.
+   *
+   * @type {string}
+   */
+  #format;
+
+  /** UTF-16 code unit of the quote which started the current string.
+   *
+   * @type {number}
+   */
+  #quote = 0x22;
+
+  /** Current scanner state.
+   *
+   * @type {number}
+   */
+  #state = VALUE;
+
+  /** Next expected token, if strict.
+   *
+   * @type {number}
+   */
+  #expect = EXPECT_VALUE;
+
+  /** Characters remaining in true, false, or null, if state is LITERAL.
+   *
+   * @type {string}
+   */
+  #literal = '';
+
+  /** Number of hexadecimal digits remaining in a Unicode escape sequence, if
+   * state is STRING_UNICODE.
+   *
+   * @type {number}
+   */
+  #hexDigits = 0;
+
+  /** Text of a number which started in a previous chunk.
+   *
+   * @type {string}
+   */
+  #number = '';
+
+  /** Location of the number being scanned.
+   *
+   * @type {JsonNumberLocation}
+   */
+  #numberLocation;
+
+  /** Text of a string value which started in a previous chunk, if strings
+   * are replaced.
+   *
+   * @type {string}
+   */
+  #string = '';
+
+  /** Location of the string value being scanned, if strings are replaced.
+   *
+   * @type {JsonNumberLocation|undefined}
+   */
+  #stringLocation;
+
+  /** Content of an object key which started in a previous chunk, if the
+   * current string is an object key.
+   *
+   * @type {string|undefined}
+   */
+  #key;
+
+  /** Objects and arrays which contain the current value.
+   *
+   * @type {!Array<!ContainerFrame>}
+   */
+  #containers = [];
+
+  /** Offset of the first character of the text.
+   *
+   * @type {number}
+   */
+  #startOffset = 0;
+
+  /** Line number of the first character of the text.
+   *
+   * @type {number}
+   */
+  #startLine = 1;
+
+  /** Offset of the first character of the current chunk.
+   *
+   * @type {number}
+   */
+  #offset = 0;
+
+  /** Current line number.
+   *
+   * @type {number}
+   */
+  #line = 1;
+
+  /** Offset of the first character of the current line.
+   *
+   * @type {number}
+   */
+  #lineOffset = 0;
+
+  /** End of the text before the current chunk, for error snippets, if
+   * strict.
+   *
+   * @type {string}
+   */
+  #tail = '';
+
+  /** Constructs a scanner which replaces numbers using a given function.
+   *
+   * @param {function(string, !JsonNumberLocation): string} replaceNumber
+   * Function called with the text and location of each number outside of a
+   * string, which returns the text to replace it in the output.
+   * @param {ScanOptions=} options Options.
+   * @throws {TypeError} If replaceNumber is not a function.
+   * @throws {TypeError} If options.format is not a supported format, or is
+   * <code>'json5'</code> and options.strict is true.
+   * @throws {TypeError} If options contains another invalid value.
+   */
+  constructor(replaceNumber, options) {
+    if (typeof replaceNumber !== 'function') {
+      throw new TypeError('replaceNumber must be a function');
+    }
+
+    const {
+      format = 'json',
+      replaceString,
+      startLine = 1,
+      startOffset = 0,
+      strict = false,
+    } = options || {};
+    if (!formats.has(format)) {
+      throw new TypeError(
+        `format must be one of ${[...formats].join(', ')}`,
+      );
+    }
+    if (strict && format === 'json5') {
+      throw new TypeError('strict is not supported for format json5');
+    }
+    if (replaceString !== undefined && typeof replaceString !== 'function') {
+      throw new TypeError('replaceString must be a function');
+    }
+    if (!Number.isSafeInteger(startLine) || startLine < 1) {
+      throw new TypeError('startLine must be a positive integer');
+    }
+    if (!Number.isSafeInteger(startOffset) || startOffset < 0) {
+      throw new TypeError('startOffset must be a non-negative integer');
+    }
+
+    this.#replaceNumber = replaceNumber;
+    this.#replaceString = replaceString;
+    this.#strict = Boolean(strict);
+    this.#format = format;
+    this.#startOffset = startOffset;
+    this.#startLine = startLine;
+    this.#offset = startOffset;
+    this.#line = startLine;
+    this.#lineOffset = startOffset;
+  }
+
+  /** Creates a JsonSyntaxError for a character in the current chunk.
+   *
+   * @private
+   * @param {string} message Description of the error.
+   * @param {string} chunk Current chunk.
+   * @param {number} index Index of the character in chunk.
+   * @returns {!JsonSyntaxError} Error for the character.
+   */
+  #chunkSyntaxError(message, chunk, index) {
+    const tail = this.#tail;
+    return createSyntaxError(
+      message,
+      this.#offset + index,
+      this.#line,
+      this.#lineOffset,
+      tail + chunk,
+      this.#offset - tail.length,
+    );
+  }
+
+  /** Creates a JsonSyntaxError for an unexpected character in the current
+   * chunk.
+   *
+   * @private
+   * @param {string} chunk Current chunk.
+   * @param {number} index Index of the character in chunk.
+   * @returns {!JsonSyntaxError} Error for the character.
+   */
+  #unexpectedError(chunk, index) {
+    const char = String.fromCodePoint(chunk.codePointAt(index));
+    return this.#chunkSyntaxError(
+      `Unexpected character ${JSON.stringify(char)}`,
+      chunk,
+      index,
+    );
+  }
+
+  /** Gets a JSON Pointer to the value at the current position.
+   *
+   * @private
+   * @returns {string} JSON Pointer to the current value.
+   */
+  #getPointer() {
+    const containers = this.#containers;
+    if (containers.length === 0) {
+      return '';
+    }
+
+    const container = containers.at(-1);
+    const token = container.isArray ? String(container.index)
+      : escapePointerToken(container.key);
+    return `${container.pointer}/${token}`;
+  }
+
+  /** Updates the expected token after the end of a value.
+   *
+   * @private
+   */
+  #endValue() {
+    this.#expect = this.#containers.length === 0 ? EXPECT_NOTHING
+      : EXPECT_COMMA_OR_END;
+  }
+
+  /** Updates the container state for a structural character outside of any
+   * string or number.
+   *
+   * @private
+   * @param {number} code UTF-16 code unit of the character.
+   */
+  #scanStructural(code) {
+    const containers = this.#containers;
+    const container = containers.at(-1);
+    switch (code) {
+      case 0x2C: // ,
+        if (container) {
+          if (container.isArray) {
+            container.index += 1;
+          } else {
+            container.expectKey = true;
+          }
+        }
+        break;
+
+      case 0x3A: // :
+        if (container && !container.isArray) {
+          container.expectKey = false;
+        }
+        break;
+
+      case 0x5B: // [
+      case 0x7B: // {
+        containers.push({
+          isArray: code === 0x5B,
+          pointer: this.#getPointer(),
+          index: 0,
+          key: '',
+          expectKey: code === 0x7B,
+        });
+        break;
+
+      case 0x5D: // ]
+      case 0x7D: // }
+        containers.pop();
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /** Validates and scans a character outside of any string or number.
+   *
+   * @private
+   * @param {string} chunk Current chunk.
+   * @param {number} index Index of the character in chunk.
+   * @param {number} code UTF-16 code unit of the character.
+   * @returns {number} Scanner state after the character.
+   * @throws {JsonSyntaxError} If the character is not valid at the current
+   * position.
+   */
+  #scanStrict(chunk, index, code) {
+    if (isWhitespace(code)) {
+      return VALUE;
+    }
+
+    const expect = this.#expect;
+    const isValueExpected =
+      expect === EXPECT_VALUE || expect === EXPECT_VALUE_OR_END;
+    const container = this.#containers.at(-1);
+    let isValid = false;
+    switch (code) {
+      case 0x2C: // ,
+        isValid = expect === EXPECT_COMMA_OR_END;
+        if (isValid) {
+          this.#expect = container.isArray ? EXPECT_VALUE : EXPECT_KEY;
+        }
+        break;
+
+      case 0x3A: // :
+        isValid = expect === EXPECT_COLON;
+        if (isValid) {
+          this.#expect = EXPECT_VALUE;
+        }
+        break;
+
+      case 0x5B: // [
+        isValid = isValueExpected;
+        if (isValid) {
+          this.#expect = EXPECT_VALUE_OR_END;
+        }
+        break;
+
+      case 0x7B: // {
+        isValid = isValueExpected;
+        if (isValid) {
+          this.#expect = EXPECT_KEY_OR_END;
+        }
+        break;
+
+      case 0x5D: // ]
+        isValid = container !== undefined
+          && container.isArray
+          && (expect === EXPECT_COMMA_OR_END
+            || expect === EXPECT_VALUE_OR_END
+            // Trailing comma
+            || (expect === EXPECT_VALUE && this.#format === 'jsonc'));
+        break;
+
+      case 0x7D: // }
+        isValid = container !== undefined
+          && !container.isArray
+          && (expect === EXPECT_COMMA_OR_END
+            || expect === EXPECT_KEY_OR_END
+            // Trailing comma
+            || (expect === EXPECT_KEY && this.#format === 'jsonc'));
+        break;
+
+      case 0x66: // f
+        if (isValueExpected) {
+          this.#literal = 'alse';
+          return LITERAL;
+        }
+        break;
+
+      case 0x6E: // n
+        if (isValueExpected) {
+          this.#literal = 'ull';
+          return LITERAL;
+        }
+        break;
+
+      case 0x74: // t
+        if (isValueExpected) {
+          this.#literal = 'rue';
+          return LITERAL;
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    if (!isValid) {
+      throw this.#unexpectedError(chunk, index);
+    }
+
+    this.#scanStructural(code);
+    if (code === 0x5D || code === 0x7D) {
+      this.#endValue();
+    }
+
+    return VALUE;
+  }
+
+  /** Ends the current JSON Lines record at a line feed.
+   *
+   * If the record is incomplete and not strict, scanning continues with the
+   * next record.
+   *
+   * @private
+   * @param {string} chunk Current chunk.
+   * @param {number} index Index of the line feed in chunk.
+   * @returns {number} Scanner state after the line feed.
+   * @throws {JsonSyntaxError} If strict and the record is not complete.
+   */
+  #endRecord(chunk, index) {
+    if (this.#strict) {
+      const expect = this.#expect;
+      if (expect !== EXPECT_NOTHING
+        && (expect !== EXPECT_VALUE || this.#containers.length > 0)) {
+        throw this.#chunkSyntaxError('Unexpected end of line', chunk, index);
+      }
+    }
+
+    this.#expect = EXPECT_VALUE;
+    this.#key = undefined;
+    this.#containers = [];
+    return VALUE;
+  }
+
+  /** Replaces a number which has been completely scanned.
+   *
+   * @private
+   * @param {string} number Text of the number.
+   * @param {string} text Text which may contain the number, for error
+   * snippets.
+   * @param {number} textOffset Offset of the first character of text.
+   * @returns {string} Replacement for number.
+   * @throws {JsonSyntaxError} If strict and number is not a valid JSON
+   * number.
+   */
+  #endNumber(number, text, textOffset) {
+    const location = this.#numberLocation;
+    this.#number = '';
+    this.#numberLocation = undefined;
+    // Set state before calling replaceNumber in case it throws
+    this.#state = VALUE;
+
+    if (this.#strict) {
+      if (!validNumberRE.test(number)) {
+        // Number may start before text if it spans many chunks
+        const isInText = location.offset >= textOffset;
+        throw createSyntaxError(
+          `Invalid number ${number}`,
+          location.offset,
+          location.line,
+          location.offset - location.column + 1,
+          isInText ? text : number,
+          isInText ? textOffset : location.offset,
+        );
+      }
+
+      this.#endValue();
+    }
+
+    return this.#replaceNumber(number, location);
+  }
+
+  /** Replaces a string value which has been completely scanned.
+   *
+   * @private
+   * @param {string} string Text of the string, including quotes.
+   * @returns {string} Replacement for string.
+   */
+  #endString(string) {
+    const location = this.#stringLocation;
+    this.#string = '';
+    this.#stringLocation = undefined;
+    // Set state before calling replaceString in case it throws
+    this.#state = VALUE;
+
+    return this.#replaceString(string, location);
+  }
+
+  /** Gets the location of a character in the current chunk.
+   *
+   * @private
+   * @param {number} index Index of the character in the current chunk.
+   * @returns {!JsonNumberLocation} Location of the character.
+   */
+  #getLocation(index) {
+    const offset = this.#offset + index;
+    return {
+      offset,
+      line: this.#line,
+      column: offset - this.#lineOffset + 1,
+      path: this.#getPointer(),
+    };
+  }
+
+  /** Scans a chunk of JSON text.
+   *
+   * @param {string} chunk JSON text following any previously written chunks.
+   * @returns {string} Text with numbers replaced, up to the last character of
+   * chunk which can not be part of a number (or replaced string) continued in
+   * the next chunk.
+   * @throws {TypeError} If chunk is not a string.
+   * @throws {JsonSyntaxError} If the strict option was given and the JSON
+   * text is not valid.
+   */
+  write(chunk) {
+    if (typeof chunk !== 'string') {
+      throw new TypeError('chunk must be a string');
+    }
+
+    const { length } = chunk;
+    const offset = this.#offset;
+    const strict = this.#strict;
+    const format = this.#format;
+    const isJson5 = format === 'json5';
+    const hasComments = isJson5 || format === 'jsonc';
+    let state = this.#state;
+    let output = '';
+    // Index of first character in chunk not yet added to output
+    let start = 0;
+    // Index of first character of object key in chunk, if scanning a key
+    let keyStart = this.#key === undefined ? -1 : 0;
+    let i = 0;
+    while (i < length) {
+      const code = chunk.codePointAt(i);
+      if (state === VALUE) {
+        if (code === 0x22 || (code === 0x27 && isJson5)) { // " or '
+          const container = this.#containers.at(-1);
+          const isKey = container !== undefined && container.expectKey;
+          if (strict) {
+            const expect = this.#expect;
+            if (isKey
+              ? expect !== EXPECT_KEY && expect !== EXPECT_KEY_OR_END
+              : expect !== EXPECT_VALUE && expect !== EXPECT_VALUE_OR_END) {
+              throw this.#unexpectedError(chunk, i);
+            }
+          }
+
+          state = STRING;
+          this.#quote = code;
+          if (isKey) {
+            keyStart = i + 1;
+            this.#key = '';
+          } else if (this.#replaceString) {
+            output += chunk.slice(start, i);
+            start = i;
+            this.#stringLocation = this.#getLocation(i);
+          }
+        } else if (code === 0x2D
+          || isDigit(code)
+          || (isJson5 && (code === 0x2B || code === 0x2E))) { // + or .
+          if (strict
+            && this.#expect !== EXPECT_VALUE
+            && this.#expect !== EXPECT_VALUE_OR_END) {
+            throw this.#unexpectedError(chunk, i);
+          }
+
+          output += chunk.slice(start, i);
+          start = i;
+          state = NUMBER;
+          this.#numberLocation = this.#getLocation(i);
+        } else if (code === 0x2F && hasComments) { // /
+          state = SLASH;
+        } else if (isJson5 && isIdentifierChar(code)) {
+          state = IDENTIFIER;
+          const container = this.#containers.at(-1);
+          if (container !== undefined && container.expectKey) {
+            keyStart = i;
+            this.#key = '';
+          }
+        } else if (strict) {
+          state = this.#scanStrict(chunk, i, code);
+        } else {
+          this.#scanStructural(code);
+        }
+      } else if (state === STRING) {
+        if (code === this.#quote) {
+          state = VALUE;
+          if (keyStart >= 0) {
+            this.#containers.at(-1).key = decodeStringContent(
+              this.#key + chunk.slice(keyStart, i),
+              this.#quote,
+            );
+            this.#key = undefined;
+            keyStart = -1;
+            this.#expect = EXPECT_COLON;
+          } else {
+            if (strict) {
+              this.#endValue();
+            }
+            if (this.#stringLocation !== undefined) {
+              output +=
+                this.#endString(this.#string + chunk.slice(start, i + 1));
+              start = i + 1;
+            }
+          }
+        } else if (code === 0x5C) { // \
+          state = STRING_ESCAPE;
+        } else if (strict && code < 0x20) {
+          throw this.#chunkSyntaxError(
+            code === 0x0A && format === 'jsonl' ? 'Unterminated string'
+              : 'Unescaped control character in string',
+            chunk,
+            i,
+          );
+        }
+      } else if (state === STRING_ESCAPE) {
+        if (!strict
+          || code === 0x22 // "
+          || code === 0x2F // /
+          || code === 0x5C // \
+          || code === 0x62 // b
+          || code === 0x66 // f
+          || code === 0x6E // n
+          || code === 0x72 // r
+          || code === 0x74) { // t
+          state = STRING;
+        } else if (code === 0x75) { // u
+          state = STRING_UNICODE;
+          this.#hexDigits = 4;
+        } else {
+          throw this.#chunkSyntaxError('Invalid escape sequence', chunk, i);
+        }
+      } else if (state === STRING_UNICODE) {
+        if (!isHexDigit(code)) {
+          throw this.#chunkSyntaxError(
+            'Invalid Unicode escape sequence',
+            chunk,
+            i,
+          );
+        }
+
+        this.#hexDigits -= 1;
+        if (this.#hexDigits === 0) {
+          state = STRING;
+        }
+      } else if (state === LITERAL) {
+        if (code !== this.#literal.codePointAt(0)) {
+          throw this.#unexpectedError(chunk, i);
+        }
+
+        this.#literal = this.#literal.slice(1);
+        if (this.#literal.length === 0) {
+          state = VALUE;
+          this.#endValue();
+        }
+      } else if (state === SLASH) {
+        if (code === 0x2F) { // /
+          state = LINE_COMMENT;
+        } else if (code === 0x2A) { // *
+          state = BLOCK_COMMENT;
+        } else if (strict) {
+          throw this.#chunkSyntaxError(
+            'Unexpected character "/"',
+            chunk,
+            i - 1,
+          );
+        } else {
+          // Not a comment.  Scan this character as a VALUE.
+          state = VALUE;
+          continue;
+        }
+      } else if (state === LINE_COMMENT) {
+        if (code === 0x0A || code === 0x0D) { // \n or \r
+          state = VALUE;
+        }
+      } else if (state === BLOCK_COMMENT) {
+        if (code === 0x2A) { // *
+          state = BLOCK_COMMENT_STAR;
+        }
+      } else if (state === BLOCK_COMMENT_STAR) {
+        if (code === 0x2F) { // /
+          state = VALUE;
+        } else if (code !== 0x2A) { // *
+          state = BLOCK_COMMENT;
+        }
+      } else if (state === IDENTIFIER) {
+        if (!isIdentifierChar(code)) {
+          // Identifier ended before this character.  Scan it as a VALUE.
+          state = VALUE;
+          if (keyStart >= 0) {
+            this.#containers.at(-1).key =
+              decodeIdentifier(this.#key + chunk.slice(keyStart, i));
+            this.#key = undefined;
+            keyStart = -1;
+          }
+          continue;
+        }
+      } else if (!(isJson5 ? isJson5NumberChar(code) : isNumberChar(code))) {
+        // Number ended before this character, which is scanned as a VALUE
+        output += this.#endNumber(
+          this.#number + chunk.slice(start, i),
+          this.#tail + chunk,
+          offset - this.#tail.length,
+        );
+        start = i;
+        state = VALUE;
+        continue;
+      }
+
+      if (code === 0x0A) { // \n
+        if (format === 'jsonl') {
+          state = this.#endRecord(chunk, i);
+          keyStart = -1;
+          if (this.#stringLocation !== undefined) {
+            // Unterminated string is not replaced
+            output += this.#string + chunk.slice(start, i);
+            start = i;
+            this.#string = '';
+            this.#stringLocation = undefined;
+          }
+        }
+
+        this.#line += 1;
+        this.#lineOffset = offset + i + 1;
+      }
+
+      i += 1;
+    }
+
+    if (state === NUMBER) {
+      this.#number += chunk.slice(start);
+    } else if (this.#stringLocation !== undefined) {
+      this.#string += chunk.slice(start);
+    } else {
+      output += chunk.slice(start);
+    }
+
+    if (keyStart >= 0) {
+      this.#key += chunk.slice(keyStart);
+    }
+
+    if (strict) {
+      this.#tail = (this.#tail + chunk).slice(-snippetContext);
+    }
+
+    this.#state = state;
+    this.#offset += length;
+    return output;
+  }
+
+  /** Ends scanning.
+   *
+   * After this method is called, the scanner may be used to scan a new
+   * document.
+   *
+   * @returns {string} Text with numbers replaced which was retained from
+   * previous chunks.
+   * @throws {JsonSyntaxError} If the strict option was given and the JSON
+   * text is not complete or the number at the end is not valid.
+   */
+  end() {
+    try {
+      const offset = this.#offset;
+      const tail = this.#tail;
+      // Unterminated string is not replaced
+      const output = this.#state !== NUMBER ? this.#string
+        : this.#endNumber(this.#number, tail, offset - tail.length);
+
+      const state = this.#state;
+      const expect = this.#expect;
+      const isComplete = (state === VALUE || state === LINE_COMMENT)
+        && (expect === EXPECT_NOTHING
+          // JSON Lines may be empty or end with a line feed
+          || (this.#format === 'jsonl'
+            && expect === EXPECT_VALUE
+            && this.#containers.length === 0));
+      if (this.#strict && !isComplete) {
+        throw createSyntaxError(
+          state === BLOCK_COMMENT || state === BLOCK_COMMENT_STAR
+            ? 'Unterminated comment'
+            : state === STRING
+              || state === STRING_ESCAPE
+              || state === STRING_UNICODE ? 'Unterminated string'
+              : 'Unexpected end of JSON input',
+          offset,
+          this.#line,
+          this.#lineOffset,
+          tail,
+          offset - tail.length,
+        );
+      }
+
+      return output;
+    } finally {
+      this.#state = VALUE;
+      this.#expect = EXPECT_VALUE;
+      this.#quote = 0x22;
+      this.#literal = '';
+      this.#number = '';
+      this.#numberLocation = undefined;
+      this.#string = '';
+      this.#stringLocation = undefined;
+      this.#key = undefined;
+      this.#containers = [];
+      this.#offset = this.#startOffset;
+      this.#line = this.#startLine;
+      this.#lineOffset = this.#startOffset;
+      this.#tail = '';
+    }
+  }
+}
+
+module.exports = JsonNumberScanner;
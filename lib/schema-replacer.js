@@ -0,0 +1,373 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/schema-replacer
+ */
+
+'use strict';
+
+const {
+  formatFixed,
+  getDecimalExponent,
+  parseDecimal,
+  roundDecimal,
+  roundSignificant,
+} = require('./decimal.js');
+const createNumberReplacer = require('./number-replacer.js');
+const { createPathFilter } = require('./pointer-pattern.js');
+
+/** Policies which may be given as options.nonInteger.
+ *
+ * @private
+ */
+const nonIntegerPolicies = new Set(['preserve', 'round', 'throw']);
+
+/** Keywords with an Array of subschemas which all may apply to a value.
+ *
+ * @private
+ */
+const combinerKeywords = ['allOf', 'anyOf', 'oneOf'];
+
+/** Options for replacing numbers based on a schema.
+ *
+ * Also accepts
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplaceOptions}
+ * for replacing numbers in exponential notation which are not described as
+ * integers or strings, or as a format in precision.  options.only and
+ * options.skip apply to all numbers.
+ *
+ * @typedef {{
+ *   schemaPointer: (string|undefined),
+ *   precision: (!Object<string,number>|undefined),
+ *   nonInteger: (string|function(string,!object):string|undefined)
+ * }} SchemaReplaceOptions
+ * @property {string=} schemaPointer JSON Pointer (RFC 6901) to the schema
+ * for the JSON text in the schema document (e.g.
+ * <code>'/components/schemas/Pet'</code> in an OpenAPI document).
+ * (default: <code>''</code>, the whole document)
+ * @property {!Object<string,number>=} precision Number of significant
+ * digits to which numbers are rounded, by the <code>format</code> of their
+ * schema (e.g. <code>{double: 15, decimal: 28}</code>).  Numbers are
+ * rounded using options.roundingMode and converted to fixed-point notation.
+ * @property {(string|function(string,!object):string)=} nonInteger Policy
+ * for numbers with a fractional part where the schema has type
+ * <code>integer</code>: <code>'throw'</code> to throw {@link RangeError}
+ * (default), <code>'preserve'</code> to leave the number unchanged,
+ * <code>'round'</code> to round to an integer using options.roundingMode,
+ * or a function
+ * called with the number and a
+ * {@link module:json-replace-exponentials/lib/scanner.JsonNumberLocation}
+ * which returns its replacement.
+ */
+// const SchemaReplaceOptions;
+
+/** Gets the value at a JSON Pointer in a document.
+ *
+ * @private
+ * @param {*} document Document containing the value.
+ * @param {string} pointer JSON Pointer (RFC 6901) to the value.
+ * @returns {*} Value at pointer in document, or undefined if there is none.
+ */
+function getPointerValue(document, pointer) {
+  if (pointer === '') {
+    return document;
+  }
+
+  if (!pointer.startsWith('/')) {
+    return undefined;
+  }
+
+  let value = document;
+  for (const token of pointer.slice(1).split('/')) {
+    const key = token.replaceAll('~1', '/').replaceAll('~0', '~');
+    if (value === null
+      || typeof value !== 'object'
+      || !Object.hasOwn(value, key)) {
+      return undefined;
+    }
+
+    value = value[key];
+  }
+
+  return value;
+}
+
+/** Gets the schemas which apply to a value described by a given schema,
+ * including those referenced by local <code>$ref</code>s and the subschemas
+ * of <code>allOf</code>, <code>anyOf</code>, and <code>oneOf</code>.
+ *
+ * References to other documents are ignored, since they can not be
+ * resolved.
+ *
+ * @private
+ * @param {*} root Document containing schema.
+ * @param {*} schema Schema to expand.
+ * @param {!Array<!object>} schemas Array to which the expanded schemas are
+ * added.
+ * @param {!Set<!object>=} seen Schemas which have already been expanded, to
+ * avoid infinite recursion for recursive schemas.
+ * @returns {!Array<!object>} schemas.
+ */
+function expandSchema(root, schema, schemas, seen = new Set()) {
+  if (schema === null || typeof schema !== 'object' || seen.has(schema)) {
+    return schemas;
+  }
+
+  seen.add(schema);
+  schemas.push(schema);
+
+  const { $ref } = schema;
+  if (typeof $ref === 'string' && $ref.startsWith('#')) {
+    let pointer;
+    try {
+      pointer = decodeURIComponent($ref.slice(1));
+    } catch {
+      pointer = undefined;
+    }
+    if (pointer !== undefined) {
+      expandSchema(root, getPointerValue(root, pointer), schemas, seen);
+    }
+  }
+
+  for (const keyword of combinerKeywords) {
+    const subschemas = schema[keyword];
+    if (Array.isArray(subschemas)) {
+      for (const subschema of subschemas) {
+        expandSchema(root, subschema, schemas, seen);
+      }
+    }
+  }
+
+  return schemas;
+}
+
+/** Gets the subschemas of a schema which describe the value of a given
+ * property or array element.
+ *
+ * Since a JSON Pointer does not distinguish array indexes from property
+ * names, subschemas for both are returned.
+ *
+ * @private
+ * @param {!object} schema Schema of an object or array.
+ * @param {string} key Property name or array index.
+ * @returns {!Array<*>} Subschemas for key.
+ */
+function getChildSchemas(schema, key) {
+  const children = [];
+
+  const {
+    additionalItems,
+    additionalProperties,
+    items,
+    patternProperties,
+    prefixItems,
+    properties,
+  } = schema;
+  let isPropertyMatched = false;
+  if (properties && Object.hasOwn(properties, key)) {
+    children.push(properties[key]);
+    isPropertyMatched = true;
+  }
+  if (patternProperties && typeof patternProperties === 'object') {
+    for (const [pattern, subschema] of Object.entries(patternProperties)) {
+      let isMatch;
+      try {
+        isMatch = new RegExp(pattern, 'u').test(key);
+      } catch {
+        isMatch = false;
+      }
+      if (isMatch) {
+        children.push(subschema);
+        isPropertyMatched = true;
+      }
+    }
+  }
+  if (!isPropertyMatched) {
+    children.push(additionalProperties);
+  }
+
+  if (/^(?:0|[1-9][0-9]*)$/.test(key)) {
+    const index = Number(key);
+    if (Array.isArray(prefixItems) && index < prefixItems.length) {
+      children.push(prefixItems[index]);
+    } else if (Array.isArray(items)) {
+      children.push(index < items.length ? items[index] : additionalItems);
+    } else {
+      children.push(items);
+    }
+  }
+
+  return children;
+}
+
+/** Gets the schemas which describe the value at a given JSON Pointer in a
+ * document described by given schemas.
+ *
+ * @private
+ * @param {*} root Document containing the schemas.
+ * @param {!Array<!object>} schemas Expanded schemas of the document.
+ * @param {string} path JSON Pointer (RFC 6901) to a value in the document.
+ * @returns {!Array<!object>} Expanded schemas which describe the value.
+ */
+function getPathSchemas(root, schemas, path) {
+  if (path === '') {
+    return schemas;
+  }
+
+  for (const token of path.slice(1).split('/')) {
+    const key = token.replaceAll('~1', '/').replaceAll('~0', '~');
+    const children = [];
+    for (const schema of schemas) {
+      for (const child of getChildSchemas(schema, key)) {
+        expandSchema(root, child, children);
+      }
+    }
+
+    if (children.length === 0) {
+      return children;
+    }
+
+    schemas = children;
+  }
+
+  return schemas;
+}
+
+/** Gets the types allowed by a schema.
+ *
+ * @private
+ * @param {!object} schema Schema.
+ * @returns {!Array<string>} Types allowed by schema, which is empty if the
+ * schema does not restrict the type.
+ */
+function getTypes({ type }) {
+  if (typeof type === 'string') {
+    return [type];
+  }
+
+  return Array.isArray(type) ? type : [];
+}
+
+/** Creates a function which replaces JSON numbers as described by the
+ * schema at their location.
+ *
+ * Numbers which are not selected by options.only and options.skip, as for
+ * {@link module:json-replace-exponentials/lib/pointer-pattern
+ * .createPathFilter}, are left unchanged.
+ * Numbers are left unchanged where their schema has type
+ * <code>string</code> and not <code>number</code> or <code>integer</code>.
+ * Numbers are converted to integers in fixed-point notation where their
+ * schema has type <code>integer</code> and not <code>number</code>.
+ * Numbers are rounded to the precision for their <code>format</code> in
+ * options.precision, if any, and converted to fixed-point notation.
+ * Otherwise, numbers in exponential notation are replaced by fixed-point
+ * notation as for
+ * {@link module:json-replace-exponentials/lib/number-replacer}.
+ *
+ * @private
+ * @param {*} schema JSON Schema or OpenAPI document describing the JSON
+ * text.  Only local <code>$ref</code>s are resolved.
+ * @param {SchemaReplaceOptions=} options Options.
+ * @returns {function(string, !module:json-replace-exponentials/lib/scanner
+ * .JsonNumberLocation): string} Function which returns the replacement for
+ * a JSON number at a given location.
+ * @throws {TypeError} If options is not an object or contains an invalid
+ * value.
+ */
+module.exports =
+function createSchemaReplacer(schema, options) {
+  // Also checks that options is an object and validates ReplaceOptions
+  const replaceExponential = createNumberReplacer(undefined, options);
+
+  const {
+    maxExponent = 1000,
+    nonInteger = 'throw',
+    precision = {},
+    roundingMode,
+    schemaPointer = '',
+  } = options || {};
+  if (typeof nonInteger !== 'function' && !nonIntegerPolicies.has(nonInteger)) {
+    const policies = [...nonIntegerPolicies].join(', ');
+    throw new TypeError(
+      `nonInteger must be a function or one of ${policies}`,
+    );
+  }
+  if (precision === null || typeof precision !== 'object') {
+    throw new TypeError('precision must be an object');
+  }
+  for (const [format, digits] of Object.entries(precision)) {
+    if (!Number.isSafeInteger(digits) || digits < 1) {
+      throw new TypeError(
+        `precision for ${format} must be a positive integer`,
+      );
+    }
+  }
+  if (typeof schemaPointer !== 'string') {
+    throw new TypeError('schemaPointer must be a string');
+  }
+
+  const rootSchema = getPointerValue(schema, schemaPointer);
+  if (rootSchema === undefined) {
+    throw new TypeError(`schemaPointer ${schemaPointer} not found in schema`);
+  }
+  const rootSchemas = expandSchema(schema, rootSchema, []);
+  const isSelected = createPathFilter(options);
+
+  function checkExponent(number, decimal) {
+    const exponent = getDecimalExponent(decimal);
+    if (exponent > maxExponent || exponent < -maxExponent) {
+      throw new RangeError(`${number} exponent exceeds maximum`);
+    }
+  }
+
+  return function replaceNumber(number, location) {
+    if (!isSelected(location.path)) {
+      return number;
+    }
+
+    const schemas = getPathSchemas(schema, rootSchemas, location.path);
+    const types = new Set(schemas.flatMap(getTypes));
+    const isNumeric = types.has('number') || types.has('integer');
+    if (types.has('string') && !isNumeric) {
+      return number;
+    }
+
+    const decimal = parseDecimal(number);
+    if (decimal === undefined) {
+      return number;
+    }
+
+    if (types.has('integer') && !types.has('number')) {
+      checkExponent(number, decimal);
+      if (decimal.exponent < 0) {
+        switch (nonInteger) {
+          case 'preserve':
+            return number;
+          case 'round':
+            return formatFixed(roundDecimal(decimal, 0, roundingMode));
+          case 'throw':
+            throw new RangeError(`${number} is not an integer`);
+          default:
+            return String(nonInteger(number, location));
+        }
+      }
+
+      return formatFixed(decimal);
+    }
+
+    for (const { format } of schemas) {
+      if (typeof format === 'string' && Object.hasOwn(precision, format)) {
+        if (decimal.digits.length <= precision[format]) {
+          break;
+        }
+
+        const rounded =
+          roundSignificant(decimal, precision[format], roundingMode);
+        checkExponent(number, rounded);
+        return formatFixed(rounded);
+      }
+    }
+
+    return replaceExponential(number, location);
+  };
+};
@@ -0,0 +1,168 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/source-map
+ */
+
+'use strict';
+
+/** Digits of the Base64 encoding used by Base64 VLQ.
+ *
+ * @private
+ */
+const base64Digits =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/** Options for creating a source map.
+ *
+ * @typedef {{
+ *   file: (string|undefined),
+ *   source: (string|undefined)
+ * }} SourceMapOptions
+ * @property {string=} file Name of the output file, for the
+ * <code>file</code> property of the source map.  (default: omitted)
+ * @property {string=} source Name of the input file, for the
+ * <code>sources</code> property of the source map.
+ * (default: <code>'input.json'</code>)
+ */
+// const SourceMapOptions;
+
+/** A Source Map (revision 3).
+ * https://tc39.es/source-map/
+ *
+ * @typedef {{
+ *   version: number,
+ *   file: (string|undefined),
+ *   sources: !Array<string>,
+ *   names: !Array<string>,
+ *   mappings: string
+ * }} SourceMap
+ * @property {number} version Version of the source map format (3).
+ * @property {string=} file Name of the output file, if known.
+ * @property {!Array<string>} sources Names of the input files.
+ * @property {!Array<string>} names Symbol names (always empty).
+ * @property {string} mappings Mappings from positions in the output to
+ * positions in the input, encoded as Base64 VLQ.
+ */
+// const SourceMap;
+
+/** Encodes an integer as Base64 VLQ.
+ *
+ * @private
+ * @param {number} value Integer to encode.
+ * @returns {string} value encoded as Base64 VLQ.
+ */
+function encodeVlq(value) {
+  // Sign is stored in the least significant bit
+  let vlq = value < 0 ? (-value * 2) + 1 : value * 2;
+  let encoded = '';
+  do {
+    const digit = vlq % 32;
+    vlq = Math.floor(vlq / 32);
+    // Continuation is stored in the most significant bit of each digit
+    encoded += base64Digits[vlq > 0 ? digit + 32 : digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+/** Creates a source map from JSON text with replaced numbers to the
+ * original JSON text.
+ *
+ * Each replacement is mapped to the number it replaced, and other text is
+ * mapped to the same text in the original.  Lines are separated by line
+ * feeds and columns are in UTF-16 code units, as for the locations of
+ * replacements.
+ *
+ * @param {string} text Original JSON text, before numbers were replaced.
+ * @param {!Array<!module:json-replace-exponentials/lib/scanner
+ * .JsonNumberReplacement>} replacements Replacements in text, in the order
+ * they occur.
+ * @param {SourceMapOptions=} options Options.
+ * @returns {!SourceMap} Source map from the text with replacements to text.
+ */
+module.exports =
+function createSourceMap(text, replacements, {
+  file,
+  source = 'input.json',
+} = {}) {
+  // Mapping segments for each line of output
+  const lines = [[]];
+  // Current position in the output
+  let outColumn = 0;
+  // Current position in the input
+  let inOffset = 0;
+  let inLine = 0;
+  let inLineOffset = 0;
+  // Values of the previous segment, from which segments are relative
+  let prevOutColumn = 0;
+  let prevInLine = 0;
+  let prevInColumn = 0;
+
+  function addSegment(inColumn) {
+    const outDelta = encodeVlq(outColumn - prevOutColumn);
+    const lineDelta = encodeVlq(inLine - prevInLine);
+    const columnDelta = encodeVlq(inColumn - prevInColumn);
+    // Index of source is always 0
+    lines.at(-1).push(`${outDelta}A${lineDelta}${columnDelta}`);
+    prevOutColumn = outColumn;
+    prevInLine = inLine;
+    prevInColumn = inColumn;
+  }
+
+  // Adds output text which corresponds to input text at a given column
+  function addOutput(output, inColumn, isCopy) {
+    addSegment(inColumn);
+    let lineStart = 0;
+    let newline = output.indexOf('\n');
+    while (newline >= 0) {
+      lines.push([]);
+      outColumn = 0;
+      prevOutColumn = 0;
+      lineStart = newline + 1;
+      if (isCopy) {
+        inLine += 1;
+        inLineOffset = inOffset + lineStart;
+      }
+      if (lineStart < output.length) {
+        addSegment(isCopy ? 0 : inColumn);
+      }
+      newline = output.indexOf('\n', lineStart);
+    }
+
+    outColumn += output.length - lineStart;
+  }
+
+  // Adds unchanged text from the input up to a given offset
+  function copyInput(end) {
+    if (end > inOffset) {
+      addOutput(text.slice(inOffset, end), inOffset - inLineOffset, true);
+      inOffset = end;
+    }
+  }
+
+  for (const { number, replacement, offset } of replacements) {
+    copyInput(offset);
+    addOutput(replacement, offset - inLineOffset, false);
+
+    // Advance past the replaced text, which may contain newlines (e.g. in a
+    // string which is not strict JSON)
+    inOffset = offset + number.length;
+    let newline = number.indexOf('\n');
+    while (newline >= 0) {
+      inLine += 1;
+      inLineOffset = offset + newline + 1;
+      newline = number.indexOf('\n', newline + 1);
+    }
+  }
+
+  copyInput(text.length);
+
+  return {
+    version: 3,
+    ...file !== undefined && { file },
+    sources: [source],
+    names: [],
+    mappings: lines.map((segments) => segments.join(',')).join(';'),
+  };
+};
@@ -0,0 +1,103 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/transform-stream
+ */
+
+'use strict';
+
+const createScanner = require('./create-scanner.js');
+const createNumberReplacer = require('./number-replacer.js');
+const createErrorCollector = require('./replace-error.js');
+
+/** Options for {@link JsonReplaceExponentialsTransformStream}.
+ *
+ * Also accepts
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplaceOptions}
+ * for replacing numbers when replacer is undefined (other than only and
+ * skip, which always apply) and
+ * {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions} and
+ * {@link module:json-replace-exponentials/lib/replace-error
+ * .CollectErrorsOptions}.
+ *
+ * @typedef {{
+ *   replacer: (function(string,!object):string|undefined)
+ * }} JsonReplaceExponentialsTransformStreamOptions
+ * @property {(function(string,!object):string)=} replacer Optional replacer
+ * function called with a number in exponential format and a
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplacerContext}
+ * returning a string which will replace the number in the output.
+ */
+// const JsonReplaceExponentialsTransformStreamOptions;
+
+/** Web Streams API TransformStream which replaces numbers in exponential
+ * notation in JSON text written to it.
+ *
+ * Chunks may be strings or BufferSource (decoded as UTF-8).  Chunks read from
+ * the stream are strings.
+ *
+ * If options.collectErrors is true, numbers which can not be replaced are
+ * left unchanged and are available from {@link replaceErrors}.
+ */
+class JsonReplaceExponentialsTransformStream extends TransformStream {
+  /** Errors for numbers which were left unchanged.
+   *
+   * @type {!Array<!module:json-replace-exponentials/lib/replace-error
+   * .ReplaceError>}
+   */
+  #replaceErrors;
+
+  /** Constructs a transform which replaces numbers in exponential notation.
+   *
+   * @param {JsonReplaceExponentialsTransformStreamOptions=} options Options.
+   * @throws {TypeError} If options.replacer is not a function.
+   * @throws {TypeError} If options contains an invalid value.
+   */
+  constructor(options) {
+    const decoder = new TextDecoder();
+    const replaceErrors = [];
+    const scanner = createScanner(
+      createNumberReplacer(options && options.replacer, options),
+      options,
+      options && options.collectErrors
+        ? createErrorCollector((error) => {
+          replaceErrors.push(error);
+        })
+        : undefined,
+    );
+    super({
+      transform(chunk, controller) {
+        const output = scanner.write(
+          typeof chunk === 'string' ? chunk
+            : decoder.decode(chunk, { stream: true }),
+        );
+        if (output) {
+          controller.enqueue(output);
+        }
+      },
+
+      flush(controller) {
+        const output = scanner.write(decoder.decode()) + scanner.end();
+        if (output) {
+          controller.enqueue(output);
+        }
+      },
+    });
+
+    this.#replaceErrors = replaceErrors;
+  }
+
+  /** Gets the errors for numbers which were left unchanged because replacing
+   * them threw and options.collectErrors is true.
+   *
+   * @returns {!Array<!module:json-replace-exponentials/lib/replace-error
+   * .ReplaceError>} Error for each number which was left unchanged so far,
+   * in the order they occur in the input.
+   */
+  get replaceErrors() {
+    return [...this.#replaceErrors];
+  }
+}
+
+module.exports = JsonReplaceExponentialsTransformStream;
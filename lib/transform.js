@@ -0,0 +1,55 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/transform
+ */
+
+'use strict';
+
+const createNumberReplacer = require('./number-replacer.js');
+const JsonNumberTransform = require('./number-transform.js');
+
+/** Options for {@link JsonReplaceExponentialsTransform}.
+ *
+ * Also accepts
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplaceOptions}
+ * for replacing numbers when replacer is undefined (other than only and
+ * skip, which always apply) and
+ * {@link module:json-replace-exponentials/lib/create-scanner
+ * .CreateScannerOptions}.  Any
+ * other options are passed to the {@link module:stream.Transform}
+ * constructor.
+ *
+ * @typedef {{
+ *   replacer: (function(string,!object):string|undefined)
+ * }} JsonReplaceExponentialsTransformOptions
+ * @property {(function(string,!object):string)=} replacer Optional replacer
+ * function called with a number in exponential format and a
+ * {@link module:json-replace-exponentials/lib/number-replacer.ReplacerContext}
+ * returning a string which will replace the number in the output.
+ */
+// const JsonReplaceExponentialsTransformOptions;
+
+/** Transform stream which replaces numbers in exponential notation in JSON
+ * text written to it.
+ *
+ * Buffers are decoded as UTF-8.  Only numbers which span chunk boundaries
+ * are retained between chunks, so memory use does not depend on the size of
+ * the JSON document.
+ */
+class JsonReplaceExponentialsTransform extends JsonNumberTransform {
+  /** Constructs a transform which replaces numbers in exponential notation.
+   *
+   * @param {JsonReplaceExponentialsTransformOptions=} options Options.
+   * @throws {TypeError} If options.replacer is not a function.
+   * @throws {TypeError} If options contains an invalid value.
+   */
+  constructor(options) {
+    super(
+      createNumberReplacer(options && options.replacer, options),
+      options,
+    );
+  }
+}
+
+module.exports = JsonReplaceExponentialsTransform;
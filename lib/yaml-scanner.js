@@ -0,0 +1,939 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module json-replace-exponentials/lib/yaml-scanner
+ */
+
+'use strict';
+
+const JsonNumberScanner = require('./scanner.js');
+
+/** RegExp which matches a plain scalar which is a JSON number.
+ *
+ * @private
+ */
+const numberRE = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[Ee][+-]?\d+)?$/;
+
+/** RegExp which matches a line which starts with a document marker
+ * (YAML 1.2 9.1.4).
+ *
+ * @private
+ */
+const documentMarkerRE = /^(?:---|\.\.\.)(?![^\t ])/;
+
+/** Characters which indicate the start or end of a flow collection entry,
+ * and end a plain scalar in a flow collection (YAML 1.2 7.3.3).
+ *
+ * @private
+ */
+const flowIndicators = new Set([',', '[', ']', '{', '}']);
+
+/** Determines if a character is white space in a line (i.e. space or tab).
+ *
+ * @private
+ * @param {string|undefined} ch Character, if any.
+ * @returns {boolean} true if ch is space or tab, false otherwise.
+ */
+function isSpace(ch) {
+  return ch === ' ' || ch === '\t';
+}
+
+/** Determines if a character after an indicator (e.g. <code>-</code> or
+ * <code>:</code>) separates it from the following text.
+ *
+ * @private
+ * @param {string|undefined} ch Character after the indicator, if any.
+ * @param {boolean} inFlow Whether the indicator is in a flow collection.
+ * @returns {boolean} true if ch is white space, the end of the line, or (if
+ * inFlow) a flow indicator, false otherwise.
+ */
+function isIndicatorEnd(ch, inFlow) {
+  return ch === undefined || isSpace(ch) || (inFlow && flowIndicators.has(ch));
+}
+
+/** Gets the index of the first character in a line at or after a given index
+ * which is not white space.
+ *
+ * @private
+ * @param {string} content Line, without line ending.
+ * @param {number} start Index at which to start.
+ * @returns {number} Index of the first character which is not white space,
+ * or the length of content.
+ */
+function skipSpace(content, start) {
+  let i = start;
+  while (isSpace(content[i])) {
+    i += 1;
+  }
+  return i;
+}
+
+/** Gets the index after the end of a quoted scalar in a line.
+ *
+ * @private
+ * @param {string} content Line, without line ending.
+ * @param {number} start Index of the first character after the opening
+ * quote, or of the first character of a continuation line.
+ * @param {string} quote Quote character (i.e. <code>"</code> or
+ * <code>'</code>).
+ * @returns {number} Index after the closing quote, or -1 if the scalar
+ * continues on the next line.
+ */
+function findQuoteEnd(content, start, quote) {
+  let i = start;
+  while (i < content.length) {
+    const ch = content[i];
+    if (ch === quote) {
+      if (quote === '"' || content[i + 1] !== "'") {
+        return i + 1;
+      }
+
+      // '' is an escaped quote in a single-quoted scalar
+      i += 2;
+    } else {
+      i += ch === '\\' && quote === '"' ? 2 : 1;
+    }
+  }
+
+  return -1;
+}
+
+/** Gets the index of the end of a plain scalar in a line.
+ *
+ * @private
+ * @param {string} content Line, without line ending.
+ * @param {number} start Index of the first character of the scalar.
+ * @param {boolean} inFlow Whether the scalar is in a flow collection.
+ * @returns {number} Index of the comment, mapping value indicator, or flow
+ * indicator which ends the scalar, or the length of content.  The scalar
+ * may be followed by white space before this index.
+ */
+function findPlainEnd(content, start, inFlow) {
+  let i = start;
+  while (i < content.length) {
+    const ch = content[i];
+    if ((ch === '#' && isSpace(content[i - 1]))
+      || (ch === ':' && isIndicatorEnd(content[i + 1], inFlow))
+      || (inFlow && flowIndicators.has(ch))) {
+      break;
+    }
+    i += 1;
+  }
+
+  return i;
+}
+
+/** Gets the index after the last character of a scalar which is not white
+ * space.
+ *
+ * @private
+ * @param {string} content Line, without line ending.
+ * @param {number} start Index of the first character of the scalar.
+ * @param {number} end Index after the scalar and any following white space.
+ * @returns {number} Index after the last character of the scalar.
+ */
+function trimSpaceEnd(content, start, end) {
+  let i = end;
+  while (i > start && isSpace(content[i - 1])) {
+    i -= 1;
+  }
+  return i;
+}
+
+/** Gets the number of spaces which indent a line.
+ *
+ * @private
+ * @param {string} content Line, without line ending.
+ * @returns {number} Number of spaces at the start of content.
+ */
+function getIndent(content) {
+  let i = 0;
+  while (content[i] === ' ') {
+    i += 1;
+  }
+  return i;
+}
+
+/** Gets the value of a scalar which is a mapping key.
+ *
+ * @private
+ * @param {string} text Text of the scalar, including any quotes.
+ * @returns {string} Value of the scalar.  Escape sequences in double-quoted
+ * scalars which are not valid JSON are not decoded.
+ */
+function decodeKey(text) {
+  if (text[0] === '"') {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+
+  return text[0] === "'" ? text.slice(1, -1).replaceAll("''", "'") : text;
+}
+
+/** Escapes a reference token for use in a JSON Pointer.
+ *
+ * @private
+ * @param {string} token Mapping key or sequence index.
+ * @returns {string} token with '~' and '/' escaped as in
+ * https://tools.ietf.org/html/rfc6901#section-3
+ */
+function escapePointerToken(token) {
+  return token.replaceAll('~', '~0').replaceAll('/', '~1');
+}
+
+/** Information about a mapping or sequence which contains the current node.
+ *
+ * @private
+ * @typedef {{
+ *   isArray: boolean,
+ *   indent: number,
+ *   index: number,
+ *   key: string,
+ *   expectKey: boolean,
+ *   isPair: boolean
+ * }} CollectionFrame
+ * @property {boolean} isArray true if the collection is a sequence, false if
+ * it is a mapping.
+ * @property {number} indent Indentation of the entries of a block
+ * collection.
+ * @property {number} index Index of the current entry, if isArray.
+ * @property {string} key Key of the current entry, if not isArray.
+ * @property {boolean} expectKey true if the next scalar in a flow mapping is
+ * a key.
+ * @property {boolean} isPair true if the current entry of a flow sequence is
+ * a single pair mapping (e.g. <code>[a: 1]</code>).
+ */
+// const CollectionFrame;
+
+/** State of the current line while it is scanned.
+ *
+ * @private
+ * @typedef {{
+ *   content: string,
+ *   offset: number,
+ *   output: string,
+ *   copied: number
+ * }} LineState
+ * @property {string} content Line, without line ending.
+ * @property {number} offset Offset of the line in the YAML text.
+ * @property {string} output Output for content before copied.
+ * @property {number} copied Index of the first character of content which
+ * has not been added to output.
+ */
+// const LineState;
+
+/** Incremental scanner which finds numbers in YAML text which is provided in
+ * arbitrarily split chunks, and replaces each number with the result of
+ * calling a given function, as
+ * {@link module:json-replace-exponentials/lib/scanner} does for JSON.
+ *
+ * Numbers are plain (unquoted) scalars which are JSON numbers and are not
+ * mapping keys or tagged (e.g. <code>!!str 1e5</code>).  Other YAML numbers
+ * (e.g. <code>+1e5</code> or <code>0x1F</code>) are not passed to
+ * replaceNumber.  Quoted scalars, block scalars, comments, anchors, aliases,
+ * and directives are passed through unchanged, as is all other text.
+ *
+ * The scanner tracks keys and indexes of block and flow collections to
+ * provide the JSON Pointer to each number.  Keys which are not scalars and
+ * entries of complex mappings (<code>? key</code>) are not scanned.  The
+ * scanner does not validate the YAML.  Lines are retained until they are
+ * complete, and a number at the end of a line is retained until the next
+ * line which is not blank, since it may continue a multi-line scalar.
+ */
+class YamlNumberScanner {
+  /** Function called with each number, which returns its replacement.
+   *
+   * @type {function(string, !object): string}
+   */
+  #replaceNumber;
+
+  /** Offset of the first character of the text.
+   *
+   * @type {number}
+   */
+  #startOffset;
+
+  /** Line number of the first character of the text.
+   *
+   * @type {number}
+   */
+  #startLine;
+
+  /** Offset of the first character of the current line.
+   *
+   * @type {number}
+   */
+  #offset;
+
+  /** Line number of the current line.
+   *
+   * @type {number}
+   */
+  #line;
+
+  /** Start of the current line, retained until it is complete.
+   *
+   * @type {string}
+   */
+  #lineStart = '';
+
+  /** Block collections which contain the current node, outermost first.
+   *
+   * @type {!Array<!CollectionFrame>}
+   */
+  #blocks = [];
+
+  /** Flow collections which contain the current node, outermost first.
+   *
+   * @type {!Array<!CollectionFrame>}
+   */
+  #flows = [];
+
+  /** Whether the current node has a tag.
+   *
+   * @type {boolean}
+   */
+  #isTagged = false;
+
+  /** Quote character of a quoted scalar which continues on the next line.
+   *
+   * @type {string|undefined}
+   */
+  #quote;
+
+  /** Indentation of the collection which contains the current block scalar
+   * and of its content (once known), if in a block scalar.
+   *
+   * @type {{parentIndent: number, indent: (number|undefined)}|undefined}
+   */
+  #blockScalar;
+
+  /** Indentation of the collection which contains a plain scalar which is
+   * not a number and may continue on the next line, if any.
+   *
+   * @type {number|undefined}
+   */
+  #plainIndent;
+
+  /** Number which ends a line and may continue on the next line, with its
+   * location, the text which follows it, and the indentation of the
+   * collection which contains it, if any.
+   *
+   * @type {{
+   *   number: string,
+   *   location: !object,
+   *   text: string,
+   *   parentIndent: number
+   * }|undefined}
+   */
+  #pending;
+
+  /** Constructs a scanner which replaces numbers using a given function.
+   *
+   * @param {function(string, !object): string} replaceNumber Function called
+   * with the text and
+   * {@link module:json-replace-exponentials/lib/scanner.JsonNumberLocation}
+   * of each number, which returns the text to replace it in the output.
+   * @param {module:json-replace-exponentials/lib/scanner.ScanOptions=}
+   * options Options, other than format, replaceString, and strict, which
+   * are not supported.
+   * @throws {TypeError} If replaceNumber is not a function.
+   * @throws {TypeError} If options.replaceString or options.strict is given.
+   * @throws {TypeError} If options contains another invalid value.
+   */
+  constructor(replaceNumber, options) {
+    // Check arguments supported by JsonNumberScanner
+    // eslint-disable-next-line no-new
+    new JsonNumberScanner(replaceNumber, { ...options, format: 'json' });
+
+    const {
+      replaceString,
+      startLine = 1,
+      startOffset = 0,
+      strict,
+    } = options || {};
+    if (replaceString !== undefined) {
+      throw new TypeError('replaceString is not supported for format yaml');
+    }
+    if (strict) {
+      throw new TypeError('strict is not supported for format yaml');
+    }
+
+    this.#replaceNumber = replaceNumber;
+    this.#startOffset = startOffset;
+    this.#startLine = startLine;
+    this.#offset = startOffset;
+    this.#line = startLine;
+  }
+
+  /** Gets the JSON Pointer to the current node.
+   *
+   * @private
+   * @returns {string} JSON Pointer to the current node.
+   */
+  #getPointer() {
+    let pointer = '';
+    for (const frame of [...this.#blocks, ...this.#flows]) {
+      pointer += `/${frame.isArray ? frame.index
+        : escapePointerToken(frame.key)}`;
+    }
+    return pointer;
+  }
+
+  /** Gets the indentation of the block collection which contains the current
+   * node.
+   *
+   * @private
+   * @returns {number} Indentation of the innermost block collection, or -1
+   * if there is none.
+   */
+  #getBlockIndent() {
+    const frame = this.#blocks.at(-1);
+    return frame === undefined ? -1 : frame.indent;
+  }
+
+  /** Updates the block collections for an entry at a given indentation.
+   *
+   * @private
+   * @param {number} indent Column of the entry (starting from 0).
+   * @param {boolean} isArray true if the entry is a sequence entry, false if
+   * it is a mapping key.
+   * @param {string=} key Mapping key, if not isArray.
+   */
+  #addBlockEntry(indent, isArray, key) {
+    const blocks = this.#blocks;
+    while (blocks.length > 0 && blocks.at(-1).indent > indent) {
+      blocks.pop();
+    }
+
+    let frame = blocks.at(-1);
+    // A sequence may have the same indentation as the mapping containing it
+    if (!isArray && frame && frame.isArray && frame.indent === indent) {
+      blocks.pop();
+      frame = blocks.at(-1);
+    }
+
+    if (frame && frame.isArray === isArray && frame.indent === indent) {
+      if (isArray) {
+        frame.index += 1;
+      } else {
+        frame.key = key;
+      }
+    } else {
+      blocks.push({
+        isArray,
+        indent,
+        index: 0,
+        key,
+        expectKey: false,
+        isPair: false,
+      });
+    }
+
+    this.#isTagged = false;
+  }
+
+  /** Starts a flow collection.
+   *
+   * @private
+   * @param {boolean} isArray true if the collection is a sequence, false if
+   * it is a mapping.
+   */
+  #startFlow(isArray) {
+    this.#flows.push({
+      isArray,
+      indent: -1,
+      index: 0,
+      key: '',
+      expectKey: !isArray,
+      isPair: false,
+    });
+    this.#isTagged = false;
+  }
+
+  /** Gets the location of a number in the current line.
+   *
+   * @private
+   * @param {!LineState} line Current line.
+   * @param {number} start Index of the number in the line.
+   * @returns {!module:json-replace-exponentials/lib/scanner.JsonNumberLocation
+   * } Location of the number.
+   */
+  #getLocation(line, start) {
+    return {
+      offset: line.offset + start,
+      line: this.#line,
+      column: start + 1,
+      path: this.#getPointer(),
+    };
+  }
+
+  /** Replaces a number in the current line.
+   *
+   * @private
+   * @param {!LineState} line Current line.
+   * @param {number} start Index of the first character of the number.
+   * @param {number} end Index after the last character of the number.
+   */
+  #replaceAt(line, start, end) {
+    const { content } = line;
+    line.output += content.slice(line.copied, start)
+      + this.#replaceNumber(
+        content.slice(start, end),
+        this.#getLocation(line, start),
+      );
+    line.copied = end;
+  }
+
+  /** Scans a plain scalar which is not a mapping key.
+   *
+   * @private
+   * @param {!LineState} line Current line.
+   * @param {number} start Index of the first character of the scalar.
+   * @param {number} textEnd Index after the last character of the scalar.
+   * @param {number} end Index of the character which ended the scalar, or
+   * the length of the line.
+   */
+  #scanPlainValue(line, start, textEnd, end) {
+    const { content } = line;
+    const isNumber = !this.#isTagged
+      && numberRE.test(content.slice(start, textEnd));
+    this.#isTagged = false;
+    if (end < content.length) {
+      if (isNumber) {
+        this.#replaceAt(line, start, textEnd);
+      }
+      return;
+    }
+
+    const parentIndent = this.#getBlockIndent();
+    if (isNumber) {
+      line.output += content.slice(line.copied, start);
+      line.copied = textEnd;
+      this.#pending = {
+        number: content.slice(start, textEnd),
+        location: this.#getLocation(line, start),
+        text: '',
+        parentIndent,
+      };
+    } else {
+      this.#plainIndent = parentIndent;
+    }
+  }
+
+  /** Scans part of a line in a flow collection.
+   *
+   * @private
+   * @param {!LineState} line Current line.
+   * @param {number} start Index at which to start scanning.
+   */
+  #scanFlow(line, start) {
+    const { content } = line;
+    const flows = this.#flows;
+    let isAfterJson = false;
+    let i = start;
+    while (flows.length > 0) {
+      i = skipSpace(content, i);
+      const ch = content[i];
+      if (ch === undefined
+        || (ch === '#' && (i === 0 || isSpace(content[i - 1])))) {
+        return;
+      }
+
+      const frame = flows.at(-1);
+      const next = content[i + 1];
+      let isJson = false;
+      if (ch === ',') {
+        if (frame.isArray) {
+          frame.index += 1;
+          frame.isPair = false;
+        } else {
+          frame.key = '';
+          frame.expectKey = true;
+        }
+        i += 1;
+      } else if (ch === ']' || ch === '}') {
+        flows.pop();
+        isJson = true;
+        i += 1;
+      } else if (ch === '[' || ch === '{') {
+        this.#startFlow(ch === '[');
+        i += 1;
+      } else if (ch === ':' && (isAfterJson || isIndicatorEnd(next, true))) {
+        if (frame.isArray) {
+          frame.isPair = true;
+        } else {
+          frame.expectKey = false;
+        }
+        i += 1;
+      } else if (ch === '?' && isIndicatorEnd(next, true)) {
+        i += 1;
+      } else if (ch === '&' || ch === '!' || ch === '*') {
+        this.#isTagged ||= ch === '!';
+        while (i < content.length
+          && !isSpace(content[i])
+          && !flowIndicators.has(content[i])) {
+          i += 1;
+        }
+      } else if (ch === '"' || ch === "'") {
+        const end = findQuoteEnd(content, i + 1, ch);
+        if (end === -1) {
+          this.#quote = ch;
+          return;
+        }
+
+        if (!frame.isArray && frame.expectKey) {
+          frame.key = decodeKey(content.slice(i, end));
+          frame.expectKey = false;
+        }
+        this.#isTagged = false;
+        isJson = true;
+        i = end;
+      } else {
+        const end = findPlainEnd(content, i, true);
+        const textEnd = trimSpaceEnd(content, i, end);
+        if (!frame.isArray && frame.expectKey) {
+          frame.key = content.slice(i, textEnd);
+          frame.expectKey = false;
+          this.#isTagged = false;
+        } else if (content[end] === ':' || frame.isPair) {
+          this.#isTagged = false;
+        } else {
+          this.#scanPlainValue(line, i, textEnd, end);
+        }
+        i = end;
+      }
+
+      isAfterJson = isJson;
+    }
+  }
+
+  /** Scans part of a line in block context, starting at a node.
+   *
+   * @private
+   * @param {!LineState} line Current line.
+   * @param {number} start Index at which to start scanning.
+   */
+  #scanBlock(line, start) {
+    const { content } = line;
+    let i = start;
+    for (;;) {
+      i = skipSpace(content, i);
+      const ch = content[i];
+      const next = content[i + 1];
+      if (ch === undefined
+        || ch === '#'
+        || ch === '*'
+        // Complex mapping keys and values are not supported
+        || ((ch === '?' || ch === ':') && isIndicatorEnd(next, false))) {
+        return;
+      }
+
+      if (ch === '-' && isIndicatorEnd(next, false)) {
+        this.#addBlockEntry(i, true);
+        i += 1;
+      } else if (ch === '&' || ch === '!') {
+        this.#isTagged ||= ch === '!';
+        while (i < content.length && !isSpace(content[i])) {
+          i += 1;
+        }
+      } else if (ch === '|' || ch === '>') {
+        const parentIndent = this.#getBlockIndent();
+        const digit = [next, content[i + 2]]
+          .find((c) => c !== undefined && c >= '1' && c <= '9');
+        this.#blockScalar = {
+          parentIndent,
+          indent: digit === undefined ? undefined
+            : Math.max(parentIndent, 0) + Number(digit),
+        };
+        this.#isTagged = false;
+        return;
+      } else if (ch === '[' || ch === '{') {
+        this.#startFlow(ch === '[');
+        this.#scanFlow(line, i + 1);
+        return;
+      } else if (ch === '"' || ch === "'") {
+        const end = findQuoteEnd(content, i + 1, ch);
+        if (end === -1) {
+          this.#quote = ch;
+          return;
+        }
+
+        const after = skipSpace(content, end);
+        if (content[after] !== ':'
+          || !isIndicatorEnd(content[after + 1], false)) {
+          this.#isTagged = false;
+          return;
+        }
+
+        this.#addBlockEntry(i, false, decodeKey(content.slice(i, end)));
+        i = after + 1;
+      } else {
+        const end = findPlainEnd(content, i, false);
+        const textEnd = trimSpaceEnd(content, i, end);
+        if (content[end] !== ':') {
+          this.#scanPlainValue(line, i, textEnd, end);
+          return;
+        }
+
+        this.#addBlockEntry(i, false, content.slice(i, textEnd));
+        i = end + 1;
+      }
+    }
+  }
+
+  /** Determines if a line which is not blank continues a plain scalar.
+   *
+   * @private
+   * @param {string} content Line, without line ending.
+   * @param {number} first Index of the first character which is not white
+   * space.
+   * @param {number} parentIndent Indentation of the collection which
+   * contains the scalar.
+   * @returns {boolean} true if the line continues the scalar, false if the
+   * scalar ended on a previous line.
+   */
+  #continuesPlain(content, first, parentIndent) {
+    const ch = content[first];
+    if (ch === '#') {
+      return false;
+    }
+
+    if (this.#flows.length > 0) {
+      return !flowIndicators.has(ch)
+        && !(ch === ':' && isIndicatorEnd(content[first + 1], true));
+    }
+
+    return first > parentIndent && !documentMarkerRE.test(content);
+  }
+
+  /** Determines if a line is part of the current block scalar.
+   *
+   * @private
+   * @param {string} content Line, without line ending.
+   * @param {number} first Index of the first character which is not white
+   * space.
+   * @returns {boolean} true if the line is part of the block scalar, false
+   * if the block scalar ended on a previous line.
+   */
+  #isInBlockScalar(content, first) {
+    if (first === content.length) {
+      return true;
+    }
+
+    if (documentMarkerRE.test(content)) {
+      return false;
+    }
+
+    const blockScalar = this.#blockScalar;
+    const indent = getIndent(content);
+    if (blockScalar.indent === undefined) {
+      if (indent <= blockScalar.parentIndent) {
+        return false;
+      }
+
+      blockScalar.indent = indent;
+    }
+
+    return indent >= blockScalar.indent;
+  }
+
+  /** Scans the content of a line, after any number retained from previous
+   * lines.
+   *
+   * @private
+   * @param {!LineState} line Current line.
+   * @param {number} first Index of the first character which is not white
+   * space.
+   */
+  #scanContent(line, first) {
+    const { content } = line;
+    if (this.#blockScalar !== undefined) {
+      if (this.#isInBlockScalar(content, first)) {
+        return;
+      }
+
+      this.#blockScalar = undefined;
+    }
+
+    const quote = this.#quote;
+    if (quote !== undefined) {
+      const end = findQuoteEnd(content, 0, quote);
+      if (end !== -1) {
+        this.#quote = undefined;
+        this.#scanFlow(line, end);
+      }
+      return;
+    }
+
+    if (first === content.length) {
+      return;
+    }
+
+    const plainIndent = this.#plainIndent;
+    if (plainIndent !== undefined) {
+      this.#plainIndent = undefined;
+      if (this.#continuesPlain(content, first, plainIndent)) {
+        const end = findPlainEnd(content, first, this.#flows.length > 0);
+        if (end === content.length) {
+          this.#plainIndent = plainIndent;
+        } else {
+          this.#scanFlow(line, end);
+        }
+        return;
+      }
+    }
+
+    if (this.#flows.length > 0) {
+      this.#scanFlow(line, first);
+    } else if (documentMarkerRE.test(content)) {
+      this.#blocks = [];
+      this.#isTagged = false;
+      if (content[0] === '-') {
+        this.#scanBlock(line, 3);
+      }
+    } else if (content[0] !== '%') {
+      this.#scanBlock(line, first);
+    }
+  }
+
+  /** Replaces a number retained from previous lines, if it is not continued
+   * by the current line.
+   *
+   * @private
+   * @param {boolean} isEnded Whether the number ended on a previous line.
+   * @returns {string} Text of the number, or its replacement if isEnded,
+   * and the text which follows it.
+   */
+  #endPending(isEnded) {
+    const { number, location, text } = this.#pending;
+    this.#pending = undefined;
+    return (isEnded ? this.#replaceNumber(number, location) : number) + text;
+  }
+
+  /** Scans a complete line.
+   *
+   * @private
+   * @param {string} text Line of text, including any line ending.
+   * @returns {string} Text with numbers replaced, up to any number which is
+   * retained.
+   */
+  #scanLine(text) {
+    let contentEnd = text.endsWith('\n') ? text.length - 1 : text.length;
+    if (text[contentEnd - 1] === '\r') {
+      contentEnd -= 1;
+    }
+
+    const content = text.slice(0, contentEnd);
+    const first = skipSpace(content, 0);
+    const line = {
+      content,
+      offset: this.#offset,
+      output: '',
+      copied: 0,
+    };
+
+    const pending = this.#pending;
+    if (pending !== undefined) {
+      if (first === content.length) {
+        pending.text += text;
+        return '';
+      }
+
+      const continues =
+        this.#continuesPlain(content, first, pending.parentIndent);
+      line.output = this.#endPending(!continues);
+      if (continues) {
+        this.#plainIndent = pending.parentIndent;
+      }
+    }
+
+    this.#scanContent(line, first);
+
+    const rest = content.slice(line.copied) + text.slice(contentEnd);
+    if (this.#pending !== undefined) {
+      this.#pending.text += rest;
+      return line.output;
+    }
+
+    return line.output + rest;
+  }
+
+  /** Scans a complete line and advances to the next line.
+   *
+   * @private
+   * @param {string} text Line of text, including any line ending.
+   * @returns {string} Text with numbers replaced, up to any number which is
+   * retained.
+   */
+  #writeLine(text) {
+    const output = this.#scanLine(text);
+    this.#offset += text.length;
+    if (text.endsWith('\n')) {
+      this.#line += 1;
+    }
+    return output;
+  }
+
+  /** Scans a chunk of YAML text.
+   *
+   * @param {string} chunk YAML text following any previously written
+   * chunks.
+   * @returns {string} Text with numbers replaced, up to the last character
+   * of chunk which is not retained.
+   * @throws {TypeError} If chunk is not a string.
+   */
+  write(chunk) {
+    if (typeof chunk !== 'string') {
+      throw new TypeError('chunk must be a string');
+    }
+
+    let output = '';
+    let start = 0;
+    let newline = chunk.indexOf('\n');
+    while (newline !== -1) {
+      output += this.#writeLine(
+        this.#lineStart + chunk.slice(start, newline + 1),
+      );
+      this.#lineStart = '';
+      start = newline + 1;
+      newline = chunk.indexOf('\n', start);
+    }
+
+    this.#lineStart += chunk.slice(start);
+    return output;
+  }
+
+  /** Scans any text retained from previous chunks and resets the scanner
+   * to scan a new document.
+   *
+   * @returns {string} Text with numbers replaced which was retained from
+   * previous chunks.
+   */
+  end() {
+    try {
+      let output = this.#lineStart ? this.#writeLine(this.#lineStart) : '';
+      if (this.#pending !== undefined) {
+        output += this.#endPending(true);
+      }
+
+      return output;
+    } finally {
+      this.#lineStart = '';
+      this.#blocks = [];
+      this.#flows = [];
+      this.#isTagged = false;
+      this.#quote = undefined;
+      this.#blockScalar = undefined;
+      this.#plainIndent = undefined;
+      this.#pending = undefined;
+      this.#offset = this.#startOffset;
+      this.#line = this.#startLine;
+    }
+  }
+}
+
+module.exports = YamlNumberScanner;
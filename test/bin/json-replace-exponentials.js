@@ -6,13 +6,125 @@
 'use strict';
 
 const assert = require('node:assert');
+const {
+  mkdtemp,
+  readFile,
+  readdir,
+  rm,
+  writeFile,
+} = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
 const { PassThrough } = require('node:stream');
 
 const jreBin = require('../../bin/json-replace-exponentials.js');
 const packageJson = require('../../package.json');
 
 const sharedArgs = ['node', 'json-replace-exponentials'];
-const usage = 'Usage: json-replace-exponentials <input.json >output.json\n';
+const usage =
+  'Usage: json-replace-exponentials [options] [file...]\n'
+  + `
+Reads JSON from each file, or stdin if no files are given or file is -.
+Files may be glob patterns (e.g. 'specs/**/*.json').
+
+Options:
+  -i, --in-place       Replace numbers in each file (atomically)
+  -o, --output <file>  Write output to file instead of stdout
+  --output-dir <dir>   Write output for each file to the same relative path
+                       in dir
+  --source-map         Write a source map (revision 3) from each output file
+                       to its input file to the output path with .map added
+  --check              Report numbers which would be replaced, without
+                       replacing them, and exit 1 if there are any
+  --lint               Report numbers which JSON.parse can not represent
+                       exactly, and exit 1 if there are any
+  --report-format <format>
+                       Format of --check or --lint report: text or json
+                       (default: text)
+  --diff               Print the changes as a diff instead of the output
+  --diff-format <format>
+                       Format of --diff: unified or json-patch (RFC 6902)
+                       (default: unified)
+  --max-exponent <n>   Maximum absolute exponent to replace (default: 1000)
+  --max-length <n>     Maximum length of a replacement number
+  --overflow <policy>  Policy for numbers exceeding the maximums: throw,
+                       preserve, clamp (--max-exponent only), or substitute
+                       (default: throw)
+  --substitute <text>  Replacement for numbers exceeding the maximums with
+                       --overflow=substitute
+  --significant-digits <n>
+                       Round replacement numbers to at most n significant
+                       digits
+  --fraction-digits <n>
+                       Round replacement numbers to at most n digits after
+                       the decimal point
+  --rounding-mode <mode>
+                       Rounding mode: half-up, half-down, half-even, up,
+                       down, ceiling, or floor (default: half-up)
+  --trim-zeros         Remove trailing zeros after the decimal point
+  --to-exponential     Replace fixed-point numbers with more than
+                       --max-digits digits (default: unlimited) or an
+                       exponent above --max-exponent (default: 20) or below
+                       --min-exponent (default: -6) by exponential notation
+  --quote              Replace numbers with more than --max-digits
+                       significant digits (default: unlimited), an exponent
+                       above --max-exponent (default: 20) or below
+                       --min-exponent (default: -6), or at --quote-path by
+                       strings
+  --quote-notation <notation>
+                       Notation of numbers in --quote strings: fixed or
+                       original (default: fixed)
+  --quote-path <pattern>
+                       Replace numbers at JSON Pointers matching pattern
+                       (e.g. /**/id) by strings (may be repeated)
+  --unquote <pattern>  Replace strings containing a number at JSON Pointers
+                       matching pattern by the number (may be repeated)
+  --canonicalize <form>
+                       Replace every number by its normal form: exact,
+                       fixed, exponential, or jcs (RFC 8785)
+  --schema <file>      Replace numbers as described by the JSON Schema in
+                       file: integers in fixed-point, strings unchanged
+  --schema-pointer <pointer>
+                       JSON Pointer to the schema in --schema file (e.g.
+                       /components/schemas/Pet in an OpenAPI document)
+  --precision <format>=<digits>
+                       Round numbers with format in the schema to digits
+                       significant digits (may be repeated)
+  --non-integer <policy>
+                       Policy for non-integers where the schema has type
+                       integer: throw, preserve, or round (default: throw)
+  --quote-lossy        Replace numbers which JSON.parse can not represent
+                       exactly by strings
+  --lossy-kinds <kinds>
+                       Comma-separated kinds of numbers for --lint and
+                       --quote-lossy: overflow, underflow, unsafe-integer,
+                       precision (default: all)
+  --format <format>    Input format: json, jsonc, json5, jsonl, yaml, or
+                       markdown (code blocks in json, jsonc, json5, or
+                       jsonl) (default: json)
+  --jobs <n>           Replace numbers in --format=jsonl input using n worker
+                       threads
+  --embedded           Also replace numbers in string values which contain
+                       a JSON object or array (e.g. "{\\"x\\":1e-9}")
+  --only <pattern>     Only replace numbers in values at JSON Pointers
+                       matching pattern (e.g. /paths/**) or selected by a
+                       JSONPath (e.g. $..example) (may be repeated)
+  --skip <pattern>     Do not replace numbers in values at JSON Pointers
+                       matching pattern or selected by a JSONPath (may be
+                       repeated)
+  --encoding <enc>     Input encoding: auto, utf-8, utf-16le, utf-16be,
+                       utf-32le, or utf-32be (default: auto, which detects
+                       the encoding from the BOM or null bytes)
+  --preserve-encoding  Write output in the input encoding, with a BOM if the
+                       input had one (default: UTF-8 without BOM)
+  --strict             Validate that input is JSON (RFC 8259).  Output is
+                       streamed, so output before an error is still written
+                       (except with --in-place)
+  --keep-going         Leave numbers which can not be replaced unchanged,
+                       report each of them, and exit 2 if there are any
+  -h, -?, --help       Print this help message and exit
+  -V, --version        Print the version and exit
+`;
 
 function getTestOptions() {
   return {
@@ -22,6 +134,16 @@ function getTestOptions() {
   };
 }
 
+function compareStrings(a, b) {
+  return a.localeCompare(b);
+}
+
+function runBin(args, options) {
+  return new Promise((resolve) => {
+    jreBin([...sharedArgs, ...args], options, resolve);
+  });
+}
+
 function neverCalled() {
   assert.fail('Should not be called');
 }
@@ -82,14 +204,14 @@ describe('json-replace-exponentials', () => {
     );
   });
 
-  it('writes error and exit 1 for unexpected args', (done) => {
+  it('writes error and exit 1 for --in-place without files', (done) => {
     const options = getTestOptions();
-    const result = jreBin([...sharedArgs, 'hi'], options, (code) => {
+    const result = jreBin([...sharedArgs, '-i'], options, (code) => {
       assert.strictEqual(code, 1);
       assert.strictEqual(options.stdout.read(), null);
       assert.strictEqual(
         options.stderr.read(),
-        `Error: Unexpected arguments.\n${usage}`,
+        `Error: --in-place and --output-dir require file arguments\n${usage}`,
       );
       done();
     });
@@ -107,6 +229,57 @@ describe('json-replace-exponentials', () => {
     assert.strictEqual(result, undefined);
   });
 
+  it('writes usage and exit 0 for -?', (done) => {
+    const options = getTestOptions();
+    const result = jreBin([...sharedArgs, '-?'], options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), usage);
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+  });
+
+  it('writes error and exit 1 for unknown option', (done) => {
+    const options = getTestOptions();
+    const result = jreBin([...sharedArgs, '--foo'], options, (code) => {
+      assert.strictEqual(code, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      const stderr = options.stderr.read();
+      assert.match(stderr, /^Error: Unknown option '--foo'/);
+      assert(stderr.endsWith(usage));
+      done();
+    });
+    assert.strictEqual(result, undefined);
+  });
+
+  it('writes error and exit 1 for non-numeric --max-exponent', (done) => {
+    const options = getTestOptions();
+    const args = [...sharedArgs, '--max-exponent', 'big'];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(
+        options.stderr.read(),
+        `Error: Invalid number for --max-exponent: 'big'\n${usage}`,
+      );
+      done();
+    });
+    assert.strictEqual(result, undefined);
+  });
+
+  it('writes error and exit 1 for invalid --overflow', (done) => {
+    const options = getTestOptions();
+    const args = [...sharedArgs, '--overflow=ignore'];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.match(options.stderr.read(), /^Error: overflow must be /);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+  });
+
   it('writes version and exit 0 for --version', (done) => {
     const options = getTestOptions();
     const result = jreBin([...sharedArgs, '--version'], options, (code) => {
@@ -150,52 +323,1391 @@ describe('json-replace-exponentials', () => {
     );
   });
 
-  it('writes error and exit 1 for stdin read error', (done) => {
-    const errTest = new Error('test');
+  it('handles number split across multiple reads', (done) => {
+    const options = getTestOptions();
+    const result = jreBin(sharedArgs, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), '[1.5,0.15]');
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.write('[1.5,1.');
+    setTimeout(
+      () => options.stdin.end('5e-1]'),
+      10,
+    );
+  });
+
+  it('writes error and exit 1 for exponent too large', (done) => {
     const options = getTestOptions();
     const result = jreBin(sharedArgs, options, (code) => {
+      assert.strictEqual(code, 1);
+      assert.strictEqual(
+        options.stderr.read(),
+        'Error: 1e1000000 exponent exceeds maximum\n',
+      );
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end('[1e1000000]');
+  });
+
+  it('applies --max-exponent and --overflow=preserve', (done) => {
+    const options = getTestOptions();
+    const args = [
+      ...sharedArgs,
+      '--max-exponent',
+      '2',
+      '--overflow=preserve',
+    ];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), '[100,1e3]');
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end('[1e2,1e3]');
+  });
+
+  it('applies --max-length and --overflow=substitute', (done) => {
+    const options = getTestOptions();
+    const args = [
+      ...sharedArgs,
+      '--max-length=3',
+      '--overflow=substitute',
+      '--substitute=null',
+    ];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), '[100,null]');
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end('[1e2,1e3]');
+  });
+
+  it('replaces fixed-point with exponential for --to-exponential', (done) => {
+    const options = getTestOptions();
+    const args = [...sharedArgs, '--to-exponential'];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(
+        options.stdout.read(),
+        '[1e21,100000000000000000000,0.000001,1.0e-7]',
+      );
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end(
+      '[1000000000000000000000,100000000000000000000,0.000001,0.00000010]',
+    );
+  });
+
+  it('applies thresholds for --to-exponential', (done) => {
+    const options = getTestOptions();
+    const args = [
+      ...sharedArgs,
+      '--to-exponential',
+      '--max-digits=3',
+      '--max-exponent=5',
+      '--min-exponent=-2',
+    ];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(
+        options.stdout.read(),
+        '[1.234e0,100,1e6,0.01,1e-3]',
+      );
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end('[1.234,100,1000000,0.01,0.001]');
+  });
+
+  it('rounds for --significant-digits and --rounding-mode', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1.2345e-3, 2.5e0, 1.50e1]');
+    const args = [
+      '--significant-digits=2',
+      '--rounding-mode=half-even',
+      '--trim-zeros',
+    ];
+    const code = await runBin(args, options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(options.stdout.read(), '[0.0012, 2.5, 15]');
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('rounds numbers for --fraction-digits', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1.2345e-1]');
+    const code = await runBin(['--fraction-digits=3'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(options.stdout.read(), '[0.123]');
+  });
+
+  it('writes error and exit 1 for unknown --rounding-mode', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--rounding-mode=nearest'], options);
+    assert.strictEqual(code, 1);
+    const modes = 'ceiling, down, floor, half-down, half-even, half-up, up';
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: roundingMode must be one of ${modes}\n${usage}`,
+    );
+  });
+
+  it('replaces numbers with normal form for --canonicalize', (done) => {
+    const options = getTestOptions();
+    const args = [...sharedArgs, '--canonicalize=jcs'];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), '[1,0,1e+30,0.0015]');
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end('[1.0,-0,1.000000000000000000001E30,15e-4]');
+  });
+
+  it('writes error and exit 1 for conflicting modes', (done) => {
+    const options = getTestOptions();
+    const args = [...sharedArgs, '--canonicalize=exact', '--to-exponential'];
+    const result = jreBin(args, options, (code) => {
       assert.strictEqual(code, 1);
       assert.strictEqual(options.stdout.read(), null);
+      const message = '--canonicalize and --to-exponential can not be combined';
       assert.strictEqual(
         options.stderr.read(),
-        `Error reading from stdin: ${errTest}\n`,
+        `Error: ${message}\n${usage}`,
       );
       done();
     });
     assert.strictEqual(result, undefined);
-    options.stdin.emit('error', errTest);
   });
 
-  it('writes error and exit 1 for stdout write error', (done) => {
-    const errTest = new Error('test');
+  it('replaces numbers in valid JSON for --strict', (done) => {
     const options = getTestOptions();
-    // eslint-disable-next-line no-underscore-dangle
-    options.stdout._transform = (chunk, enc, cb) => cb(errTest);
-    const result = jreBin(sharedArgs, options, (code) => {
+    const args = [...sharedArgs, '--strict'];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), '{"a": [100, true]}');
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end('{"a": [1e2, true]}');
+  });
+
+  it('writes error with snippet and exit 1 for invalid --strict', (done) => {
+    const options = getTestOptions();
+    const args = [...sharedArgs, '--strict'];
+    const result = jreBin(args, options, (code) => {
       assert.strictEqual(code, 1);
       assert.strictEqual(
         options.stderr.read(),
-        `Error writing to stdout: ${errTest}\n`,
+        'Error: Unexpected character "]" at line 2 column 13\n'
+        + '  "a": [1e2,]\n'
+        + '            ^\n',
       );
       done();
     });
     assert.strictEqual(result, undefined);
-    options.stdin.end('{}');
+    options.stdin.end('{\n  "a": [1e2,]\n}');
   });
 
-  it('writes error and exit 1 for sync stdout write error', (done) => {
-    const errTest = new Error('test');
+  it('ignores comments for --format=jsonc', (done) => {
     const options = getTestOptions();
-    options.stdout.write = () => { throw errTest; };
-    const result = jreBin(sharedArgs, options, (code) => {
+    const args = [...sharedArgs, '--format=jsonc'];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(
+        options.stdout.read(),
+        '[100, /* "1e2 */ 100,]',
+      );
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end('[1e2, /* "1e2 */ 1e2,]');
+  });
+
+  it('replaces numbers in code blocks for --format=markdown', async () => {
+    const options = getTestOptions();
+    options.stdin.end('Use 1e2:\n```json\n[1e2]\n```\n');
+    const code = await runBin(['--format=markdown'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      'Use 1e2:\n```json\n[100]\n```\n',
+    );
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('replaces numbers in YAML for --format=yaml', async () => {
+    const options = getTestOptions();
+    options.stdin.end('a: 1e2 # 1e2\nb: "1e2"\n');
+    const code = await runBin(['--format=yaml'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(options.stdout.read(), 'a: 100 # 1e2\nb: "1e2"\n');
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('writes output, errors, and exit 2 for --keep-going', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1e2,1e2000,\n-1e-3000]');
+    const code = await runBin(['--keep-going'], options);
+    assert.strictEqual(code, 2);
+    assert.strictEqual(options.stdout.read(), '[100,1e2000,\n-1e-3000]');
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: stdin:1:6: 1e2000 exponent exceeds maximum\n'
+      + 'Error: stdin:2:1: -1e-3000 exponent exceeds maximum\n',
+    );
+  });
+
+  it('exits 0 for --keep-going without errors', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1e2]');
+    const code = await runBin(['--keep-going'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(options.stdout.read(), '[100]');
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('writes error and exit 1 for --keep-going with invalid JSON', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1e2000,]');
+    const code = await runBin(['--keep-going', '--strict'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: stdin:1:2: 1e2000 exponent exceeds maximum\n'
+      + 'Error: Unexpected character "]" at line 1 column 9\n'
+      + '[1e2000,]\n        ^\n',
+    );
+  });
+
+  it('replaces numbers in JSON Lines for --jobs', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a":1e2}\n[2e-1,"1e2"]\n');
+    const code = await runBin(['--format=jsonl', '--jobs=2'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(options.stdout.read(), '{"a":100}\n[0.2,"1e2"]\n');
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('writes error and exit 1 for --jobs without --format=jsonl', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--jobs=2'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: --jobs requires --format=jsonl\n${usage}`,
+    );
+    assert.strictEqual(options.stdout.read(), null);
+  });
+
+  it('writes error and exit 1 for --jobs with --quote', async () => {
+    const options = getTestOptions();
+    const code =
+      await runBin(['--format=jsonl', '--jobs=2', '--quote'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: --jobs can not be combined with --canonicalize, --lint, '
+      + '--quote, --quote-lossy, --schema, --to-exponential, or '
+      + `--unquote\n${usage}`,
+    );
+    assert.strictEqual(options.stdout.read(), null);
+  });
+
+  it('writes error and exit 1 for --jobs=0', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--format=jsonl', '--jobs=0'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: jobs must be a positive integer\n${usage}`,
+    );
+    assert.strictEqual(options.stdout.read(), null);
+  });
+
+  it('writes JsonSyntaxError and exit 1 for --jobs with --strict', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1e2]\n[1e2,]\n');
+    const code =
+      await runBin(['--format=jsonl', '--jobs=2', '--strict'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: Unexpected character "]" at line 2 column 6\n[1e2,]\n     ^\n',
+    );
+  });
+
+  it('replaces numbers in embedded JSON for --embedded', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": "{\\"b\\": 1e-2}", "c": "1e2"}');
+    const code = await runBin(['--embedded'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '{"a": "{\\"b\\": 0.01}", "c": "1e2"}',
+    );
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('writes error and exit 1 for --embedded with --lint', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--embedded', '--lint'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: --embedded can not be combined with --lint or '
+      + `--unquote\n${usage}`,
+    );
+  });
+
+  for (const args of [['--embedded'], ['--unquote=/a']]) {
+    it(`writes error and exit 1 for --format=yaml with ${args}`, async () => {
+      const options = getTestOptions();
+      const code = await runBin(['--format=yaml', ...args], options);
       assert.strictEqual(code, 1);
       assert.strictEqual(
         options.stderr.read(),
-        `Error writing to stdout: ${errTest}\n`,
+        'Error: --format=yaml can not be combined with --embedded or '
+        + `--unquote\n${usage}`,
+      );
+    });
+  }
+
+  it('replaces numbers selected by --only and --skip', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": [1e2, 2e2], "b": 1e2, "c": {"d": 1e2}}');
+    const code = await runBin(
+      ['--only=/a', '--only=$..d', '--skip=$.a[1]'],
+      options,
+    );
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '{"a": [100, 2e2], "b": 1e2, "c": {"d": 100}}',
+    );
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('quotes numbers selected by --only for --quote', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": 1e30, "b": 1e30}');
+    const code = await runBin(['--quote', '--only=/b'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '{"a": 1e30, "b": "1000000000000000000000000000000"}',
+    );
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('unquotes strings not matching --skip for --unquote', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": "1", "b": "2"}');
+    const code = await runBin(['--unquote=/*', '--skip=/a'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(options.stdout.read(), '{"a": "1", "b": 2}');
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('writes error and exit 1 for invalid --only pattern', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--only=$[?@]'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: only contains invalid or unsupported JSONPath '$[?@]'\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for invalid --format', (done) => {
+    const options = getTestOptions();
+    const args = [...sharedArgs, '--format=xml'];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(
+        options.stderr.read(),
+        `Error: format must be one of json, json5, jsonc, jsonl\n${usage}`,
       );
       done();
     });
     assert.strictEqual(result, undefined);
-    options.stdin.end('{}');
+  });
+
+  it('detects UTF-16 input and writes UTF-8 output', (done) => {
+    const options = getTestOptions();
+    const result = jreBin(sharedArgs, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), '["€",100]');
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end(Buffer.from('\u{FEFF}["€",1e2]', 'utf16le'));
+  });
+
+  it('writes output in input encoding for --preserve-encoding', (done) => {
+    const options = {
+      ...getTestOptions(),
+      stdout: new PassThrough(),
+    };
+    const args = [...sharedArgs, '--preserve-encoding'];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.deepStrictEqual(
+        options.stdout.read(),
+        Buffer.from('\u{FEFF}["€",100]', 'utf16le'),
+      );
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end(Buffer.from('\u{FEFF}["€",1e2]', 'utf16le'));
+  });
+
+  it('decodes input using --encoding', (done) => {
+    const options = getTestOptions();
+    const args = [...sharedArgs, '--encoding=utf-16be'];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), '1000');
+      assert.strictEqual(options.stderr.read(), null);
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end(Buffer.from('1e3', 'utf16le').swap16());
+  });
+
+  it('writes error and exit 1 for invalid --encoding', (done) => {
+    const options = getTestOptions();
+    const args = [...sharedArgs, '--encoding=latin1'];
+    const result = jreBin(args, options, (code) => {
+      assert.strictEqual(code, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(
+        options.stderr.read(),
+        'Error: inputEncoding must be auto, utf-8, utf-16le, utf-16be, '
+        + `utf-32le, or utf-32be\n${usage}`,
+      );
+      done();
+    });
+    assert.strictEqual(result, undefined);
+  });
+
+  it('writes error and exit 1 for stdin read error', (done) => {
+    const errTest = new Error('test');
+    const options = getTestOptions();
+    const result = jreBin(sharedArgs, options, (code) => {
+      assert.strictEqual(code, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(
+        options.stderr.read(),
+        `Error reading from stdin: ${errTest}\n`,
+      );
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.emit('error', errTest);
+  });
+
+  it('writes error and exit 1 for stdout write error', (done) => {
+    const errTest = new Error('test');
+    const options = getTestOptions();
+    // eslint-disable-next-line no-underscore-dangle
+    options.stdout._transform = (chunk, enc, cb) => cb(errTest);
+    const result = jreBin(sharedArgs, options, (code) => {
+      assert.strictEqual(code, 1);
+      assert.strictEqual(
+        options.stderr.read(),
+        `Error writing to stdout: ${errTest}\n`,
+      );
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end('{}');
+  });
+
+  it('writes error and exit 1 for sync stdout write error', (done) => {
+    const errTest = new Error('test');
+    const options = getTestOptions();
+    options.stdout.write = () => { throw errTest; };
+    const result = jreBin(sharedArgs, options, (code) => {
+      assert.strictEqual(code, 1);
+      assert.strictEqual(
+        options.stderr.read(),
+        `Error writing to stdout: ${errTest}\n`,
+      );
+      done();
+    });
+    assert.strictEqual(result, undefined);
+    options.stdin.end('{}');
+  });
+
+  it('reports exponentials and exit 1 for --check', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": 1e2,\n "b": [2, 3E-1]}');
+    const code = await runBin(['--check'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stdout.read(),
+      'stdin:1:7: 1e2 -> 100\nstdin:2:11: 3E-1 -> 0.3\n',
+    );
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('reports nothing and exit 0 for --check without matches', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1, "1e2"]');
+    const code = await runBin(['--check'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(options.stdout.read(), null);
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('reports JSON for --check --report-format=json', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1e2]');
+    const code = await runBin(['--check', '--report-format=json'], options);
+    assert.strictEqual(code, 1);
+    assert.deepStrictEqual(JSON.parse(options.stdout.read()), [
+      {
+        file: 'stdin',
+        number: '1e2',
+        replacement: '100',
+        offset: 1,
+        line: 1,
+        column: 2,
+        path: '/0',
+      },
+    ]);
+  });
+
+  it('reports empty JSON Array for --check without exponentials', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1]');
+    const code = await runBin(['--check', '--report-format=json'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(options.stdout.read(), '[]\n');
+  });
+
+  it('reports numbers --canonicalize would change for --check', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1.0, 2]');
+    const code = await runBin(['--check', '--canonicalize=exact'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(options.stdout.read(), 'stdin:1:2: 1.0 -> 1\n');
+  });
+
+  it('writes error and exit 1 for --check with error', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1e2, 1e9999]');
+    const code = await runBin(['--check'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(options.stdout.read(), 'stdin:1:2: 1e2 -> 100\n');
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: stdin: 1e9999 exponent exceeds maximum\n',
+    );
+  });
+
+  it('writes error and exit 1 for --check with --in-place', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--check', '-i', 'a.json'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: --check can not be combined with --in-place, --output, or '
+      + `--output-dir\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for --report-format alone', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--report-format=json'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: --report-format requires --check or --lint\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for unknown --report-format', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--check', '--report-format=xml'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: --report-format must be text or json\n${usage}`,
+    );
+  });
+
+  it('reports lossy numbers and exit 1 for --lint', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": 1e400,\n "b": [1, 9007199254740993, 1e-400]}');
+    const code = await runBin(['--lint'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stdout.read(),
+      "stdin:1:7: 1e400 at '/a' is lossy (overflow)\n"
+      + "stdin:2:11: 9007199254740993 at '/b/1' is lossy (unsafe-integer)\n"
+      + "stdin:2:29: 1e-400 at '/b/2' is lossy (underflow)\n",
+    );
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('reports lossy JSON5 numbers for --lint --format=json5', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[0x10, .5, 5., 0x20000000000000]');
+    const code = await runBin(['--lint', '--format=json5'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stdout.read(),
+      "stdin:1:16: 0x20000000000000 at '/3' is lossy (unsafe-integer)\n",
+    );
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('reports nothing and exit 0 for --lint without lossy', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1e2, 0.1, -0, 9007199254740991]');
+    const code = await runBin(['--lint'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(options.stdout.read(), null);
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('reports JSON for --lint --report-format=json', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[0.10000000000000000001]');
+    const code = await runBin(['--lint', '--report-format=json'], options);
+    assert.strictEqual(code, 1);
+    assert.deepStrictEqual(JSON.parse(options.stdout.read()), [
+      {
+        file: 'stdin',
+        number: '0.10000000000000000001',
+        kind: 'precision',
+        offset: 1,
+        line: 1,
+        column: 2,
+        path: '/0',
+      },
+    ]);
+  });
+
+  it('reports only --lossy-kinds for --lint', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1e400, 9007199254740993, 1e-400]');
+    const code = await runBin(
+      ['--lint', '--lossy-kinds=overflow,underflow'],
+      options,
+    );
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stdout.read(),
+      "stdin:1:2: 1e400 at '/0' is lossy (overflow)\n"
+      + "stdin:1:27: 1e-400 at '/2' is lossy (underflow)\n",
+    );
+  });
+
+  it('quotes lossy numbers for --quote-lossy', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": 1e400, "b": 1e2, "c": 12345678901234567890}');
+    const code = await runBin(['--quote-lossy'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '{"a": "1e400", "b": 1e2, "c": "12345678901234567890"}',
+    );
+  });
+
+  it('quotes only --lossy-kinds for --quote-lossy', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1e400, 12345678901234567890]');
+    const code = await runBin(
+      ['--quote-lossy', '--lossy-kinds=unsafe-integer'],
+      options,
+    );
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '[1e400, "12345678901234567890"]',
+    );
+  });
+
+  it('reports numbers --quote-lossy would quote for --check', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1, 1e400]');
+    const code = await runBin(['--check', '--quote-lossy'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(options.stdout.read(), 'stdin:1:5: 1e400 -> "1e400"\n');
+  });
+
+  it('writes error and exit 1 for --lint with --check', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--lint', '--check'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: --lint can not be combined with --check, --diff, --in-place, '
+      + `--output, or --output-dir\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for --lint with --quote-lossy', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--lint', '--quote-lossy'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: --lint and --quote-lossy can not be combined\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for --quote-lossy with --schema', async () => {
+    const options = getTestOptions();
+    const code = await runBin(
+      ['--quote-lossy', '--schema=schema.json'],
+      options,
+    );
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: --lint and --quote-lossy can not be combined with '
+      + `--canonicalize, --schema, or --to-exponential\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for --lossy-kinds alone', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--lossy-kinds=overflow'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: --lossy-kinds requires --lint or --quote-lossy\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for unknown --lossy-kinds', async () => {
+    const options = getTestOptions();
+    const code =
+      await runBin(['--lint', '--lossy-kinds=overflow,nan'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: Invalid kind for --lossy-kinds: 'nan'\n${usage}`,
+    );
+  });
+
+  it('replaces large and small numbers by strings for --quote', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": 1e21, "b": [1.5e-7, 12.5]}');
+    const code = await runBin(['--quote'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '{"a": "1000000000000000000000", "b": ["0.00000015", 12.5]}',
+    );
+  });
+
+  it('replaces numbers by strings for --quote with options', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": 1.234e3, "b": [{"id": 5}], "c": 1.5e-7}');
+    const code = await runBin(
+      [
+        '--quote',
+        '--max-digits=2',
+        '--min-exponent=-10',
+        '--quote-notation=original',
+        '--quote-path=/**/id',
+      ],
+      options,
+    );
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '{"a": "1.234e3", "b": [{"id": "5"}], "c": 1.5e-7}',
+    );
+  });
+
+  it('replaces numeric strings by numbers for --unquote', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": "1e21", "b": ["1", "x"], "c": "2"}');
+    const code = await runBin(['--unquote=/a', '--unquote=/b/*'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '{"a": 1e21, "b": [1, "x"], "c": "2"}',
+    );
+  });
+
+  it('reports strings --unquote would replace for --check', async () => {
+    const options = getTestOptions();
+    options.stdin.end('["1", 2]');
+    const code = await runBin(['--check', '--unquote=/*'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(options.stdout.read(), 'stdin:1:2: "1" -> 1\n');
+  });
+
+  it('writes error and exit 1 for --quote with --unquote', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--quote', '--unquote=/a'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: --quote and --unquote can not be combined\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for --quote with --canonicalize', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--quote', '--canonicalize=exact'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: --quote and --unquote can not be combined with '
+      + '--canonicalize, --lint, --quote-lossy, --schema, or '
+      + `--to-exponential\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for --quote-path without --quote', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--quote-path=/a'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: --quote-notation and --quote-path require --quote\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for invalid --unquote pattern', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--unquote=a'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: paths must be an Array of JSON Pointer patterns\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for --source-map to stdout', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--source-map'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: --source-map requires --in-place, --output, or '
+      + `--output-dir\n${usage}`,
+    );
+  });
+
+  it('writes unified diff for --diff', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{\n  "a": 1e2,\n  "b": 2\n}\n');
+    const code = await runBin(['--diff'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '--- a/stdin\n'
+      + '+++ b/stdin\n'
+      + '@@ -1,4 +1,4 @@\n'
+      + ' {\n'
+      + '-  "a": 1e2,\n'
+      + '+  "a": 100,\n'
+      + '   "b": 2\n'
+      + ' }\n',
+    );
+    assert.strictEqual(options.stderr.read(), null);
+  });
+
+  it('writes nothing for --diff without changes', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1]');
+    const code = await runBin(['--diff'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(options.stdout.read(), null);
+  });
+
+  it('writes diff of decoded input for --diff', async () => {
+    const options = getTestOptions();
+    options.stdin.end(Buffer.from('\u{FEFF}[1e1]', 'utf16le'));
+    const code = await runBin(['--diff'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '--- a/stdin\n'
+      + '+++ b/stdin\n'
+      + '@@ -1 +1 @@\n'
+      + '-[1e1]\n'
+      + '\\ No newline at end of file\n'
+      + '+[10]\n'
+      + '\\ No newline at end of file\n',
+    );
+  });
+
+  it('writes JSON Patch for --diff-format=json-patch', async () => {
+    const options = getTestOptions();
+    options.stdin.end('{"a": [1, 2e0]}');
+    const code = await runBin(['--diff', '--diff-format=json-patch'], options);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      options.stdout.read(),
+      '[\n  {"op": "replace", "path": "/a/1", "value": 2}\n]\n',
+    );
+  });
+
+  it('writes error and exit 1 for --diff with error', async () => {
+    const options = getTestOptions();
+    options.stdin.end('[1e9999]');
+    const code = await runBin(['--diff'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(options.stdout.read(), null);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: stdin: 1e9999 exponent exceeds maximum\n',
+    );
+  });
+
+  it('writes error and exit 1 for --diff with --check', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--diff', '--check'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: --diff can not be combined with --check, --in-place, --output, '
+      + `or --output-dir\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for --diff-format alone', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--diff-format=unified'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: --diff-format requires --diff\n${usage}`,
+    );
+  });
+
+  it('writes error and exit 1 for unknown --diff-format', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--diff', '--diff-format=context'], options);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(
+      options.stderr.read(),
+      `Error: --diff-format must be unified or json-patch\n${usage}`,
+    );
+  });
+
+  for (const format of ['jsonl', 'markdown']) {
+    it(`writes error and exit 1 for json-patch with ${format}`, async () => {
+      const options = getTestOptions();
+      const code = await runBin(
+        ['--diff', '--diff-format=json-patch', `--format=${format}`],
+        options,
+      );
+      assert.strictEqual(code, 1);
+      assert.strictEqual(
+        options.stderr.read(),
+        'Error: --diff-format=json-patch can not be used with --format=jsonl '
+        + `or --format=markdown\n${usage}`,
+      );
+    });
+  }
+
+  describe('with files', () => {
+    let tempDir;
+    beforeEach(async () => {
+      tempDir = await mkdtemp(path.join(os.tmpdir(), 'jre-test-'));
+      await writeFile(path.join(tempDir, 'a.json'), '[1e2]');
+      await writeFile(path.join(tempDir, 'b.json'), '{"b": 2e1, "c": 3e0}');
+    });
+
+    afterEach(() => rm(tempDir, { recursive: true, force: true }));
+
+    it('writes each file to stdout with summary', async () => {
+      const options = getTestOptions();
+      const fileA = path.join(tempDir, 'a.json');
+      const fileB = path.join(tempDir, 'b.json');
+      const code = await runBin([fileA, fileB], options);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), '[100]{"b": 20, "c": 3}');
+      assert.strictEqual(
+        options.stderr.read(),
+        `${fileA}: replaced 1 number\n`
+        + `${fileB}: replaced 2 numbers\n`
+        + 'Replaced 3 numbers in 2 files\n',
+      );
+    });
+
+    it('expands glob patterns', async () => {
+      const options = getTestOptions();
+      const code = await runBin([path.join(tempDir, '*.json')], options);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), '[100]{"b": 20, "c": 3}');
+    });
+
+    it('writes error and exit 1 for glob without matches', async () => {
+      const options = getTestOptions();
+      const pattern = path.join(tempDir, '*.json5');
+      const code = await runBin([pattern], options);
+      assert.strictEqual(code, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(
+        options.stderr.read(),
+        `Error: No files match '${pattern}'\n`,
+      );
+    });
+
+    it('writes error, continues, and exit 1 for missing file', async () => {
+      const options = getTestOptions();
+      const missing = path.join(tempDir, 'missing.json');
+      const fileA = path.join(tempDir, 'a.json');
+      const code = await runBin([missing, fileA], options);
+      assert.strictEqual(code, 1);
+      assert.strictEqual(options.stdout.read(), '[100]');
+      assert.match(
+        options.stderr.read(),
+        /^Error: .*missing\.json: ENOENT: .*\n.*a\.json: replaced 1 number\n/,
+      );
+    });
+
+    it('replaces numbers in files for --in-place', async () => {
+      const options = getTestOptions();
+      const code = await runBin(['-i', path.join(tempDir, '*.json')], options);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(
+        await readFile(path.join(tempDir, 'a.json'), 'utf8'),
+        '[100]',
+      );
+      assert.strictEqual(
+        await readFile(path.join(tempDir, 'b.json'), 'utf8'),
+        '{"b": 20, "c": 3}',
+      );
+      const files = await readdir(tempDir);
+      assert.deepStrictEqual(files.toSorted(compareStrings), [
+        'a.json',
+        'b.json',
+      ]);
+    });
+
+    it('does not modify file or leave temp file on error', async () => {
+      const options = getTestOptions();
+      const fileA = path.join(tempDir, 'a.json');
+      await writeFile(fileA, '[1e2,1e9999]');
+      const code = await runBin(['--in-place', fileA], options);
+      assert.strictEqual(code, 1);
+      assert.strictEqual(await readFile(fileA, 'utf8'), '[1e2,1e9999]');
+      const files = await readdir(tempDir);
+      assert.deepStrictEqual(files.toSorted(compareStrings), [
+        'a.json',
+        'b.json',
+      ]);
+      assert.strictEqual(
+        options.stderr.read(),
+        `Error: ${fileA}: 1e9999 exponent exceeds maximum\n`,
+      );
+    });
+
+    it('writes to file for --output', async () => {
+      const options = getTestOptions();
+      const output = path.join(tempDir, 'out.json');
+      const args = ['-o', output, path.join(tempDir, 'b.json')];
+      const code = await runBin(args, options);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(
+        await readFile(output, 'utf8'),
+        '{"b": 20, "c": 3}',
+      );
+    });
+
+    it('writes stdin to file for --output', async () => {
+      const options = getTestOptions();
+      const output = path.join(tempDir, 'out.json');
+      options.stdin.end('[1e1]');
+      const code = await runBin(['--output', output], options);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(await readFile(output, 'utf8'), '[10]');
+      assert.strictEqual(options.stderr.read(), null);
+    });
+
+    it('writes error and exit 1 for --output with input path', async () => {
+      const options = getTestOptions();
+      const fileA = path.join(tempDir, 'a.json');
+      const code = await runBin(['--output', fileA, fileA], options);
+      assert.strictEqual(code, 1);
+      assert.strictEqual(await readFile(fileA, 'utf8'), '[1e2]');
+      assert.strictEqual(
+        options.stderr.read(),
+        `Error: ${fileA}: Output would overwrite input.  Use --in-place.\n`,
+      );
+    });
+
+    it('writes error and exit 1 for --output with multiple files', async () => {
+      const options = getTestOptions();
+      const args = [
+        '--output',
+        path.join(tempDir, 'out.json'),
+        path.join(tempDir, '*.json'),
+      ];
+      const code = await runBin(args, options);
+      assert.strictEqual(code, 1);
+      assert.strictEqual(
+        options.stderr.read(),
+        'Error: --output can not be used with multiple files.\n',
+      );
+    });
+
+    it('reports exponentials in each file for --check', async () => {
+      const options = getTestOptions();
+      const fileA = path.join(tempDir, 'a.json');
+      const fileB = path.join(tempDir, 'b.json');
+      const code = await runBin(['--check', fileA, fileB], options);
+      assert.strictEqual(code, 1);
+      assert.strictEqual(
+        options.stdout.read(),
+        `${fileA}:1:2: 1e2 -> 100\n`
+        + `${fileB}:1:7: 2e1 -> 20\n`
+        + `${fileB}:1:17: 3e0 -> 3\n`,
+      );
+      assert.strictEqual(await readFile(fileA, 'utf8'), '[1e2]');
+    });
+
+    it('writes diff of each file for --diff', async () => {
+      const options = getTestOptions();
+      const fileA = path.join(tempDir, 'a.json');
+      const fileB = path.join(tempDir, 'b.json');
+      const code = await runBin(['--diff', fileA, fileB], options);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(
+        options.stdout.read(),
+        `--- a/${fileA}\n`
+        + `+++ b/${fileA}\n`
+        + '@@ -1 +1 @@\n'
+        + '-[1e2]\n'
+        + '\\ No newline at end of file\n'
+        + '+[100]\n'
+        + '\\ No newline at end of file\n'
+        + `--- a/${fileB}\n`
+        + `+++ b/${fileB}\n`
+        + '@@ -1 +1 @@\n'
+        + '-{"b": 2e1, "c": 3e0}\n'
+        + '\\ No newline at end of file\n'
+        + '+{"b": 20, "c": 3}\n'
+        + '\\ No newline at end of file\n',
+      );
+      assert.strictEqual(await readFile(fileA, 'utf8'), '[1e2]');
+    });
+
+    it('writes error and exit 1 for JSON Patch of many files', async () => {
+      const options = getTestOptions();
+      const args = [
+        '--diff',
+        '--diff-format=json-patch',
+        path.join(tempDir, '*.json'),
+      ];
+      const code = await runBin(args, options);
+      assert.strictEqual(code, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(
+        options.stderr.read(),
+        'Error: --diff-format=json-patch can not be used with multiple '
+        + 'files.\n',
+      );
+    });
+
+    it('writes each file to directory for --output-dir', async () => {
+      const options = getTestOptions();
+      const outputDir = path.join(tempDir, 'out');
+      const args = [
+        '--output-dir',
+        outputDir,
+        path.join(tempDir, '*.json'),
+      ];
+      const code = await runBin(args, options);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(
+        await readFile(path.join(outputDir, 'a.json'), 'utf8'),
+        '[100]',
+      );
+      assert.strictEqual(
+        await readFile(path.join(outputDir, 'b.json'), 'utf8'),
+        '{"b": 20, "c": 3}',
+      );
+    });
+
+    it('writes source map for --output --source-map', async () => {
+      const options = getTestOptions();
+      const output = path.join(tempDir, 'out', 'b.out.json');
+      const args = ['--source-map', '-o', output, path.join(tempDir, 'b.json')];
+      const code = await runBin(args, options);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(await readFile(output, 'utf8'), '{"b": 20, "c": 3}');
+      assert.deepStrictEqual(
+        JSON.parse(await readFile(`${output}.map`, 'utf8')),
+        {
+          version: 3,
+          file: 'b.out.json',
+          sources: ['../b.json'],
+          names: [],
+          mappings: 'AAAA,MAAM,EAAG,OAAO,CAAG',
+        },
+      );
+    });
+
+    it('writes source map for stdin with --source-map', async () => {
+      const options = getTestOptions();
+      const output = path.join(tempDir, 'out.json');
+      options.stdin.end('[1e1]');
+      const code = await runBin(['--source-map', '-o', output], options);
+      assert.strictEqual(code, 0);
+      assert.deepStrictEqual(
+        JSON.parse(await readFile(`${output}.map`, 'utf8')),
+        {
+          version: 3,
+          file: 'out.json',
+          sources: ['stdin'],
+          names: [],
+          mappings: 'AAAA,CAAC,EAAG',
+        },
+      );
+    });
+
+    it('writes source map for each file for --in-place', async () => {
+      const options = getTestOptions();
+      const args = ['--source-map', '-i', path.join(tempDir, '*.json')];
+      const code = await runBin(args, options);
+      assert.strictEqual(code, 0);
+      const mappings = {
+        'a.json': 'AAAA,CAAC,GAAG',
+        'b.json': 'AAAA,MAAM,EAAG,OAAO,CAAG',
+      };
+      for (const [file, fileMappings] of Object.entries(mappings)) {
+        const mapPath = path.join(tempDir, `${file}.map`);
+        // eslint-disable-next-line no-await-in-loop
+        const sourceMap = JSON.parse(await readFile(mapPath, 'utf8'));
+        assert.deepStrictEqual(sourceMap, {
+          version: 3,
+          file,
+          sources: [file],
+          names: [],
+          mappings: fileMappings,
+        });
+      }
+    });
+
+    it('replaces numbers as described by --schema', async () => {
+      const schemaFile = path.join(tempDir, 'schema.json');
+      await writeFile(schemaFile, JSON.stringify({
+        components: {
+          schemas: {
+            Item: {
+              properties: {
+                id: { type: 'integer' },
+                sku: { type: 'string' },
+                price: { type: 'number', format: 'decimal' },
+              },
+            },
+          },
+        },
+      }));
+      const options = getTestOptions();
+      options.stdin.end(
+        '{"id": 1.0e2, "sku": 1e5, "price": 1.23456e1, "qty": 2e0}',
+      );
+      const args = [
+        '--schema',
+        schemaFile,
+        '--schema-pointer=/components/schemas/Item',
+        '--precision=decimal=3',
+      ];
+      const code = await runBin(args, options);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(
+        options.stdout.read(),
+        '{"id": 100, "sku": 1e5, "price": 12.3, "qty": 2}',
+      );
+      assert.strictEqual(options.stderr.read(), null);
+    });
+
+    it('writes error and exit 1 for non-integer with --schema', async () => {
+      const schemaFile = path.join(tempDir, 'schema.json');
+      await writeFile(schemaFile, '{"items": {"type": "integer"}}');
+      const options = getTestOptions();
+      options.stdin.end('[1, 1.5]');
+      const code = await runBin(['--schema', schemaFile], options);
+      assert.strictEqual(code, 1);
+      assert.strictEqual(
+        options.stderr.read(),
+        'Error: 1.5 is not an integer\n',
+      );
+    });
+
+    it('rounds non-integer for --non-integer=round', async () => {
+      const schemaFile = path.join(tempDir, 'schema.json');
+      await writeFile(schemaFile, '{"items": {"type": "integer"}}');
+      const options = getTestOptions();
+      options.stdin.end('[1, 1.5]');
+      const args = ['--schema', schemaFile, '--non-integer=round'];
+      const code = await runBin(args, options);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.stdout.read(), '[1, 2]');
+    });
+
+    it('writes error and exit 1 for unreadable --schema', async () => {
+      const schemaFile = path.join(tempDir, 'a.json5');
+      await writeFile(schemaFile, '{items: {}}');
+      const options = getTestOptions();
+      const code = await runBin(['--schema', schemaFile], options);
+      assert.strictEqual(code, 1);
+      assert.match(
+        options.stderr.read(),
+        /^Error: Unable to read --schema .*a\.json5: /,
+      );
+    });
+  });
+
+  it('writes error and exit 1 for --precision without --schema', async () => {
+    const options = getTestOptions();
+    const code = await runBin(['--precision=double=15'], options);
+    assert.strictEqual(code, 1);
+    const message =
+      '--non-integer, --precision, and --schema-pointer require --schema';
+    assert.strictEqual(options.stderr.read(), `Error: ${message}\n${usage}`);
+  });
+
+  it('writes error and exit 1 for invalid --precision', async () => {
+    const options = getTestOptions();
+    const args = ['--schema=package.json', '--precision=double'];
+    const code = await runBin(args, options);
+    assert.strictEqual(code, 1);
+    const message =
+      "Invalid value for --precision: 'double' (expected format=digits)";
+    assert.strictEqual(options.stderr.read(), `Error: ${message}\n${usage}`);
+  });
+
+  it('writes error and exit 1 for --schema with --canonicalize', async () => {
+    const options = getTestOptions();
+    const args = ['--schema=package.json', '--canonicalize=exact'];
+    const code = await runBin(args, options);
+    assert.strictEqual(code, 1);
+    const message =
+      '--schema can not be combined with --canonicalize or --to-exponential';
+    assert.strictEqual(options.stderr.read(), `Error: ${message}\n${usage}`);
   });
 });
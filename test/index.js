@@ -6,6 +6,7 @@
 'use strict';
 
 const assert = require('node:assert');
+const { setTimeout: delay } = require('node:timers/promises');
 
 // https://github.com/import-js/eslint-plugin-import/issues/2844
 // eslint-disable-next-line import/extensions
@@ -47,6 +48,12 @@ describe('jsonReplaceExponentials', () => {
     ['10.2e-1', '1.02'],
     ['10.2e-2', '0.102'],
     ['10.2e-3', '0.0102'],
+    ['123e-1', '12.3'],
+    ['123.4e-2', '1.234'],
+    ['1234.5e-2', '12.345'],
+    ['12345e-2', '123.45'],
+    ['12345e-4', '1.2345'],
+    ['12345.6e-3', '12.3456'],
     ['1.2e2', '120'],
     ['1.2e1', '12'],
     ['1.2e0', '1.2'],
@@ -121,7 +128,8 @@ describe('jsonReplaceExponentials', () => {
     let callCount = 0;
     function testReplacer(...args) {
       assert.strictEqual(this, undefined);
-      assert.deepStrictEqual(args, ['1e2']);
+      assert.strictEqual(args.length, 2);
+      assert.strictEqual(args[0], '1e2');
       callCount += 1;
       return callCount;
     }
@@ -131,6 +139,71 @@ describe('jsonReplaceExponentials', () => {
     );
   });
 
+  it('calls replacer with number parts and location', () => {
+    const contexts = [];
+    function testReplacer(numExp, replacerContext) {
+      contexts.push(replacerContext);
+      return numExp;
+    }
+    const json = '{\n  "a/b": [1e2, {"~c": -1.5E-3}],\n  "d": 10e+1\n}';
+    assert.strictEqual(jsonReplaceExponentials(json, testReplacer), json);
+    assert.deepStrictEqual(contexts, [
+      {
+        signPart: '',
+        intPart: '1',
+        fracPart: '',
+        expPart: '2',
+        offset: 12,
+        line: 2,
+        column: 11,
+        path: '/a~1b/0',
+      },
+      {
+        signPart: '-',
+        intPart: '1',
+        fracPart: '5',
+        expPart: '-3',
+        offset: 24,
+        line: 2,
+        column: 23,
+        path: '/a~1b/1/~0c',
+      },
+      {
+        signPart: '',
+        intPart: '10',
+        fracPart: '',
+        expPart: '+1',
+        offset: 42,
+        line: 3,
+        column: 8,
+        path: '/d',
+      },
+    ]);
+  });
+
+  it('calls replacer with path using decoded keys', () => {
+    const paths = [];
+    function testReplacer(numExp, { path }) {
+      paths.push(path);
+      return numExp;
+    }
+    jsonReplaceExponentials(
+      '[{"\\u0061\\"":{"":1e1,"x":[[],[1e2]]}},1e3]',
+      testReplacer,
+    );
+    assert.deepStrictEqual(paths, ['/0/a"/', '/0/a"/x/1/0', '/1']);
+  });
+
+  it('calls replacer with empty path for top-level number', () => {
+    const paths = [];
+    function testReplacer(numExp, { path }) {
+      paths.push(path);
+      return numExp;
+    }
+    jsonReplaceExponentials(' 1e1', testReplacer);
+    assert.deepStrictEqual(paths, ['']);
+  });
+
   it('throws TypeError for no args', () => {
     assert.throws(
       () => jsonReplaceExponentials(),
@@ -193,4 +266,1299 @@ describe('jsonReplaceExponentials', () => {
       bigReplacement,
     );
   });
+
+  it('throws TypeError for non-object options', () => {
+    assert.throws(
+      () => jsonReplaceExponentials('', undefined, 1),
+      TypeError,
+    );
+  });
+
+  for (const options of [
+    { maxExponent: -1 },
+    { maxExponent: '10' },
+    { maxLength: 0 },
+    { maxLength: NaN },
+    { overflow: 'ignore' },
+    { overflow: 'substitute' },
+    { significantDigits: 0 },
+    { significantDigits: 1.5 },
+    { fractionDigits: -1 },
+    { fractionDigits: '2' },
+    { roundingMode: 'nearest' },
+  ]) {
+    it(`throws TypeError for options ${JSON.stringify(options)}`, () => {
+      assert.throws(
+        () => jsonReplaceExponentials('', undefined, options),
+        TypeError,
+      );
+    });
+  }
+
+  it('replaces exponent up to options.maxExponent', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials('[1e2,1e-2]', undefined, { maxExponent: 2 }),
+      '[100,0.01]',
+    );
+  });
+
+  it('throws RangeError for exponent above options.maxExponent', () => {
+    assert.throws(
+      () => jsonReplaceExponentials('1e3', undefined, { maxExponent: 2 }),
+      RangeError,
+    );
+  });
+
+  it('throws RangeError for exponent below -options.maxExponent', () => {
+    assert.throws(
+      () => jsonReplaceExponentials('1e-3', undefined, { maxExponent: 2 }),
+      RangeError,
+    );
+  });
+
+  it('replaces large exponent with options.maxExponent Infinity', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials('1e1001', undefined, { maxExponent: Infinity }),
+      `1${'0'.repeat(1001)}`,
+    );
+  });
+
+  for (const [exp, fixed] of [
+    ['1e2', '100'],
+    ['-1e2', '-100'],
+    ['1.5e-2', '0.015'],
+    ['0.0e3', '0'],
+    ['00.12e1', '1.2'],
+    ['123.45e1', '1234.5'],
+  ]) {
+    it(`replaces ${exp} with options.maxLength ${fixed.length}`, () => {
+      assert.strictEqual(
+        jsonReplaceExponentials(exp, undefined, { maxLength: fixed.length }),
+        fixed,
+      );
+    });
+
+    if (fixed.length > 1) {
+      it(`throws for ${exp} with options.maxLength ${fixed.length - 1}`, () => {
+        assert.throws(
+          () => jsonReplaceExponentials(
+            exp,
+            undefined,
+            { maxLength: fixed.length - 1 },
+          ),
+          RangeError,
+        );
+      });
+    }
+  }
+
+  it('preserves numbers exceeding maximum with overflow preserve', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[1e2,1e3,1e-3]',
+        undefined,
+        { maxExponent: 2, overflow: 'preserve' },
+      ),
+      '[100,1e3,1e-3]',
+    );
+  });
+
+  it('clamps exponents exceeding maximum with overflow clamp', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[1e2,1e3,1e-3]',
+        undefined,
+        { maxExponent: 2, overflow: 'clamp' },
+      ),
+      '[100,100,0.01]',
+    );
+  });
+
+  it('throws RangeError for clamped length exceeding maximum', () => {
+    assert.throws(
+      () => jsonReplaceExponentials(
+        '1e3',
+        undefined,
+        { maxExponent: 2, maxLength: 2, overflow: 'clamp' },
+      ),
+      RangeError,
+    );
+  });
+
+  it('throws RangeError for length exceeding maximum with clamp', () => {
+    assert.throws(
+      () => jsonReplaceExponentials(
+        '1e3',
+        undefined,
+        { maxLength: 3, overflow: 'clamp' },
+      ),
+      RangeError,
+    );
+  });
+
+  it('substitutes numbers exceeding maximum with overflow substitute', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[1e2,1e3]',
+        undefined,
+        { maxLength: 3, overflow: 'substitute', substitute: 'null' },
+      ),
+      '[100,null]',
+    );
+  });
+
+  it('calls overflow function for numbers exceeding maximum', () => {
+    let callCount = 0;
+    function overflow(...args) {
+      assert.strictEqual(this, undefined);
+      assert.strictEqual(args.length, 2);
+      assert.strictEqual(args[0], '1e3');
+      assert.strictEqual(args[1].path, '/1');
+      callCount += 1;
+      return '"big"';
+    }
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[1e2,1e3]',
+        undefined,
+        { maxExponent: 2, overflow },
+      ),
+      '[100,"big"]',
+    );
+    assert.strictEqual(callCount, 1);
+  });
+
+  it('rounds to options.significantDigits', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[1.23456789012345678901e-30,9.99e0,-1.25e0,1e0,1.20e0]',
+        undefined,
+        { significantDigits: 2 },
+      ),
+      `[0.${'0'.repeat(29)}12,10,-1.3,1,1.2]`,
+    );
+  });
+
+  it('rounds to options.fractionDigits', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[1.23456e2,-1.25e-2,1.999e0,-1e-5,1.5e0]',
+        undefined,
+        { fractionDigits: 2 },
+      ),
+      '[123.46,-0.01,2.00,0.00,1.5]',
+    );
+  });
+
+  it('rounds to fewest digits of significantDigits and fractionDigits', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[1.23456e2,1.23456e-1]',
+        undefined,
+        { significantDigits: 4, fractionDigits: 2 },
+      ),
+      '[123.5,0.12]',
+    );
+  });
+
+  for (const [roundingMode, rounded] of [
+    ['half-up', '[2,3,-3,2,-2]'],
+    ['half-down', '[1,2,-2,2,-2]'],
+    ['half-even', '[2,2,-2,2,-2]'],
+    ['up', '[2,3,-3,3,-3]'],
+    ['down', '[1,2,-2,2,-2]'],
+    ['ceiling', '[2,3,-2,3,-2]'],
+    ['floor', '[1,2,-3,2,-3]'],
+  ]) {
+    it(`rounds using options.roundingMode ${roundingMode}`, () => {
+      assert.strictEqual(
+        jsonReplaceExponentials(
+          '[1.5e0,2.5e0,-2.5e0,2.1e0,-2.1e0]',
+          undefined,
+          { fractionDigits: 0, roundingMode },
+        ),
+        rounded,
+      );
+    });
+  }
+
+  it('removes trailing zeros with options.trimZeros', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[1.50e1,1.0e-1,1.00e0,1e2,1.999e0]',
+        undefined,
+        { trimZeros: true, fractionDigits: 2 },
+      ),
+      '[15,0.1,1,100,2]',
+    );
+  });
+
+  it('rounds before checking options.maxLength', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '1.23456789e-5',
+        undefined,
+        { maxLength: 8, significantDigits: 2 },
+      ),
+      '0.000012',
+    );
+  });
+
+  it('ignores options.maxExponent with replacer', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials('1e3', () => 'x', { maxExponent: 2 }),
+      'x',
+    );
+  });
+
+  it('throws JsonSyntaxError for invalid JSON with options.strict', () => {
+    assert.throws(
+      () => jsonReplaceExponentials('[1e3,]', undefined, { strict: true }),
+      jsonReplaceExponentials.JsonSyntaxError,
+    );
+  });
+
+  it('does not replace numbers in comments with options.format jsonc', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[1e2 /* "1e2 */]',
+        undefined,
+        { format: 'jsonc' },
+      ),
+      '[100 /* "1e2 */]',
+    );
+  });
+
+  it('replaces JSON5 numbers with options.format json5', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[+1e5, .5e1, 5.e1, -.25E-1, 0x1E5]',
+        undefined,
+        { format: 'json5' },
+      ),
+      '[100000, 5, 50, -0.025, 0x1E5]',
+    );
+  });
+
+  it('calls replacer with JSON5 number parts as JSON parts', () => {
+    const contexts = [];
+    jsonReplaceExponentials(
+      '[+.5e1, 5.e1]',
+      (number, ctx) => {
+        contexts.push([
+          number,
+          ctx.signPart,
+          ctx.intPart,
+          ctx.fracPart,
+          ctx.expPart,
+        ]);
+        return number;
+      },
+      { format: 'json5' },
+    );
+    assert.deepStrictEqual(contexts, [
+      ['+.5e1', '', '0', '5', '1'],
+      ['5.e1', '', '5', '', '1'],
+    ]);
+  });
+
+  it('replaces numbers in embedded JSON with options.embedded', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '{"a": "{\\"b\\": 1e2}", "c": "1e2", "d": 1e2}',
+        undefined,
+        { embedded: true },
+      ),
+      '{"a": "{\\"b\\": 100}", "c": "1e2", "d": 100}',
+    );
+  });
+
+  it('calls replacer with path into embedded JSON', () => {
+    const paths = [];
+    jsonReplaceExponentials(
+      '{"a": "[1e2]"}',
+      (number, { path }) => {
+        paths.push(path);
+        return number;
+      },
+      { embedded: true },
+    );
+    assert.deepStrictEqual(paths, ['/a/0']);
+  });
+
+  it('throws TypeError for options.embedded with replaceString', () => {
+    assert.throws(
+      () => jsonReplaceExponentials('"[1e2]"', undefined, {
+        embedded: true,
+        replaceString: (string) => string,
+      }),
+      TypeError,
+    );
+  });
+
+  it('replaces numbers in YAML with format yaml', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials('a: 1e2\nb: "1e2"\n', undefined, {
+        format: 'yaml',
+      }),
+      'a: 100\nb: "1e2"\n',
+    );
+  });
+
+  it('replaces numbers in json code blocks with format markdown', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        'Set 1e2:\n\n```json\n{"a": 1e2}\n```\n',
+        undefined,
+        { format: 'markdown' },
+      ),
+      'Set 1e2:\n\n```json\n{"a": 100}\n```\n',
+    );
+  });
+
+  it('replaces numbers in values matching options.only', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '{"a": [1e2, {"b": 1e2}], "c": 1e2, "d": {"b": 1e2}}',
+        undefined,
+        { only: ['/a', '$.d.b'] },
+      ),
+      '{"a": [100, {"b": 100}], "c": 1e2, "d": {"b": 100}}',
+    );
+  });
+
+  it('does not replace numbers in values matching options.skip', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '{"a": [1e2, {"x-b": 1e2}], "c": 1e2}',
+        undefined,
+        { only: ['/a'], skip: ['/**/x-*'] },
+      ),
+      '{"a": [100, {"x-b": 1e2}], "c": 1e2}',
+    );
+  });
+
+  it('calls replacer only for numbers not matching options.skip', () => {
+    const paths = [];
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '[1e2, 2e2, 3e2]',
+        (number, { path }) => {
+          paths.push(path);
+          return 'x';
+        },
+        { skip: ['$[1]'] },
+      ),
+      '[x, 2e2, x]',
+    );
+    assert.deepStrictEqual(paths, ['/0', '/2']);
+  });
+
+  it('applies options.only to paths into embedded JSON', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials(
+        '{"a": "{\\"b\\": 1e2, \\"c\\": 1e2}"}',
+        undefined,
+        { embedded: true, only: ['/a/b'] },
+      ),
+      '{"a": "{\\"b\\": 100, \\"c\\": 1e2}"}',
+    );
+  });
+
+  it('throws TypeError for invalid options.only', () => {
+    assert.throws(
+      () => jsonReplaceExponentials('1e2', undefined, { only: '/a' }),
+      TypeError,
+    );
+  });
+
+  it('returns JSON without exponentials unchanged', () => {
+    const json = '{"e": [1, 2.5, "1e2", true], "E": "\\"1e2"}';
+    assert.strictEqual(jsonReplaceExponentials(json, neverCalled), json);
+  });
+
+  it('leaves numbers unchanged and returns errors with collectErrors', () => {
+    assert.deepStrictEqual(
+      jsonReplaceExponentials(
+        '[1e2, 1e2000, {"a": 2e-1}]',
+        undefined,
+        { collectErrors: true },
+      ),
+      {
+        output: '[100, 1e2000, {"a": 0.2}]',
+        errors: [
+          {
+            number: '1e2000',
+            reason: '1e2000 exponent exceeds maximum',
+            offset: 6,
+            line: 1,
+            column: 7,
+            path: '/1',
+          },
+        ],
+      },
+    );
+  });
+
+  it('collects errors thrown by replacer with collectErrors', () => {
+    const result = jsonReplaceExponentials(
+      '[1e1,\n2e1]',
+      (number) => {
+        if (number === '2e1') {
+          throw new Error('test');
+        }
+        return 'x';
+      },
+      { collectErrors: true },
+    );
+    assert.deepStrictEqual(result, {
+      output: '[x,\n2e1]',
+      errors: [
+        {
+          number: '2e1',
+          reason: 'test',
+          offset: 6,
+          line: 2,
+          column: 1,
+          path: '/1',
+        },
+      ],
+    });
+  });
+
+  it('returns no errors without exponentials with collectErrors', () => {
+    assert.deepStrictEqual(
+      jsonReplaceExponentials('[1]', undefined, { collectErrors: true }),
+      { output: '[1]', errors: [] },
+    );
+  });
+
+  it('checks options for JSON without exponentials', () => {
+    assert.throws(
+      () => jsonReplaceExponentials('[1]', undefined, { maxExponent: -1 }),
+      TypeError,
+    );
+  });
+
+  it('throws JsonSyntaxError for JSON without exponentials with strict', () => {
+    assert.throws(
+      () => jsonReplaceExponentials('[1,]', undefined, { strict: true }),
+      jsonReplaceExponentials.JsonSyntaxError,
+    );
+  });
+
+  it('replaces numbers in valid JSON with options.strict', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials('[1e3]', undefined, { strict: true }),
+      '[1000]',
+    );
+  });
+});
+
+describe('yamlReplaceExponentials', () => {
+  const { yamlReplaceExponentials } = jsonReplaceExponentials;
+
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(() => yamlReplaceExponentials(1), TypeError);
+  });
+
+  it('throws TypeError for non-function replacer', () => {
+    assert.throws(() => yamlReplaceExponentials('a: 1', {}), TypeError);
+  });
+
+  it('returns errors with collectErrors', () => {
+    assert.deepStrictEqual(
+      yamlReplaceExponentials(
+        'a: 1e2000\nb: 1e2\n',
+        undefined,
+        { collectErrors: true },
+      ),
+      {
+        output: 'a: 1e2000\nb: 100\n',
+        errors: [
+          {
+            number: '1e2000',
+            reason: '1e2000 exponent exceeds maximum',
+            offset: 3,
+            line: 1,
+            column: 4,
+            path: '/a',
+          },
+        ],
+      },
+    );
+  });
+
+  it('replaces exponentials in plain scalars with fixed-point', () => {
+    assert.strictEqual(
+      yamlReplaceExponentials(
+        'a: 1e-7 # 1e-7\nb: "1e-7"\nc: |\n  1e-7\nd: [1.5E2, x]\n',
+      ),
+      'a: 0.0000001 # 1e-7\nb: "1e-7"\nc: |\n  1e-7\nd: [150, x]\n',
+    );
+  });
+
+  it('calls replacer with ReplacerContext', () => {
+    const contexts = [];
+    yamlReplaceExponentials('a:\n  - -1.5e2\n', (number, ctx) => {
+      contexts.push(ctx);
+      return number;
+    });
+    assert.deepStrictEqual(contexts, [
+      {
+        signPart: '-',
+        intPart: '1',
+        fracPart: '5',
+        expPart: '2',
+        offset: 7,
+        line: 2,
+        column: 5,
+        path: '/a/0',
+      },
+    ]);
+  });
+
+  it('applies options', () => {
+    assert.strictEqual(
+      yamlReplaceExponentials('a: 1e2\nb: 1e9\n', undefined, {
+        maxExponent: 5,
+        overflow: 'preserve',
+        skip: ['/a'],
+      }),
+      'a: 1e2\nb: 1e9\n',
+    );
+  });
+});
+
+describe('jsonReplaceFixed', () => {
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(
+      () => jsonReplaceExponentials.jsonReplaceFixed(Buffer.alloc(0)),
+      TypeError,
+    );
+  });
+
+  it('replaces numbers outside default thresholds', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonReplaceFixed(
+        '{"a":[1000000000000000000000, 0.0000001, 1.5],"1e21":0}',
+      ),
+      '{"a":[1e21, 1e-7, 1.5],"1e21":0}',
+    );
+  });
+
+  it('replaces numbers outside thresholds from options', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonReplaceFixed(
+        '[12345, 1.5]',
+        { maxDigits: 4 },
+      ),
+      '[1.2345e4, 1.5]',
+    );
+  });
+
+  it('is the inverse of jsonReplaceExponentials', () => {
+    const json = '[1.20e-30,-4.5e40,1.0e0,"1e2"]';
+    const fixedJson = jsonReplaceExponentials(json);
+    assert.notStrictEqual(fixedJson, json);
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonReplaceFixed(
+        fixedJson,
+        { maxExponent: 0, minExponent: 0 },
+      ),
+      '[1.20e-30,-4.5e40,1.0,"1e2"]',
+    );
+  });
+
+  it('does not replace JSON5-only numbers with format json5', () => {
+    const json5 = '[+1234567890123456789012345, .0000001]';
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonReplaceFixed(json5, { format: 'json5' }),
+      json5,
+    );
+  });
+});
+
+describe('jsonCanonicalizeNumbers', () => {
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(
+      () => jsonReplaceExponentials.jsonCanonicalizeNumbers(1),
+      TypeError,
+    );
+  });
+
+  it('replaces every number with exact form by default', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonCanonicalizeNumbers(
+        '{"1.0":[1.0, -0, 2E+2, "2E+2", 3]}',
+      ),
+      '{"1.0":[1, 0, 2e2, "2E+2", 3]}',
+    );
+  });
+
+  it('replaces every number with form from options', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonCanonicalizeNumbers(
+        '[1.0, -0, 2E+2, 1e-7, 0.1000000000000000055511151231257827]',
+        { form: 'jcs' },
+      ),
+      '[1, 0, 200, 1e-7, 0.1]',
+    );
+  });
+});
+
+describe('jsonReplaceWithSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      count: { type: 'integer' },
+      name: { type: 'string' },
+      ratio: { type: 'number', format: 'double' },
+    },
+  };
+
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(
+      () => jsonReplaceExponentials.jsonReplaceWithSchema(1, schema),
+      TypeError,
+    );
+  });
+
+  it('replaces numbers as described by schema', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonReplaceWithSchema(
+        '{"count": 1.0e2, "name": 1e2, "ratio": 1.5e-1, "other": 1.0}',
+        schema,
+      ),
+      '{"count": 100, "name": 1e2, "ratio": 0.15, "other": 1.0}',
+    );
+  });
+
+  it('rounds numbers with format in options.precision', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonReplaceWithSchema(
+        '{"ratio": 0.333333333333333333}',
+        schema,
+        { precision: { double: 15 } },
+      ),
+      '{"ratio": 0.333333333333333}',
+    );
+  });
+
+  it('throws RangeError for non-integer with integer type', () => {
+    assert.throws(
+      () => jsonReplaceExponentials.jsonReplaceWithSchema(
+        '{"count": 1.5}',
+        schema,
+      ),
+      new RangeError('1.5 is not an integer'),
+    );
+  });
+
+  it('uses path of each record for jsonl format', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonReplaceWithSchema(
+        '{"count": 1e1}\n{"name": 1e1}\n',
+        schema,
+        { format: 'jsonl' },
+      ),
+      '{"count": 10}\n{"name": 1e1}\n',
+    );
+  });
+
+  it('does not replace JSON5-only numbers with format json5', () => {
+    const json5 = '[+1.5e1, .5]';
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonReplaceWithSchema(
+        json5,
+        { items: { type: 'integer' } },
+        { format: 'json5' },
+      ),
+      json5,
+    );
+  });
+
+  it('replaces only numbers selected by only and skip', () => {
+    const json = '{"a":1.5e1,"b":1.2345e0}';
+    assert.strictEqual(
+      jsonReplaceExponentials.jsonReplaceWithSchema(
+        json,
+        { properties: { b: { format: 'double' } } },
+        { only: ['/x'], precision: { double: 2 } },
+      ),
+      json,
+    );
+  });
+});
+
+describe('parse', () => {
+  it('parses numbers with type from options.numbers', () => {
+    assert.deepStrictEqual(
+      jsonReplaceExponentials.parse(
+        '[1.000000000000000000001e30, 1]',
+        { numbers: 'bigint' },
+      ),
+      [1_000_000_000_000_000_000_001_000_000_000n, 1],
+    );
+  });
+});
+
+describe('stringify', () => {
+  it('serializes numbers in fixed-point notation', () => {
+    assert.strictEqual(
+      jsonReplaceExponentials.stringify({ a: 1e21, b: 2n }),
+      '{"a":1000000000000000000000,"b":2}',
+    );
+  });
+});
+
+describe('jsonFindExponentials', () => {
+  const { jsonFindExponentials } = jsonReplaceExponentials;
+
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(() => jsonFindExponentials(1), TypeError);
+  });
+
+  it('returns empty Array if there are no exponentials', () => {
+    assert.deepStrictEqual(jsonFindExponentials('[1, 2.5, "1e2"]'), []);
+  });
+
+  it('returns each exponential with replacement and location', () => {
+    assert.deepStrictEqual(
+      jsonFindExponentials('{"a": 1e2,\n "b": [2, 3E-1]}'),
+      [
+        {
+          number: '1e2',
+          replacement: '100',
+          offset: 6,
+          line: 1,
+          column: 7,
+          path: '/a',
+        },
+        {
+          number: '3E-1',
+          replacement: '0.3',
+          offset: 21,
+          line: 2,
+          column: 11,
+          path: '/b/1',
+        },
+      ],
+    );
+  });
+
+  it('returns numbers which replacer changes', () => {
+    assert.deepStrictEqual(
+      jsonFindExponentials(
+        '[1e1, 2e1]',
+        (number) => (number === '2e1' ? 'x' : number),
+      ),
+      [
+        {
+          number: '2e1',
+          replacement: 'x',
+          offset: 6,
+          line: 1,
+          column: 7,
+          path: '/1',
+        },
+      ],
+    );
+  });
+
+  it('does not return numbers preserved by overflow', () => {
+    assert.deepStrictEqual(
+      jsonFindExponentials('[1e9999]', undefined, { overflow: 'preserve' }),
+      [],
+    );
+  });
+
+  it('returns strings replaced with options.embedded', () => {
+    assert.deepStrictEqual(
+      jsonFindExponentials('{"a": "[1e2]"}', undefined, { embedded: true }),
+      [
+        {
+          number: '"[1e2]"',
+          replacement: '"[100]"',
+          offset: 6,
+          line: 1,
+          column: 7,
+          path: '/a',
+        },
+      ],
+    );
+  });
+
+  it('returns locations in Markdown with format markdown', () => {
+    assert.deepStrictEqual(
+      jsonFindExponentials(
+        '# 1e2\n```json\n[1e2]\n```\n',
+        undefined,
+        { format: 'markdown' },
+      ),
+      [
+        {
+          number: '1e2',
+          replacement: '100',
+          offset: 15,
+          line: 3,
+          column: 2,
+          path: '/0',
+        },
+      ],
+    );
+  });
+
+  it('throws RangeError for exponent exceeding maximum', () => {
+    assert.throws(() => jsonFindExponentials('1e9999'), RangeError);
+  });
+});
+
+describe('jsonDiffExponentials', () => {
+  const { jsonDiffExponentials } = jsonReplaceExponentials;
+
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(() => jsonDiffExponentials(1), TypeError);
+  });
+
+  it('returns unified diff by default', () => {
+    assert.strictEqual(
+      jsonDiffExponentials('{\n  "a": 1e2,\n  "b": 2\n}\n'),
+      '--- original\n'
+      + '+++ replaced\n'
+      + '@@ -1,4 +1,4 @@\n'
+      + ' {\n'
+      + '-  "a": 1e2,\n'
+      + '+  "a": 100,\n'
+      + '   "b": 2\n'
+      + ' }\n',
+    );
+  });
+
+  it('returns empty string if nothing would be replaced', () => {
+    assert.strictEqual(jsonDiffExponentials('[1]\n'), '');
+  });
+
+  it('returns JSON Patch for diffFormat json-patch', () => {
+    assert.strictEqual(
+      jsonDiffExponentials(
+        '{"a": [1e2, 2]}',
+        (number) => `-${number}`,
+        { diffFormat: 'json-patch' },
+      ),
+      '[\n  {"op": "replace", "path": "/a/0", "value": -1e2}\n]',
+    );
+  });
+
+  it('throws TypeError for json-patch with format jsonl', () => {
+    assert.throws(
+      () => jsonDiffExponentials(
+        '{"a": 1e2}\n{"a": 1e2}\n',
+        undefined,
+        { diffFormat: 'json-patch', format: 'jsonl' },
+      ),
+      TypeError,
+    );
+  });
+});
+
+describe('jsonReplaceExponentialsWithSourceMap', () => {
+  const { jsonReplaceExponentialsWithSourceMap } = jsonReplaceExponentials;
+
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(() => jsonReplaceExponentialsWithSourceMap(1), TypeError);
+  });
+
+  it('returns replaced JSON and source map', () => {
+    assert.deepStrictEqual(
+      jsonReplaceExponentialsWithSourceMap('{\n  "a": 1e-7,\n  "b": 2\n}'),
+      {
+        json: '{\n  "a": 0.0000001,\n  "b": 2\n}',
+        sourceMap: {
+          version: 3,
+          sources: ['input.json'],
+          names: [],
+          mappings: 'AAAA;AACA,OAAO,SAAI;AACX;AACA',
+        },
+      },
+    );
+  });
+
+  it('returns source map with options.file and options.source', () => {
+    assert.deepStrictEqual(
+      jsonReplaceExponentialsWithSourceMap(
+        '[1e2]',
+        (number) => `"${number}"`,
+        { file: 'out.json', source: 'in.json' },
+      ),
+      {
+        json: '["1e2"]',
+        sourceMap: {
+          version: 3,
+          file: 'out.json',
+          sources: ['in.json'],
+          names: [],
+          mappings: 'AAAA,CAAC,KAAG',
+        },
+      },
+    );
+  });
+});
+
+describe('jsonFindLossyNumbers', () => {
+  const { jsonFindLossyNumbers } = jsonReplaceExponentials;
+
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(() => jsonFindLossyNumbers(1), TypeError);
+  });
+
+  it('returns empty Array if there are no lossy numbers', () => {
+    assert.deepStrictEqual(jsonFindLossyNumbers('[1e2, 0.1, "1e400"]'), []);
+  });
+
+  it('returns each lossy number with kind and location', () => {
+    assert.deepStrictEqual(
+      jsonFindLossyNumbers('{"a": 1e400,\n "b": [2, 0.10000000000000000001]}'),
+      [
+        {
+          number: '1e400',
+          kind: 'overflow',
+          offset: 6,
+          line: 1,
+          column: 7,
+          path: '/a',
+        },
+        {
+          number: '0.10000000000000000001',
+          kind: 'precision',
+          offset: 23,
+          line: 2,
+          column: 11,
+          path: '/b/1',
+        },
+      ],
+    );
+  });
+
+  it('returns only numbers of options.kinds', () => {
+    assert.deepStrictEqual(
+      jsonFindLossyNumbers(
+        '[1e400, 9007199254740993]',
+        { kinds: ['unsafe-integer'] },
+      ),
+      [
+        {
+          number: '9007199254740993',
+          kind: 'unsafe-integer',
+          offset: 8,
+          line: 1,
+          column: 9,
+          path: '/1',
+        },
+      ],
+    );
+  });
+
+  it('throws TypeError for unknown kind', () => {
+    assert.throws(
+      () => jsonFindLossyNumbers('[]', { kinds: ['nan'] }),
+      TypeError,
+    );
+  });
+
+  it('returns lossy JSON5 numbers with format json5', () => {
+    assert.deepStrictEqual(
+      jsonFindLossyNumbers(
+        '[0x10, .5, 5., +1, 0x20000000000000, +.1e400]',
+        { format: 'json5' },
+      ),
+      [
+        {
+          number: '0x20000000000000',
+          kind: 'unsafe-integer',
+          offset: 19,
+          line: 1,
+          column: 20,
+          path: '/4',
+        },
+        {
+          number: '+.1e400',
+          kind: 'overflow',
+          offset: 37,
+          line: 1,
+          column: 38,
+          path: '/5',
+        },
+      ],
+    );
+  });
+
+  it('does not report malformed numbers', () => {
+    assert.deepStrictEqual(jsonFindLossyNumbers('[1-2, -, 1e]'), []);
+  });
+
+  it('throws JsonSyntaxError for invalid JSON with options.strict', () => {
+    assert.throws(
+      () => jsonFindLossyNumbers('[1e400,]', { strict: true }),
+      jsonReplaceExponentials.JsonSyntaxError,
+    );
+  });
+});
+
+describe('jsonQuoteLossyNumbers', () => {
+  const { jsonQuoteLossyNumbers } = jsonReplaceExponentials;
+
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(() => jsonQuoteLossyNumbers(1), TypeError);
+  });
+
+  it('replaces lossy numbers with strings', () => {
+    assert.strictEqual(
+      jsonQuoteLossyNumbers('{"a": 1e400, "b": [1e2, 12345678901234567890]}'),
+      '{"a": "1e400", "b": [1e2, "12345678901234567890"]}',
+    );
+  });
+
+  it('replaces only numbers of options.kinds', () => {
+    assert.strictEqual(
+      jsonQuoteLossyNumbers('[1e-400, 1e400]', { kinds: ['overflow'] }),
+      '[1e-400, "1e400"]',
+    );
+  });
+
+  it('replaces lossy JSON5 numbers with format json5', () => {
+    assert.strictEqual(
+      jsonQuoteLossyNumbers(
+        '[0x10, .5, 0x20000000000000, +1e400]',
+        { format: 'json5' },
+      ),
+      '[0x10, .5, "0x20000000000000", "+1e400"]',
+    );
+  });
+});
+
+describe('jsonQuoteNumbers', () => {
+  const { jsonQuoteNumbers } = jsonReplaceExponentials;
+
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(() => jsonQuoteNumbers(1), TypeError);
+  });
+
+  it('replaces large and small numbers with fixed-point strings', () => {
+    assert.strictEqual(
+      jsonQuoteNumbers('{"a": [1e21, 1.5e-7, 12.5], "b": 1e2}'),
+      '{"a": ["1000000000000000000000", "0.00000015", 12.5], "b": 1e2}',
+    );
+  });
+
+  it('replaces numbers at options.paths with original text', () => {
+    assert.strictEqual(
+      jsonQuoteNumbers(
+        '{"id": 1.0e1, "a": [{"id": 2}], "b": 3}',
+        { notation: 'original', paths: ['/**/id'] },
+      ),
+      '{"id": "1.0e1", "a": [{"id": "2"}], "b": 3}',
+    );
+  });
+
+  it('throws JsonSyntaxError for invalid JSON with options.strict', () => {
+    assert.throws(
+      () => jsonQuoteNumbers('[1e21,]', { strict: true }),
+      jsonReplaceExponentials.JsonSyntaxError,
+    );
+  });
+
+  it('does not replace JSON5-only numbers with format json5', () => {
+    const json5 = '[+1e25, .5e-10]';
+    assert.strictEqual(jsonQuoteNumbers(json5, { format: 'json5' }), json5);
+  });
+});
+
+describe('jsonUnquoteNumbers', () => {
+  const { jsonUnquoteNumbers } = jsonReplaceExponentials;
+
+  it('throws TypeError for non-string first arg', () => {
+    assert.throws(() => jsonUnquoteNumbers(1, { paths: [] }), TypeError);
+  });
+
+  it('throws TypeError without options.paths', () => {
+    assert.throws(() => jsonUnquoteNumbers('[]'), TypeError);
+  });
+
+  it('replaces numeric strings at options.paths with numbers', () => {
+    assert.strictEqual(
+      jsonUnquoteNumbers(
+        '{"id": "1.0e1", "a": [{"id": "x"}], "b": "3"}',
+        { paths: ['/**/id'] },
+      ),
+      '{"id": 1.0e1, "a": [{"id": "x"}], "b": "3"}',
+    );
+  });
+
+  it('is the inverse of jsonQuoteNumbers with notation original', () => {
+    const json = '{"a": [1.50e21, 2], "b": 1e-7}';
+    const options = { notation: 'original', paths: ['/a/*'] };
+    assert.strictEqual(
+      jsonUnquoteNumbers(
+        jsonReplaceExponentials.jsonQuoteNumbers(json, options),
+        { paths: ['/**'] },
+      ),
+      json,
+    );
+  });
+});
+
+describe('jsonReplaceExponentialsAsync', () => {
+  const { jsonReplaceExponentialsAsync } = jsonReplaceExponentials;
+
+  it('rejects with TypeError for non-string first arg', async () => {
+    await assert.rejects(jsonReplaceExponentialsAsync(1), TypeError);
+  });
+
+  it('rejects with TypeError for non-function replacer', async () => {
+    await assert.rejects(jsonReplaceExponentialsAsync('1', {}), TypeError);
+  });
+
+  it('rejects with TypeError for zero concurrency', async () => {
+    await assert.rejects(
+      jsonReplaceExponentialsAsync('1', undefined, { concurrency: 0 }),
+      TypeError,
+    );
+  });
+
+  it('rejects with TypeError for options.embedded', async () => {
+    await assert.rejects(
+      jsonReplaceExponentialsAsync('"[1e2]"', undefined, { embedded: true }),
+      TypeError,
+    );
+  });
+
+  it('replaces numbers in code blocks with format markdown', async () => {
+    assert.strictEqual(
+      await jsonReplaceExponentialsAsync(
+        '1e2\n```json\n[1e2]\n```\n',
+        undefined,
+        { format: 'markdown' },
+      ),
+      '1e2\n```json\n[100]\n```\n',
+    );
+  });
+
+  it('replaces numbers selected by options.only and skip', async () => {
+    assert.strictEqual(
+      await jsonReplaceExponentialsAsync(
+        '{"a": [1e2, 2e2], "b": 1e2}',
+        async (number) => `<${number}>`,
+        { only: ['$.a'], skip: ['/a/1'] },
+      ),
+      '{"a": [<1e2>, 2e2], "b": 1e2}',
+    );
+  });
+
+  it('replaces exponentials with fixed-point by default', async () => {
+    assert.strictEqual(
+      await jsonReplaceExponentialsAsync('{"a": [1e2, 2, 3E-1], "b": "1e2"}'),
+      '{"a": [100, 2, 0.3], "b": "1e2"}',
+    );
+  });
+
+  it('replaces exponentials with resolved values in order', async () => {
+    assert.strictEqual(
+      await jsonReplaceExponentialsAsync(
+        '[3e0, 1e0, 2e0]',
+        // Resolve later numbers first
+        async (number, { intPart }) => {
+          await delay(Number(intPart));
+          return `${intPart}.0`;
+        },
+      ),
+      '[3.0, 1.0, 2.0]',
+    );
+  });
+
+  it('accepts replacer which returns a string', async () => {
+    assert.strictEqual(
+      await jsonReplaceExponentialsAsync('[1e1, 1]', () => 'x'),
+      '[x, 1]',
+    );
+  });
+
+  it('calls replacer with ReplacerContext', async () => {
+    const contexts = [];
+    await jsonReplaceExponentialsAsync('{"a": -1.5e2}', (number, ctx) => {
+      contexts.push(ctx);
+      return number;
+    });
+    assert.deepStrictEqual(contexts, [
+      {
+        signPart: '-',
+        intPart: '1',
+        fracPart: '5',
+        expPart: '2',
+        offset: 6,
+        line: 1,
+        column: 7,
+        path: '/a',
+      },
+    ]);
+  });
+
+  it('limits pending calls to concurrency', async () => {
+    let pending = 0;
+    let maxPending = 0;
+    const result = await jsonReplaceExponentialsAsync(
+      '[1e0, 2e0, 3e0, 4e0, 5e0]',
+      async (number, { intPart }) => {
+        pending += 1;
+        maxPending = Math.max(maxPending, pending);
+        await delay(1);
+        pending -= 1;
+        return intPart;
+      },
+      { concurrency: 2 },
+    );
+    assert.strictEqual(result, '[1, 2, 3, 4, 5]');
+    assert.strictEqual(maxPending, 2);
+  });
+
+  it('rejects with location of number for rejected replacer', async () => {
+    const testErr = new Error('test');
+    await assert.rejects(
+      jsonReplaceExponentialsAsync(
+        '[1e0,\n 2e0]',
+        (number) => (number === '2e0' ? Promise.reject(testErr) : number),
+      ),
+      (err) => {
+        assert.strictEqual(err, testErr);
+        assert.strictEqual(err.offset, 7);
+        assert.strictEqual(err.line, 2);
+        assert.strictEqual(err.column, 2);
+        assert.strictEqual(err.path, '/1');
+        return true;
+      },
+    );
+  });
+
+  it('does not call replacer after rejection', async () => {
+    const numbers = [];
+    await assert.rejects(
+      jsonReplaceExponentialsAsync(
+        '[1e0, 2e0, 3e0]',
+        (number) => {
+          numbers.push(number);
+          throw new Error(number);
+        },
+        { concurrency: 1 },
+      ),
+      { message: '1e0', offset: 1 },
+    );
+    assert.deepStrictEqual(numbers, ['1e0']);
+  });
+
+  it('rejects with RangeError with location for large exponent', async () => {
+    await assert.rejects(
+      jsonReplaceExponentialsAsync('[1, 1e9999]'),
+      { name: 'RangeError', offset: 4, path: '/1' },
+    );
+  });
 });
@@ -0,0 +1,161 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { mkdtemp, rm, writeFile } = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+
+const {
+  replaceBuffer,
+  replaceChunks,
+  replaceFile,
+} = require('../../lib/async.js');
+const { encode, getBom } = require('../../lib/encoding.js');
+
+async function collect(iterable) {
+  const chunks = [];
+  // Array.fromAsync() is not supported by Node.js 20
+  for await (const chunk of iterable) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+async function* generateChunks(...chunks) {
+  for (const chunk of chunks) {
+    if (chunk instanceof Error) {
+      throw chunk;
+    }
+    yield chunk;
+  }
+}
+
+describe('async', () => {
+  describe('replaceChunks', () => {
+    it('yields strings with exponentials replaced', async () => {
+      const source = ['[1', 'e2,"1e2",', '3e1]'];
+      const chunks = await collect(replaceChunks(source));
+      for (const chunk of chunks) {
+        assert.strictEqual(typeof chunk, 'string');
+      }
+      assert.strictEqual(chunks.join(''), '[100,"1e2",30]');
+    });
+
+    it('replaces exponentials from a Readable of Buffers', async () => {
+      const source =
+        Readable.from([Buffer.from('{"a":'), Buffer.from('1e1}')]);
+      const chunks = await collect(replaceChunks(source));
+      assert.strictEqual(chunks.join(''), '{"a":10}');
+    });
+
+    it('replaces exponentials from an async generator', async () => {
+      const source = generateChunks('[1e1,', '2e1]');
+      const chunks = await collect(replaceChunks(source));
+      assert.strictEqual(chunks.join(''), '[10,20]');
+    });
+
+    it('calls replacer from options', async () => {
+      const chunks =
+        await collect(replaceChunks(['[1e2]'], { replacer: () => 'x' }));
+      assert.strictEqual(chunks.join(''), '[x]');
+    });
+
+    it('replaces JSON Lines using worker threads for jobs', async () => {
+      const chunks = await collect(replaceChunks(
+        ['[1e1]\n', '{"a":2e1}\n'],
+        { batchSize: 1, format: 'jsonl', jobs: 2 },
+      ));
+      for (const chunk of chunks) {
+        assert.strictEqual(typeof chunk, 'string');
+      }
+      assert.strictEqual(chunks.join(''), '[10]\n{"a":20}\n');
+    });
+
+    it('rejects with error from source', async () => {
+      const testErr = new Error('test');
+      const source = generateChunks('[1e1,', testErr);
+      await assert.rejects(collect(replaceChunks(source)), testErr);
+    });
+
+    it('rejects with error from replacing', async () => {
+      await assert.rejects(
+        collect(replaceChunks(['[1e9999]'])),
+        RangeError,
+      );
+    });
+
+    it('rejects with TypeError for non-object options', async () => {
+      await assert.rejects(collect(replaceChunks(['1'], 1)), TypeError);
+    });
+  });
+
+  describe('replaceBuffer', () => {
+    it('returns string with exponentials replaced', async () => {
+      assert.strictEqual(
+        await replaceBuffer(Buffer.from('[1e2]')),
+        '[100]',
+      );
+    });
+
+    it('detects encoding and removes BOM', async () => {
+      const json =
+        Buffer.concat([getBom('utf16le'), encode('[1e2]', 'utf16le')]);
+      assert.strictEqual(await replaceBuffer(json), '[100]');
+    });
+
+    it('returns Buffer in input encoding for preserveEncoding', async () => {
+      const json =
+        Buffer.concat([getBom('utf16be'), encode('[1e2]', 'utf16be')]);
+      assert.deepStrictEqual(
+        await replaceBuffer(json, { preserveEncoding: true }),
+        Buffer.concat([getBom('utf16be'), encode('[100]', 'utf16be')]),
+      );
+    });
+
+    it('accepts Uint8Array', async () => {
+      assert.strictEqual(
+        await replaceBuffer(new TextEncoder().encode('1e1')),
+        '10',
+      );
+    });
+
+    it('rejects with TypeError for string', async () => {
+      await assert.rejects(replaceBuffer('1e1'), TypeError);
+    });
+
+    it('rejects with JsonSyntaxError for invalid strict JSON', async () => {
+      await assert.rejects(
+        replaceBuffer(Buffer.from('[1e1,]'), { strict: true }),
+        { name: 'JsonSyntaxError', line: 1, column: 6 },
+      );
+    });
+  });
+
+  describe('replaceFile', () => {
+    let tempDir;
+    before(async () => {
+      tempDir = await mkdtemp(path.join(os.tmpdir(), 'jre-async-'));
+    });
+
+    after(() => rm(tempDir, { recursive: true, force: true }));
+
+    it('returns file contents with exponentials replaced', async () => {
+      const file = path.join(tempDir, 'a.json');
+      await writeFile(file, '{"a": 1e2}');
+      assert.strictEqual(await replaceFile(file), '{"a": 100}');
+    });
+
+    it('rejects with error for missing file', async () => {
+      await assert.rejects(
+        replaceFile(path.join(tempDir, 'missing.json')),
+        { code: 'ENOENT' },
+      );
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const createCanonicalReplacer = require('../../lib/canonical-replacer.js');
+
+describe('createCanonicalReplacer', () => {
+  it('throws TypeError for non-object options', () => {
+    assert.throws(
+      () => createCanonicalReplacer('jcs'),
+      TypeError,
+    );
+  });
+
+  for (const options of [
+    { form: 'shortest' },
+    { maxExponent: -1 },
+  ]) {
+    it(`throws TypeError for options ${JSON.stringify(options)}`, () => {
+      assert.throws(
+        () => createCanonicalReplacer(options),
+        TypeError,
+      );
+    });
+  }
+
+  for (const [number, exact, fixed, exponential, jcs] of [
+    ['0', '0', '0', '0', '0'],
+    ['-0', '0', '0', '0', '0'],
+    ['-0.00e5', '0', '0', '0', '0'],
+    ['1', '1', '1', '1e0', '1'],
+    ['1.0', '1', '1', '1e0', '1'],
+    ['-1.50', '-1.5', '-1.5', '-1.5e0', '-1.5'],
+    ['0012.30', '12.3', '12.3', '1.23e1', '12.3'],
+    ['1200', '1200', '1200', '1.2e3', '1200'],
+    ['1.50E+03', '1.5e3', '1500', '1.5e3', '1500'],
+    ['15e-0', '15', '15', '1.5e1', '15'],
+    ['0.015e-001', '0.015e-1', '0.0015', '1.5e-3', '0.0015'],
+    ['1e-7', '1e-7', '0.0000001', '1e-7', '1e-7'],
+    ['1e21', '1e21', '1000000000000000000000', '1e21', '1e+21'],
+    [
+      '1.000000000000000000001e30',
+      '1.000000000000000000001e30',
+      '1000000000000000000001000000000',
+      '1.000000000000000000001e30',
+      '1e+30',
+    ],
+    [
+      '123456789012345678901234',
+      '123456789012345678901234',
+      '123456789012345678901234',
+      '1.23456789012345678901234e23',
+      '1.2345678901234569e+23',
+    ],
+  ]) {
+    for (const [form, expected] of [
+      ['exact', exact],
+      ['fixed', fixed],
+      ['exponential', exponential],
+      ['jcs', jcs],
+    ]) {
+      it(`converts ${number} to ${expected} for form ${form}`, () => {
+        assert.strictEqual(
+          createCanonicalReplacer({ form })(number),
+          expected,
+        );
+      });
+    }
+  }
+
+  it('uses form exact by default', () => {
+    assert.strictEqual(createCanonicalReplacer()('1.0E+1'), '1e1');
+  });
+
+  it('does not modify non-numbers', () => {
+    assert.strictEqual(createCanonicalReplacer()('-'), '-');
+  });
+
+  it('throws RangeError for exponent above maxExponent for fixed', () => {
+    const replace = createCanonicalReplacer({ form: 'fixed', maxExponent: 2 });
+    assert.strictEqual(replace('9.99e2'), '999');
+    assert.throws(
+      () => replace('1e3'),
+      RangeError,
+    );
+  });
+
+  it('throws RangeError for number which overflows double for jcs', () => {
+    assert.throws(
+      () => createCanonicalReplacer({ form: 'jcs' })('1e400'),
+      RangeError,
+    );
+  });
+});
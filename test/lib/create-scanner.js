@@ -0,0 +1,63 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const createScanner = require('../../lib/create-scanner.js');
+const MarkdownJsonScanner = require('../../lib/markdown-scanner.js');
+const JsonNumberScanner = require('../../lib/scanner.js');
+const YamlNumberScanner = require('../../lib/yaml-scanner.js');
+
+function bracket(number) {
+  return `<${number}>`;
+}
+
+function scan(scanner, text) {
+  return scanner.write(text) + scanner.end();
+}
+
+describe('createScanner', () => {
+  it('creates JsonNumberScanner by default', () => {
+    assert(createScanner(bracket) instanceof JsonNumberScanner);
+  });
+
+  it('creates MarkdownJsonScanner for format markdown', () => {
+    const scanner = createScanner(bracket, { format: 'markdown' });
+    assert(scanner instanceof MarkdownJsonScanner);
+  });
+
+  it('creates YamlNumberScanner for format yaml', () => {
+    const scanner = createScanner(bracket, { format: 'yaml' });
+    assert(scanner instanceof YamlNumberScanner);
+  });
+
+  it('throws TypeError for unknown format', () => {
+    assert.throws(() => createScanner(bracket, { format: 'xml' }), TypeError);
+  });
+
+  it('replaces numbers in embedded JSON with embedded', () => {
+    const scanner = createScanner(bracket, { embedded: true });
+    assert.strictEqual(
+      scan(scanner, '{"a": 1, "b": "[2]"}'),
+      '{"a": <1>, "b": "[<2>]"}',
+    );
+  });
+
+  it('wraps replaceNumber and replaceString with wrapReplace', () => {
+    const calls = [];
+    const wrapReplace = (replace) => (text, location) => {
+      calls.push([text, location.path]);
+      return replace(text, location);
+    };
+    const scanner = createScanner(bracket, { embedded: true }, wrapReplace);
+    assert.strictEqual(
+      scan(scanner, '[1, "[2]"]'),
+      '[<1>, "[<2>]"]',
+    );
+    assert.deepStrictEqual(calls, [['1', '/0'], ['"[2]"', '/1']]);
+  });
+});
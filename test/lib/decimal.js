@@ -0,0 +1,184 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const {
+  formatFixed,
+  getDecimalExponent,
+  parseDecimal,
+  parseJson5Decimal,
+  roundCoefficient,
+  roundDecimal,
+  roundSignificant,
+} = require('../../lib/decimal.js');
+
+describe('decimal', () => {
+  describe('parseDecimal', () => {
+    for (const [number, decimal] of [
+      ['0', { signPart: '', digits: '', exponent: 0 }],
+      ['-0.00e5', { signPart: '-', digits: '', exponent: 0 }],
+      ['1', { signPart: '', digits: '1', exponent: 0 }],
+      ['1200', { signPart: '', digits: '12', exponent: 2 }],
+      ['-0012.30', { signPart: '-', digits: '123', exponent: -1 }],
+      ['0.001', { signPart: '', digits: '1', exponent: -3 }],
+      ['1.5e3', { signPart: '', digits: '15', exponent: 2 }],
+      ['1.5E-3', { signPart: '', digits: '15', exponent: -4 }],
+      ['10e+1', { signPart: '', digits: '1', exponent: 2 }],
+    ]) {
+      it(`parses ${number}`, () => {
+        assert.deepStrictEqual(parseDecimal(number), decimal);
+      });
+    }
+
+    for (const number of ['', '-', '.5', '1.', '1e', 'NaN', '0x10']) {
+      it(`returns undefined for ${JSON.stringify(number)}`, () => {
+        assert.strictEqual(parseDecimal(number), undefined);
+      });
+    }
+  });
+
+  describe('parseJson5Decimal', () => {
+    for (const [number, decimal] of [
+      ['1.5e3', { signPart: '', digits: '15', exponent: 2 }],
+      ['+1e5', { signPart: '', digits: '1', exponent: 5 }],
+      ['-.5', { signPart: '-', digits: '5', exponent: -1 }],
+      ['.5e1', { signPart: '', digits: '5', exponent: 0 }],
+      ['5.', { signPart: '', digits: '5', exponent: 0 }],
+      ['5.e1', { signPart: '', digits: '5', exponent: 1 }],
+    ]) {
+      it(`parses ${number}`, () => {
+        assert.deepStrictEqual(parseJson5Decimal(number), decimal);
+      });
+    }
+
+    for (const number of ['', '-', '+', '.', '.e1', '1-2', 'NaN', '0x10']) {
+      it(`returns undefined for ${JSON.stringify(number)}`, () => {
+        assert.strictEqual(parseJson5Decimal(number), undefined);
+      });
+    }
+  });
+
+  describe('getDecimalExponent', () => {
+    for (const [number, exponent] of [
+      ['0', 0],
+      ['1', 0],
+      ['1200', 3],
+      ['0.00123', -3],
+      ['1.5e10', 10],
+    ]) {
+      it(`returns ${exponent} for ${number}`, () => {
+        assert.strictEqual(getDecimalExponent(parseDecimal(number)), exponent);
+      });
+    }
+  });
+
+  describe('roundDecimal', () => {
+    for (const [number, minExponent, rounded] of [
+      ['1.4', 0, '1'],
+      ['1.5', 0, '2'],
+      ['-1.5', 0, '-2'],
+      ['9.99', -1, '10'],
+      ['0.4', 0, '0'],
+      ['0.5', 0, '1'],
+      ['0.04', 0, '0'],
+      ['123.456', -2, '123.46'],
+      ['1200', 0, '1200'],
+      ['1250', 2, '1300'],
+    ]) {
+      it(`rounds ${number} to 10^${minExponent} as ${rounded}`, () => {
+        const decimal = parseDecimal(number);
+        assert.strictEqual(
+          formatFixed(roundDecimal(decimal, minExponent)),
+          rounded,
+        );
+      });
+    }
+  });
+
+  describe('roundCoefficient', () => {
+    for (const [digits, exponent, minExponent, rounded] of [
+      ['1999', -3, -2, { digits: '200', exponent: -2 }],
+      ['0999', -3, -2, { digits: '100', exponent: -2 }],
+      ['0949', -3, -1, { digits: '09', exponent: -1 }],
+      ['1200', -3, -3, { digits: '1200', exponent: -3 }],
+      ['5', -5, -2, { digits: '0', exponent: -2 }],
+      ['5', -1, 0, { digits: '1', exponent: 0 }],
+    ]) {
+      it(`rounds ${digits}e${exponent} to 10^${minExponent}`, () => {
+        assert.deepStrictEqual(
+          roundCoefficient('', digits, exponent, minExponent),
+          rounded,
+        );
+      });
+    }
+
+    for (const [roundingMode, results] of [
+      ['half-up', ['2', '3', '3', '2', '2', '1']],
+      ['half-down', ['1', '2', '2', '2', '2', '1']],
+      ['half-even', ['2', '2', '2', '2', '2', '1']],
+      ['up', ['2', '3', '3', '3', '3', '1']],
+      ['down', ['1', '2', '2', '2', '2', '1']],
+      ['ceiling', ['2', '3', '2', '3', '2', '1']],
+      ['floor', ['1', '2', '3', '2', '3', '1']],
+    ]) {
+      it(`rounds using ${roundingMode}`, () => {
+        assert.deepStrictEqual(
+          [
+            ['', '15'],
+            ['', '25'],
+            ['-', '25'],
+            ['', '21'],
+            ['-', '21'],
+            ['', '10'],
+          ].map(([signPart, digits]) => roundCoefficient(
+            signPart,
+            digits,
+            -1,
+            0,
+            roundingMode,
+          ).digits),
+          results,
+        );
+      });
+    }
+  });
+
+  describe('roundSignificant', () => {
+    for (const [number, precision, rounded] of [
+      ['123.456', 4, '123.5'],
+      ['123.456', 2, '120'],
+      ['9.99', 2, '10'],
+      ['0.000123456', 3, '0.000123'],
+      ['1.5', 5, '1.5'],
+      ['-2.5e-3', 1, '-0.003'],
+    ]) {
+      it(`rounds ${number} to ${precision} digits as ${rounded}`, () => {
+        const decimal = parseDecimal(number);
+        assert.strictEqual(
+          formatFixed(roundSignificant(decimal, precision)),
+          rounded,
+        );
+      });
+    }
+  });
+
+  describe('formatFixed', () => {
+    for (const [number, fixed] of [
+      ['0', '0'],
+      ['-0', '0'],
+      ['1e3', '1000'],
+      ['-1.5e-3', '-0.0015'],
+      ['12.30', '12.3'],
+      ['1.23e1', '12.3'],
+    ]) {
+      it(`formats ${number} as ${fixed}`, () => {
+        assert.strictEqual(formatFixed(parseDecimal(number)), fixed);
+      });
+    }
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const formatDiff = require('../../lib/diff.js');
+
+function replace(number, replacement, offset, line, column, path) {
+  return {
+    number,
+    replacement,
+    offset,
+    line,
+    column,
+    path,
+  };
+}
+
+describe('formatDiff', () => {
+  it('throws TypeError for unknown diffFormat', () => {
+    assert.throws(
+      () => formatDiff('1', [], { diffFormat: 'context' }),
+      TypeError,
+    );
+  });
+
+  for (const format of ['jsonl', 'markdown']) {
+    it(`throws TypeError for json-patch with format ${format}`, () => {
+      assert.throws(
+        () => formatDiff('1', [], { diffFormat: 'json-patch', format }),
+        TypeError,
+      );
+    });
+  }
+
+  it('throws TypeError for negative context', () => {
+    assert.throws(
+      () => formatDiff('1', [], { context: -1 }),
+      TypeError,
+    );
+  });
+
+  it('returns empty string without replacements', () => {
+    assert.strictEqual(formatDiff('[1]\n', []), '');
+  });
+
+  it('returns unified diff of changed line with context', () => {
+    const text = '[\n  1,\n  2,\n  3,\n  4e0,\n  5,\n  6,\n  7,\n  8\n]\n';
+    assert.strictEqual(
+      formatDiff(text, [replace('4e0', '4', 20, 5, 3, '/3')]),
+      '--- original\n'
+      + '+++ replaced\n'
+      + '@@ -2,7 +2,7 @@\n'
+      + '   1,\n'
+      + '   2,\n'
+      + '   3,\n'
+      + '-  4e0,\n'
+      + '+  4,\n'
+      + '   5,\n'
+      + '   6,\n'
+      + '   7,\n',
+    );
+  });
+
+  it('returns unified diff with multiple replacements in a line', () => {
+    assert.strictEqual(
+      formatDiff(
+        '[1e1, 2, 3e0]\n',
+        [
+          replace('1e1', '10', 1, 1, 2, '/0'),
+          replace('3e0', '3', 9, 1, 10, '/2'),
+        ],
+        { fromLabel: 'a/x.json', toLabel: 'b/x.json' },
+      ),
+      '--- a/x.json\n'
+      + '+++ b/x.json\n'
+      + '@@ -1 +1 @@\n'
+      + '-[1e1, 2, 3e0]\n'
+      + '+[10, 2, 3]\n',
+    );
+  });
+
+  it('returns unified diff with separate hunks', () => {
+    const text = '[\n1e0,\n2,\n3,\n4,\n5e0\n]';
+    assert.strictEqual(
+      formatDiff(
+        text,
+        [
+          replace('1e0', '1', 2, 2, 1, '/0'),
+          replace('5e0', '5', 15, 6, 1, '/4'),
+        ],
+        { context: 1 },
+      ),
+      '--- original\n'
+      + '+++ replaced\n'
+      + '@@ -1,3 +1,3 @@\n'
+      + ' [\n'
+      + '-1e0,\n'
+      + '+1,\n'
+      + ' 2,\n'
+      + '@@ -5,3 +5,3 @@\n'
+      + ' 4,\n'
+      + '-5e0\n'
+      + '+5\n'
+      + ' ]\n'
+      + '\\ No newline at end of file\n',
+    );
+  });
+
+  it('returns unified diff with merged hunks for adjacent context', () => {
+    const text = '[\n1e0,\n2,\n3e0\n]\n';
+    assert.strictEqual(
+      formatDiff(
+        text,
+        [
+          replace('1e0', '1', 2, 2, 1, '/0'),
+          replace('3e0', '3', 10, 4, 1, '/2'),
+        ],
+        { context: 1 },
+      ),
+      '--- original\n'
+      + '+++ replaced\n'
+      + '@@ -1,5 +1,5 @@\n'
+      + ' [\n'
+      + '-1e0,\n'
+      + '+1,\n'
+      + ' 2,\n'
+      + '-3e0\n'
+      + '+3\n'
+      + ' ]\n',
+    );
+  });
+
+  it('marks changed last line without newline', () => {
+    assert.strictEqual(
+      formatDiff('1e1', [replace('1e1', '10', 0, 1, 1, '')]),
+      '--- original\n'
+      + '+++ replaced\n'
+      + '@@ -1 +1 @@\n'
+      + '-1e1\n'
+      + '\\ No newline at end of file\n'
+      + '+10\n'
+      + '\\ No newline at end of file\n',
+    );
+  });
+
+  it('counts lines added by replacements containing newlines', () => {
+    const text = '[1e0,\n2e0,\n3,\n4e0]\n';
+    assert.strictEqual(
+      formatDiff(
+        text,
+        [
+          replace('1e0', '1\n', 1, 1, 2, '/0'),
+          replace('4e0', '4', 15, 4, 1, '/3'),
+        ],
+        { context: 0 },
+      ),
+      '--- original\n'
+      + '+++ replaced\n'
+      + '@@ -1 +1,2 @@\n'
+      + '-[1e0,\n'
+      + '+[1\n'
+      + '+,\n'
+      + '@@ -4 +5 @@\n'
+      + '-4e0]\n'
+      + '+4]\n',
+    );
+  });
+
+  it('returns JSON Patch with replacement values', () => {
+    const patch = formatDiff(
+      '{"a/b": 1e400, "c": [2E0]}',
+      [
+        replace('1e400', `1${'0'.repeat(400)}`, 8, 1, 9, '/a~1b'),
+        replace('2E0', '2', 21, 1, 22, '/c/0'),
+      ],
+      { diffFormat: 'json-patch' },
+    );
+    assert.strictEqual(
+      patch,
+      '[\n'
+      + `  {"op": "replace", "path": "/a~1b", "value": 1${'0'.repeat(400)}},\n`
+      + '  {"op": "replace", "path": "/c/0", "value": 2}\n'
+      + ']',
+    );
+    assert.deepStrictEqual(JSON.parse(patch)[1], {
+      op: 'replace',
+      path: '/c/0',
+      value: 2,
+    });
+  });
+
+  it('returns empty JSON Patch without replacements', () => {
+    assert.strictEqual(
+      formatDiff('[1]', [], { diffFormat: 'json-patch' }),
+      '[]',
+    );
+  });
+});
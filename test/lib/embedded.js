@@ -0,0 +1,119 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const {
+  createEmbeddedJsonReplacer,
+  getEmbeddedScanOptions,
+} = require('../../lib/embedded.js');
+
+const location = {
+  offset: 5,
+  line: 1,
+  column: 6,
+  path: '/a',
+};
+
+function bracket(number) {
+  return `<${number}>`;
+}
+
+describe('createEmbeddedJsonReplacer', () => {
+  it('throws TypeError for non-function replaceNumber', () => {
+    assert.throws(() => createEmbeddedJsonReplacer({}), TypeError);
+  });
+
+  it('replaces numbers in string containing object', () => {
+    const replaceString = createEmbeddedJsonReplacer(bracket);
+    assert.strictEqual(
+      replaceString(JSON.stringify('{"x": 1e-9}'), location),
+      JSON.stringify('{"x": <1e-9>}'),
+    );
+  });
+
+  it('replaces numbers in string containing array after space', () => {
+    const replaceString = createEmbeddedJsonReplacer(bracket);
+    assert.strictEqual(
+      replaceString(JSON.stringify('\n [1, "2"]'), location),
+      JSON.stringify('\n [<1>, "2"]'),
+    );
+  });
+
+  it('replaces numbers in nested embedded JSON', () => {
+    const replaceString = createEmbeddedJsonReplacer(bracket);
+    const inner = JSON.stringify('[1]');
+    assert.strictEqual(
+      replaceString(JSON.stringify(`{"b": ${inner}}`), location),
+      JSON.stringify(`{"b": ${JSON.stringify('[<1>]')}}`),
+    );
+  });
+
+  for (const string of [
+    '"1e5"',
+    '"true"',
+    '"[1e5"',
+    '"{1e5}"',
+    "'[1e5]'",
+    '"[1e5]',
+  ]) {
+    it(`does not replace ${string}`, () => {
+      const replaceString = createEmbeddedJsonReplacer(bracket);
+      assert.strictEqual(replaceString(string, location), string);
+    });
+  }
+
+  it('returns string with original escapes if unchanged', () => {
+    const replaceString = createEmbeddedJsonReplacer((number) => number);
+    const string = String.raw`"[\"é\/\"]"`;
+    assert.strictEqual(replaceString(string, location), string);
+  });
+
+  it('calls replaceNumber with location of string and full path', () => {
+    const locations = [];
+    const replaceString = createEmbeddedJsonReplacer((number, loc) => {
+      locations.push(loc);
+      return number;
+    });
+    const inner = JSON.stringify('[1]');
+    replaceString(JSON.stringify(`{"b/c": 2, "d": ${inner}}`), location);
+    assert.deepStrictEqual(locations, [
+      { ...location, path: '/a/b~1c' },
+      { ...location, path: '/a/d/0' },
+    ]);
+  });
+});
+
+describe('getEmbeddedScanOptions', () => {
+  it('returns options without embedded', () => {
+    const options = { strict: true };
+    assert.strictEqual(getEmbeddedScanOptions(bracket, options), options);
+    assert.strictEqual(getEmbeddedScanOptions(bracket, undefined), undefined);
+  });
+
+  it('adds replaceString with embedded', () => {
+    const options = getEmbeddedScanOptions(bracket, {
+      embedded: true,
+      strict: true,
+    });
+    assert.strictEqual(options.strict, true);
+    assert.strictEqual(
+      options.replaceString('"[1]"', location),
+      '"[<1>]"',
+    );
+  });
+
+  it('throws TypeError for embedded with replaceString', () => {
+    assert.throws(
+      () => getEmbeddedScanOptions(bracket, {
+        embedded: true,
+        replaceString: (string) => string,
+      }),
+      TypeError,
+    );
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const {
+  createDecoder,
+  detectEncoding,
+  encode,
+  getBom,
+  normalizeEncoding,
+} = require('../../lib/encoding.js');
+
+const encodings = ['utf8', 'utf16le', 'utf16be', 'utf32le', 'utf32be'];
+
+describe('encoding', () => {
+  describe('normalizeEncoding', () => {
+    for (const [name, expected] of [
+      ['utf8', 'utf8'],
+      ['UTF-16LE', 'utf16le'],
+      ['utf32be', 'utf32be'],
+      ['latin1', undefined],
+      ['utf-16', undefined],
+    ]) {
+      it(`returns ${expected} for ${name}`, () => {
+        assert.strictEqual(normalizeEncoding(name), expected);
+      });
+    }
+  });
+
+  describe('detectEncoding', () => {
+    for (const encoding of encodings) {
+      it(`detects ${encoding} with BOM`, () => {
+        const bom = getBom(encoding);
+        const bytes = Buffer.concat([bom, encode('{}', encoding)]);
+        assert.deepStrictEqual(
+          detectEncoding(bytes),
+          { encoding, bomLength: bom.length },
+        );
+      });
+
+      it(`detects ${encoding} without BOM`, () => {
+        assert.deepStrictEqual(
+          detectEncoding(encode('{}', encoding)),
+          { encoding, bomLength: 0 },
+        );
+      });
+
+      it(`detects ${encoding} for single character`, () => {
+        assert.deepStrictEqual(
+          detectEncoding(encode('1', encoding)),
+          { encoding, bomLength: 0 },
+        );
+      });
+    }
+
+    it('detects utf-8 for empty input', () => {
+      assert.deepStrictEqual(
+        detectEncoding(Buffer.alloc(0)),
+        { encoding: 'utf8', bomLength: 0 },
+      );
+    });
+  });
+
+  describe('createDecoder', () => {
+    const text = '["€𝄞",1e2]';
+
+    for (const encoding of encodings) {
+      it(`decodes ${encoding} split at every byte`, () => {
+        const bytes = encode(text, encoding);
+        const decoder = createDecoder(encoding);
+        let decoded = '';
+        for (const byte of bytes) {
+          decoded += decoder.write(Buffer.of(byte));
+        }
+        decoded += decoder.end();
+        assert.strictEqual(decoded, text);
+      });
+    }
+
+    it('decodes incomplete utf-32 character as U+FFFD', () => {
+      const decoder = createDecoder('utf32le');
+      assert.strictEqual(decoder.write(Buffer.of(0x31, 0, 0, 0, 0x32)), '1');
+      assert.strictEqual(decoder.end(), '\u{FFFD}');
+    });
+
+    it('throws RangeError for unsupported encoding', () => {
+      assert.throws(() => createDecoder('latin1'), RangeError);
+    });
+  });
+
+  describe('encode', () => {
+    it('encodes utf-16be', () => {
+      assert.deepStrictEqual(
+        encode('1€', 'utf16be'),
+        Buffer.of(0, 0x31, 0x20, 0xAC),
+      );
+    });
+
+    it('encodes utf-32be', () => {
+      assert.deepStrictEqual(
+        encode('𝄞', 'utf32be'),
+        Buffer.of(0, 0x01, 0xD1, 0x1E),
+      );
+    });
+
+    it('throws RangeError for unsupported encoding', () => {
+      assert.throws(() => encode('1', 'latin1'), RangeError);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const mayContainExponential = require('../../lib/exponential-check.js');
+
+describe('mayContainExponential', () => {
+  for (const [json, expected] of [
+    ['', false],
+    ['[1, 2.5, -3]', false],
+    ['{"e": true, "E1e5": false}', false],
+    ['"1e5', false],
+    [String.raw`["\"1e5", "\\", "1E5\\\"\\"]`, false],
+    ['1e5', true],
+    ['[1, 2.5E-3]', true],
+    ['"1e5"1e5', true],
+    [String.raw`["\\"1e5]`, true],
+  ]) {
+    it(`returns ${expected} for ${json}`, () => {
+      assert.strictEqual(mayContainExponential(json), expected);
+    });
+  }
+
+  it('ends strings at line feed for format jsonl', () => {
+    const jsonl = '"a\n1e5\n';
+    assert.strictEqual(mayContainExponential(jsonl), false);
+    assert.strictEqual(mayContainExponential(jsonl, { format: 'jsonl' }), true);
+    assert.strictEqual(
+      mayContainExponential('["a"]\n["\\"1e5"]\n', { format: 'jsonl' }),
+      false,
+    );
+  });
+
+  for (const [description, options] of [
+    ['format jsonc', { format: 'jsonc' }],
+    ['format json5', { format: 'json5' }],
+    ['format markdown', { format: 'markdown' }],
+    ['format yaml', { format: 'yaml' }],
+    ['embedded', { embedded: true }],
+    ['replaceString', { replaceString: (string) => string }],
+    ['strict', { strict: true }],
+  ]) {
+    it(`returns true for ${description}`, () => {
+      assert.strictEqual(mayContainExponential('[1]', options), true);
+    });
+  }
+});
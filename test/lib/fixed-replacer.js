@@ -0,0 +1,91 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const createFixedReplacer = require('../../lib/fixed-replacer.js');
+const createNumberReplacer = require('../../lib/number-replacer.js');
+
+describe('createFixedReplacer', () => {
+  it('throws TypeError for non-object options', () => {
+    assert.throws(
+      () => createFixedReplacer(1),
+      TypeError,
+    );
+  });
+
+  for (const options of [
+    { maxDigits: '1' },
+    { maxExponent: NaN },
+    { minExponent: null },
+  ]) {
+    it(`throws TypeError for options ${JSON.stringify(options)}`, () => {
+      assert.throws(
+        () => createFixedReplacer(options),
+        TypeError,
+      );
+    });
+  }
+
+  const replaceAll = createFixedReplacer({
+    maxDigits: 0,
+    maxExponent: -Infinity,
+  });
+  for (const [fixed, exp] of [
+    ['1', '1e0'],
+    ['10', '1e1'],
+    ['1200', '1.2e3'],
+    ['1200.0', '1.2000e3'],
+    ['1.5', '1.5e0'],
+    ['10.25', '1.025e1'],
+    ['0.1', '1e-1'],
+    ['0.10', '1.0e-1'],
+    ['0.00120', '1.20e-3'],
+    ['00012', '1.2e1'],
+    ['-0.005', '-5e-3'],
+    ['1000000000000000000000000', '1e24'],
+  ]) {
+    it(`converts ${fixed} to ${exp}`, () => {
+      assert.strictEqual(replaceAll(fixed), exp);
+    });
+
+    if (!fixed.startsWith('00')) {
+      it(`converts ${exp} back to ${fixed}`, () => {
+        const replaceExp = createNumberReplacer();
+        assert.strictEqual(replaceExp(exp, {}), fixed);
+      });
+    }
+  }
+
+  for (const number of ['0', '-0', '0.000', '1e5', '1.5E-3', 'true']) {
+    it(`does not convert ${number}`, () => {
+      assert.strictEqual(replaceAll(number), number);
+    });
+  }
+
+  it('does not convert numbers within thresholds', () => {
+    const replace = createFixedReplacer({
+      maxDigits: 3,
+      maxExponent: 2,
+      minExponent: -2,
+    });
+    for (const number of ['123', '-1.23', '0.01', '100']) {
+      assert.strictEqual(replace(number), number);
+    }
+  });
+
+  it('converts numbers outside thresholds', () => {
+    const replace = createFixedReplacer({
+      maxDigits: 3,
+      maxExponent: 2,
+      minExponent: -2,
+    });
+    assert.strictEqual(replace('1.234'), '1.234e0');
+    assert.strictEqual(replace('1000'), '1e3');
+    assert.strictEqual(replace('0.001'), '1e-3');
+  });
+});
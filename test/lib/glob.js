@@ -0,0 +1,143 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const {
+  mkdir,
+  mkdtemp,
+  rm,
+  symlink,
+  writeFile,
+} = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { expandGlob, hasMagic } = require('../../lib/glob.js');
+
+describe('glob', () => {
+  describe('hasMagic', () => {
+    for (const [pattern, expected] of [
+      ['a.json', false],
+      ['dir/a.json', false],
+      ['*.json', true],
+      ['a?.json', true],
+      ['[ab].json', true],
+      ['**/a.json', true],
+    ]) {
+      it(`returns ${expected} for ${pattern}`, () => {
+        assert.strictEqual(hasMagic(pattern), expected);
+      });
+    }
+  });
+
+  describe('expandGlob', () => {
+    let tempDir;
+    before(async () => {
+      tempDir = await mkdtemp(path.join(os.tmpdir(), 'jre-glob-'));
+      await mkdir(path.join(tempDir, 'sub', 'deep'), { recursive: true });
+      await mkdir(path.join(tempDir, '.hidden'));
+      await Promise.all([
+        'a.json',
+        'b.json',
+        'c.txt',
+        '.dot.json',
+        'sub/d.json',
+        'sub/deep/e.json',
+        '.hidden/f.json',
+      ].map((file) => writeFile(path.join(tempDir, file), '')));
+    });
+
+    after(() => rm(tempDir, { recursive: true, force: true }));
+
+    function expand(pattern) {
+      return expandGlob(path.join(tempDir, pattern));
+    }
+
+    function resolveAll(files) {
+      return files.map((file) => path.join(tempDir, file));
+    }
+
+    it('matches * in a single directory', async () => {
+      assert.deepStrictEqual(
+        await expand('*.json'),
+        resolveAll(['a.json', 'b.json']),
+      );
+    });
+
+    it('matches ? and character sets', async () => {
+      assert.deepStrictEqual(
+        await expand('?.[!j]*'),
+        resolveAll(['c.txt']),
+      );
+      assert.deepStrictEqual(
+        await expand('[a-b].json'),
+        resolveAll(['a.json', 'b.json']),
+      );
+    });
+
+    it('matches dotfiles only explicitly', async () => {
+      assert.deepStrictEqual(
+        await expand('.*.json'),
+        resolveAll(['.dot.json']),
+      );
+    });
+
+    it('matches any number of directories with **', async () => {
+      assert.deepStrictEqual(
+        await expand('**/*.json'),
+        resolveAll([
+          'a.json',
+          'b.json',
+          'sub/d.json',
+          'sub/deep/e.json',
+        ]),
+      );
+    });
+
+    it('matches files under directory with trailing **', async () => {
+      assert.deepStrictEqual(
+        await expand('sub/**'),
+        resolveAll(['sub/d.json', 'sub/deep/e.json']),
+      );
+    });
+
+    it('does not match directories', async () => {
+      assert.deepStrictEqual(await expand('s*'), []);
+    });
+
+    it('returns empty Array for missing directory', async () => {
+      assert.deepStrictEqual(await expand('missing/*.json'), []);
+    });
+  });
+
+  // Creating symbolic links on Windows requires privileges
+  const describeSymlinks =
+    process.platform === 'win32' ? describe.skip : describe;
+  describeSymlinks('expandGlob with symbolic links', () => {
+    let tempDir;
+    before(async () => {
+      tempDir = await mkdtemp(path.join(os.tmpdir(), 'jre-glob-'));
+      await mkdir(path.join(tempDir, 'sub'));
+      await writeFile(path.join(tempDir, 'a.json'), '');
+      await symlink('..', path.join(tempDir, 'sub', 'loop'), 'dir');
+      await symlink('a.json', path.join(tempDir, 'b.json'), 'file');
+    });
+
+    after(() => rm(tempDir, { recursive: true, force: true }));
+
+    it('does not follow symbolic link loops with **', async () => {
+      assert.deepStrictEqual(
+        await expandGlob(path.join(tempDir, '**', '*.json')),
+        [path.join(tempDir, 'a.json')],
+      );
+      assert.deepStrictEqual(
+        await expandGlob(path.join(tempDir, '**')),
+        [path.join(tempDir, 'a.json')],
+      );
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const { encode, getBom } = require('../../lib/encoding.js');
+const InputDecoder = require('../../lib/input-decoder.js');
+
+const encodings = ['utf8', 'utf16le', 'utf16be', 'utf32le', 'utf32be'];
+
+describe('InputDecoder', () => {
+  it('throws TypeError for unsupported encoding', () => {
+    assert.throws(() => new InputDecoder('latin1'), TypeError);
+  });
+
+  for (const encoding of encodings) {
+    it(`detects ${encoding} and removes BOM`, () => {
+      const bytes =
+        Buffer.concat([getBom(encoding), encode('[1e2]', encoding)]);
+      const decoder = new InputDecoder('auto');
+      let decoded = '';
+      for (const byte of bytes) {
+        decoded += decoder.decode(Buffer.of(byte), false);
+      }
+      decoded += decoder.decode(Buffer.alloc(0), true);
+      assert.strictEqual(decoded, '[1e2]');
+      assert.strictEqual(decoder.encoding, encoding);
+      assert.strictEqual(decoder.bomLength, getBom(encoding).length);
+    });
+  }
+
+  it('removes BOM for given encoding', () => {
+    const decoder = new InputDecoder('UTF-16BE');
+    assert.strictEqual(decoder.encoding, undefined);
+    assert.strictEqual(
+      decoder.decode(encode('\u{FEFF}1', 'utf16be'), true),
+      '1',
+    );
+    assert.strictEqual(decoder.encoding, 'utf16be');
+    assert.strictEqual(decoder.bomLength, 2);
+  });
+
+  it('decodes input shorter than a BOM at end', () => {
+    const decoder = new InputDecoder('auto');
+    assert.strictEqual(decoder.decode(Buffer.from('1'), false), '');
+    assert.strictEqual(decoder.decode(Buffer.alloc(0), true), '1');
+    assert.strictEqual(decoder.encoding, 'utf8');
+    assert.strictEqual(decoder.bomLength, 0);
+  });
+});
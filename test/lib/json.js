@@ -0,0 +1,234 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const { formatFixed, parseDecimal } = require('../../lib/decimal.js');
+const JsonSyntaxError = require('../../lib/json-syntax-error.js');
+const { parse, stringify } = require('../../lib/json.js');
+
+/** Minimal decimal type, similar to those from big.js and decimal.js. */
+class TestDecimal {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toFixed() {
+    const decimal = parseDecimal(this.text);
+    return decimal ? formatFixed(decimal) : this.text;
+  }
+
+  toJSON() {
+    return this.text;
+  }
+}
+
+describe('json', () => {
+  describe('parse', () => {
+    it('throws TypeError for non-string json', () => {
+      assert.throws(() => parse(1), TypeError);
+    });
+
+    it('throws TypeError for non-object options', () => {
+      assert.throws(() => parse('1', 'bigint'), TypeError);
+    });
+
+    for (const options of [
+      { numbers: 'float' },
+      { numbers: 'decimal' },
+      { numbers: 'bigint', maxExponent: -1 },
+      { reviver: 'bad' },
+    ]) {
+      it(`throws TypeError for options ${JSON.stringify(options)}`, () => {
+        assert.throws(() => parse('1', options), TypeError);
+      });
+    }
+
+    it('parses numbers as number by default', () => {
+      assert.deepStrictEqual(parse('[1.5e1, "1e2"]'), [15, '1e2']);
+    });
+
+    it('parses numbers as text for numbers: string', () => {
+      assert.deepStrictEqual(
+        parse('{"a": [1.000000000000000000001e30, -0.0, "1"]}', {
+          numbers: 'string',
+        }),
+        { a: ['1.000000000000000000001e30', '-0.0', '1'] },
+      );
+    });
+
+    it('parses unsafe integers as bigint for numbers: bigint', () => {
+      assert.deepStrictEqual(
+        parse('[1.000000000000000000001e30, 9007199254740993, 1.5, 2e0]', {
+          numbers: 'bigint',
+        }),
+        [
+          1_000_000_000_000_000_000_001_000_000_000n,
+          9_007_199_254_740_993n,
+          1.5,
+          2,
+        ],
+      );
+    });
+
+    it('throws RangeError for bigint exceeding maxExponent', () => {
+      assert.throws(
+        () => parse('[1e10000]', { numbers: 'bigint' }),
+        new RangeError('1e10000 exponent exceeds maximum'),
+      );
+    });
+
+    it('parses numbers as options.Decimal for numbers: decimal', () => {
+      assert.deepStrictEqual(
+        parse('{"a": 1.10}', { numbers: 'decimal', Decimal: TestDecimal }),
+        { a: new TestDecimal('1.10') },
+      );
+    });
+
+    it('parses numbers using function options.numbers', () => {
+      assert.deepStrictEqual(
+        parse('[1, 2.0]', { numbers: (text) => `<${text}>` }),
+        ['<1>', '<2.0>'],
+      );
+    });
+
+    it('does not convert strings which resemble markers', () => {
+      assert.deepStrictEqual(
+        parse('["\\u00000", "\\u0001\\u00010", 1]', { numbers: 'string' }),
+        ['\u{0}0', '\u{1}\u{1}0', '1'],
+      );
+    });
+
+    it('calls options.reviver with converted numbers', () => {
+      const calls = [];
+      const result = parse('{"a": 1e30}', {
+        numbers: 'bigint',
+        reviver(key, value) {
+          calls.push([key, value]);
+          return typeof value === 'bigint' ? String(value) : value;
+        },
+      });
+      assert.deepStrictEqual(result, { a: `1${'0'.repeat(30)}` });
+      assert.deepStrictEqual(calls, [
+        ['a', 10n ** 30n],
+        ['', { a: `1${'0'.repeat(30)}` }],
+      ]);
+    });
+
+    it('throws SyntaxError for invalid JSON', () => {
+      assert.throws(() => parse('[1,]'), SyntaxError);
+    });
+
+    it('throws JsonSyntaxError for invalid JSON with numbers', () => {
+      assert.throws(
+        () => parse('[1,]', { numbers: 'string' }),
+        JsonSyntaxError,
+      );
+    });
+  });
+
+  describe('stringify', () => {
+    it('returns undefined for undefined', () => {
+      assert.strictEqual(stringify(undefined), undefined);
+    });
+
+    it('serializes numbers in fixed-point notation', () => {
+      assert.strictEqual(
+        stringify([1e21, -1.5e-7, 1.5, 0]),
+        '[1000000000000000000000,-0.00000015,1.5,0]',
+      );
+    });
+
+    it('serializes bigint as number', () => {
+      assert.strictEqual(
+        stringify({
+          a: 12_345_678_901_234_567_890n,
+          b: new Object(-1n),
+        }),
+        '{"a":12345678901234567890,"b":-1}',
+      );
+    });
+
+    it('serializes decimal objects using toFixed', () => {
+      assert.strictEqual(
+        stringify({ a: new TestDecimal('1.5e1') }),
+        '{"a":15}',
+      );
+    });
+
+    it('serializes decimal objects with non-numeric toFixed as toJSON', () => {
+      assert.strictEqual(
+        stringify([new TestDecimal('NaN')]),
+        '["NaN"]',
+      );
+    });
+
+    it('does not change strings or keys which resemble markers', () => {
+      const value = {
+        '\0n1': '\0n1',
+        '\0s': ['\0s', 'a"\0n1', '\0'],
+      };
+      assert.strictEqual(stringify(value), JSON.stringify(value));
+    });
+
+    it('calls replacer function', () => {
+      assert.strictEqual(
+        stringify({ a: 1, b: 2n }, function replacer(key, value) {
+          assert.strictEqual(this[key], value);
+          return typeof value === 'number' ? value * 1e21 : value;
+        }),
+        '{"a":1000000000000000000000,"b":2}',
+      );
+    });
+
+    it('uses value returned by replacer function for decimal', () => {
+      assert.strictEqual(
+        stringify([new TestDecimal('1')], (key, value) => {
+          return value === '1' ? 2 : value;
+        }),
+        '[2]',
+      );
+    });
+
+    it('serializes properties in replacer Array', () => {
+      assert.strictEqual(
+        stringify(
+          { a: 3n, b: 2, c: { a: 1e21, d: 4 } },
+          ['a', 'c', new Object('a')],
+        ),
+        '{"a":3,"c":{"a":1000000000000000000000}}',
+      );
+    });
+
+    it('throws TypeError for circular value with replacer Array', () => {
+      const value = { a: {} };
+      value.a.b = value;
+      assert.throws(() => stringify(value, ['a', 'b']), TypeError);
+    });
+
+    it('indents using space', () => {
+      assert.strictEqual(
+        stringify({ a: [1e-7] }, undefined, 2),
+        '{\n  "a": [\n    0.0000001\n  ]\n}',
+      );
+    });
+
+    it('round-trips numbers with parse', () => {
+      const json = '{"a":1.000000000000000000001e30,"b":[1e-30,12]}';
+      const fixedJson = '{"a":1000000000000000000001000000000,'
+        + '"b":[0.000000000000000000000000000001,12]}';
+      assert.strictEqual(
+        stringify(parse(json, { numbers: 'decimal', Decimal: TestDecimal })),
+        fixedJson,
+      );
+      assert.strictEqual(
+        stringify(parse(json, { numbers: 'bigint' })),
+        fixedJson,
+      );
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const {
+  createLossyKindGetter,
+  createLossyQuoter,
+  getLossyKind,
+} = require('../../lib/lossy.js');
+
+describe('getLossyKind', () => {
+  for (const [number, kind] of [
+    ['0', undefined],
+    ['-0', undefined],
+    ['0e-400', undefined],
+    ['0.000', undefined],
+    ['1', undefined],
+    ['0.1', undefined],
+    ['1e2', undefined],
+    ['1.50', undefined],
+    ['5e-324', undefined],
+    ['9007199254740991', undefined],
+    ['-9007199254740991', undefined],
+    ['1e400', 'overflow'],
+    ['-1e400', 'overflow'],
+    ['1.8e308', 'overflow'],
+    ['1e-400', 'underflow'],
+    ['-2e-324', 'underflow'],
+    ['9007199254740992', 'unsafe-integer'],
+    ['-9007199254740993', 'unsafe-integer'],
+    ['1e300', 'unsafe-integer'],
+    ['1.7976931348623157e308', 'unsafe-integer'],
+    ['12345678901234567890.0', 'unsafe-integer'],
+    ['0.10000000000000000001', 'precision'],
+    ['1.00000000000000001', 'precision'],
+    ['3e-324', 'precision'],
+    ['9007199254740993.5', 'precision'],
+    ['0x10', undefined],
+    ['-0X1fffffffffffff', undefined],
+    ['+0x20000000000000', 'unsafe-integer'],
+    [`0x${'f'.repeat(257)}`, 'overflow'],
+    ['+1e2', undefined],
+    ['+1e400', 'overflow'],
+    ['.5', undefined],
+    ['-.1e-400', 'underflow'],
+    ['5.', undefined],
+    ['9007199254740993.', 'unsafe-integer'],
+    ['.10000000000000000001', 'precision'],
+    ['1-2', undefined],
+    ['-', undefined],
+    ['1e', undefined],
+    ['0x', undefined],
+  ]) {
+    it(`returns ${kind} for ${number}`, () => {
+      assert.strictEqual(getLossyKind(number), kind);
+    });
+  }
+});
+
+describe('createLossyKindGetter', () => {
+  it('throws TypeError for non-object options', () => {
+    assert.throws(() => createLossyKindGetter(null), TypeError);
+    assert.throws(() => createLossyKindGetter('overflow'), TypeError);
+  });
+
+  it('throws TypeError for non-Array kinds', () => {
+    assert.throws(
+      () => createLossyKindGetter({ kinds: 'overflow' }),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for unknown kind', () => {
+    assert.throws(
+      () => createLossyKindGetter({ kinds: ['overflow', 'nan'] }),
+      TypeError,
+    );
+  });
+
+  it('returns getLossyKind without kinds', () => {
+    assert.strictEqual(createLossyKindGetter(), getLossyKind);
+    assert.strictEqual(createLossyKindGetter({}), getLossyKind);
+  });
+
+  it('returns undefined for kinds not in kinds', () => {
+    const getKind = createLossyKindGetter({ kinds: ['underflow'] });
+    assert.strictEqual(getKind('1e400'), undefined);
+    assert.strictEqual(getKind('1e-400'), 'underflow');
+  });
+});
+
+describe('createLossyQuoter', () => {
+  it('returns lossy numbers as JSON strings', () => {
+    const quoteLossyNumber = createLossyQuoter();
+    assert.strictEqual(quoteLossyNumber('1e400'), '"1e400"');
+    assert.strictEqual(quoteLossyNumber('-1e400'), '"-1e400"');
+  });
+
+  it('returns other numbers unchanged', () => {
+    const quoteLossyNumber = createLossyQuoter();
+    assert.strictEqual(quoteLossyNumber('1e2'), '1e2');
+  });
+
+  it('returns numbers not in kinds unchanged', () => {
+    const quoteLossyNumber = createLossyQuoter({ kinds: ['precision'] });
+    assert.strictEqual(quoteLossyNumber('1e400'), '1e400');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const JsonSyntaxError = require('../../lib/json-syntax-error.js');
+const MarkdownJsonScanner = require('../../lib/markdown-scanner.js');
+
+function bracket(number) {
+  return `<${number}>`;
+}
+
+function scanChunks(chunks, options) {
+  const scanner = new MarkdownJsonScanner(bracket, options);
+  return chunks.map((chunk) => scanner.write(chunk)).join('')
+    + scanner.end();
+}
+
+describe('MarkdownJsonScanner', () => {
+  it('throws TypeError for non-function replaceNumber', () => {
+    assert.throws(() => new MarkdownJsonScanner({}), TypeError);
+  });
+
+  it('throws TypeError for invalid options', () => {
+    assert.throws(
+      () => new MarkdownJsonScanner(bracket, { replaceString: 'x' }),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-string chunk', () => {
+    const scanner = new MarkdownJsonScanner(bracket);
+    assert.throws(() => scanner.write(1), TypeError);
+  });
+
+  it('replaces numbers in json code blocks only', () => {
+    assert.strictEqual(
+      scanChunks([
+        '# Title 1\n\n```json\n{"a": [1, "2"]}\n```\n\n',
+        '```js\nconst b = 3;\n```\n\n    [4]\n\n5\n',
+      ]),
+      '# Title 1\n\n```json\n{"a": [<1>, "2"]}\n```\n\n'
+      + '```js\nconst b = 3;\n```\n\n    [4]\n\n5\n',
+    );
+  });
+
+  it('scans code blocks in the format of their language', () => {
+    assert.strictEqual(
+      scanChunks([
+        '~~~jsonc\n// 1\n[2,]\n~~~\n'
+        + '``` JSON5 title="x"\n{a: 3}\n```\n'
+        + '```jsonl\n4\n5\n```\n',
+      ]),
+      '~~~jsonc\n// 1\n[<2>,]\n~~~\n'
+      + '``` JSON5 title="x"\n{a: <3>}\n```\n'
+      + '```jsonl\n<4>\n<5>\n```\n',
+    );
+  });
+
+  it('ends code blocks at matching fence only', () => {
+    assert.strictEqual(
+      scanChunks([
+        '````json\n[1,\n```\n~~~~\n2]\n````\n3\n'
+        + '````markdown\n```json\n[4]\n```\n````\n',
+      ]),
+      '````json\n[<1>,\n```\n~~~~\n<2>]\n````\n3\n'
+      + '````markdown\n```json\n[4]\n```\n````\n',
+    );
+  });
+
+  it('does not treat backtick fence with backtick in info as fence', () => {
+    assert.strictEqual(
+      scanChunks(['``` json `x`\n[1]\n```\n']),
+      '``` json `x`\n[1]\n```\n',
+    );
+  });
+
+  it('scans unclosed code block to end', () => {
+    assert.strictEqual(scanChunks(['```json\n[1, 2]']), '```json\n[<1>, <2>]');
+  });
+
+  it('preserves CRLF line endings and indented fences', () => {
+    assert.strictEqual(
+      scanChunks(['   ```json\r\n  [1]\r\n   ```  \r\n[2]\r\n']),
+      '   ```json\r\n  [<1>]\r\n   ```  \r\n[2]\r\n',
+    );
+  });
+
+  it('replaces numbers in chunks of one character', () => {
+    const markdown = 'a 1\n```json\n[10, "```"]\n```\nb 2\n```json\n3';
+    assert.strictEqual(
+      scanChunks([...markdown]),
+      'a 1\n```json\n[<10>, "```"]\n```\nb 2\n```json\n<3>',
+    );
+  });
+
+  it('provides locations relative to the Markdown text', () => {
+    const locations = [];
+    const scanner = new MarkdownJsonScanner((number, location) => {
+      locations.push(location);
+      return number;
+    });
+    scanner.write('Text\n```json\n{"a":\n  1}\n```\n');
+    scanner.end();
+    assert.deepStrictEqual(locations, [
+      {
+        offset: 21,
+        line: 4,
+        column: 3,
+        path: '/a',
+      },
+    ]);
+  });
+
+  it('throws JsonSyntaxError with location for strict', () => {
+    assert.throws(
+      () => scanChunks(['Text\n```json\n[1,]\n```\n'], { strict: true }),
+      (err) => {
+        assert(err instanceof JsonSyntaxError);
+        assert.strictEqual(err.line, 3);
+        assert.strictEqual(err.column, 4);
+        assert.strictEqual(err.offset, 16);
+        return true;
+      },
+    );
+  });
+
+  it('does not validate json5 code blocks for strict', () => {
+    assert.strictEqual(
+      scanChunks(['```json5\n[1,]\n```\n'], { strict: true }),
+      '```json5\n[<1>,]\n```\n',
+    );
+  });
+
+  it('can be reused after end', () => {
+    const scanner = new MarkdownJsonScanner(bracket);
+    assert.strictEqual(scanner.write('```json\n1'), '```json\n');
+    assert.strictEqual(scanner.end(), '<1>');
+    assert.strictEqual(scanner.write('1\n'), '1\n');
+    assert.strictEqual(scanner.end(), '');
+  });
+});
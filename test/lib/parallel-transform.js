@@ -0,0 +1,200 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { Readable } = require('node:stream');
+const { buffer, text } = require('node:stream/consumers');
+
+const jsonReplaceExponentials = require('../../index.js');
+const { encode, getBom } = require('../../lib/encoding.js');
+const JsonSyntaxError = require('../../lib/json-syntax-error.js');
+const JsonLinesParallelTransform =
+  require('../../lib/parallel-transform.js');
+
+function transformChunks(chunks, options) {
+  return text(
+    Readable.from(chunks, { objectMode: false })
+      .pipe(new JsonLinesParallelTransform(options)),
+  );
+}
+
+function generateLines(count) {
+  const lines = [];
+  for (let i = 0; i < count; i += 1) {
+    lines.push(`{"a":${i}e-2,"b":"${i}e2","c":[1.5E1,${i}]}\n`);
+  }
+  return lines.join('');
+}
+
+describe('JsonLinesParallelTransform', () => {
+  for (const [name, options] of [
+    ['replacer', { replacer: () => 'x' }],
+    ['replaceString', { replaceString: (string) => string }],
+    ['overflow function', { overflow: () => '0' }],
+    ['object option', { precision: { double: 2 } }],
+    ['format json', { format: 'json' }],
+    ['jobs 0', { jobs: 0 }],
+    ['batchSize 1.5', { batchSize: 1.5 }],
+    ['invalid maxExponent', { maxExponent: -1 }],
+    ['invalid inputEncoding', { inputEncoding: 'latin1' }],
+    ['preserveEncoding without inputEncoding', { preserveEncoding: true }],
+  ]) {
+    it(`throws TypeError for ${name}`, () => {
+      assert.throws(() => new JsonLinesParallelTransform(options), TypeError);
+    });
+  }
+
+  it('replaces exponentials in order as jsonReplaceExponentials', async () => {
+    const jsonl = generateLines(500);
+    assert.strictEqual(
+      await transformChunks(
+        [jsonl.slice(0, 1000), jsonl.slice(1000, 1001), jsonl.slice(1001)],
+        { batchSize: 100, jobs: 3 },
+      ),
+      jsonReplaceExponentials(jsonl, undefined, { format: 'jsonl' }),
+    );
+  });
+
+  it('replaces exponentials without trailing line feed', async () => {
+    assert.strictEqual(
+      await transformChunks(['[1e1]\n[2', 'e1]'], { batchSize: 1, jobs: 2 }),
+      '[10]\n[20]',
+    );
+  });
+
+  it('replaces exponentials with options', async () => {
+    assert.strictEqual(
+      await transformChunks(
+        ['{"a":1e-1,"b":2e-1}\n{"b":"{\\"a\\":3e1}"}\n'],
+        { embedded: true, fractionDigits: 0, skip: ['/b'] },
+      ),
+      '{"a":0,"b":2e-1}\n{"b":"{\\"a\\":3e1}"}\n',
+    );
+  });
+
+  it('emits replace events with locations in order', async () => {
+    const transform = new JsonLinesParallelTransform({
+      batchSize: 1,
+      jobs: 2,
+      startLine: 3,
+      startOffset: 10,
+    });
+    const replacements = [];
+    transform.on('replace', (replacement) => {
+      replacements.push(replacement);
+    });
+    const output = await text(
+      Readable.from(['[1]\n', '[2,', '3e1]\n{"a":4e1}\n']).pipe(transform),
+    );
+    assert.strictEqual(output, '[1]\n[2,30]\n{"a":40}\n');
+    assert.deepStrictEqual(replacements, [
+      {
+        number: '3e1',
+        replacement: '30',
+        offset: 17,
+        line: 4,
+        column: 4,
+        path: '/1',
+      },
+      {
+        number: '4e1',
+        replacement: '40',
+        offset: 27,
+        line: 5,
+        column: 6,
+        path: '/a',
+      },
+    ]);
+    assert.strictEqual(transform.replacedCount, 2);
+  });
+
+  it('rejects with JsonSyntaxError for invalid line with strict', async () => {
+    await assert.rejects(
+      transformChunks(
+        ['[1e1]\n[2e1]\n[3e1,]\n[4e1]\n'],
+        { batchSize: 1, jobs: 2, strict: true },
+      ),
+      (err) => {
+        assert(err instanceof JsonSyntaxError);
+        assert.strictEqual(
+          err.message,
+          'Unexpected character "]" at line 3 column 6',
+        );
+        assert.strictEqual(err.line, 3);
+        assert.strictEqual(err.column, 6);
+        assert.strictEqual(err.snippet, '[3e1,]\n     ^');
+        return true;
+      },
+    );
+  });
+
+  it('emits replaceError for each number not replaced', async () => {
+    const transform = new JsonLinesParallelTransform({
+      batchSize: 1,
+      collectErrors: true,
+      jobs: 2,
+    });
+    const errors = [];
+    transform.on('replaceError', (error) => {
+      errors.push(error);
+    });
+    const output =
+      await text(Readable.from(['[1e2]\n[1e2000]\n']).pipe(transform));
+    assert.strictEqual(output, '[100]\n[1e2000]\n');
+    assert.deepStrictEqual(errors, [
+      {
+        number: '1e2000',
+        reason: '1e2000 exponent exceeds maximum',
+        offset: 7,
+        line: 2,
+        column: 2,
+        path: '/0',
+      },
+    ]);
+  });
+
+  it('rejects with RangeError from worker', async () => {
+    await assert.rejects(
+      transformChunks(['[1e2]\n'], { maxExponent: 1 }),
+      RangeError,
+    );
+  });
+
+  it('decodes and preserves input encoding', async () => {
+    const input = Buffer.concat([
+      getBom('utf16le'),
+      encode('["€",1e1]\n[2e1]\n', 'utf16le'),
+    ]);
+    const output = await buffer(
+      Readable.from([input.subarray(0, 3), input.subarray(3)])
+        .pipe(new JsonLinesParallelTransform({
+          batchSize: 1,
+          inputEncoding: 'auto',
+          jobs: 2,
+          preserveEncoding: true,
+        })),
+    );
+    assert.deepStrictEqual(
+      output,
+      Buffer.concat([
+        getBom('utf16le'),
+        encode('["€",10]\n[20]\n', 'utf16le'),
+      ]),
+    );
+  });
+
+  it('can be destroyed while replacing', async () => {
+    const transform =
+      new JsonLinesParallelTransform({ batchSize: 1, jobs: 2 });
+    transform.write('[1e1]\n[2e1]\n');
+    transform.destroy();
+    await new Promise((resolve) => {
+      transform.once('close', resolve);
+    });
+    assert.strictEqual(transform.destroyed, true);
+  });
+});
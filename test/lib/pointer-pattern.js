@@ -0,0 +1,167 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const {
+  createPathFilter,
+  createPointerMatcher,
+} = require('../../lib/pointer-pattern.js');
+
+describe('createPointerMatcher', () => {
+  for (const patterns of [undefined, '/a', [1], ['a']]) {
+    it(`throws TypeError for ${JSON.stringify(patterns)}`, () => {
+      assert.throws(
+        () => createPointerMatcher(patterns, 'paths'),
+        {
+          name: 'TypeError',
+          message: 'paths must be an Array of JSON Pointer patterns',
+        },
+      );
+    });
+  }
+
+  for (const [pattern, pointer, expected] of [
+    ['', '', true],
+    ['', '/a', false],
+    ['/a', '/a', true],
+    ['/a', '/ab', false],
+    ['/a', '/a/b', false],
+    ['/a/*', '/a/b', true],
+    ['/a/*', '/a/', true],
+    ['/a/*', '/a', false],
+    ['/a/*', '/a/b/c', false],
+    ['/a?', '/ab', true],
+    ['/a?', '/a', false],
+    ['/a?', '/a/', false],
+    ['/**', '', true],
+    ['/**', '/a/b', true],
+    ['/**/id', '/id', true],
+    ['/**/id', '/a/0/id', true],
+    ['/**/id', '/a/0/ids', false],
+    ['/a/**', '/a', true],
+    ['/a/**', '/ab', false],
+    ['/a/**/b', '/a/b', true],
+    ['/a/**/b', '/a/x/y/b', true],
+    ['/min|max', '/max', true],
+    ['/min|max', '/minmax', false],
+    ['/x-*|y', '/x-a', true],
+    ['/a~1b', '/a~1b', true],
+    ['/a.b', '/axb', false],
+    ['/(a)', '/(a)', true],
+    ['$', '', true],
+    ['$', '/a', false],
+    ['$.a', '/a', true],
+    ['$.a', '/ab', false],
+    ['$.a.b', '/a/b', true],
+    ['$.a.*', '/a/b', true],
+    ['$.a.*', '/a/b/c', false],
+    ['$.a[0]', '/a/0', true],
+    ['$.a[0]', '/a/00', false],
+    ['$[*]', '/a', true],
+    ["$['a/b']", '/a~1b', true],
+    ["$['a~b']", '/a~0b', true],
+    ['$["a.b"]', '/a.b', true],
+    ['$["a.b"]', '/axb', false],
+    [String.raw`$['a\'b']`, "/a'b", true],
+    ["$['min', 'max']", '/max', true],
+    ["$['min', 'max']", '/minmax', false],
+    ['$[0,2]', '/2', true],
+    ['$[0,2]', '/1', false],
+    ['$..id', '/id', true],
+    ['$..id', '/a/0/id', true],
+    ['$..id', '/a/0/ids', false],
+    ['$.a..b', '/a/x/y/b', true],
+    ['$.a..b', '/b', false],
+    ['$..[*]', '/a/b', true],
+    ['$..*', '/a', true],
+  ]) {
+    it(`returns ${expected} for ${pattern} and ${pointer}`, () => {
+      const matchesPointer = createPointerMatcher([pattern], 'paths');
+      assert.strictEqual(matchesPointer(pointer), expected);
+    });
+  }
+
+  it('returns true if any pattern matches', () => {
+    const matchesPointer = createPointerMatcher(['/a', '/b'], 'paths');
+    assert.strictEqual(matchesPointer('/b'), true);
+    assert.strictEqual(matchesPointer('/c'), false);
+  });
+
+  it('returns false for no patterns', () => {
+    assert.strictEqual(createPointerMatcher([], 'paths')(''), false);
+  });
+
+  for (const path of [
+    '$a',
+    '$.',
+    '$[',
+    '$[a]',
+    "$['a'",
+    '$[?@.a]',
+    '$[-1]',
+    '$[0:2]',
+  ]) {
+    it(`throws TypeError for JSONPath ${path}`, () => {
+      assert.throws(
+        () => createPointerMatcher([path], 'paths'),
+        {
+          name: 'TypeError',
+          message: `paths contains invalid or unsupported JSONPath '${path}'`,
+        },
+      );
+    });
+  }
+
+  it('matches descendants with matchDescendants', () => {
+    const matchesPointer = createPointerMatcher(['/a', '$.b'], 'paths', true);
+    assert.strictEqual(matchesPointer('/a'), true);
+    assert.strictEqual(matchesPointer('/a/0/c'), true);
+    assert.strictEqual(matchesPointer('/b/c'), true);
+    assert.strictEqual(matchesPointer('/ab'), false);
+    assert.strictEqual(matchesPointer(''), false);
+  });
+});
+
+describe('createPathFilter', () => {
+  it('selects every pointer without options', () => {
+    assert.strictEqual(createPathFilter()('/a'), true);
+    assert.strictEqual(createPathFilter({})(''), true);
+  });
+
+  it('selects pointers in values matching only', () => {
+    const isSelected = createPathFilter({ only: ['/a', '$..b'] });
+    assert.strictEqual(isSelected('/a'), true);
+    assert.strictEqual(isSelected('/a/0'), true);
+    assert.strictEqual(isSelected('/c/b/1'), true);
+    assert.strictEqual(isSelected('/c'), false);
+  });
+
+  it('does not select pointers in values matching skip', () => {
+    const isSelected = createPathFilter({ skip: ['/**/x-*'] });
+    assert.strictEqual(isSelected('/a'), true);
+    assert.strictEqual(isSelected('/a/x-b/c'), false);
+  });
+
+  it('does not select pointers matching both only and skip', () => {
+    const isSelected = createPathFilter({ only: ['/a'], skip: ['/a/b'] });
+    assert.strictEqual(isSelected('/a/c'), true);
+    assert.strictEqual(isSelected('/a/b/c'), false);
+  });
+
+  for (const name of ['only', 'skip']) {
+    it(`throws TypeError for invalid ${name}`, () => {
+      assert.throws(
+        () => createPathFilter({ [name]: 'a' }),
+        {
+          name: 'TypeError',
+          message: `${name} must be an Array of JSON Pointer patterns`,
+        },
+      );
+    });
+  }
+});
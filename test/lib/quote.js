@@ -0,0 +1,127 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const {
+  createNumberQuoter,
+  createStringUnquoter,
+} = require('../../lib/quote.js');
+
+function location(path) {
+  return {
+    offset: 0,
+    line: 1,
+    column: 1,
+    path,
+  };
+}
+
+describe('createNumberQuoter', () => {
+  it('throws TypeError for non-object options', () => {
+    assert.throws(() => createNumberQuoter(null), TypeError);
+  });
+
+  for (const option of ['maxDigits', 'maxExponent', 'minExponent']) {
+    it(`throws TypeError for non-number ${option}`, () => {
+      assert.throws(
+        () => createNumberQuoter({ [option]: '1' }),
+        TypeError,
+      );
+    });
+  }
+
+  it('throws TypeError for unknown notation', () => {
+    assert.throws(
+      () => createNumberQuoter({ notation: 'exponential' }),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for invalid paths', () => {
+    assert.throws(() => createNumberQuoter({ paths: 'a' }), TypeError);
+  });
+
+  for (const [number, expected] of [
+    ['0', '0'],
+    ['0e100', '0e100'],
+    ['1', '1'],
+    ['1e20', '1e20'],
+    ['1e21', '"1000000000000000000000"'],
+    ['-1.5E21', '"-1500000000000000000000"'],
+    ['1e-6', '1e-6'],
+    ['1.5e-7', '"0.00000015"'],
+    ['1234567890123456789012.5', '"1234567890123456789012.5"'],
+  ]) {
+    it(`returns ${expected} for ${number} by default`, () => {
+      assert.strictEqual(createNumberQuoter()(number), expected);
+    });
+  }
+
+  it('quotes numbers with more than maxDigits significant digits', () => {
+    const quoteNumber = createNumberQuoter({ maxDigits: 3 });
+    assert.strictEqual(quoteNumber('0.00123'), '0.00123');
+    assert.strictEqual(quoteNumber('1.2340'), '"1.234"');
+  });
+
+  it('quotes numbers outside maxExponent and minExponent', () => {
+    const quoteNumber = createNumberQuoter({ maxExponent: 2, minExponent: -2 });
+    assert.strictEqual(quoteNumber('999'), '999');
+    assert.strictEqual(quoteNumber('1000'), '"1000"');
+    assert.strictEqual(quoteNumber('0.01'), '0.01');
+    assert.strictEqual(quoteNumber('0.009'), '"0.009"');
+  });
+
+  it('quotes all numbers at paths', () => {
+    const quoteNumber = createNumberQuoter({ paths: ['/**/id'] });
+    assert.strictEqual(quoteNumber('0', location('/a/id')), '"0"');
+    assert.strictEqual(quoteNumber('1e2', location('/id')), '"100"');
+    assert.strictEqual(quoteNumber('1e2', location('/a')), '1e2');
+  });
+
+  it('quotes original text with notation original', () => {
+    const quoteNumber = createNumberQuoter({ notation: 'original' });
+    assert.strictEqual(quoteNumber('1.50e21'), '"1.50e21"');
+    assert.strictEqual(quoteNumber('1e9999'), '"1e9999"');
+  });
+
+  it('throws RangeError for exponent exceeding maximum', () => {
+    assert.throws(() => createNumberQuoter()('1e1001'), RangeError);
+  });
+});
+
+describe('createStringUnquoter', () => {
+  it('throws TypeError without options', () => {
+    assert.throws(() => createStringUnquoter(), TypeError);
+  });
+
+  it('throws TypeError without paths', () => {
+    assert.throws(() => createStringUnquoter({}), TypeError);
+  });
+
+  const unquoteString = createStringUnquoter({ paths: ['/a/*'] });
+  for (const [string, expected] of [
+    ['"1"', '1'],
+    ['"-1.5e-7"', '-1.5e-7'],
+    ["'12'", '12'],
+    ['""', '""'],
+    ['"a"', '"a"'],
+    ['"01"', '"01"'],
+    ['" 1"', '" 1"'],
+    ['"1."', '"1."'],
+    ['"\\u0031"', '"\\u0031"'],
+    ['"1\'', '"1\''],
+  ]) {
+    it(`returns ${expected} for ${string} at path`, () => {
+      assert.strictEqual(unquoteString(string, location('/a/0')), expected);
+    });
+  }
+
+  it('does not unquote strings at other paths', () => {
+    assert.strictEqual(unquoteString('"1"', location('/b/0')), '"1"');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const createErrorCollector = require('../../lib/replace-error.js');
+
+const location = {
+  offset: 5,
+  line: 2,
+  column: 3,
+  path: '/a',
+};
+
+describe('createErrorCollector', () => {
+  let errors;
+  let collectErrors;
+  beforeEach(() => {
+    errors = [];
+    collectErrors = createErrorCollector((error) => {
+      errors.push(error);
+    });
+  });
+
+  it('returns replacement if replace does not throw', () => {
+    const replace = collectErrors(() => 'x');
+    assert.strictEqual(replace('1e2', location), 'x');
+    assert.deepStrictEqual(errors, []);
+  });
+
+  it('returns number and reports error if replace throws', () => {
+    const replace = collectErrors((number) => {
+      throw new RangeError(`${number} is bad`);
+    });
+    assert.strictEqual(replace('1e2', location), '1e2');
+    assert.deepStrictEqual(errors, [
+      {
+        number: '1e2',
+        reason: '1e2 is bad',
+        ...location,
+      },
+    ]);
+  });
+
+  it('reports non-Error exceptions as strings', () => {
+    const replace = collectErrors(() => {
+      // eslint-disable-next-line no-throw-literal
+      throw 'bad';
+    });
+    assert.strictEqual(replace('1e2', location), '1e2');
+    assert.strictEqual(errors[0].reason, 'bad');
+  });
+});
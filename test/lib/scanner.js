@@ -0,0 +1,521 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const JsonSyntaxError = require('../../lib/json-syntax-error.js');
+const JsonNumberScanner = require('../../lib/scanner.js');
+
+function bracket(number) {
+  return `<${number}>`;
+}
+
+function scanChunks(chunks, options) {
+  const scanner = new JsonNumberScanner(bracket, options);
+  return chunks.map((chunk) => scanner.write(chunk)).join('')
+    + scanner.end();
+}
+
+function scanStrings(chunks, options) {
+  const scanner = new JsonNumberScanner(bracket, {
+    ...options,
+    replaceString: (string, location) => `${location.path}=${string}`,
+  });
+  return chunks.map((chunk) => scanner.write(chunk)).join('')
+    + scanner.end();
+}
+
+describe('JsonNumberScanner', () => {
+  it('throws TypeError for non-function replaceNumber', () => {
+    assert.throws(
+      () => new JsonNumberScanner({}),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-string chunk', () => {
+    const scanner = new JsonNumberScanner(bracket);
+    assert.throws(
+      () => scanner.write(Buffer.from('1')),
+      TypeError,
+    );
+  });
+
+  for (const [json, expected] of [
+    ['1', '<1>'],
+    ['-1.5e-3', '<-1.5e-3>'],
+    ['[1,-2, 3e4]', '[<1>,<-2>, <3e4>]'],
+    ['{"a1":1,"b":"2"}', '{"a1":<1>,"b":"2"}'],
+    ['["\\"1", 2]', '["\\"1", <2>]'],
+    ['["\\\\", 2]', '["\\\\", <2>]'],
+    ['[true,null]', '[true,null]'],
+  ]) {
+    it(`replaces numbers in ${json}`, () => {
+      assert.strictEqual(scanChunks([json]), expected);
+    });
+  }
+
+  it('replaces number split across chunks', () => {
+    assert.strictEqual(
+      scanChunks(['[1', '.', '5e', '-3', ']']),
+      '[<1.5e-3>]',
+    );
+  });
+
+  it('does not replace digits in string split across chunks', () => {
+    assert.strictEqual(
+      scanChunks(['["1', '\\', '"2', '",3]']),
+      '["1\\"2",<3>]',
+    );
+  });
+
+  it('retains number at end of chunk until next write', () => {
+    const scanner = new JsonNumberScanner(bracket);
+    assert.strictEqual(scanner.write('[1,2'), '[<1>,');
+    assert.strictEqual(scanner.write('3]'), '<23>]');
+    assert.strictEqual(scanner.end(), '');
+  });
+
+  it('replaces number at end of input on end', () => {
+    const scanner = new JsonNumberScanner(bracket);
+    assert.strictEqual(scanner.write('12'), '');
+    assert.strictEqual(scanner.end(), '<12>');
+  });
+
+  it('can scan another document after end', () => {
+    const scanner = new JsonNumberScanner(bracket);
+    assert.strictEqual(scanner.write('"1'), '"1');
+    assert.strictEqual(scanner.end(), '');
+    assert.strictEqual(scanner.write('1'), '');
+    assert.strictEqual(scanner.end(), '<1>');
+  });
+
+  it('calls replaceNumber with location across chunks', () => {
+    const calls = [];
+    const scanner = new JsonNumberScanner((number, location) => {
+      calls.push([number, location]);
+      return number;
+    });
+    scanner.write('{"a":\n[1,');
+    scanner.write('\n 2');
+    scanner.write('3],"b');
+    scanner.write('c":4}');
+    scanner.end();
+    assert.deepStrictEqual(calls, [
+      ['1', {
+        offset: 7,
+        line: 2,
+        column: 2,
+        path: '/a/0',
+      }],
+      ['23', {
+        offset: 11,
+        line: 3,
+        column: 2,
+        path: '/a/1',
+      }],
+      ['4', {
+        offset: 20,
+        line: 3,
+        column: 11,
+        path: '/bc',
+      }],
+    ]);
+  });
+
+  it('resets location on end', () => {
+    const locations = [];
+    const scanner = new JsonNumberScanner((number, location) => {
+      locations.push(location);
+      return number;
+    });
+    scanner.write('[\n"a');
+    scanner.end();
+    scanner.write('1');
+    scanner.end();
+    assert.deepStrictEqual(locations, [{
+      offset: 0,
+      line: 1,
+      column: 1,
+      path: '',
+    }]);
+  });
+
+  describe('with strict option', () => {
+    const strict = { strict: true };
+
+    for (const json of [
+      '{"a":[1,-2.5e+3,true,false,null,"\\u00e9\\n"],"b":{}}',
+      ' \t\r\n[ ] ',
+      '"str"',
+      '0',
+    ]) {
+      it(`accepts ${JSON.stringify(json)}`, () => {
+        assert.doesNotThrow(() => scanChunks([json], strict));
+      });
+    }
+
+    for (const [json, message, offset, line, column, snippet] of [
+      ['', 'Unexpected end of JSON input', 0, 1, 1, '\n^'],
+      ['[1,]', 'Unexpected character "]"', 3, 1, 4, '[1,]\n   ^'],
+      ['[1 2]', 'Unexpected character "2"', 3, 1, 4, '[1 2]\n   ^'],
+      ['{"a" 1}', 'Unexpected character "1"', 5, 1, 6, '{"a" 1}\n     ^'],
+      ['{"a":1,}', 'Unexpected character "}"', 7, 1, 8, '{"a":1,}\n       ^'],
+      ['{1:2}', 'Unexpected character "1"', 1, 1, 2, '{1:2}\n ^'],
+      ['[1}', 'Unexpected character "}"', 2, 1, 3, '[1}\n  ^'],
+      ['{}x', 'Unexpected character "x"', 2, 1, 3, '{}x\n  ^'],
+      ['[tru]', 'Unexpected character "]"', 4, 1, 5, '[tru]\n    ^'],
+      ['[nul', 'Unexpected end of JSON input', 4, 1, 5, '[nul\n    ^'],
+      ['[01]', 'Invalid number 01', 1, 1, 2, '[01]\n ^'],
+      ['[1.e5]', 'Invalid number 1.e5', 1, 1, 2, '[1.e5]\n ^'],
+      ['\n  -', 'Invalid number -', 3, 2, 3, '  -\n  ^'],
+      ['"abc', 'Unterminated string', 4, 1, 5, '"abc\n    ^'],
+      ['"\\q"', 'Invalid escape sequence', 2, 1, 3, '"\\q"\n  ^'],
+      [
+        '"\\u12x4"',
+        'Invalid Unicode escape sequence',
+        5,
+        1,
+        6,
+        '"\\u12x4"\n     ^',
+      ],
+      [
+        '"\t"',
+        'Unescaped control character in string',
+        1,
+        1,
+        2,
+        '"\t"\n ^',
+      ],
+    ]) {
+      it(`throws JsonSyntaxError for ${JSON.stringify(json)}`, () => {
+        assert.throws(
+          () => scanChunks([json], strict),
+          (err) => {
+            assert(err instanceof JsonSyntaxError);
+            assert(err instanceof SyntaxError);
+            assert.strictEqual(
+              err.message,
+              `${message} at line ${line} column ${column}`,
+            );
+            assert.strictEqual(err.offset, offset);
+            assert.strictEqual(err.line, line);
+            assert.strictEqual(err.column, column);
+            assert.strictEqual(err.snippet, snippet);
+            return true;
+          },
+        );
+      });
+    }
+
+    it('throws JsonSyntaxError with snippet across chunks', () => {
+      assert.throws(
+        () => scanChunks(['{"key": [1', '23, ', ']}'], strict),
+        {
+          name: 'JsonSyntaxError',
+          offset: 14,
+          line: 1,
+          column: 15,
+          snippet: '{"key": [123, ]}\n              ^',
+        },
+      );
+    });
+
+    it('limits snippet to line and nearby characters', () => {
+      const padding = ' '.repeat(40);
+      assert.throws(
+        () => scanChunks([`[\n${padding}x${padding}\n]`], strict),
+        {
+          line: 2,
+          column: 41,
+          snippet: `${' '.repeat(30)}x${' '.repeat(30)}\n${' '.repeat(30)}^`,
+        },
+      );
+    });
+
+    it('does not validate without strict option', () => {
+      assert.strictEqual(scanChunks(['[01,}x']), '[<01>,}x');
+    });
+  });
+
+  describe('with replaceString option', () => {
+    it('throws TypeError for non-function replaceString', () => {
+      assert.throws(
+        () => new JsonNumberScanner(bracket, { replaceString: 'x' }),
+        TypeError,
+      );
+    });
+
+    it('replaces string values, but not keys', () => {
+      assert.strictEqual(
+        scanStrings(['{"a": "x", "b": ["", 1, "\\"1"]}']),
+        '{"a": /a="x", "b": [/b/0="", <1>, /b/2="\\"1"]}',
+      );
+    });
+
+    it('replaces strings split across chunks', () => {
+      assert.strictEqual(
+        scanStrings(['["a', 'b\\', '"c', '"', ', "d"]']),
+        '[/0="ab\\"c", /1="d"]',
+      );
+    });
+
+    it('calls replaceString with location', () => {
+      const locations = [];
+      const scanner = new JsonNumberScanner(bracket, {
+        replaceString: (string, location) => {
+          locations.push(location);
+          return string;
+        },
+      });
+      scanner.write('{"a":\n  "b"}');
+      scanner.end();
+      assert.deepStrictEqual(locations, [
+        {
+          offset: 8,
+          line: 2,
+          column: 3,
+          path: '/a',
+        },
+      ]);
+    });
+
+    it('does not replace unterminated string at end', () => {
+      assert.strictEqual(scanStrings(['["a', 'b']), '["ab');
+    });
+
+    it('replaces single-quoted strings with format json5', () => {
+      assert.strictEqual(
+        scanStrings(["{a: 'b', 'c': \"d\"}"], { format: 'json5' }),
+        "{a: /a='b', 'c': /c=\"d\"}",
+      );
+    });
+
+    it('does not replace unterminated string with format jsonl', () => {
+      assert.strictEqual(
+        scanStrings(['"a\n"b"\n'], { format: 'jsonl' }),
+        '"a\n="b"\n',
+      );
+    });
+  });
+
+  describe('with startOffset and startLine options', () => {
+    for (const [name, value] of [
+      ['startLine', 0],
+      ['startLine', 1.5],
+      ['startOffset', -1],
+      ['startOffset', '1'],
+    ]) {
+      it(`throws TypeError for ${name} ${JSON.stringify(value)}`, () => {
+        assert.throws(
+          () => new JsonNumberScanner(bracket, { [name]: value }),
+          TypeError,
+        );
+      });
+    }
+
+    it('provides locations relative to start', () => {
+      const locations = [];
+      const scanner = new JsonNumberScanner((number, location) => {
+        locations.push(location);
+        return number;
+      }, { startLine: 3, startOffset: 20 });
+      scanner.write('[1,\n 2]');
+      scanner.end();
+      scanner.write('3');
+      scanner.end();
+      assert.deepStrictEqual(locations, [
+        {
+          offset: 21,
+          line: 3,
+          column: 2,
+          path: '/0',
+        },
+        {
+          offset: 25,
+          line: 4,
+          column: 2,
+          path: '/1',
+        },
+        {
+          offset: 20,
+          line: 3,
+          column: 1,
+          path: '',
+        },
+      ]);
+    });
+
+    it('throws JsonSyntaxError with location relative to start', () => {
+      assert.throws(
+        () => scanChunks(['[1,\n2,]'], {
+          startLine: 3,
+          startOffset: 20,
+          strict: true,
+        }),
+        (err) => {
+          assert(err instanceof JsonSyntaxError);
+          assert.strictEqual(err.offset, 26);
+          assert.strictEqual(err.line, 4);
+          assert.strictEqual(err.column, 3);
+          assert.strictEqual(err.snippet, '2,]\n  ^');
+          return true;
+        },
+      );
+    });
+  });
+
+  it('throws TypeError for unknown format', () => {
+    assert.throws(
+      () => new JsonNumberScanner(bracket, { format: 'xml' }),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for strict json5', () => {
+    assert.throws(
+      () => new JsonNumberScanner(bracket, { format: 'json5', strict: true }),
+      TypeError,
+    );
+  });
+
+  for (const format of ['jsonc', 'json5']) {
+    describe(`with format ${format}`, () => {
+      const options = { format };
+
+      it('does not replace numbers in comments', () => {
+        assert.strictEqual(
+          scanChunks(['[1, // "2\n3 /* "4 ** */, 5]'], options),
+          '[<1>, // "2\n<3> /* "4 ** */, <5>]',
+        );
+      });
+
+      it('does not replace numbers in comments split across chunks', () => {
+        assert.strictEqual(
+          scanChunks(['[1 /', '* "2 *', '/, 3', '/', '/4\n]'], options),
+          '[<1> /* "2 */, <3>//4\n]',
+        );
+      });
+
+      it('replaces number after slash which does not start comment', () => {
+        assert.strictEqual(scanChunks(['1/2'], options), '<1>/<2>');
+      });
+
+      it('provides path after comments and trailing commas', () => {
+        const paths = [];
+        const scanner = new JsonNumberScanner((number, location) => {
+          paths.push(location.path);
+          return number;
+        }, options);
+        scanner.write('{"a": [1, /* , */ 2,], // "b": 3\n"c": 4,}');
+        scanner.end();
+        assert.deepStrictEqual(paths, ['/a/0', '/a/1', '/c']);
+      });
+    });
+  }
+
+  describe('with format json5', () => {
+    const options = { format: 'json5' };
+
+    it('does not replace numbers in single-quoted strings', () => {
+      assert.strictEqual(
+        scanChunks(['[\'"1\\\'2\', 3]'], options),
+        '[\'"1\\\'2\', <3>]',
+      );
+    });
+
+    it('does not replace numbers in identifiers', () => {
+      assert.strictEqual(
+        scanChunks(['{a1: 2, $3_4: 5, Infinity: NaN}'], options),
+        '{a1: <2>, $3_4: <5>, Infinity: NaN}',
+      );
+    });
+
+    it('replaces hexadecimal numbers', () => {
+      assert.strictEqual(
+        scanChunks(['[0x1E5, -0X', 'ff, 1e5]'], options),
+        '[<0x1E5>, <-0Xff>, <1e5>]',
+      );
+    });
+
+    it('replaces numbers with JSON5 syntax', () => {
+      assert.strictEqual(
+        scanChunks(['[+1, .5, 5.]'], options),
+        '[<+1>, <.5>, <5.>]',
+      );
+    });
+
+    it('provides path with single-quoted and unquoted keys', () => {
+      const paths = [];
+      const scanner = new JsonNumberScanner((number, location) => {
+        paths.push(location.path);
+        return number;
+      }, options);
+      scanner.write('{\'a"\\\'\': 1, b\\u0063: 2}');
+      scanner.end();
+      assert.deepStrictEqual(paths, ['/a"\'', '/bc']);
+    });
+  });
+
+  describe('with format jsonl', () => {
+    const options = { format: 'jsonl' };
+
+    it('provides path relative to each record', () => {
+      const paths = [];
+      const scanner = new JsonNumberScanner((number, location) => {
+        paths.push(location.path);
+        return number;
+      }, options);
+      scanner.write('{"a": 1}\n[2]\n\n3\n');
+      scanner.end();
+      assert.deepStrictEqual(paths, ['/a', '/0', '']);
+    });
+
+    it('continues with next record after incomplete record', () => {
+      assert.strictEqual(
+        scanChunks(['{"a": "1\n[2', ']\n'], options),
+        '{"a": "1\n[<2>]\n',
+      );
+    });
+  });
+
+  describe('with strict option and format', () => {
+    for (const [format, json] of [
+      ['jsonc', '// comment\n{"a": [1, /* 2 */],}'],
+      ['jsonl', '{"a": 1}\n[2]\r\n\n3\n'],
+      ['jsonl', ''],
+    ]) {
+      it(`accepts ${format} ${JSON.stringify(json)}`, () => {
+        assert.doesNotThrow(
+          () => scanChunks([json], { format, strict: true }),
+        );
+      });
+    }
+
+    for (const [format, json, message] of [
+      ['json', '[1, // 2\n]', 'Unexpected character "/"'],
+      ['json', '[1,]', 'Unexpected character "]"'],
+      ['jsonc', '[1 / 2]', 'Unexpected character "/"'],
+      ['jsonc', '[1,,]', 'Unexpected character ","'],
+      ['jsonc', '[1 /* 2', 'Unterminated comment'],
+      ['jsonl', '1 2\n', 'Unexpected character "2"'],
+      ['jsonl', '[1,\n2]\n', 'Unexpected end of line'],
+      ['jsonl', '"1\n"', 'Unterminated string'],
+    ]) {
+      it(`throws JsonSyntaxError for ${format} ${JSON.stringify(json)}`, () => {
+        assert.throws(
+          () => scanChunks([json], { format, strict: true }),
+          (err) => {
+            assert(err instanceof JsonSyntaxError);
+            assert(err.message.startsWith(`${message} at `), err.message);
+            return true;
+          },
+        );
+      });
+    }
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const createSchemaReplacer = require('../../lib/schema-replacer.js');
+
+function location(path) {
+  return {
+    offset: 0,
+    line: 1,
+    column: 1,
+    path,
+  };
+}
+
+const petSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    tag: { type: 'string' },
+    price: { type: 'number', format: 'double' },
+    weight: { type: ['number', 'string'] },
+    code: { type: ['integer', 'string'] },
+    owner: { $ref: '#/definitions/Owner' },
+    scores: { type: 'array', items: { type: 'integer' } },
+    pair: {
+      type: 'array',
+      prefixItems: [{ type: 'integer' }, { type: 'string' }],
+    },
+    labels: {
+      type: 'object',
+      patternProperties: { '^x-': { type: 'string' } },
+      additionalProperties: { type: 'integer' },
+    },
+    child: { $ref: '#' },
+  },
+  definitions: {
+    Owner: {
+      allOf: [
+        { $ref: '#/definitions/Named' },
+        {
+          properties: {
+            age: { oneOf: [{ type: 'integer' }, { type: 'null' }] },
+          },
+        },
+      ],
+    },
+    Named: {
+      properties: {
+        'name/alias': { type: 'string' },
+      },
+    },
+  },
+};
+
+describe('createSchemaReplacer', () => {
+  it('throws TypeError for non-object options', () => {
+    assert.throws(
+      () => createSchemaReplacer(petSchema, 'round'),
+      TypeError,
+    );
+  });
+
+  for (const options of [
+    { nonInteger: 'truncate' },
+    { precision: null },
+    { precision: { double: 0 } },
+    { precision: { double: 1.5 } },
+    { schemaPointer: 1 },
+    { schemaPointer: '/missing' },
+    { maxExponent: -1 },
+  ]) {
+    it(`throws TypeError for options ${JSON.stringify(options)}`, () => {
+      assert.throws(
+        () => createSchemaReplacer(petSchema, options),
+        TypeError,
+      );
+    });
+  }
+
+  for (const [path, number, replacement] of [
+    ['/id', '1e3', '1000'],
+    ['/id', '1.0', '1'],
+    ['/id', '12.50e1', '125'],
+    ['/id', '-0.0', '0'],
+    ['/tag', '1e3', '1e3'],
+    ['/price', '1e3', '1000'],
+    ['/price', '1.5', '1.5'],
+    ['/weight', '1e3', '1000'],
+    ['/code', '1e3', '1000'],
+    ['/owner/age', '2.0e1', '20'],
+    ['/owner/name~1alias', '1e3', '1e3'],
+    ['/scores/3', '1E2', '100'],
+    ['/pair/0', '1.0', '1'],
+    ['/pair/1', '1e2', '1e2'],
+    ['/labels/x-a', '1e2', '1e2'],
+    ['/labels/b', '1.0', '1'],
+    ['/child/child/id', '1e1', '10'],
+    ['/child/child/tag', '1e1', '1e1'],
+    ['/unknown', '1e1', '10'],
+    ['/unknown', '1.0', '1.0'],
+    ['', '1e1', '10'],
+  ]) {
+    const pathJson = JSON.stringify(path);
+    it(`replaces ${number} at ${pathJson} with ${replacement}`, () => {
+      const replaceNumber = createSchemaReplacer(petSchema);
+      assert.strictEqual(replaceNumber(number, location(path)), replacement);
+    });
+  }
+
+  it('throws RangeError for non-integer with integer type', () => {
+    const replaceNumber = createSchemaReplacer(petSchema);
+    assert.throws(
+      () => replaceNumber('1.5', location('/id')),
+      new RangeError('1.5 is not an integer'),
+    );
+  });
+
+  it('throws RangeError for integer exponent exceeding maxExponent', () => {
+    const replaceNumber = createSchemaReplacer(petSchema, { maxExponent: 5 });
+    assert.throws(
+      () => replaceNumber('1e6', location('/id')),
+      new RangeError('1e6 exponent exceeds maximum'),
+    );
+  });
+
+  it('preserves non-integer with nonInteger: preserve', () => {
+    const replaceNumber =
+      createSchemaReplacer(petSchema, { nonInteger: 'preserve' });
+    assert.strictEqual(replaceNumber('1.5e-1', location('/id')), '1.5e-1');
+  });
+
+  it('rounds non-integer with nonInteger: round', () => {
+    const replaceNumber =
+      createSchemaReplacer(petSchema, { nonInteger: 'round' });
+    assert.strictEqual(replaceNumber('-2.5', location('/id')), '-3');
+    assert.strictEqual(replaceNumber('1.25e1', location('/id')), '13');
+  });
+
+  it('calls nonInteger function with number and location', () => {
+    const calls = [];
+    const replaceNumber = createSchemaReplacer(petSchema, {
+      nonInteger: (...args) => {
+        calls.push(args);
+        return 0;
+      },
+    });
+    assert.strictEqual(replaceNumber('1.5', location('/id')), '0');
+    assert.deepStrictEqual(calls, [['1.5', location('/id')]]);
+  });
+
+  it('rounds numbers with format in precision', () => {
+    const replaceNumber =
+      createSchemaReplacer(petSchema, { precision: { double: 4 } });
+    assert.strictEqual(
+      replaceNumber('1.23456789e2', location('/price')),
+      '123.5',
+    );
+    assert.strictEqual(replaceNumber('1.5e2', location('/price')), '150');
+    assert.strictEqual(replaceNumber('1.5', location('/price')), '1.5');
+    assert.strictEqual(
+      replaceNumber('1.23456', location('/weight')),
+      '1.23456',
+    );
+  });
+
+  it('uses schema at schemaPointer', () => {
+    const document = {
+      openapi: '3.1.0',
+      components: {
+        schemas: {
+          Pet: {
+            properties: {
+              id: { type: 'integer' },
+              owner: { $ref: '#/components/schemas/Owner' },
+            },
+          },
+          Owner: {
+            properties: {
+              phone: { type: 'string' },
+            },
+          },
+        },
+      },
+    };
+    const replaceNumber = createSchemaReplacer(document, {
+      schemaPointer: '/components/schemas/Pet',
+    });
+    assert.strictEqual(replaceNumber('1.0', location('/id')), '1');
+    assert.strictEqual(replaceNumber('5e5', location('/owner/phone')), '5e5');
+  });
+
+  it('ignores non-local and unresolvable $ref', () => {
+    const replaceNumber = createSchemaReplacer({
+      properties: {
+        a: { $ref: 'other.json#/Integer' },
+        b: { $ref: '#/missing' },
+        c: { $ref: '#%' },
+      },
+    });
+    for (const path of ['/a', '/b', '/c']) {
+      assert.strictEqual(replaceNumber('1.0', location(path)), '1.0');
+    }
+  });
+
+  it('passes options to default replacer', () => {
+    const replaceNumber = createSchemaReplacer(petSchema, {
+      maxExponent: 5,
+      overflow: 'preserve',
+    });
+    assert.strictEqual(replaceNumber('1e6', location('/price')), '1e6');
+  });
+
+  it('leaves numbers not selected by only and skip unchanged', () => {
+    const replaceNumber = createSchemaReplacer(petSchema, {
+      only: ['/x'],
+      precision: { double: 2 },
+    });
+    assert.strictEqual(replaceNumber('1.5', location('/id')), '1.5');
+    assert.strictEqual(
+      replaceNumber('1.2345e0', location('/price')),
+      '1.2345e0',
+    );
+    assert.strictEqual(replaceNumber('1e2', location('/weight')), '1e2');
+    assert.strictEqual(
+      createSchemaReplacer(petSchema, { skip: ['/id'] })(
+        '1.5',
+        location('/id'),
+      ),
+      '1.5',
+    );
+  });
+});
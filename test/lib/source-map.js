@@ -0,0 +1,106 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const createSourceMap = require('../../lib/source-map.js');
+
+function replacement(number, replacementText, offset) {
+  return {
+    number,
+    replacement: replacementText,
+    offset,
+    // line, column, and path are not used
+    line: 1,
+    column: offset + 1,
+    path: '',
+  };
+}
+
+describe('createSourceMap', () => {
+  it('returns empty mappings for empty text', () => {
+    assert.deepStrictEqual(createSourceMap('', []), {
+      version: 3,
+      sources: ['input.json'],
+      names: [],
+      mappings: '',
+    });
+  });
+
+  it('returns file and source from options', () => {
+    assert.deepStrictEqual(
+      createSourceMap('[1]', [], { file: 'b.json', source: 'a.json' }),
+      {
+        version: 3,
+        file: 'b.json',
+        sources: ['a.json'],
+        names: [],
+        mappings: 'AAAA',
+      },
+    );
+  });
+
+  it('maps each line without replacements', () => {
+    assert.strictEqual(
+      createSourceMap('[\n  1,\n  2\n]\n', []).mappings,
+      'AAAA;AACA;AACA;AACA;',
+    );
+  });
+
+  it('maps replacement and following text', () => {
+    // [100, 3] -> [1e2, 3]
+    assert.strictEqual(
+      createSourceMap('[1e2, 3]', [replacement('1e2', '100', 1)]).mappings,
+      'AAAA,CAAC,GAAG',
+    );
+  });
+
+  it('maps replacements of different lengths', () => {
+    // ["0.0000001",1e2] -> [1e-7,1e2]
+    assert.strictEqual(
+      createSourceMap(
+        '[1e-7,1e2]',
+        [
+          replacement('1e-7', '0.0000001', 1),
+          replacement('1e2', '100', 6),
+        ],
+      ).mappings,
+      'AAAA,CAAC,SAAI,CAAC,GAAG',
+    );
+  });
+
+  it('maps replacement at start and end of text', () => {
+    assert.strictEqual(
+      createSourceMap('1e2', [replacement('1e2', '100', 0)]).mappings,
+      'AAAA',
+    );
+  });
+
+  it('maps each line of replacement with newlines to number', () => {
+    assert.strictEqual(
+      createSourceMap('[1e2]', [replacement('1e2', '1\n0', 1)]).mappings,
+      'AAAA,CAAC;AAAA,CAAG',
+    );
+  });
+
+  it('maps text after replaced text with newlines', () => {
+    assert.strictEqual(
+      createSourceMap('["a\nb", 1]', [replacement('"a\nb"', '"c"', 1)])
+        .mappings,
+      'AAAA,CAAC,GACC',
+    );
+  });
+
+  it('encodes large and negative values', () => {
+    const text = `[${'1,'.repeat(20)}1e2,\n1]`;
+    // Column 41 is encoded as 2 digits, as is column delta -44 on next line
+    assert.strictEqual(
+      createSourceMap(text, [replacement('1e2', '100', 41)]).mappings,
+      'AAAA,yCAAyC,GAAG;AAC5C',
+    );
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { text } = require('node:stream/consumers');
+
+const JsonReplaceExponentialsTransformStream =
+  require('../../lib/transform-stream.js');
+
+function transformChunks(chunks, options, transform) {
+  const readable = new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(chunk);
+      }
+      controller.close();
+    },
+  });
+  return text(
+    readable.pipeThrough(
+      transform || new JsonReplaceExponentialsTransformStream(options),
+    ),
+  );
+}
+
+describe('JsonReplaceExponentialsTransformStream', () => {
+  it('throws TypeError for non-function replacer', () => {
+    assert.throws(
+      () => new JsonReplaceExponentialsTransformStream({ replacer: {} }),
+      TypeError,
+    );
+  });
+
+  it('replaces exponentials split across string chunks', async () => {
+    assert.strictEqual(
+      await transformChunks(['[1', 'e', '2,"1e', '2",1', '.5e-1]']),
+      '[100,"1e2",0.15]',
+    );
+  });
+
+  it('decodes UTF-8 sequences split across Uint8Arrays', async () => {
+    const json = new TextEncoder().encode('["€",1e1]');
+    assert.strictEqual(
+      await transformChunks([json.subarray(0, 3), json.subarray(3)]),
+      '["€",10]',
+    );
+  });
+
+  it('calls replacer from options', async () => {
+    assert.strictEqual(
+      await transformChunks(['[1e2', ',1]'], { replacer: () => 'x' }),
+      '[x,1]',
+    );
+  });
+
+  it('replaces numbers in YAML with format yaml', async () => {
+    assert.strictEqual(
+      await transformChunks(['a: 1', 'e2\nb: "1e2"\n'], { format: 'yaml' }),
+      'a: 100\nb: "1e2"\n',
+    );
+  });
+
+  it('replaces numbers in code blocks with format markdown', async () => {
+    assert.strictEqual(
+      await transformChunks(
+        ['1e1\n``', '`json\n[1', 'e1]\n``', '`\n1e1'],
+        { format: 'markdown' },
+      ),
+      '1e1\n```json\n[10]\n```\n1e1',
+    );
+  });
+
+  it('replaces numbers in JSON strings with embedded', async () => {
+    assert.strictEqual(
+      await transformChunks(
+        ['{"a": "{\\"b', '\\": 1e2}", "c": 2e0}'],
+        { embedded: true },
+      ),
+      '{"a": "{\\"b\\": 100}", "c": 2}',
+    );
+  });
+
+  it('errors with RangeError for exponent too large', async () => {
+    await assert.rejects(
+      transformChunks(['[1e', '1000000]']),
+      RangeError,
+    );
+  });
+
+  it('collects errors for numbers not replaced', async () => {
+    const transform =
+      new JsonReplaceExponentialsTransformStream({ collectErrors: true });
+    assert.strictEqual(
+      await transformChunks(['[1e2,1e2', '000]'], undefined, transform),
+      '[100,1e2000]',
+    );
+    assert.deepStrictEqual(transform.replaceErrors, [
+      {
+        number: '1e2000',
+        reason: '1e2000 exponent exceeds maximum',
+        offset: 5,
+        line: 1,
+        column: 6,
+        path: '/1',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const { Readable } = require('node:stream');
+const { buffer, text } = require('node:stream/consumers');
+
+const { encode, getBom } = require('../../lib/encoding.js');
+const JsonReplaceExponentialsTransform = require('../../lib/transform.js');
+
+function transformChunks(chunks, options) {
+  return text(
+    Readable.from(chunks, { objectMode: false })
+      .pipe(new JsonReplaceExponentialsTransform(options)),
+  );
+}
+
+describe('JsonReplaceExponentialsTransform', () => {
+  it('throws TypeError for non-function replacer', () => {
+    assert.throws(
+      () => new JsonReplaceExponentialsTransform({ replacer: {} }),
+      TypeError,
+    );
+  });
+
+  it('replaces exponentials in a single chunk', async () => {
+    assert.strictEqual(
+      await transformChunks(['[1e2,"1e2",1.5]']),
+      '[100,"1e2",1.5]',
+    );
+  });
+
+  it('replaces exponentials split across chunks', async () => {
+    assert.strictEqual(
+      await transformChunks(['[1', 'e', '2,"1e', '2",1', '.5e-1]']),
+      '[100,"1e2",0.15]',
+    );
+  });
+
+  it('replaces exponential at end of input', async () => {
+    assert.strictEqual(await transformChunks(['1', 'e1']), '10');
+  });
+
+  it('decodes UTF-8 sequences split across Buffers', async () => {
+    const json = Buffer.from('["€",1e1]');
+    assert.strictEqual(
+      await transformChunks([json.subarray(0, 3), json.subarray(3)]),
+      '["€",10]',
+    );
+  });
+
+  it('calls replacer from options', async () => {
+    assert.strictEqual(
+      await transformChunks(['[1e2', ',1]'], { replacer: () => 'x' }),
+      '[x,1]',
+    );
+  });
+
+  it('emits RangeError for exponent too large', async () => {
+    await assert.rejects(
+      transformChunks(['[1e', '1000000]']),
+      RangeError,
+    );
+  });
+
+  it('emits RangeError for exponent too large at end', async () => {
+    await assert.rejects(
+      transformChunks(['1e', '1000000']),
+      RangeError,
+    );
+  });
+
+  it('throws TypeError for unsupported inputEncoding', () => {
+    assert.throws(
+      () => new JsonReplaceExponentialsTransform({ inputEncoding: 'latin1' }),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for preserveEncoding without inputEncoding', () => {
+    assert.throws(
+      () => new JsonReplaceExponentialsTransform({ preserveEncoding: true }),
+      TypeError,
+    );
+  });
+
+  it('treats UTF-8 BOM as text without inputEncoding', async () => {
+    // Note: Can't use text() from node:stream/consumers, which removes BOM
+    const output = await buffer(
+      Readable.from([Buffer.from('\u{FEFF}[1e2]')])
+        .pipe(new JsonReplaceExponentialsTransform()),
+    );
+    assert.strictEqual(output.toString(), '\u{FEFF}[100]');
+  });
+
+  for (const encoding of [
+    'utf8',
+    'utf16le',
+    'utf16be',
+    'utf32le',
+    'utf32be',
+  ]) {
+    it(`detects and decodes ${encoding} with inputEncoding auto`, async () => {
+      const json = encode('["€",1e2]', encoding);
+      assert.strictEqual(
+        await transformChunks(
+          [json.subarray(0, 3), json.subarray(3)],
+          { inputEncoding: 'auto' },
+        ),
+        '["€",100]',
+      );
+    });
+
+    it(`preserves ${encoding} and BOM with preserveEncoding`, async () => {
+      const bom = getBom(encoding);
+      const json = Buffer.concat([bom, encode('[1e2]', encoding)]);
+      const output = await buffer(
+        Readable.from([json.subarray(0, 1), json.subarray(1)])
+          .pipe(new JsonReplaceExponentialsTransform({
+            inputEncoding: 'auto',
+            preserveEncoding: true,
+          })),
+      );
+      assert.deepStrictEqual(
+        output,
+        Buffer.concat([bom, encode('[100]', encoding)]),
+      );
+    });
+  }
+
+  it('decodes inputEncoding and removes its BOM', async () => {
+    const json = Buffer.concat([getBom('utf16be'), encode('1e2', 'utf16be')]);
+    assert.strictEqual(
+      await transformChunks([json], { inputEncoding: 'UTF-16BE' }),
+      '100',
+    );
+  });
+
+  it('decodes short input with inputEncoding auto', async () => {
+    assert.strictEqual(
+      await transformChunks([encode('1', 'utf16le')], {
+        inputEncoding: 'auto',
+      }),
+      '1',
+    );
+  });
+
+  it('counts numbers which were changed in replacedCount', async () => {
+    const transform = new JsonReplaceExponentialsTransform();
+    assert.strictEqual(transform.replacedCount, 0);
+    await text(Readable.from(['[1e2,1,2E0,"1e2"]']).pipe(transform));
+    assert.strictEqual(transform.replacedCount, 2);
+  });
+
+  it('emits replace for each number which was changed', async () => {
+    const transform = new JsonReplaceExponentialsTransform();
+    const replacements = [];
+    transform.on('replace', (replacement) => {
+      replacements.push(replacement);
+    });
+    await text(Readable.from(['[1e2,1,', '2E0]']).pipe(transform));
+    assert.deepStrictEqual(replacements, [
+      {
+        number: '1e2',
+        replacement: '100',
+        offset: 1,
+        line: 1,
+        column: 2,
+        path: '/0',
+      },
+      {
+        number: '2E0',
+        replacement: '2',
+        offset: 7,
+        line: 1,
+        column: 8,
+        path: '/2',
+      },
+    ]);
+  });
+
+  it('emits replaceError for each number not replaced', async () => {
+    const transform =
+      new JsonReplaceExponentialsTransform({ collectErrors: true });
+    const errors = [];
+    transform.on('replaceError', (error) => {
+      errors.push(error);
+    });
+    const output =
+      await text(Readable.from(['[1e2,1e2', '000]']).pipe(transform));
+    assert.strictEqual(output, '[100,1e2000]');
+    assert.strictEqual(transform.replacedCount, 1);
+    assert.deepStrictEqual(errors, [
+      {
+        number: '1e2000',
+        reason: '1e2000 exponent exceeds maximum',
+        offset: 5,
+        line: 1,
+        column: 6,
+        path: '/1',
+      },
+    ]);
+  });
+
+  it('emits replace for each string changed by replaceString', async () => {
+    const transform = new JsonReplaceExponentialsTransform({
+      replaceString: (string) => (string === '"1"' ? '1' : string),
+    });
+    const replacements = [];
+    transform.on('replace', (replacement) => {
+      replacements.push(replacement);
+    });
+    const output =
+      await text(Readable.from(['["1",', '"a"]']).pipe(transform));
+    assert.strictEqual(output, '[1,"a"]');
+    assert.strictEqual(transform.replacedCount, 1);
+    assert.deepStrictEqual(replacements, [
+      {
+        number: '"1"',
+        replacement: '1',
+        offset: 1,
+        line: 1,
+        column: 2,
+        path: '/0',
+      },
+    ]);
+  });
+
+  it('emits replace for each string changed with embedded', async () => {
+    const transform = new JsonReplaceExponentialsTransform({ embedded: true });
+    const replacements = [];
+    transform.on('replace', (replacement) => {
+      replacements.push(replacement);
+    });
+    const output = await text(
+      Readable.from(['{"a": "{\\"b', '\\": 1e2}", "c": 2e0}']).pipe(transform),
+    );
+    assert.strictEqual(output, '{"a": "{\\"b\\": 100}", "c": 2}');
+    assert.strictEqual(transform.replacedCount, 2);
+    assert.deepStrictEqual(replacements, [
+      {
+        number: '"{\\"b\\": 1e2}"',
+        replacement: '"{\\"b\\": 100}"',
+        offset: 6,
+        line: 1,
+        column: 7,
+        path: '/a',
+      },
+      {
+        number: '2e0',
+        replacement: '2',
+        offset: 27,
+        line: 1,
+        column: 28,
+        path: '/c',
+      },
+    ]);
+  });
+
+  it('replaces numbers in code blocks with format markdown', async () => {
+    assert.strictEqual(
+      await transformChunks(
+        ['1e1\n``', '`json\n[1', 'e1]\n``', '`\n1e1'],
+        { format: 'markdown' },
+      ),
+      '1e1\n```json\n[10]\n```\n1e1',
+    );
+  });
+
+  it('replaces numbers selected by only and skip', async () => {
+    assert.strictEqual(
+      await transformChunks(
+        ['{"a": [1e1, 1', 'e1], "b": 1e1}'],
+        { only: ['/a'], skip: ['/a/1'] },
+      ),
+      '{"a": [10, 1e1], "b": 1e1}',
+    );
+  });
+});
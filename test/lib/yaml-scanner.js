@@ -0,0 +1,202 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const YamlNumberScanner = require('../../lib/yaml-scanner.js');
+
+function bracket(number) {
+  return `<${number}>`;
+}
+
+function scanChunks(chunks, options) {
+  const scanner = new YamlNumberScanner(bracket, options);
+  return chunks.map((chunk) => scanner.write(chunk)).join('')
+    + scanner.end();
+}
+
+function getPaths(yaml) {
+  const paths = [];
+  const scanner = new YamlNumberScanner((number, { path }) => {
+    paths.push(path);
+    return number;
+  });
+  scanner.write(yaml);
+  scanner.end();
+  return paths;
+}
+
+describe('YamlNumberScanner', () => {
+  it('throws TypeError for non-function replaceNumber', () => {
+    assert.throws(() => new YamlNumberScanner({}), TypeError);
+  });
+
+  it('throws TypeError for invalid options', () => {
+    assert.throws(
+      () => new YamlNumberScanner(bracket, { startLine: 0 }),
+      TypeError,
+    );
+  });
+
+  for (const option of ['replaceString', 'strict']) {
+    it(`throws TypeError for ${option}`, () => {
+      assert.throws(
+        () => new YamlNumberScanner(bracket, { [option]: () => '' }),
+        {
+          name: 'TypeError',
+          message: `${option} is not supported for format yaml`,
+        },
+      );
+    });
+  }
+
+  it('throws TypeError for non-string chunk', () => {
+    const scanner = new YamlNumberScanner(bracket);
+    assert.throws(() => scanner.write(1), TypeError);
+  });
+
+  it('replaces plain scalars which are numbers', () => {
+    assert.strictEqual(
+      scanChunks(['a: 1e5\nb: -1.5E-7\nc: 3.0.0\nd: 1e5x\ne: +1e5\n']),
+      'a: <1e5>\nb: <-1.5E-7>\nc: 3.0.0\nd: 1e5x\ne: +1e5\n',
+    );
+  });
+
+  it('does not replace quoted scalars, comments, keys, or tagged', () => {
+    const yaml = 'a: "1e5"\nb: \'1e5\'\n# c: 1e5\n1e5: x\n'
+      + 'd: !!str 1e5\ne: *x\n';
+    assert.strictEqual(scanChunks([yaml]), yaml);
+  });
+
+  it('replaces numbers with anchors or followed by comments', () => {
+    assert.strictEqual(
+      scanChunks(['a: &x 1e5 # 1e5\nb: &y\n  2e5\n']),
+      'a: &x <1e5> # 1e5\nb: &y\n  <2e5>\n',
+    );
+  });
+
+  it('does not replace numbers in tagged scalars on later lines', () => {
+    const yaml = 'a: !!str\n  1e5\n';
+    assert.strictEqual(scanChunks([yaml]), yaml);
+  });
+
+  it('does not replace numbers in block scalars', () => {
+    assert.strictEqual(
+      scanChunks([
+        'a: |\n  1e5\n\n  b: 1e5\nc: >-\n    1e5\n'
+        + '- |2\n    1e5\n  1e5\n- 1e5\n',
+      ]),
+      'a: |\n  1e5\n\n  b: 1e5\nc: >-\n    1e5\n'
+      + '- |2\n    1e5\n  1e5\n- <1e5>\n',
+    );
+  });
+
+  it('does not replace numbers in multi-line quoted scalars', () => {
+    assert.strictEqual(
+      scanChunks(['a: "x\n  1e5 \\"\n  1e5"\nb: \'\n  1e5\'\nc: 1e5\n']),
+      'a: "x\n  1e5 \\"\n  1e5"\nb: \'\n  1e5\'\nc: <1e5>\n',
+    );
+  });
+
+  it('does not replace numbers which begin multi-line plain scalars', () => {
+    assert.strictEqual(
+      scanChunks(['a: 1e5\n\n  b\nc: 1e5\n\n# d\ne: 1e5\n']),
+      'a: 1e5\n\n  b\nc: <1e5>\n\n# d\ne: <1e5>\n',
+    );
+  });
+
+  it('replaces numbers in flow collections', () => {
+    assert.strictEqual(
+      scanChunks(['a: [1e5, {b: 2e5, "c":3e5}, "x", d: 4e5, 5e5 # 6e5\n]\n']),
+      'a: [<1e5>, {b: <2e5>, "c":<3e5>}, "x", d: 4e5, <5e5> # 6e5\n]\n',
+    );
+  });
+
+  it('does not replace numbers which begin multi-line plain in flow', () => {
+    assert.strictEqual(
+      scanChunks(['[1e5\n  x, 2e5\n  , 3e5\n]\n']),
+      '[1e5\n  x, <2e5>\n  , <3e5>\n]\n',
+    );
+  });
+
+  it('replaces numbers in JSON', () => {
+    assert.strictEqual(
+      scanChunks(['{\n  "a": 1e5,\n  "b": [\n    2e5\n  ]\n}\n']),
+      '{\n  "a": <1e5>,\n  "b": [\n    <2e5>\n  ]\n}\n',
+    );
+  });
+
+  it('replaces numbers in each document', () => {
+    assert.strictEqual(
+      scanChunks(['%YAML 1.2\n--- 1e5\n...\n---\n- 2e5\n']),
+      '%YAML 1.2\n--- <1e5>\n...\n---\n- <2e5>\n',
+    );
+  });
+
+  it('preserves CRLF line endings', () => {
+    assert.strictEqual(
+      scanChunks(['a: 1e5\r\nb: |\r\n  1e5\r\nc: 1e5 \r\n']),
+      'a: <1e5>\r\nb: |\r\n  1e5\r\nc: <1e5> \r\n',
+    );
+  });
+
+  it('replaces numbers in chunks of one character', () => {
+    const yaml = 'a:\n  - 1e5\n  - "1e5"\nb: [1e5,\n  2e5]\nc: 1e5';
+    assert.strictEqual(
+      scanChunks([...yaml]),
+      'a:\n  - <1e5>\n  - "1e5"\nb: [<1e5>,\n  <2e5>]\nc: <1e5>',
+    );
+  });
+
+  it('provides JSON Pointer paths to numbers', () => {
+    assert.deepStrictEqual(
+      getPaths(
+        'a:\n- 1\n- b: 2\n  "c/d": 3\n  f:\n  - - 4\n    - 5\n'
+        + "e:\n  'f''g':\n    h: 6\n  i: {j: [7, 8], k: 9}\n"
+        + 'l: 10\n',
+      ),
+      [
+        '/a/0',
+        '/a/1/b',
+        '/a/1/c~1d',
+        '/a/1/f/0/0',
+        '/a/1/f/0/1',
+        "/e/f'g/h",
+        '/e/i/j/0',
+        '/e/i/j/1',
+        '/e/i/k',
+        '/l',
+      ],
+    );
+  });
+
+  it('provides locations relative to startOffset and startLine', () => {
+    const locations = [];
+    const scanner = new YamlNumberScanner((number, location) => {
+      locations.push(location);
+      return number;
+    }, { startLine: 3, startOffset: 10 });
+    scanner.write('a: x\nb: 1e5\n');
+    scanner.end();
+    assert.deepStrictEqual(locations, [
+      {
+        offset: 18,
+        line: 4,
+        column: 4,
+        path: '/b',
+      },
+    ]);
+  });
+
+  it('can be reused after end', () => {
+    const scanner = new YamlNumberScanner(bracket);
+    assert.strictEqual(scanner.write('a: |\n  1e5\n1e5'), 'a: |\n  1e5\n');
+    assert.strictEqual(scanner.end(), '<1e5>');
+    assert.strictEqual(scanner.write('- 1e5\n'), '- ');
+    assert.strictEqual(scanner.end(), '<1e5>\n');
+  });
+});